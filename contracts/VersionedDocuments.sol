@@ -70,6 +70,25 @@ contract VersionedDocuments is Ownable {
         emit VersionAdded(_documentId, documents[_documentId].owner, _cid, _fileHash);
     }
 
+    // ---------------------------
+    // CREATE OWN DOCUMENT (v1)
+    // Sent from the owner's own wallet, which pays the gas. Versions are
+    // still only added by the contract owner, so they keep the backend's order
+    // ---------------------------
+    function createOwnDocument(string calldata _title, string calldata _cid, bytes32 _fileHash) external {
+        documentCounter++;
+
+        Document storage doc = documents[documentCounter];
+        doc.owner = msg.sender;
+        doc.title = _title;
+
+        doc.versions.push(Version({cid: _cid, fileHash: _fileHash, timestamp: block.timestamp}));
+
+        userDocuments[msg.sender].push(documentCounter);
+
+        emit DocumentCreated(documentCounter, msg.sender, _title);
+    }
+
     // ---------------------------
     // GET DOCUMENT META
     // ---------------------------
@@ -19,11 +19,7 @@ process.on("uncaughtException", (error) => {
 });
 
 // Validate required environment variables
-const requiredEnvVars = [
-  "DATABASE_URL",
-  "JWT_SECRET",
-  "FILE_ENCRYPTION_MASTER_KEY",
-];
+const requiredEnvVars = ["DATABASE_URL", "JWT_SECRET"];
 
 const missingEnvVars = requiredEnvVars.filter(
   (varName) => !process.env[varName],
@@ -43,10 +39,17 @@ const app = require("./src/app");
 const { testConnection } = require("./src/config/database");
 const {
   verifyBlockchainConnection,
+  resumePendingTransactions,
 } = require("./src/services/blockchainService");
+const { startIndexer } = require("./src/services/chainIndexerService");
+const { startWorker } = require("./src/services/anchorJobService");
 
-// Validate encryption configuration on startup
-const { MASTER_KEY } = require("./src/config/encryption");
+// Validate key provider configuration (KEY_PROVIDER) on startup
+const {
+  providerName,
+  activeKeyId,
+} = require("./src/services/keyProviderService");
+logger.info(`File keys are wrapped by ${providerName} key "${activeKeyId}"`);
 
 const PORT = process.env.PORT || 5000;
 const NODE_ENV = process.env.NODE_ENV || "development";
@@ -66,6 +69,18 @@ async function startServer() {
     // Verify blockchain connection before starting server
     await verifyBlockchainConnection();
 
+    // Start anchoring job worker (pins, anchors and commits queued uploads)
+    if (process.env.JOB_WORKER_ENABLED !== "false") {
+      // Pick up transactions left pending by a previous run (replacing stuck ones)
+      await resumePendingTransactions();
+      startWorker();
+    }
+
+    // Start background chain indexer (reconciles contract events with the database)
+    if (process.env.INDEXER_ENABLED === "true") {
+      startIndexer();
+    }
+
     app.listen(PORT, () => {
       logger.info(
         `Server running on port ${PORT} in ${NODE_ENV} mode`,
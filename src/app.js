@@ -8,6 +8,11 @@ const healthRoutes = require("./routes/health");
 const authRoutes = require("./routes/auth");
 const walletRoutes = require("./routes/wallet");
 const documentsRoutes = require("./routes/documents");
+const verifyRoutes = require("./routes/verify");
+const jobsRoutes = require("./routes/jobs");
+const linksRoutes = require("./routes/links");
+const notarizationsRoutes = require("./routes/notarizations");
+const usageRoutes = require("./routes/usage");
 
 const app = express();
 
@@ -31,6 +36,11 @@ app.use(healthRoutes);
 app.use("/auth", authRoutes);
 app.use("/auth", walletRoutes);
 app.use("/", documentsRoutes);
+app.use("/verify", verifyRoutes);
+app.use("/jobs", jobsRoutes);
+app.use("/links", linksRoutes);
+app.use("/notarizations", notarizationsRoutes);
+app.use("/usage", usageRoutes);
 
 // Error handling middleware
 app.use((err, req, res, next) => {
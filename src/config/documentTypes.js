@@ -0,0 +1,31 @@
+const { DOCUMENT_TYPES } = require("../utils/fileType");
+
+/**
+ * Document types accepted for upload
+ * Comma-separated list from ALLOWED_DOCUMENT_TYPES, checked against the
+ * types fileType.js can detect
+ */
+
+const allowedTypesValue =
+  process.env.ALLOWED_DOCUMENT_TYPES || "pdf,docx,png,jpeg,txt";
+
+const ALLOWED_DOCUMENT_TYPES = allowedTypesValue
+  .split(",")
+  .map((type) => type.trim().toLowerCase())
+  .filter(Boolean);
+
+// Validate every configured type is one we can detect
+const unknownTypes = ALLOWED_DOCUMENT_TYPES.filter(
+  (type) => !DOCUMENT_TYPES[type],
+);
+
+if (ALLOWED_DOCUMENT_TYPES.length === 0 || unknownTypes.length > 0) {
+  throw new Error(
+    `ALLOWED_DOCUMENT_TYPES contains unsupported types: ${unknownTypes.join(", ") || "(empty)"}. ` +
+      `Supported types: ${Object.keys(DOCUMENT_TYPES).join(", ")}`,
+  );
+}
+
+module.exports = {
+  ALLOWED_DOCUMENT_TYPES,
+};
@@ -1,41 +1,113 @@
 const crypto = require("crypto");
 
 /**
- * Encryption configuration using AES-256-GCM
- * Master key must be a 64-character hex string (32 bytes)
+ * Master keys for the env key provider (KEY_PROVIDER=env, the default)
+ *
+ * File keys are wrapped with a master key from a key ring, so master keys can
+ * be rotated without re-encrypting stored files:
+ * - FILE_ENCRYPTION_KEYS: comma-separated "<keyId>:<64 hex chars>" entries
+ * - FILE_ENCRYPTION_ACTIVE_KEY_ID: key that wraps new file keys
+ *   (defaults to the last entry of FILE_ENCRYPTION_KEYS)
+ * - FILE_ENCRYPTION_MASTER_KEY: the original single master key. It joins the
+ *   ring as LEGACY_KEY_ID and unwraps payloads written before key ids existed.
+ *
+ * Every master key must be a 64-character hex string (32 bytes).
  */
 
-// Load master key from environment
-const masterKeyHex = process.env.FILE_ENCRYPTION_MASTER_KEY;
+const LEGACY_KEY_ID = "master";
+const KEY_ID_PATTERN = /^[A-Za-z0-9_-]{1,32}$/;
+const GENERATE_HINT =
+  "Generate a key with: node -e \"console.log(require('crypto').randomBytes(32).toString('hex'))\"";
 
-// Validate master key exists
-if (!masterKeyHex) {
-  throw new Error(
-    "FILE_ENCRYPTION_MASTER_KEY is not set in environment variables. " +
-      "Generate one with: node -e \"console.log(require('crypto').randomBytes(32).toString('hex'))\"",
+/**
+ * Parse and validate one master key
+ * @param {string} name - Variable or key id, for error messages
+ * @param {string} keyHex - Key as hex
+ * @returns {Buffer} 32-byte key
+ */
+const parseMasterKey = (name, keyHex) => {
+  // Validate key format (must be 64 hex characters = 32 bytes)
+  if (!/^[0-9a-fA-F]{64}$/.test(keyHex)) {
+    throw new Error(
+      `${name} must be exactly 64 hexadecimal characters (32 bytes). ` +
+        `Current length: ${keyHex.length} characters. ` +
+        GENERATE_HINT,
+    );
+  }
+
+  return Buffer.from(keyHex, "hex");
+};
+
+const KEY_RING = new Map();
+
+// Original single master key
+const masterKeyHex = process.env.FILE_ENCRYPTION_MASTER_KEY;
+if (masterKeyHex) {
+  KEY_RING.set(
+    LEGACY_KEY_ID,
+    parseMasterKey("FILE_ENCRYPTION_MASTER_KEY", masterKeyHex),
   );
 }
 
-// Validate master key format (must be 64 hex characters = 32 bytes)
-if (!/^[0-9a-fA-F]{64}$/.test(masterKeyHex)) {
+// Key ring entries, in the order they were added
+const keyEntries = (process.env.FILE_ENCRYPTION_KEYS || "")
+  .split(",")
+  .map((entry) => entry.trim())
+  .filter(Boolean);
+
+for (const entry of keyEntries) {
+  const separator = entry.indexOf(":");
+  const keyId = separator === -1 ? "" : entry.slice(0, separator);
+  const keyHex = entry.slice(separator + 1);
+
+  if (!KEY_ID_PATTERN.test(keyId)) {
+    throw new Error(
+      "FILE_ENCRYPTION_KEYS entries must be <keyId>:<hex key>, where keyId is " +
+        "1-32 letters, digits, '_' or '-'",
+    );
+  }
+
+  if (KEY_RING.has(keyId)) {
+    throw new Error(
+      `FILE_ENCRYPTION_KEYS has more than one key with id "${keyId}"` +
+        (keyId === LEGACY_KEY_ID
+          ? ` ("${LEGACY_KEY_ID}" is used by FILE_ENCRYPTION_MASTER_KEY)`
+          : ""),
+    );
+  }
+
+  KEY_RING.set(keyId, parseMasterKey(`Encryption key "${keyId}"`, keyHex));
+}
+
+// Validate at least one master key exists
+if (KEY_RING.size === 0) {
   throw new Error(
-    "FILE_ENCRYPTION_MASTER_KEY must be exactly 64 hexadecimal characters (32 bytes). " +
-      `Current length: ${masterKeyHex.length} characters. ` +
-      "Generate a valid key with: node -e \"console.log(require('crypto').randomBytes(32).toString('hex'))\"",
+    "FILE_ENCRYPTION_KEYS or FILE_ENCRYPTION_MASTER_KEY must be set in environment variables for KEY_PROVIDER=env. " +
+      GENERATE_HINT,
   );
 }
 
-// Convert hex string to Buffer
-const MASTER_KEY = Buffer.from(masterKeyHex, "hex");
+const ACTIVE_KEY_ID =
+  process.env.FILE_ENCRYPTION_ACTIVE_KEY_ID ||
+  [...KEY_RING.keys()].pop();
 
-// Verify the buffer is exactly 32 bytes (256 bits for AES-256)
-if (MASTER_KEY.length !== 32) {
+if (!KEY_RING.has(ACTIVE_KEY_ID)) {
   throw new Error(
-    `Master key buffer must be exactly 32 bytes for AES-256. Got ${MASTER_KEY.length} bytes.`,
+    `FILE_ENCRYPTION_ACTIVE_KEY_ID "${ACTIVE_KEY_ID}" is not in the key ring. ` +
+      `Known key ids: ${[...KEY_RING.keys()].join(", ")}`,
   );
 }
 
-// Export the master key
+/**
+ * Look up a master key by id
+ * @param {string} keyId - Key id
+ * @returns {Buffer|null} 32-byte key, or null if the ring has no such key
+ */
+const getMasterKey = (keyId) => KEY_RING.get(keyId) || null;
+
 module.exports = {
-  MASTER_KEY,
+  LEGACY_KEY_ID,
+  ACTIVE_KEY_ID,
+  KEY_IDS: [...KEY_RING.keys()],
+  getMasterKey,
 };
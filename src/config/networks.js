@@ -0,0 +1,237 @@
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+
+/**
+ * Networks registry: the chains and contract deployments documents are
+ * anchored on
+ *
+ * NETWORKS_FILE points to a JSON file:
+ * {
+ *   "activeNetwork": "mantle-mainnet",
+ *   "networks": [
+ *     {
+ *       "name": "mantle-mainnet",
+ *       "adapter": "ethers",            // ethers | memory
+ *       "chainId": 5000,
+ *       "rpcUrl": "https://rpc.mantle.xyz",
+ *       "contractAddress": "0x...",
+ *       "privateKeyEnv": "PRIVATE_KEY", // variable holding the backend wallet key
+ *       "confirmations": 3              // blocks before a transaction is final
+ *     }
+ *   ]
+ * }
+ *
+ * Without NETWORKS_FILE there is one network built from CHAIN_ADAPTER,
+ * RPC_URL, CHAIN_ID, CONTRACT_ADDRESS and PRIVATE_KEY, named NETWORK_NAME
+ * (default "default").
+ *
+ * New documents and notarizations are anchored on the active network
+ * (ACTIVE_NETWORK, or activeNetwork in the file, or the first network).
+ * Versions of an anchored document stay on the document's network. Every
+ * record stores its chain id and contract address, which select the network
+ * it is read from; records written before chains were recorded belong to
+ * LEGACY_NETWORK (default: the active network).
+ */
+
+const ADAPTERS = ["ethers", "memory"];
+const NAME_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+const MEMORY_CHAIN_ID = "31337";
+const MEMORY_CONTRACT_ADDRESS = "memory";
+
+/**
+ * Validate and normalize one network entry
+ * @param {object} entry - Network configuration
+ * @param {boolean} requireChainId - Whether ethers networks must declare a chain id
+ * @returns {object} Network
+ */
+const parseNetwork = (entry, requireChainId) => {
+  const name = entry.name;
+  const adapter = entry.adapter || "ethers";
+
+  if (!NAME_PATTERN.test(name || "")) {
+    throw new Error(
+      "Network names must be 1-64 letters, digits, '_' or '-'",
+    );
+  }
+
+  if (!ADAPTERS.includes(adapter)) {
+    throw new Error(
+      `Network "${name}" has unknown adapter "${adapter}". Expected one of: ${ADAPTERS.join(", ")}`,
+    );
+  }
+
+  const confirmations =
+    entry.confirmations === undefined ? 1 : Number(entry.confirmations);
+  if (!Number.isInteger(confirmations) || confirmations < 1) {
+    throw new Error(
+      `Network "${name}" confirmations must be a positive integer`,
+    );
+  }
+
+  if (adapter === "memory") {
+    return {
+      name,
+      adapter,
+      chainId: String(entry.chainId || MEMORY_CHAIN_ID),
+      rpcUrl: null,
+      contractAddress: (
+        entry.contractAddress || MEMORY_CONTRACT_ADDRESS
+      ).toLowerCase(),
+      privateKeyEnv: null,
+      confirmations,
+      stateFile: entry.stateFile || null,
+      relayAnchoring: false,
+    };
+  }
+
+  if (requireChainId && !entry.chainId) {
+    throw new Error(`Network "${name}" must set chainId`);
+  }
+
+  if (entry.contractAddress && !ethers.isAddress(entry.contractAddress)) {
+    throw new Error(`Network "${name}" has an invalid contractAddress`);
+  }
+
+  return {
+    name,
+    adapter,
+    // Learned from the RPC endpoint on startup when CHAIN_ID is not set
+    chainId: entry.chainId ? String(entry.chainId) : null,
+    rpcUrl: entry.rpcUrl || null,
+    contractAddress: (entry.contractAddress || "").toLowerCase(),
+    privateKeyEnv: entry.privateKeyEnv || "PRIVATE_KEY",
+    confirmations,
+    stateFile: null,
+    // Whether the contract has createOwnDocument; probed on startup by
+    // blockchainService.verifyBlockchainConnection
+    relayAnchoring: false,
+  };
+};
+
+/**
+ * Read the networks registry from NETWORKS_FILE or the single-network variables
+ * @returns {object} { networks, activeNetwork } as configured
+ */
+const readRegistry = () => {
+  if (!process.env.NETWORKS_FILE) {
+    return {
+      networks: [
+        parseNetwork(
+          {
+            name: process.env.NETWORK_NAME || "default",
+            adapter: process.env.CHAIN_ADAPTER || "ethers",
+            chainId: process.env.CHAIN_ID,
+            rpcUrl: process.env.RPC_URL,
+            contractAddress: process.env.CONTRACT_ADDRESS,
+            stateFile: process.env.MEMORY_CHAIN_STATE_FILE,
+          },
+          false,
+        ),
+      ],
+      activeNetwork: null,
+    };
+  }
+
+  const filePath = path.resolve(process.env.NETWORKS_FILE);
+  let registry;
+  try {
+    registry = JSON.parse(fs.readFileSync(filePath, "utf8"));
+  } catch (error) {
+    throw new Error(
+      `Could not read NETWORKS_FILE ${filePath}: ${error.message}`,
+    );
+  }
+
+  if (!Array.isArray(registry.networks) || registry.networks.length === 0) {
+    throw new Error(`NETWORKS_FILE ${filePath} must list at least one network`);
+  }
+
+  return {
+    networks: registry.networks.map((entry) => parseNetwork(entry, true)),
+    activeNetwork: registry.activeNetwork || null,
+  };
+};
+
+const registry = readRegistry();
+const NETWORKS = registry.networks;
+
+// Every name and every deployment (chain id + contract) must be unique
+NETWORKS.forEach((network, index) => {
+  const duplicate = NETWORKS.slice(0, index).find(
+    (other) =>
+      other.name === network.name ||
+      (other.chainId !== null &&
+        other.chainId === network.chainId &&
+        other.contractAddress === network.contractAddress),
+  );
+
+  if (duplicate) {
+    throw new Error(
+      `Networks "${duplicate.name}" and "${network.name}" must have different names and deployments`,
+    );
+  }
+});
+
+/**
+ * Look up a network by name
+ * @param {string} name - Network name
+ * @returns {object|null} Network, or null if none has that name
+ */
+const getNetwork = (name) =>
+  NETWORKS.find((network) => network.name === name) || null;
+
+/**
+ * Look up a configured network by name, failing on unknown names
+ * @param {string} variable - Setting the name came from, for the error message
+ * @param {string} name - Network name
+ * @returns {object} Network
+ */
+const requireNetwork = (variable, name) => {
+  const network = getNetwork(name);
+  if (!network) {
+    throw new Error(
+      `${variable} "${name}" is not a configured network. ` +
+        `Known networks: ${NETWORKS.map((known) => known.name).join(", ")}`,
+    );
+  }
+  return network;
+};
+
+const ACTIVE_NETWORK = requireNetwork(
+  "ACTIVE_NETWORK",
+  process.env.ACTIVE_NETWORK || registry.activeNetwork || NETWORKS[0].name,
+);
+
+const LEGACY_NETWORK = process.env.LEGACY_NETWORK
+  ? requireNetwork("LEGACY_NETWORK", process.env.LEGACY_NETWORK)
+  : ACTIVE_NETWORK;
+
+/**
+ * Find the network a record was anchored on
+ * Records without a chain id belong to LEGACY_NETWORK.
+ * @param {number|string|null} chainId - Recorded chain id
+ * @param {string|null} contractAddress - Recorded contract address
+ * @returns {object|null} Network, or null if the deployment is not configured
+ */
+const findNetwork = (chainId, contractAddress) => {
+  if (chainId === null || chainId === undefined) {
+    return LEGACY_NETWORK;
+  }
+
+  return (
+    NETWORKS.find(
+      (network) =>
+        network.chainId === String(chainId) &&
+        network.contractAddress === (contractAddress || "").toLowerCase(),
+    ) || null
+  );
+};
+
+module.exports = {
+  NETWORKS,
+  ACTIVE_NETWORK,
+  LEGACY_NETWORK,
+  getNetwork,
+  findNetwork,
+};
@@ -0,0 +1,36 @@
+const os = require("os");
+const path = require("path");
+
+/**
+ * Upload limits, spool and staging locations
+ * Uploads are hashed and encrypted as they stream in and spooled to
+ * UPLOAD_TMP_DIR, so memory use does not grow with MAX_UPLOAD_SIZE_MB.
+ * Accepted uploads are moved to UPLOAD_STAGING_DIR, where they wait for the
+ * job worker to store them; it must be shared with the worker's host.
+ */
+
+const maxUploadSizeMb = Number(process.env.MAX_UPLOAD_SIZE_MB || 500);
+
+if (!Number.isInteger(maxUploadSizeMb) || maxUploadSizeMb < 1) {
+  throw new Error(
+    `MAX_UPLOAD_SIZE_MB must be a positive integer. Got: ${process.env.MAX_UPLOAD_SIZE_MB}`,
+  );
+}
+
+const MAX_UPLOAD_SIZE_MB = maxUploadSizeMb;
+const MAX_UPLOAD_BYTES = maxUploadSizeMb * 1024 * 1024;
+
+const UPLOAD_TMP_DIR = path.resolve(
+  process.env.UPLOAD_TMP_DIR || path.join(os.tmpdir(), "docuchain-uploads"),
+);
+
+const UPLOAD_STAGING_DIR = path.resolve(
+  process.env.UPLOAD_STAGING_DIR || "upload-staging",
+);
+
+module.exports = {
+  MAX_UPLOAD_SIZE_MB,
+  MAX_UPLOAD_BYTES,
+  UPLOAD_TMP_DIR,
+  UPLOAD_STAGING_DIR,
+};
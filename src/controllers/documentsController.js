@@ -1,30 +1,201 @@
-const pinataService = require("../services/pinataService");
-const blockchainService = require("../services/blockchainService");
-const { generateSHA256 } = require("../utils/hash");
-const {
-  encryptFile,
-  decryptFile,
-} = require("../utils/fileEncryption");
+const integrityService = require("../services/integrityService");
+const anchorJobService = require("../services/anchorJobService");
+const permissionService = require("../services/permissionService");
+const documentContentService = require("../services/documentContentService");
+const uploadCompensationService = require("../services/uploadCompensationService");
+const uploadStagingService = require("../services/uploadStagingService");
+const chainImportService = require("../services/chainImportService");
+const anchorAuthorizationService = require("../services/anchorAuthorizationService");
+const { ACTIVE_NETWORK, getNetwork } = require("../config/networks");
+const { ALLOWED_DOCUMENT_TYPES } = require("../config/documentTypes");
+const { DOCUMENT_TYPES } = require("../utils/fileType");
+const { ENCRYPTION_SCHEMES } = require("../utils/fileEncryption");
 const database = require("../config/database");
 const logger = require("../utils/logger");
 
+/**
+ * Send an opened version, honouring a single byte range
+ * Responds 206 with Content-Range for a satisfiable Range header and 416 for
+ * an unsatisfiable one. Multiple ranges and conditional If-Range requests
+ * get the whole file, as RFC 9110 allows.
+ * @param {object} req - Express request
+ * @param {object} res - Express response (Content-Type and friends already set)
+ * @param {object} version - Result of documentContentService.openVersion
+ * @returns {Promise<void>}
+ */
+const sendVersionContent = async (req, res, version) => {
+  let range = null;
+
+  if (req.headers.range && !req.headers["if-range"]) {
+    const ranges = req.range(version.fileSize, { combine: true });
+
+    if (ranges === -1) {
+      res.setHeader("Content-Range", `bytes */${version.fileSize}`);
+      res.status(416).json({
+        error: "Requested range not satisfiable",
+      });
+      return;
+    }
+
+    // Malformed headers (-2) are ignored
+    if (
+      Array.isArray(ranges) &&
+      ranges.type === "bytes" &&
+      ranges.length === 1
+    ) {
+      range = ranges[0];
+    }
+  }
+
+  const stream = await version.read(range);
+
+  res.setHeader("Accept-Ranges", "bytes");
+  if (range) {
+    res.status(206);
+    res.setHeader(
+      "Content-Range",
+      `bytes ${range.start}-${range.end}/${version.fileSize}`,
+    );
+    res.setHeader("Content-Length", range.end - range.start + 1);
+  } else {
+    res.setHeader("Content-Length", version.fileSize);
+  }
+
+  await documentContentService.sendStream(stream, res);
+};
+
+/**
+ * Queue the anchoring job of a file that was just staged
+ * If the job cannot be queued the staged file would be orphaned, so it is
+ * deleted and the attempt recorded in failed_uploads before rethrowing.
+ * @param {object} job - anchorJobService.enqueueJob parameters
+ * @returns {Promise<object>} Queued job
+ */
+const enqueueUploadedJob = async (job) => {
+  try {
+    return await anchorJobService.enqueueJob(job);
+  } catch (error) {
+    await uploadCompensationService.compensateUnqueuedUpload({
+      userId: job.userId,
+      documentId: job.documentId,
+      stagedFile: job.stagedFile,
+      fileHash: job.fileHash,
+      reason: error.message || String(error),
+    });
+    throw error;
+  }
+};
+
+const SHA256_PATTERN = /^(0x)?[0-9a-f]{64}$/i;
+const MAX_KEY_ENVELOPE_LENGTH = 8192;
+
+/**
+ * Validate the uploaded file and describe the version to anchor
+ * Server-encrypted uploads are checked by their detected type. Client-side
+ * encrypted uploads (?encryption=client) cannot be inspected, so they carry
+ * the plaintext SHA-256 (fileHash), the client's key envelope (keyEnvelope)
+ * and optionally the plaintext MIME type (mimeType) as form fields.
+ * Sends the error response itself and returns null when validation fails
+ * @param {object} req - Express request
+ * @param {object} res - Express response
+ * @returns {object|null} Anchor job fields for the file
+ */
+const loadUploadedVersion = (req, res) => {
+  if (!req.file) {
+    res.status(400).json({
+      error: "File is required",
+    });
+    return null;
+  }
+
+  const { originalname, size, encryptionScheme } = req.file;
+
+  if (encryptionScheme !== ENCRYPTION_SCHEMES.CLIENT) {
+    // Check the type detected from content (declared MIME type is not trusted)
+    const { fileType } = req.file;
+    if (!fileType || !ALLOWED_DOCUMENT_TYPES.includes(fileType.name)) {
+      res.status(400).json({
+        error: `Unsupported file type. Allowed types: ${ALLOWED_DOCUMENT_TYPES.join(", ")}`,
+      });
+      return null;
+    }
+
+    return {
+      fileName: originalname,
+      fileSize: size,
+      mimeType: fileType.mimeType,
+      fileHash: req.file.fileHash,
+      hashedAt: req.file.hashedAt,
+      encryptedAt: req.file.encryptedAt,
+      encryptedKeyPayload: req.file.encryptedKeyPayload,
+      clientKeyEnvelope: null,
+      encryptionScheme,
+      description: `${fileType.name}, ${size} bytes`,
+    };
+  }
+
+  const { fileHash, keyEnvelope, mimeType } = req.body;
+
+  if (!fileHash || !SHA256_PATTERN.test(fileHash)) {
+    res.status(400).json({
+      error:
+        "fileHash must be the SHA-256 of the plaintext (64 hex characters)",
+    });
+    return null;
+  }
+
+  if (
+    typeof keyEnvelope !== "string" ||
+    keyEnvelope.trim() === "" ||
+    keyEnvelope.length > MAX_KEY_ENVELOPE_LENGTH
+  ) {
+    res.status(400).json({
+      error: `keyEnvelope is required (at most ${MAX_KEY_ENVELOPE_LENGTH} characters)`,
+    });
+    return null;
+  }
+
+  const allowedMimeTypes = ALLOWED_DOCUMENT_TYPES.map(
+    (type) => DOCUMENT_TYPES[type].mimeType,
+  );
+  if (mimeType && !allowedMimeTypes.includes(mimeType)) {
+    res.status(400).json({
+      error: `Unsupported mimeType. Allowed: ${allowedMimeTypes.join(", ")}`,
+    });
+    return null;
+  }
+
+  return {
+    fileName: originalname,
+    fileSize: null,
+    mimeType: mimeType || null,
+    fileHash: fileHash.toLowerCase().replace(/^0x/, ""),
+    // Hashed and encrypted by the client, so not observed here
+    hashedAt: null,
+    encryptedAt: null,
+    encryptedKeyPayload: null,
+    clientKeyEnvelope: keyEnvelope,
+    encryptionScheme,
+    description: `client-side encrypted, ${size} bytes`,
+  };
+};
+
 /**
  * Create a new document with IPFS and blockchain storage
  * POST /documents
  *
  * Flow:
  * 1. Validate JWT (via middleware)
- * 2. Accept PDF file (via multer)
- * 3. Validate file (exists, MIME type, size)
- * 4. Generate SHA256 hash of original file
- * 5. Encrypt file
- * 6. Upload encrypted file to Pinata
- * 7. Create document on blockchain
- * 8. Insert into database (transaction)
- * 9. Return response
+ * 2. Accept file (via multer; hashed, type-sniffed and encrypted as it streams in,
+ *    or spooled as is with ?encryption=client)
+ * 3. Validate file (exists, detected type allowed, or client-side encryption fields)
+ * 4. Stage encrypted file for the job worker
+ * 5. Queue anchoring job (storage, blockchain and database run in the job
+ *    worker; with ?anchoring=signed|relay it waits for the user's
+ *    authorization once the file is stored)
+ * 6. Return 202 with job ID
  */
 const createDocument = async (req, res, next) => {
-  let client = null;
   const userId = req.user.id;
 
   try {
@@ -37,31 +208,31 @@ const createDocument = async (req, res, next) => {
       });
     }
 
-    // Step 2: Validate file exists
-    if (!req.file) {
+    const anchoringMode = anchorAuthorizationService.parseAnchoringMode(
+      req.query.anchoring,
+    );
+
+    if (!anchoringMode) {
       return res.status(400).json({
-        error: "PDF file is required",
+        error: "anchoring must be backend, signed or relay",
       });
     }
 
-    // Step 3: Validate MIME type
-    if (req.file.mimetype !== "application/pdf") {
+    if (
+      !anchorAuthorizationService.isModeSupported(anchoringMode, ACTIVE_NETWORK)
+    ) {
       return res.status(400).json({
-        error: "File must be a PDF",
+        error: "The network's contract does not support relay anchoring",
       });
     }
 
-    // Step 4: Validate file size (20MB limit)
-    const maxSize = 20 * 1024 * 1024; // 20MB in bytes
-    if (req.file.size > maxSize) {
-      return res.status(400).json({
-        error: "File size exceeds 20MB limit",
-      });
+    // Step 2: Validate the file (type, or client-side encryption fields)
+    const upload = loadUploadedVersion(req, res);
+    if (!upload) {
+      return;
     }
 
-    logger.info(
-      `Creating document: "${title}" (${req.file.size} bytes)`,
-    );
+    logger.info(`Creating document: "${title}" (${upload.description})`);
 
     // Fetch user from database to get wallet address
     const userResult = await database.query(
@@ -83,95 +254,37 @@ const createDocument = async (req, res, next) => {
       });
     }
 
-    // Step 5: Generate SHA256 hash of original file
-    const fileHash = generateSHA256(req.file.buffer);
-    logger.debug(`File hash: ${fileHash}`);
+    logger.debug(`File hash: ${upload.fileHash}`);
 
-    // Step 6: Encrypt file
-    logger.debug("Encrypting file...");
-    const { encryptedFileBuffer, encryptedKeyPayload } =
-      await encryptFile(req.file.buffer);
+    // Step 3: Stage the encrypted file for the job worker
+    const stagedFile = await uploadStagingService.stageFile(req.file.path);
 
-    // Step 7: Upload encrypted file to Pinata
-    logger.debug("Uploading to IPFS...");
-    const pinataResult = await pinataService.uploadFile(
-      encryptedFileBuffer,
-      req.file.originalname,
-      { userId, title },
-    );
-    const cid = pinataResult.cid;
-    logger.debug(`CID: ${cid}`);
-
-    // Step 8: Create document on blockchain
-    logger.debug("Creating on blockchain...");
-    const blockchainResult = await blockchainService.createDocument(
-      userWalletAddress,
+    // Step 4: Queue anchoring and database commit
+    const job = await enqueueUploadedJob({
+      userId,
+      jobType: anchorJobService.JOB_TYPES.CREATE_DOCUMENT,
+      ownerAddress: userWalletAddress,
       title,
-      cid,
-      fileHash,
-    );
-
-    if (!blockchainResult.documentId) {
-      throw new Error(
-        "Failed to extract document ID from blockchain transaction",
-      );
-    }
-
-    const blockchainDocumentId = parseInt(
-      blockchainResult.documentId,
-    );
-    const txHash = blockchainResult.txHash;
-    logger.debug(`Blockchain doc ID: ${blockchainDocumentId}`);
-    logger.debug(`Transaction: ${txHash}`);
-
-    // Step 9: DATABASE TRANSACTION
-    // Only commit after blockchain confirmation
-    client = await database.getClient();
-
-    try {
-      await client.query("BEGIN");
-
-      // Insert into documents table
-      const docResult = await client.query(
-        `INSERT INTO documents (user_id, blockchain_document_id, title)
-         VALUES ($1, $2, $3)
-         RETURNING id`,
-        [userId, blockchainDocumentId, title],
-      );
-
-      const documentId = docResult.rows[0].id;
-
-      // Insert into document_versions table
-      await client.query(
-        `INSERT INTO document_versions (document_id, version_number, ipfs_cid, file_hash, blockchain_tx_hash, encrypted_key_payload)
-         VALUES ($1, $2, $3, $4, $5, $6)`,
-        [documentId, 1, cid, fileHash, txHash, encryptedKeyPayload],
-      );
-
-      await client.query("COMMIT");
-
-      logger.info("Document created successfully");
+      fileName: upload.fileName,
+      fileSize: upload.fileSize,
+      mimeType: upload.mimeType,
+      fileHash: upload.fileHash,
+      stagedFile,
+      hashedAt: upload.hashedAt,
+      encryptedAt: upload.encryptedAt,
+      encryptedKeyPayload: upload.encryptedKeyPayload,
+      clientKeyEnvelope: upload.clientKeyEnvelope,
+      encryptionScheme: upload.encryptionScheme,
+      anchoringMode,
+    });
 
-      res.status(201).json({
-        documentId,
-        blockchainDocumentId,
-        version: 1,
-        txHash,
-      });
-    } catch (dbError) {
-      try {
-        await client.query("ROLLBACK");
-      } catch (rollbackError) {
-        logger.error("Rollback error:", {
-          message: rollbackError.message,
-        });
-      }
-      throw dbError;
-    } finally {
-      if (client) {
-        client.release();
-      }
-    }
+    res.status(202).json({
+      jobId: job.id,
+      status: job.status,
+      stage: job.stage,
+      statusUrl: `/jobs/${job.id}`,
+      authorization: anchorAuthorizationService.formatAuthorization(job),
+    });
   } catch (error) {
     logger.error("Create document error:", {
       message: error.message,
@@ -197,18 +310,17 @@ const createDocument = async (req, res, next) => {
  * Flow:
  * 1. Validate JWT (via middleware)
  * 2. Extract document UUID from params
- * 3. Validate document exists and belongs to user
- * 4. Accept PDF file (via multer)
- * 5. Validate file (exists, MIME type, size)
- * 6. Generate SHA256 hash of original file
- * 7. Encrypt file
- * 8. Upload encrypted file to Pinata
- * 9. Add version on blockchain
- * 10. Insert into database (transaction)
- * 11. Return response
+ * 3. Validate document exists and user is its owner or an editor
+ * 4. Accept file (via multer; hashed, type-sniffed and encrypted as it streams in,
+ *    or spooled as is with ?encryption=client)
+ * 5. Validate file (exists, detected type allowed, or client-side encryption fields)
+ * 6. Stage encrypted file for the job worker
+ * 7. Queue anchoring job (storage, blockchain and database run in the job
+ *    worker; with ?anchoring=signed it waits for the user's signature once
+ *    the file is stored)
+ * 8. Return 202 with job ID
  */
 const addVersion = async (req, res, next) => {
-  let client = null;
   const userId = req.user.id;
   const documentId = req.params.id;
 
@@ -225,21 +337,24 @@ const addVersion = async (req, res, next) => {
       });
     }
 
-    // Step 2: Check if document exists and belongs to user
-    const docResult = await database.query(
-      "SELECT id, user_id, blockchain_document_id, title FROM documents WHERE id = $1",
-      [documentId],
+    // Step 2: Check if document exists and user is its owner or an editor
+    const document = await permissionService.getDocumentAccess(
+      documentId,
+      userId,
     );
 
-    if (docResult.rows.length === 0) {
+    if (!document) {
       return res.status(404).json({
         error: "Document not found",
       });
     }
 
-    const document = docResult.rows[0];
-
-    if (document.user_id !== userId) {
+    if (
+      !permissionService.hasRole(
+        document.role,
+        permissionService.ROLES.EDITOR,
+      )
+    ) {
       return res.status(403).json({
         error: "You do not have permission to modify this document",
       });
@@ -247,114 +362,82 @@ const addVersion = async (req, res, next) => {
 
     const blockchainDocumentId = document.blockchain_document_id;
 
-    // Step 3: Validate file exists
-    if (!req.file) {
-      return res.status(400).json({
-        error: "PDF file is required",
-      });
-    }
+    const anchoringMode = anchorAuthorizationService.parseAnchoringMode(
+      req.query.anchoring,
+    );
 
-    // Step 4: Validate MIME type
-    if (req.file.mimetype !== "application/pdf") {
+    if (!anchoringMode) {
       return res.status(400).json({
-        error: "File must be a PDF",
+        error: "anchoring must be backend, signed or relay",
       });
     }
 
-    // Step 5: Validate file size (20MB limit)
-    const maxSize = 20 * 1024 * 1024; // 20MB in bytes
-    if (req.file.size > maxSize) {
+    // Versions are added by the backend wallet only, so on-chain version
+    // numbers keep matching the database
+    if (anchoringMode === anchorAuthorizationService.ANCHORING_MODES.RELAY) {
       return res.status(400).json({
-        error: "File size exceeds 20MB limit",
+        error: "Versions cannot be sent from a wallet; use signed anchoring",
       });
     }
 
-    logger.info(
-      `Adding version to document: "${document.title}" (${req.file.size} bytes)`,
-    );
-
-    // Step 6: Generate SHA256 hash of original file
-    const fileHash = generateSHA256(req.file.buffer);
-    logger.debug(`File hash: ${fileHash}`);
-
-    // Step 7: Encrypt file
-    logger.debug("Encrypting file...");
-    const { encryptedFileBuffer, encryptedKeyPayload } =
-      await encryptFile(req.file.buffer);
-
-    // Step 8: Upload encrypted file to Pinata
-    logger.debug("Uploading to IPFS...");
-    const pinataResult = await pinataService.uploadFile(
-      encryptedFileBuffer,
-      req.file.originalname,
-      { userId, documentId, title: document.title },
-    );
-    const cid = pinataResult.cid;
-    logger.debug(`CID: ${cid}`);
+    let walletAddress = null;
 
-    // Step 9: Add version on blockchain
-    logger.debug("Adding version on blockchain...");
-    const blockchainResult = await blockchainService.addVersion(
-      blockchainDocumentId,
-      cid,
-      fileHash,
-    );
-
-    const txHash = blockchainResult.txHash;
-    logger.debug(`Transaction: ${txHash}`);
-
-    // Step 10: DATABASE TRANSACTION
-    // Only commit after blockchain confirmation
-    client = await database.getClient();
+    if (anchoringMode !== anchorAuthorizationService.ANCHORING_MODES.BACKEND) {
+      const userResult = await database.query(
+        "SELECT wallet_address FROM users WHERE id = $1",
+        [userId],
+      );
+      walletAddress = userResult.rows[0] && userResult.rows[0].wallet_address;
 
-    try {
-      await client.query("BEGIN");
+      if (!walletAddress) {
+        return res.status(400).json({
+          error: "User must have a wallet address to authorise anchoring",
+        });
+      }
+    }
 
-      // Get current highest version number
-      const versionResult = await client.query(
-        "SELECT COALESCE(MAX(version_number), 0) as max_version FROM document_versions WHERE document_id = $1",
-        [documentId],
-      );
+    // Step 3: Validate the file (type, or client-side encryption fields)
+    const upload = loadUploadedVersion(req, res);
+    if (!upload) {
+      return;
+    }
 
-      const nextVersion = versionResult.rows[0].max_version + 1;
-
-      // Insert new version
-      await client.query(
-        `INSERT INTO document_versions (document_id, version_number, ipfs_cid, file_hash, blockchain_tx_hash, encrypted_key_payload)
-         VALUES ($1, $2, $3, $4, $5, $6)`,
-        [
-          documentId,
-          nextVersion,
-          cid,
-          fileHash,
-          txHash,
-          encryptedKeyPayload,
-        ],
-      );
+    logger.info(
+      `Adding version to document: "${document.title}" (${upload.description})`,
+    );
+    logger.debug(`File hash: ${upload.fileHash}`);
 
-      await client.query("COMMIT");
+    // Step 4: Stage the encrypted file for the job worker
+    const stagedFile = await uploadStagingService.stageFile(req.file.path);
 
-      logger.info(`Version ${nextVersion} added successfully`);
+    // Step 5: Queue anchoring and database commit
+    const job = await enqueueUploadedJob({
+      userId,
+      jobType: anchorJobService.JOB_TYPES.ADD_VERSION,
+      documentId,
+      blockchainDocumentId,
+      title: document.title,
+      fileName: upload.fileName,
+      fileSize: upload.fileSize,
+      mimeType: upload.mimeType,
+      fileHash: upload.fileHash,
+      stagedFile,
+      hashedAt: upload.hashedAt,
+      encryptedAt: upload.encryptedAt,
+      encryptedKeyPayload: upload.encryptedKeyPayload,
+      clientKeyEnvelope: upload.clientKeyEnvelope,
+      encryptionScheme: upload.encryptionScheme,
+      anchoringMode,
+    });
 
-      res.status(201).json({
-        documentId,
-        version: nextVersion,
-        txHash,
-      });
-    } catch (dbError) {
-      try {
-        await client.query("ROLLBACK");
-      } catch (rollbackError) {
-        logger.error("Rollback error:", {
-          message: rollbackError.message,
-        });
-      }
-      throw dbError;
-    } finally {
-      if (client) {
-        client.release();
-      }
-    }
+    res.status(202).json({
+      jobId: job.id,
+      documentId,
+      status: job.status,
+      stage: job.stage,
+      statusUrl: `/jobs/${job.id}`,
+      authorization: anchorAuthorizationService.formatAuthorization(job),
+    });
   } catch (error) {
     logger.error("Add version error:", { message: error.message });
 
@@ -372,12 +455,13 @@ const addVersion = async (req, res, next) => {
 };
 
 /**
- * Get all documents for the authenticated user
+ * Get all documents the authenticated user owns or has been granted access to
  * GET /documents
  *
  * Returns:
  * - id
  * - title
+ * - role (owner, editor, or viewer)
  * - version_count
  * - created_at
  */
@@ -385,22 +469,11 @@ const getDocuments = async (req, res, next) => {
   const userId = req.user.id;
 
   try {
-    const result = await database.query(
-      `SELECT
-        d.id,
-        d.title,
-        d.created_at,
-        COUNT(dv.id) as version_count
-      FROM documents d
-      LEFT JOIN document_versions dv ON d.id = dv.document_id
-      WHERE d.user_id = $1
-      GROUP BY d.id, d.title, d.created_at
-      ORDER BY d.created_at DESC`,
-      [userId],
-    );
+    const documents =
+      await permissionService.listAccessibleDocuments(userId);
 
     res.status(200).json({
-      documents: result.rows,
+      documents,
     });
   } catch (error) {
     logger.error("Get documents error:", { message: error.message });
@@ -416,7 +489,9 @@ const getDocuments = async (req, res, next) => {
  *
  * Returns:
  * - Document metadata
- * - All versions ordered by version_number
+ * - All versions ordered by version_number (client-side encrypted versions
+ *   include the client's key envelope, batched versions their Merkle
+ *   inclusion proof)
  */
 const getDocumentById = async (req, res, next) => {
   const userId = req.user.id;
@@ -435,29 +510,24 @@ const getDocumentById = async (req, res, next) => {
       });
     }
 
-    // Fetch document metadata
-    const docResult = await database.query(
-      `SELECT id, title, blockchain_document_id, created_at
-       FROM documents
-       WHERE id = $1`,
-      [documentId],
+    // Fetch document metadata and the user's role
+    const document = await permissionService.getDocumentAccess(
+      documentId,
+      userId,
     );
 
-    if (docResult.rows.length === 0) {
+    if (!document) {
       return res.status(404).json({
         error: "Document not found",
       });
     }
 
-    const document = docResult.rows[0];
-
-    // Check if user owns the document
-    const ownerCheck = await database.query(
-      "SELECT user_id FROM documents WHERE id = $1",
-      [documentId],
-    );
-
-    if (ownerCheck.rows[0].user_id !== userId) {
+    if (
+      !permissionService.hasRole(
+        document.role,
+        permissionService.ROLES.VIEWER,
+      )
+    ) {
       return res.status(403).json({
         error: "You do not have permission to access this document",
       });
@@ -470,6 +540,22 @@ const getDocumentById = async (req, res, next) => {
         ipfs_cid,
         file_hash,
         blockchain_tx_hash,
+        file_name,
+        file_size,
+        mime_type,
+        uploaded_by,
+        encryption_scheme,
+        client_key_envelope,
+        anchor_batch_id,
+        merkle_proof,
+        chain_id,
+        contract_address,
+        block_number,
+        gas_used,
+        effective_gas_price,
+        fee_wei,
+        anchoring_mode,
+        anchor_authorization,
         created_at
        FROM document_versions
        WHERE document_id = $1
@@ -482,12 +568,31 @@ const getDocumentById = async (req, res, next) => {
       id: document.id,
       title: document.title,
       blockchainDocumentId: document.blockchain_document_id,
+      chainId: document.chain_id,
+      contractAddress: document.contract_address,
+      role: document.role,
       createdAt: document.created_at,
       versions: versionsResult.rows.map((v) => ({
         versionNumber: v.version_number,
         ipfsCid: v.ipfs_cid,
         fileHash: v.file_hash,
         txHash: v.blockchain_tx_hash,
+        fileName: v.file_name,
+        fileSize: v.file_size === null ? null : Number(v.file_size),
+        mimeType: v.mime_type,
+        uploadedBy: v.uploaded_by,
+        encryptionScheme: v.encryption_scheme,
+        keyEnvelope: v.client_key_envelope,
+        anchorBatchId: v.anchor_batch_id,
+        merkleProof: v.merkle_proof,
+        chainId: v.chain_id,
+        contractAddress: v.contract_address,
+        blockNumber: v.block_number === null ? null : Number(v.block_number),
+        gasUsed: v.gas_used,
+        effectiveGasPrice: v.effective_gas_price,
+        feeWei: v.fee_wei,
+        anchoringMode: v.anchoring_mode,
+        anchorAuthorization: v.anchor_authorization,
         createdAt: v.created_at,
       })),
     });
@@ -505,8 +610,9 @@ const getDocumentById = async (req, res, next) => {
  * View a specific document version inline
  * GET /documents/:id/version/:version/view
  *
- * Retrieves and decrypts a specific version of a document for inline viewing.
- * Returns the decrypted PDF directly.
+ * Retrieves a specific version of a document and streams it, decrypted, for
+ * inline viewing. Supports single byte-range requests (206 Partial Content),
+ * which only fetch and decrypt the chunks covering the range.
  */
 const viewDocumentVersion = async (req, res, next) => {
   const userId = req.user.id;
@@ -533,106 +639,367 @@ const viewDocumentVersion = async (req, res, next) => {
       });
     }
 
-    // Check if user owns the document
-    const docOwnerCheck = await database.query(
-      "SELECT user_id FROM documents WHERE id = $1",
-      [documentId],
+    // Check if user owns the document or has been granted access
+    const document = await permissionService.getDocumentAccess(
+      documentId,
+      userId,
     );
 
-    if (docOwnerCheck.rows.length === 0) {
+    if (!document) {
       return res.status(404).json({
         error: "Document not found",
       });
     }
 
-    if (docOwnerCheck.rows[0].user_id !== userId) {
+    if (
+      !permissionService.hasRole(
+        document.role,
+        permissionService.ROLES.VIEWER,
+      )
+    ) {
       return res.status(403).json({
         error: "You do not have permission to access this document",
       });
     }
 
-    // Fetch version record
-    const versionResult = await database.query(
-      `SELECT ipfs_cid, encrypted_key_payload FROM document_versions
-       WHERE document_id = $1 AND version_number = $2`,
-      [documentId, versionNumber],
+    // Fetch the version record (whole-file versions are decrypted here)
+    const version = await documentContentService.openVersion(
+      documentId,
+      versionNumber,
     );
 
-    if (versionResult.rows.length === 0) {
+    if (!version) {
       return res.status(404).json({
         error: "Version not found",
       });
     }
 
-    const { ipfs_cid, encrypted_key_payload } = versionResult.rows[0];
-
-    // Retrieve encrypted file from IPFS
-    logger.debug(
-      `Retrieving version ${versionNumber} from IPFS (CID: ${ipfs_cid.substring(0, 10)}...)`,
+    // Stream decrypted file (or the requested range) for inline viewing
+    res.setHeader("Content-Type", version.mimeType);
+    res.setHeader(
+      "Cache-Control",
+      "no-cache, no-store, must-revalidate",
     );
+    await sendVersionContent(req, res, version);
+  } catch (error) {
+    logger.error("View document version error:", {
+      message: error.message,
+    });
 
-    const PINATA_GATEWAY = process.env.PINATA_GATEWAY;
-    if (!PINATA_GATEWAY) {
-      throw new Error("PINATA_GATEWAY not configured");
+    if (error.status) {
+      return res.status(error.status).json({
+        error: error.message,
+      });
     }
 
-    const ipfsUrl = `https://${PINATA_GATEWAY}/ipfs/${ipfs_cid}`;
+    res.status(500).json({
+      error: "Failed to retrieve document",
+    });
+  }
+};
+
+/**
+ * Download a specific document version as a file
+ * GET /documents/:id/version/:version/download
+ *
+ * Same access rules, decryption and range support as viewDocumentVersion, but
+ * sent as an attachment with the original file name.
+ */
+const downloadDocumentVersion = async (req, res, next) => {
+  const userId = req.user.id;
+  const documentId = req.params.id;
+  const versionNumber = parseInt(req.params.version, 10);
+
+  try {
+    // Validate document UUID format
+    if (
+      !documentId ||
+      !documentId.match(
+        /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i,
+      )
+    ) {
+      return res.status(400).json({
+        error: "Invalid document ID format",
+      });
+    }
 
-    let encryptedFileBuffer;
-    try {
-      const response = await fetch(ipfsUrl, {
-        timeout: 30000,
+    // Validate version number
+    if (!Number.isInteger(versionNumber) || versionNumber < 1) {
+      return res.status(400).json({
+        error: "Invalid version number",
       });
-      if (!response.ok) {
-        throw new Error(`IPFS fetch failed: ${response.statusText}`);
-      }
-      const arrayBuffer = await response.arrayBuffer();
-      encryptedFileBuffer = Buffer.from(arrayBuffer);
-    } catch (error) {
-      logger.error("Failed to retrieve file from IPFS:", {
-        message: error.message,
+    }
+
+    // Check if user owns the document or has been granted access
+    const document = await permissionService.getDocumentAccess(
+      documentId,
+      userId,
+    );
+
+    if (!document) {
+      return res.status(404).json({
+        error: "Document not found",
       });
-      return res.status(500).json({
-        error: "Failed to retrieve document from storage",
+    }
+
+    if (
+      !permissionService.hasRole(
+        document.role,
+        permissionService.ROLES.VIEWER,
+      )
+    ) {
+      return res.status(403).json({
+        error: "You do not have permission to access this document",
       });
     }
 
-    // Decrypt file
-    logger.debug("Decrypting document...");
-    let decryptedBuffer;
-    try {
-      decryptedBuffer = await decryptFile(
-        encryptedFileBuffer,
-        encrypted_key_payload,
-      );
-    } catch (error) {
-      logger.error("Decryption failed:", { message: error.message });
-      return res.status(500).json({
-        error: "Failed to decrypt document",
+    // Fetch the version record (whole-file versions are decrypted here)
+    const version = await documentContentService.openVersion(
+      documentId,
+      versionNumber,
+    );
+
+    if (!version) {
+      return res.status(404).json({
+        error: "Version not found",
       });
     }
 
-    // Send decrypted PDF for inline viewing
-    res.setHeader("Content-Type", "application/pdf");
+    // Stream decrypted file (or the requested range) as an attachment
+    res.attachment(version.fileName);
+    res.setHeader("Content-Type", version.mimeType);
     res.setHeader(
       "Cache-Control",
       "no-cache, no-store, must-revalidate",
     );
-    res.send(decryptedBuffer);
+    await sendVersionContent(req, res, version);
   } catch (error) {
-    logger.error("View document version error:", {
+    logger.error("Download document version error:", {
       message: error.message,
     });
+
+    if (error.status) {
+      return res.status(error.status).json({
+        error: error.message,
+      });
+    }
+
     res.status(500).json({
       error: "Failed to retrieve document",
     });
   }
 };
 
+/**
+ * Audit a document across the database, IPFS and blockchain
+ * GET /documents/:id/integrity
+ *
+ * For every version:
+ * - Chain: on-chain CID and fileHash match the database row
+ * - IPFS: object can be fetched, decrypted, and hashes back to file_hash
+ */
+const getDocumentIntegrity = async (req, res, next) => {
+  const userId = req.user.id;
+  const documentId = req.params.id;
+
+  try {
+    // Validate document UUID format
+    if (
+      !documentId ||
+      !documentId.match(
+        /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i,
+      )
+    ) {
+      return res.status(400).json({
+        error: "Invalid document ID format",
+      });
+    }
+
+    const document = await permissionService.getDocumentAccess(
+      documentId,
+      userId,
+    );
+
+    if (!document) {
+      return res.status(404).json({
+        error: "Document not found",
+      });
+    }
+
+    if (
+      !permissionService.hasRole(
+        document.role,
+        permissionService.ROLES.VIEWER,
+      )
+    ) {
+      return res.status(403).json({
+        error: "You do not have permission to access this document",
+      });
+    }
+
+    const versionsResult = await database.query(
+      `SELECT
+        dv.version_number,
+        dv.ipfs_cid,
+        dv.file_hash,
+        dv.blockchain_tx_hash,
+        dv.encrypted_key_payload,
+        dv.encryption_scheme,
+        dv.merkle_proof,
+        dv.chain_id,
+        dv.contract_address,
+        b.blockchain_document_id AS batch_blockchain_document_id
+       FROM document_versions dv
+       LEFT JOIN anchor_batches b ON b.id = dv.anchor_batch_id
+       WHERE dv.document_id = $1
+       ORDER BY dv.version_number ASC`,
+      [documentId],
+    );
+
+    logger.info(
+      `Auditing integrity of document "${document.title}" (${versionsResult.rows.length} versions)`,
+    );
+
+    const audit = await integrityService.auditDocument(
+      document,
+      versionsResult.rows,
+    );
+
+    res.status(200).json({
+      id: document.id,
+      title: document.title,
+      blockchainDocumentId: document.blockchain_document_id,
+      chainId: document.chain_id,
+      contractAddress: document.contract_address,
+      checkedAt: new Date().toISOString(),
+      ...audit,
+    });
+  } catch (error) {
+    logger.error("Document integrity error:", {
+      message: error.message,
+    });
+    res.status(500).json({
+      error: "Failed to audit document integrity",
+    });
+  }
+};
+
+/**
+ * Queue an import of the documents the contract holds for the user's wallet
+ * POST /documents/import-chain
+ *
+ * The job worker reads getUserDocuments for the wallet on the given network
+ * (default: the active network) and creates the documents,
+ * document_versions and notarizations rows the database is missing, a page
+ * at a time. Imported versions have no stored key payload (encryption
+ * scheme "imported"). Progress is at GET /documents/import-chain/:importId.
+ */
+const importChainDocuments = async (req, res, next) => {
+  const userId = req.user.id;
+
+  try {
+    const networkName = req.body && req.body.network;
+    const network = networkName ? getNetwork(networkName) : ACTIVE_NETWORK;
+
+    if (!network) {
+      return res.status(400).json({
+        error: `Unknown network "${networkName}"`,
+      });
+    }
+
+    const userResult = await database.query(
+      "SELECT id, wallet_address FROM users WHERE id = $1",
+      [userId],
+    );
+
+    if (userResult.rows.length === 0) {
+      return res.status(404).json({
+        error: "User not found",
+      });
+    }
+
+    if (!userResult.rows[0].wallet_address) {
+      return res.status(400).json({
+        error: "User must have a wallet address to import documents",
+      });
+    }
+
+    const chainImport = await chainImportService.enqueueImport(
+      userResult.rows[0],
+      network,
+    );
+
+    res.status(202).json({
+      ...chainImportService.formatImport(chainImport),
+      statusUrl: `/documents/import-chain/${chainImport.id}`,
+    });
+  } catch (error) {
+    logger.error("Import chain documents error:", {
+      message: error.message,
+    });
+
+    if (error.status) {
+      return res.status(error.status).json({
+        error: error.message,
+      });
+    }
+
+    res.status(500).json({
+      error: "Failed to import documents from the chain",
+    });
+  }
+};
+
+/**
+ * Get the progress and results of a chain import
+ * GET /documents/import-chain/:importId
+ */
+const getChainImport = async (req, res, next) => {
+  const { importId } = req.params;
+
+  try {
+    if (
+      !importId ||
+      !importId.match(
+        /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i,
+      )
+    ) {
+      return res.status(400).json({
+        error: "Invalid import ID format",
+      });
+    }
+
+    const chainImport = await chainImportService.getImport(importId);
+
+    if (!chainImport) {
+      return res.status(404).json({
+        error: "Import not found",
+      });
+    }
+
+    if (chainImport.user_id !== req.user.id) {
+      return res.status(403).json({
+        error: "You do not have permission to access this import",
+      });
+    }
+
+    res.status(200).json(chainImportService.formatImport(chainImport));
+  } catch (error) {
+    logger.error("Get chain import error:", { message: error.message });
+    res.status(500).json({
+      error: "Failed to retrieve import",
+    });
+  }
+};
+
 module.exports = {
   createDocument,
   addVersion,
+  importChainDocuments,
+  getChainImport,
   getDocuments,
   getDocumentById,
+  getDocumentIntegrity,
   viewDocumentVersion,
+  downloadDocumentVersion,
 };
@@ -0,0 +1,157 @@
+const anchorJobService = require("../services/anchorJobService");
+const { ANCHORING_MODES } = require("../services/anchorAuthorizationService");
+const logger = require("../utils/logger");
+
+/**
+ * Load a job and check that it belongs to the authenticated user
+ * Sends the error response itself and returns null when the check fails
+ * @param {object} req - Express request
+ * @param {object} res - Express response
+ * @returns {Promise<object|null>} Job row
+ */
+const loadOwnedJob = async (req, res) => {
+  const jobId = req.params.id;
+
+  if (
+    !jobId ||
+    !jobId.match(
+      /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i,
+    )
+  ) {
+    res.status(400).json({
+      error: "Invalid job ID format",
+    });
+    return null;
+  }
+
+  const job = await anchorJobService.getJob(jobId);
+
+  if (!job) {
+    res.status(404).json({
+      error: "Job not found",
+    });
+    return null;
+  }
+
+  if (job.user_id !== req.user.id) {
+    res.status(403).json({
+      error: "You do not have permission to access this job",
+    });
+    return null;
+  }
+
+  return job;
+};
+
+/**
+ * Get anchoring job status
+ * GET /jobs/:id
+ *
+ * Returns the current stage, every completed stage with its timestamp,
+ * and the last failure reason.
+ */
+const getJob = async (req, res, next) => {
+  try {
+    const job = await loadOwnedJob(req, res);
+    if (!job) {
+      return;
+    }
+
+    res.status(200).json(anchorJobService.formatJob(job));
+  } catch (error) {
+    logger.error("Get job error:", { message: error.message });
+    res.status(500).json({
+      error: "Failed to retrieve job",
+    });
+  }
+};
+
+/**
+ * Retry a failed anchoring job
+ * POST /jobs/:id/retry
+ *
+ * The job resumes from its last completed stage.
+ */
+const retryJob = async (req, res, next) => {
+  try {
+    const job = await loadOwnedJob(req, res);
+    if (!job) {
+      return;
+    }
+
+    const retried = await anchorJobService.retryJob(job.id);
+
+    if (!retried) {
+      const neverAuthorized =
+        job.anchoring_mode !== ANCHORING_MODES.BACKEND &&
+        !job.stages.some(
+          (entry) => entry.stage === anchorJobService.STAGES.AUTHORIZED,
+        );
+      let error = "Only failed jobs can be retried";
+
+      if (job.status === "failed" && neverAuthorized) {
+        error = "This job was never authorised; upload it again";
+      } else if (job.status === "failed") {
+        error =
+          "The stored file was removed when this job failed; upload it again";
+      }
+
+      return res.status(409).json({ error });
+    }
+
+    res.status(202).json({
+      jobId: retried.id,
+      status: retried.status,
+      stage: retried.stage,
+      statusUrl: `/jobs/${retried.id}`,
+    });
+  } catch (error) {
+    logger.error("Retry job error:", { message: error.message });
+    res.status(500).json({
+      error: "Failed to retry job",
+    });
+  }
+};
+
+/**
+ * Authorise a job waiting for the user's wallet
+ * POST /jobs/:id/authorization
+ *
+ * Signed jobs take { signature }, the wallet's EIP-712 signature of the job's
+ * typed data. Relay jobs take { txHash }, the transaction the wallet sent;
+ * the worker confirms it before the job is committed.
+ */
+const authorizeJob = async (req, res, next) => {
+  try {
+    const job = await loadOwnedJob(req, res);
+    if (!job) {
+      return;
+    }
+
+    const { signature, txHash } = req.body || {};
+    const authorized = await anchorJobService.authorizeJob(job, {
+      signature,
+      txHash,
+    });
+
+    res.status(202).json(anchorJobService.formatJob(authorized));
+  } catch (error) {
+    logger.error("Authorize job error:", { message: error.message });
+
+    if (error.status) {
+      return res.status(error.status).json({
+        error: error.message,
+      });
+    }
+
+    res.status(500).json({
+      error: "Failed to authorise job",
+    });
+  }
+};
+
+module.exports = {
+  getJob,
+  retryJob,
+  authorizeJob,
+};
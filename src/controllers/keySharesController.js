@@ -0,0 +1,318 @@
+const { ethers } = require("ethers");
+const keyShareService = require("../services/keyShareService");
+const permissionService = require("../services/permissionService");
+const documentContentService = require("../services/documentContentService");
+const { loadOwnedDocument } = require("./permissionsController");
+const logger = require("../utils/logger");
+
+const UUID_PATTERN =
+  /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Share a version's file key end-to-end encrypted to a user's wallet
+ * POST /documents/:id/version/:version/key-shares
+ *
+ * Body: { email | walletAddress }
+ * The recipient must be able to access the document (owner or an active
+ * grant) and must have registered a wallet public key. Sharing again
+ * replaces the previous key share.
+ */
+const shareVersionKey = async (req, res, next) => {
+  const versionNumber = parseInt(req.params.version, 10);
+
+  try {
+    const document = await loadOwnedDocument(req, res);
+    if (!document) {
+      return;
+    }
+
+    if (!Number.isInteger(versionNumber) || versionNumber < 1) {
+      return res.status(400).json({
+        error: "Invalid version number",
+      });
+    }
+
+    const { email, walletAddress } = req.body;
+
+    if (!email && !walletAddress) {
+      return res.status(400).json({
+        error: "Email or wallet address is required",
+      });
+    }
+
+    if (walletAddress && !ethers.isAddress(walletAddress)) {
+      return res.status(400).json({
+        error: "Invalid wallet address",
+      });
+    }
+
+    const recipient = await permissionService.findGrantee({
+      email,
+      walletAddress,
+    });
+
+    if (!recipient) {
+      return res.status(404).json({
+        error: "User not found",
+      });
+    }
+
+    const recipientAccess = await permissionService.getDocumentAccess(
+      document.id,
+      recipient.id,
+    );
+
+    if (!recipientAccess.role) {
+      return res.status(400).json({
+        error: "Grant the user access to the document before sharing its key",
+      });
+    }
+
+    if (!recipient.wallet_public_key) {
+      return res.status(409).json({
+        error:
+          "The user has not registered a wallet public key. They need to sign in with their wallet first.",
+      });
+    }
+
+    const share = await keyShareService.shareVersionKey({
+      documentId: document.id,
+      versionNumber,
+      recipient,
+      createdBy: req.user.id,
+    });
+
+    if (!share) {
+      return res.status(404).json({
+        error: "Version not found",
+      });
+    }
+
+    logger.info(
+      `Shared key of version ${versionNumber} of "${document.title}" with user ${recipient.id}`,
+    );
+
+    res.status(201).json(
+      keyShareService.formatKeyShare({
+        ...share,
+        email: recipient.email,
+        wallet_address: recipient.wallet_address,
+      }),
+    );
+  } catch (error) {
+    logger.error("Share version key error:", { message: error.message });
+
+    if (error.status) {
+      return res.status(error.status).json({
+        error: error.message,
+      });
+    }
+
+    res.status(500).json({
+      error: "Failed to share version key",
+    });
+  }
+};
+
+/**
+ * Load the authenticated user's active key share for the requested version
+ * Responds with the error and returns null when the share cannot be used.
+ * @param {object} req - Express request with params id and version
+ * @param {object} res - Express response
+ * @returns {Promise<object|null>} document_key_shares row plus version fields
+ */
+const loadRecipientKeyShare = async (req, res) => {
+  const documentId = req.params.id;
+  const versionNumber = parseInt(req.params.version, 10);
+
+  if (!documentId || !documentId.match(UUID_PATTERN)) {
+    res.status(400).json({
+      error: "Invalid document ID format",
+    });
+    return null;
+  }
+
+  if (!Number.isInteger(versionNumber) || versionNumber < 1) {
+    res.status(400).json({
+      error: "Invalid version number",
+    });
+    return null;
+  }
+
+  const document = await permissionService.getDocumentAccess(
+    documentId,
+    req.user.id,
+  );
+
+  if (!document) {
+    res.status(404).json({
+      error: "Document not found",
+    });
+    return null;
+  }
+
+  if (
+    !permissionService.hasRole(document.role, permissionService.ROLES.VIEWER)
+  ) {
+    res.status(403).json({
+      error: "You do not have permission to access this document",
+    });
+    return null;
+  }
+
+  const share = await keyShareService.getKeyShare(
+    documentId,
+    versionNumber,
+    req.user.id,
+  );
+
+  if (!share) {
+    res.status(404).json({
+      error: "Key share not found",
+    });
+    return null;
+  }
+
+  return share;
+};
+
+/**
+ * Get the authenticated user's key share for a version
+ * GET /documents/:id/version/:version/key-share
+ *
+ * Returns the wrapped file key with the CID and encryption scheme of the
+ * stored object, for the user's client to decrypt with their wallet.
+ */
+const getKeyShare = async (req, res, next) => {
+  try {
+    const share = await loadRecipientKeyShare(req, res);
+    if (!share) {
+      return;
+    }
+
+    res.status(200).json(keyShareService.formatKeyShare(share));
+  } catch (error) {
+    logger.error("Get key share error:", { message: error.message });
+    res.status(500).json({
+      error: "Failed to retrieve key share",
+    });
+  }
+};
+
+/**
+ * Download the stored object of a shared version, still encrypted
+ * GET /documents/:id/version/:version/key-share/object
+ *
+ * For recipients whose storage driver has no public URL. The backend
+ * streams the object as stored; the recipient decrypts it with the file key
+ * from their key share.
+ */
+const getKeySharedObject = async (req, res, next) => {
+  try {
+    const share = await loadRecipientKeyShare(req, res);
+    if (!share) {
+      return;
+    }
+
+    const stream = await documentContentService.getStoredStream(
+      share.ipfs_cid,
+    );
+
+    res.attachment(`${share.ipfs_cid}.enc`);
+    res.setHeader("Content-Type", "application/octet-stream");
+    res.setHeader(
+      "Cache-Control",
+      "no-cache, no-store, must-revalidate",
+    );
+    await documentContentService.sendStream(stream, res);
+  } catch (error) {
+    logger.error("Get key shared object error:", { message: error.message });
+    if (res.headersSent) {
+      return;
+    }
+
+    if (error.status) {
+      return res.status(error.status).json({
+        error: error.message,
+      });
+    }
+
+    res.status(500).json({
+      error: "Failed to retrieve document from storage",
+    });
+  }
+};
+
+/**
+ * List the key shares on a document
+ * GET /documents/:id/key-shares
+ *
+ * Includes revoked key shares with their status. Wrapped keys are not listed.
+ */
+const listKeyShares = async (req, res, next) => {
+  try {
+    const document = await loadOwnedDocument(req, res);
+    if (!document) {
+      return;
+    }
+
+    const shares = await keyShareService.listKeyShares(document.id);
+
+    res.status(200).json({
+      keyShares: shares.map(keyShareService.formatKeyShare),
+    });
+  } catch (error) {
+    logger.error("List key shares error:", { message: error.message });
+    res.status(500).json({
+      error: "Failed to retrieve key shares",
+    });
+  }
+};
+
+/**
+ * Revoke a key share
+ * DELETE /documents/:id/key-shares/:shareId
+ */
+const revokeKeyShare = async (req, res, next) => {
+  try {
+    const document = await loadOwnedDocument(req, res);
+    if (!document) {
+      return;
+    }
+
+    const { shareId } = req.params;
+
+    if (!shareId || !shareId.match(UUID_PATTERN)) {
+      return res.status(400).json({
+        error: "Invalid key share ID format",
+      });
+    }
+
+    const share = await keyShareService.revokeKeyShare(document.id, shareId);
+
+    if (!share) {
+      return res.status(404).json({
+        error: "Active key share not found",
+      });
+    }
+
+    logger.info(
+      `Revoked key share on version ${share.version_number} of "${document.title}" for user ${share.recipient_id}`,
+    );
+
+    res.status(200).json(keyShareService.formatKeyShare(share));
+  } catch (error) {
+    logger.error("Revoke key share error:", { message: error.message });
+    res.status(500).json({
+      error: "Failed to revoke key share",
+    });
+  }
+};
+
+module.exports = {
+  shareVersionKey,
+  getKeyShare,
+  getKeySharedObject,
+  listKeyShares,
+  revokeKeyShare,
+};
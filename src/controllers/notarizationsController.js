@@ -0,0 +1,192 @@
+const database = require("../config/database");
+const anchorJobService = require("../services/anchorJobService");
+const notarizationService = require("../services/notarizationService");
+const anchorAuthorizationService = require("../services/anchorAuthorizationService");
+const { normalizeHash } = require("../services/verificationService");
+const { ACTIVE_NETWORK } = require("../config/networks");
+const logger = require("../utils/logger");
+
+const UUID_PATTERN =
+  /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const SHA256_PATTERN = /^(0x)?[0-9a-fA-F]{64}$/;
+
+/**
+ * Notarize a file hash without storing the file
+ * POST /notarizations
+ *
+ * Accepts either a multipart file (hashed as it streams in, then discarded)
+ * or a fileHash field, plus a title. Nothing is encrypted or pinned; the hash
+ * is queued for anchoring and the notarization is recorded once the
+ * transaction is confirmed (see GET /jobs/:id). With ?anchoring=signed|relay
+ * the job first waits for the user's authorization.
+ */
+const createNotarization = async (req, res, next) => {
+  const userId = req.user.id;
+
+  try {
+    const { title, fileHash } = req.body;
+
+    if (!title || title.trim() === "") {
+      return res.status(400).json({
+        error: "Notarization title is required",
+      });
+    }
+
+    if (req.file && fileHash) {
+      return res.status(400).json({
+        error: "Send either a file or a fileHash, not both",
+      });
+    }
+
+    if (!req.file && !fileHash) {
+      return res.status(400).json({
+        error: "A file or a fileHash is required",
+      });
+    }
+
+    if (fileHash && !SHA256_PATTERN.test(fileHash)) {
+      return res.status(400).json({
+        error: "Invalid SHA256 hash format",
+      });
+    }
+
+    const anchoringMode = anchorAuthorizationService.parseAnchoringMode(
+      req.query.anchoring,
+    );
+
+    if (!anchoringMode) {
+      return res.status(400).json({
+        error: "anchoring must be backend, signed or relay",
+      });
+    }
+
+    if (
+      !anchorAuthorizationService.isModeSupported(anchoringMode, ACTIVE_NETWORK)
+    ) {
+      return res.status(400).json({
+        error: "The network's contract does not support relay anchoring",
+      });
+    }
+
+    const userResult = await database.query(
+      "SELECT id, wallet_address FROM users WHERE id = $1",
+      [userId],
+    );
+
+    if (userResult.rows.length === 0) {
+      return res.status(404).json({
+        error: "User not found",
+      });
+    }
+
+    const userWalletAddress = userResult.rows[0].wallet_address;
+
+    if (!userWalletAddress) {
+      return res.status(400).json({
+        error: "User must have a wallet address to notarize files",
+      });
+    }
+
+    const job = await anchorJobService.enqueueNotarization({
+      userId,
+      ownerAddress: userWalletAddress,
+      title,
+      fileName: req.file ? req.file.originalname : null,
+      fileSize: req.file ? req.file.size : null,
+      fileHash: normalizeHash(req.file ? req.file.fileHash : fileHash),
+      hashedAt: req.file ? req.file.hashedAt : null,
+      anchoringMode,
+    });
+
+    logger.info(
+      `Notarizing "${title}" (${req.file ? "file" : "hash only"})`,
+    );
+
+    res.status(202).json({
+      jobId: job.id,
+      status: job.status,
+      stage: job.stage,
+      statusUrl: `/jobs/${job.id}`,
+      authorization: anchorAuthorizationService.formatAuthorization(job),
+    });
+  } catch (error) {
+    logger.error("Create notarization error:", {
+      message: error.message,
+    });
+
+    if (error.status) {
+      return res.status(error.status).json({
+        error: error.message,
+      });
+    }
+
+    res.status(500).json({
+      error: "Failed to create notarization",
+    });
+  }
+};
+
+/**
+ * List the authenticated user's notarizations
+ * GET /notarizations
+ */
+const listNotarizations = async (req, res, next) => {
+  try {
+    const notarizations = await notarizationService.listNotarizations(
+      req.user.id,
+    );
+
+    res.status(200).json({
+      notarizations: notarizations.map(
+        notarizationService.formatNotarization,
+      ),
+    });
+  } catch (error) {
+    logger.error("List notarizations error:", { message: error.message });
+    res.status(500).json({
+      error: "Failed to retrieve notarizations",
+    });
+  }
+};
+
+/**
+ * Get one of the authenticated user's notarizations
+ * GET /notarizations/:id
+ */
+const getNotarization = async (req, res, next) => {
+  const notarizationId = req.params.id;
+
+  try {
+    if (!notarizationId || !notarizationId.match(UUID_PATTERN)) {
+      return res.status(400).json({
+        error: "Invalid notarization ID format",
+      });
+    }
+
+    const notarization = await notarizationService.getNotarization(
+      notarizationId,
+      req.user.id,
+    );
+
+    if (!notarization) {
+      return res.status(404).json({
+        error: "Notarization not found",
+      });
+    }
+
+    res
+      .status(200)
+      .json(notarizationService.formatNotarization(notarization));
+  } catch (error) {
+    logger.error("Get notarization error:", { message: error.message });
+    res.status(500).json({
+      error: "Failed to retrieve notarization",
+    });
+  }
+};
+
+module.exports = {
+  createNotarization,
+  listNotarizations,
+  getNotarization,
+};
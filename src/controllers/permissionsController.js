@@ -0,0 +1,212 @@
+const { ethers } = require("ethers");
+const permissionService = require("../services/permissionService");
+const logger = require("../utils/logger");
+
+const UUID_PATTERN =
+  /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Load a document and check that the authenticated user owns it
+ * Only owners manage access. Sends the error response itself and returns
+ * null when the check fails
+ * @param {object} req - Express request
+ * @param {object} res - Express response
+ * @returns {Promise<object|null>} Document with role
+ */
+const loadOwnedDocument = async (req, res) => {
+  const documentId = req.params.id;
+
+  if (!documentId || !documentId.match(UUID_PATTERN)) {
+    res.status(400).json({
+      error: "Invalid document ID format",
+    });
+    return null;
+  }
+
+  const document = await permissionService.getDocumentAccess(
+    documentId,
+    req.user.id,
+  );
+
+  if (!document) {
+    res.status(404).json({
+      error: "Document not found",
+    });
+    return null;
+  }
+
+  if (document.role !== permissionService.ROLES.OWNER) {
+    res.status(403).json({
+      error: "Only the document owner can manage access",
+    });
+    return null;
+  }
+
+  return document;
+};
+
+/**
+ * List access grants on a document
+ * GET /documents/:id/permissions
+ *
+ * Includes expired and revoked grants with their status.
+ */
+const listPermissions = async (req, res, next) => {
+  try {
+    const document = await loadOwnedDocument(req, res);
+    if (!document) {
+      return;
+    }
+
+    const permissions = await permissionService.listPermissions(
+      document.id,
+    );
+
+    res.status(200).json({
+      permissions: permissions.map(permissionService.formatPermission),
+    });
+  } catch (error) {
+    logger.error("List permissions error:", { message: error.message });
+    res.status(500).json({
+      error: "Failed to retrieve permissions",
+    });
+  }
+};
+
+/**
+ * Share a document with another user
+ * POST /documents/:id/permissions
+ *
+ * Body: { email | walletAddress, role (viewer | editor), expiresAt (optional ISO 8601) }
+ * Granting again to the same user replaces the previous role and expiry.
+ */
+const grantPermission = async (req, res, next) => {
+  try {
+    const document = await loadOwnedDocument(req, res);
+    if (!document) {
+      return;
+    }
+
+    const { email, walletAddress, role, expiresAt } = req.body;
+
+    if (!email && !walletAddress) {
+      return res.status(400).json({
+        error: "Email or wallet address is required",
+      });
+    }
+
+    if (walletAddress && !ethers.isAddress(walletAddress)) {
+      return res.status(400).json({
+        error: "Invalid wallet address",
+      });
+    }
+
+    if (!permissionService.GRANTABLE_ROLES.includes(role)) {
+      return res.status(400).json({
+        error: `Role must be one of: ${permissionService.GRANTABLE_ROLES.join(", ")}`,
+      });
+    }
+
+    let expiryDate = null;
+    if (expiresAt) {
+      expiryDate = new Date(expiresAt);
+      if (Number.isNaN(expiryDate.getTime()) || expiryDate <= new Date()) {
+        return res.status(400).json({
+          error: "expiresAt must be a future date",
+        });
+      }
+    }
+
+    const grantee = await permissionService.findGrantee({
+      email,
+      walletAddress,
+    });
+
+    if (!grantee) {
+      return res.status(404).json({
+        error: "User not found",
+      });
+    }
+
+    if (grantee.id === document.user_id) {
+      return res.status(400).json({
+        error: "Cannot share a document with its owner",
+      });
+    }
+
+    const permission = await permissionService.grantPermission({
+      documentId: document.id,
+      userId: grantee.id,
+      role,
+      grantedBy: req.user.id,
+      expiresAt: expiryDate,
+    });
+
+    logger.info(
+      `Granted ${role} access on document "${document.title}" to user ${grantee.id}`,
+    );
+
+    res.status(201).json(
+      permissionService.formatPermission({
+        ...permission,
+        email: grantee.email,
+        wallet_address: grantee.wallet_address,
+      }),
+    );
+  } catch (error) {
+    logger.error("Grant permission error:", { message: error.message });
+    res.status(500).json({
+      error: "Failed to grant permission",
+    });
+  }
+};
+
+/**
+ * Revoke a user's access to a document
+ * DELETE /documents/:id/permissions/:permissionId
+ */
+const revokePermission = async (req, res, next) => {
+  try {
+    const document = await loadOwnedDocument(req, res);
+    if (!document) {
+      return;
+    }
+
+    const { permissionId } = req.params;
+
+    if (!permissionId || !permissionId.match(UUID_PATTERN)) {
+      return res.status(400).json({
+        error: "Invalid permission ID format",
+      });
+    }
+
+    const permission = await permissionService.revokePermission(
+      document.id,
+      permissionId,
+    );
+
+    if (!permission) {
+      return res.status(404).json({
+        error: "Active permission not found",
+      });
+    }
+
+    logger.info(
+      `Revoked access on document "${document.title}" for user ${permission.user_id}`,
+    );
+
+    res.status(200).json(permissionService.formatPermission(permission));
+  } catch (error) {
+    logger.error("Revoke permission error:", { message: error.message });
+    res.status(500).json({
+      error: "Failed to revoke permission",
+    });
+  }
+};
+
+module.exports = {
+  loadOwnedDocument,
+  listPermissions,
+  grantPermission,
+  revokePermission,
+};
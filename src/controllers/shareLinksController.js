@@ -0,0 +1,367 @@
+const shareLinkService = require("../services/shareLinkService");
+const documentContentService = require("../services/documentContentService");
+const { loadOwnedDocument } = require("./permissionsController");
+const { ENCRYPTION_SCHEMES } = require("../utils/fileEncryption");
+const database = require("../config/database");
+const logger = require("../utils/logger");
+
+const UUID_PATTERN =
+  /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+const UNUSABLE_MESSAGES = {
+  [shareLinkService.ACCESS_OUTCOMES.EXPIRED]: "This link has expired",
+  [shareLinkService.ACCESS_OUTCOMES.REVOKED]: "This link has been revoked",
+  [shareLinkService.ACCESS_OUTCOMES.USED]: "This link has already been used",
+};
+
+/**
+ * Load a link on an owned document
+ * Sends the error response itself and returns null when the check fails
+ * @param {object} req - Express request
+ * @param {object} res - Express response
+ * @returns {Promise<object|null>} share_links row
+ */
+const loadOwnedLink = async (req, res) => {
+  const document = await loadOwnedDocument(req, res);
+  if (!document) {
+    return null;
+  }
+
+  const { linkId } = req.params;
+
+  if (!linkId || !linkId.match(UUID_PATTERN)) {
+    res.status(400).json({
+      error: "Invalid link ID format",
+    });
+    return null;
+  }
+
+  const link = await shareLinkService.getLink(linkId);
+
+  if (!link || link.document_id !== document.id) {
+    res.status(404).json({
+      error: "Link not found",
+    });
+    return null;
+  }
+
+  return link;
+};
+
+/**
+ * Create a signed view link to a document version
+ * POST /documents/:id/version/:version/links
+ *
+ * Body: { expiresAt (optional ISO 8601, default 24 hours), singleUse (optional boolean) }
+ * The token is only returned here; it cannot be retrieved later.
+ */
+const createLink = async (req, res, next) => {
+  const versionNumber = parseInt(req.params.version, 10);
+
+  try {
+    const document = await loadOwnedDocument(req, res);
+    if (!document) {
+      return;
+    }
+
+    if (!Number.isInteger(versionNumber) || versionNumber < 1) {
+      return res.status(400).json({
+        error: "Invalid version number",
+      });
+    }
+
+    const { expiresAt, singleUse = false } = req.body;
+
+    if (typeof singleUse !== "boolean") {
+      return res.status(400).json({
+        error: "singleUse must be a boolean",
+      });
+    }
+
+    const now = Date.now();
+    const expiryDate = expiresAt
+      ? new Date(expiresAt)
+      : new Date(now + shareLinkService.DEFAULT_TTL_MS);
+
+    if (Number.isNaN(expiryDate.getTime()) || expiryDate <= new Date(now)) {
+      return res.status(400).json({
+        error: "expiresAt must be a future date",
+      });
+    }
+
+    if (expiryDate.getTime() - now > shareLinkService.MAX_TTL_MS) {
+      return res.status(400).json({
+        error: "Links cannot be valid for more than 30 days",
+      });
+    }
+
+    const versionResult = await database.query(
+      "SELECT id, encryption_scheme FROM document_versions WHERE document_id = $1 AND version_number = $2",
+      [document.id, versionNumber],
+    );
+
+    if (versionResult.rows.length === 0) {
+      return res.status(404).json({
+        error: "Version not found",
+      });
+    }
+
+    // Links are decrypted by the server, which has no key for these
+    if (
+      versionResult.rows[0].encryption_scheme === ENCRYPTION_SCHEMES.CLIENT
+    ) {
+      return res.status(409).json({
+        error: "Client-side encrypted versions cannot be shared by link",
+      });
+    }
+
+    if (
+      versionResult.rows[0].encryption_scheme === ENCRYPTION_SCHEMES.IMPORTED
+    ) {
+      return res.status(409).json({
+        error: "Imported versions have no stored key and cannot be shared by link",
+      });
+    }
+
+    const link = await shareLinkService.createLink({
+      documentId: document.id,
+      versionNumber,
+      createdBy: req.user.id,
+      expiresAt: expiryDate,
+      singleUse,
+    });
+
+    logger.info(
+      `Created ${singleUse ? "single-use " : ""}link to version ${versionNumber} of "${document.title}" (expires ${expiryDate.toISOString()})`,
+    );
+
+    res.status(201).json(shareLinkService.formatLink(link));
+  } catch (error) {
+    logger.error("Create link error:", { message: error.message });
+    res.status(500).json({
+      error: "Failed to create link",
+    });
+  }
+};
+
+/**
+ * List the view links on a document
+ * GET /documents/:id/links
+ */
+const listLinks = async (req, res, next) => {
+  try {
+    const document = await loadOwnedDocument(req, res);
+    if (!document) {
+      return;
+    }
+
+    const links = await shareLinkService.listLinks(document.id);
+
+    res.status(200).json({
+      links: links.map(shareLinkService.formatLink),
+    });
+  } catch (error) {
+    logger.error("List links error:", { message: error.message });
+    res.status(500).json({
+      error: "Failed to retrieve links",
+    });
+  }
+};
+
+/**
+ * Get a view link with its access log
+ * GET /documents/:id/links/:linkId
+ */
+const getLink = async (req, res, next) => {
+  try {
+    const link = await loadOwnedLink(req, res);
+    if (!link) {
+      return;
+    }
+
+    const accesses = await shareLinkService.listAccesses(link.id);
+
+    res.status(200).json({
+      ...shareLinkService.formatLink({
+        ...link,
+        access_count: accesses.length,
+      }),
+      accesses: accesses.map((access) => ({
+        id: access.id,
+        outcome: access.outcome,
+        ipAddress: access.ip_address,
+        userAgent: access.user_agent,
+        accessedAt: access.accessed_at,
+      })),
+    });
+  } catch (error) {
+    logger.error("Get link error:", { message: error.message });
+    res.status(500).json({
+      error: "Failed to retrieve link",
+    });
+  }
+};
+
+/**
+ * Revoke a view link
+ * DELETE /documents/:id/links/:linkId
+ */
+const revokeLink = async (req, res, next) => {
+  try {
+    const link = await loadOwnedLink(req, res);
+    if (!link) {
+      return;
+    }
+
+    const revoked = await shareLinkService.revokeLink(
+      link.document_id,
+      link.id,
+    );
+
+    if (!revoked) {
+      return res.status(409).json({
+        error: "Link is already revoked",
+      });
+    }
+
+    logger.info(`Revoked link ${link.id}`);
+
+    res.status(200).json(shareLinkService.formatLink(revoked));
+  } catch (error) {
+    logger.error("Revoke link error:", { message: error.message });
+    res.status(500).json({
+      error: "Failed to revoke link",
+    });
+  }
+};
+
+/**
+ * View a document version through a signed link (no account required)
+ * GET /links/:token
+ *
+ * Every attempt on a genuine link is recorded in share_link_accesses.
+ * A single-use link is only consumed once the file has been opened for
+ * decryption; the access is recorded as served once the whole file is sent.
+ * Range requests are not supported, so every access is one full view.
+ */
+const viewLink = async (req, res, next) => {
+  const linkId = shareLinkService.verifyToken(req.params.token);
+
+  if (!linkId) {
+    logger.warn("Rejected view link with an invalid signature");
+    return res.status(404).json({
+      error: "Link not found",
+    });
+  }
+
+  const access = {
+    ipAddress: req.ip,
+    userAgent: req.get("user-agent"),
+  };
+
+  try {
+    const link = await shareLinkService.getLink(linkId);
+
+    if (!link) {
+      return res.status(404).json({
+        error: "Link not found",
+      });
+    }
+
+    const unusableReason = shareLinkService.getUnusableReason(link);
+    if (unusableReason) {
+      await shareLinkService.recordAccess(link.id, {
+        ...access,
+        outcome: unusableReason,
+      });
+      logger.info(`Link ${link.id} refused: ${unusableReason}`);
+      return res.status(410).json({
+        error: UNUSABLE_MESSAGES[unusableReason],
+      });
+    }
+
+    let version;
+    let stream;
+    try {
+      version = await documentContentService.openVersion(
+        link.document_id,
+        link.version_number,
+      );
+      stream = version && (await version.read());
+    } catch (error) {
+      await shareLinkService.recordAccess(link.id, {
+        ...access,
+        outcome: shareLinkService.ACCESS_OUTCOMES.FAILED,
+      });
+      return res.status(error.status || 500).json({
+        error: error.status ? error.message : "Failed to retrieve document",
+      });
+    }
+
+    if (!version) {
+      await shareLinkService.recordAccess(link.id, {
+        ...access,
+        outcome: shareLinkService.ACCESS_OUTCOMES.FAILED,
+      });
+      return res.status(404).json({
+        error: "Version not found",
+      });
+    }
+
+    // Another request may have used or revoked the link in the meantime
+    const consumed = await shareLinkService.consumeLink(link.id);
+    if (!consumed) {
+      stream.destroy();
+      const current = await shareLinkService.getLink(link.id);
+      const reason =
+        shareLinkService.getUnusableReason(current) ||
+        shareLinkService.ACCESS_OUTCOMES.USED;
+      await shareLinkService.recordAccess(link.id, {
+        ...access,
+        outcome: reason,
+      });
+      return res.status(410).json({
+        error: UNUSABLE_MESSAGES[reason],
+      });
+    }
+
+    // Stream decrypted file for inline viewing
+    res.setHeader("Content-Type", version.mimeType);
+    res.setHeader("Content-Length", version.fileSize);
+    res.setHeader("Accept-Ranges", "none");
+    res.setHeader(
+      "Cache-Control",
+      "no-cache, no-store, must-revalidate",
+    );
+    const served = await documentContentService.sendStream(stream, res);
+
+    await shareLinkService.recordAccess(link.id, {
+      ...access,
+      outcome: served
+        ? shareLinkService.ACCESS_OUTCOMES.SERVED
+        : shareLinkService.ACCESS_OUTCOMES.FAILED,
+    });
+
+    if (served) {
+      logger.info(
+        `Link ${link.id} served version ${link.version_number} of document ${link.document_id}`,
+      );
+    }
+  } catch (error) {
+    logger.error("View link error:", { message: error.message });
+    if (res.headersSent) {
+      return;
+    }
+    res.status(500).json({
+      error: "Failed to retrieve document",
+    });
+  }
+};
+
+module.exports = {
+  createLink,
+  listLinks,
+  getLink,
+  revokeLink,
+  viewLink,
+};
@@ -0,0 +1,82 @@
+const usageService = require("../services/usageService");
+const logger = require("../utils/logger");
+
+/**
+ * Parse an optional ISO 8601 date query parameter
+ * @param {string|undefined} value - Query value
+ * @returns {Date|null|undefined} Date, null when absent, undefined when invalid
+ */
+const parseDate = (value) => {
+  if (value === undefined || value === "") {
+    return null;
+  }
+
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? undefined : date;
+};
+
+/**
+ * Report gas spent anchoring the user's documents and notarizations
+ * GET /usage/gas
+ *
+ * Query: groupBy (user | document | period, default period),
+ * period (day | week | month, default month), from and to (ISO 8601,
+ * from inclusive, to exclusive). Totals are per chain.
+ */
+const getGasUsage = async (req, res, next) => {
+  try {
+    const groupBy = req.query.groupBy || "period";
+    const period = req.query.period || "month";
+
+    if (!usageService.GROUP_BY.includes(groupBy)) {
+      return res.status(400).json({
+        error: `groupBy must be one of: ${usageService.GROUP_BY.join(", ")}`,
+      });
+    }
+
+    if (!usageService.PERIODS.includes(period)) {
+      return res.status(400).json({
+        error: `period must be one of: ${usageService.PERIODS.join(", ")}`,
+      });
+    }
+
+    const from = parseDate(req.query.from);
+    const to = parseDate(req.query.to);
+
+    if (from === undefined || to === undefined) {
+      return res.status(400).json({
+        error: "from and to must be ISO 8601 dates",
+      });
+    }
+
+    if (from && to && from >= to) {
+      return res.status(400).json({
+        error: "from must be before to",
+      });
+    }
+
+    const usage = await usageService.getGasUsage(req.user.id, {
+      groupBy,
+      period,
+      from,
+      to,
+    });
+
+    res.status(200).json({
+      groupBy,
+      period,
+      from,
+      to,
+      ...usage,
+    });
+  } catch (error) {
+    logger.error("Get gas usage error:", { message: error.message });
+    res.status(500).json({
+      error: "Failed to retrieve gas usage",
+    });
+  }
+};
+
+module.exports = {
+  getGasUsage,
+};
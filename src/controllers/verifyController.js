@@ -0,0 +1,117 @@
+const verificationService = require("../services/verificationService");
+const logger = require("../utils/logger");
+
+/**
+ * Verify an uploaded file against anchored document versions and notarizations
+ * POST /verify
+ *
+ * Flow:
+ * 1. Accept file (via multer, hashed as it streams in)
+ * 2. Look up matching document versions and notarizations in the database
+ * 3. Confirm each match against the contract's version history
+ * 4. Return verification result
+ */
+const verifyFile = async (req, res, next) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        error: "File is required",
+      });
+    }
+
+    const { fileHash } = req.file;
+    logger.debug(`Verifying file hash: ${fileHash}`);
+
+    const result = await verificationService.verifyFileHash(fileHash);
+
+    res.status(200).json(result);
+  } catch (error) {
+    logger.error("Verify file error:", {
+      message: error.message,
+    });
+
+    if (error.status) {
+      return res.status(error.status).json({
+        error: error.message,
+      });
+    }
+
+    res.status(500).json({
+      error: "Failed to verify document",
+    });
+  }
+};
+
+/**
+ * Verify a known SHA256 hash without uploading the file
+ * GET /verify/hash/:sha256
+ */
+const verifyHash = async (req, res, next) => {
+  const { sha256 } = req.params;
+
+  try {
+    if (!sha256 || !sha256.match(/^(0x)?[0-9a-fA-F]{64}$/)) {
+      return res.status(400).json({
+        error: "Invalid SHA256 hash format",
+      });
+    }
+
+    const result = await verificationService.verifyFileHash(sha256);
+
+    res.status(200).json(result);
+  } catch (error) {
+    logger.error("Verify hash error:", {
+      message: error.message,
+    });
+
+    if (error.status) {
+      return res.status(error.status).json({
+        error: error.message,
+      });
+    }
+
+    res.status(500).json({
+      error: "Failed to verify document",
+    });
+  }
+};
+
+/**
+ * Verify the document version or notarization anchored by a transaction hash
+ * GET /verify/tx/:txHash
+ */
+const verifyTransaction = async (req, res, next) => {
+  const { txHash } = req.params;
+
+  try {
+    if (!txHash || !txHash.match(/^0x[0-9a-fA-F]{64}$/)) {
+      return res.status(400).json({
+        error: "Invalid transaction hash format",
+      });
+    }
+
+    const result = await verificationService.verifyTxHash(txHash);
+
+    res.status(200).json(result);
+  } catch (error) {
+    logger.error("Verify transaction error:", {
+      message: error.message,
+    });
+
+    if (error.status) {
+      return res.status(error.status).json({
+        error: error.message,
+      });
+    }
+
+    res.status(500).json({
+      error: "Failed to verify document",
+    });
+  }
+};
+
+module.exports = {
+  verifyFile,
+  verifyHash,
+  verifyTransaction,
+};
@@ -1,6 +1,14 @@
 const walletService = require("../services/walletService");
 const authService = require("../services/authService");
 
+/**
+ * Build the message a wallet signs for a nonce
+ * @param {string} nonce - Stored nonce
+ * @returns {string} Message to sign
+ */
+const buildMessageToSign = (nonce) =>
+  `Welcome to Doc Verify!\n\nPlease sign this message to authenticate:\n\n${nonce}`;
+
 /**
  * Get nonce for wallet
  * GET /auth/nonce?wallet=0x...
@@ -26,7 +34,7 @@ const getNonce = async (req, res, next) => {
 
     res.status(200).json({
       message: "Nonce generated successfully",
-      message_to_sign: `Welcome to Doc Verify!\n\nPlease sign this message to authenticate:\n\n${nonce}`,
+      message_to_sign: buildMessageToSign(nonce),
       nonce,
     });
   } catch (error) {
@@ -66,7 +74,7 @@ const walletLogin = async (req, res, next) => {
     }
 
     // Construct message
-    const messageToSign = `Welcome to Doc Verify!\n\nPlease sign this message to authenticate:\n\n${storedNonce.nonce}`;
+    const messageToSign = buildMessageToSign(storedNonce.nonce);
 
     // Verify signature
     const isValid = await walletService.verifySignature(
@@ -93,6 +101,12 @@ const walletLogin = async (req, res, next) => {
     // Clear nonce
     await walletService.deleteNonce(wallet);
 
+    // Record the wallet public key so keys can be shared to it
+    await walletService.saveWalletPublicKey(
+      user.id,
+      walletService.recoverPublicKey(wallet, messageToSign, signature),
+    );
+
     // Generate JWT
     const token = authService.generateToken({
       id: user.id,
@@ -114,7 +128,59 @@ const walletLogin = async (req, res, next) => {
   }
 };
 
+/**
+ * Register the authenticated user's wallet public key
+ * POST /auth/wallet-public-key
+ *
+ * Body: { signature } over the message from GET /auth/nonce for the user's wallet.
+ * The public key is recovered from the signature; it is needed before
+ * document keys can be shared to the wallet.
+ */
+const registerPublicKey = async (req, res, next) => {
+  try {
+    const { signature } = req.body;
+    const wallet = req.user.wallet_address;
+
+    if (!signature) {
+      return res.status(400).json({
+        error: "Signature is required",
+      });
+    }
+
+    const storedNonce = await walletService.getNonce(wallet);
+    if (!storedNonce) {
+      return res.status(400).json({
+        error:
+          "Nonce not found or expired. Please request a new nonce.",
+      });
+    }
+
+    const publicKey = walletService.recoverPublicKey(
+      wallet,
+      buildMessageToSign(storedNonce.nonce),
+      signature,
+    );
+    if (!publicKey) {
+      return res.status(401).json({
+        error: "Invalid signature",
+      });
+    }
+
+    await walletService.deleteNonce(wallet);
+    await walletService.saveWalletPublicKey(req.user.id, publicKey);
+
+    res.status(200).json({
+      message: "Wallet public key registered",
+      wallet_address: wallet,
+      public_key: publicKey,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 module.exports = {
   getNonce,
   walletLogin,
+  registerPublicKey,
 };
@@ -2,14 +2,109 @@ require("dotenv").config();
 const fs = require("fs");
 const path = require("path");
 const { pool } = require("../config/database");
+const { LEGACY_NETWORK } = require("../config/networks");
+const uploadStagingService = require("../services/uploadStagingService");
 const logger = require("../utils/logger");
 
+// Rows that were anchored before networks were recorded, per table
+const UNRECORDED_NETWORK_ROWS = {
+  documents: "blockchain_document_id IS NOT NULL",
+  document_versions: "blockchain_tx_hash IS NOT NULL",
+  notarizations: "TRUE",
+  anchor_batches: "blockchain_document_id IS NOT NULL",
+  anchor_jobs: "TRUE",
+  chain_drift: "TRUE",
+};
+
+/**
+ * Record LEGACY_NETWORK on rows anchored before networks were recorded
+ * @returns {Promise<void>}
+ */
+const backfillNetworks = async () => {
+  if (LEGACY_NETWORK.chainId === null) {
+    logger.warn(
+      `Network "${LEGACY_NETWORK.name}" has no chain id; set CHAIN_ID to record it on existing rows`,
+    );
+    return;
+  }
+
+  for (const [table, condition] of Object.entries(UNRECORDED_NETWORK_ROWS)) {
+    const result = await pool.query(
+      `UPDATE ${table}
+       SET chain_id = $1, contract_address = $2
+       WHERE chain_id IS NULL AND ${condition}`,
+      [LEGACY_NETWORK.chainId, LEGACY_NETWORK.contractAddress],
+    );
+
+    if (result.rowCount > 0) {
+      logger.info(
+        `Recorded network ${LEGACY_NETWORK.name} on ${result.rowCount} ${table} row(s)`,
+      );
+    }
+  }
+
+  await pool.query(
+    "UPDATE chain_transactions SET chain_id = $1 WHERE chain_id IS NULL",
+    [LEGACY_NETWORK.chainId],
+  );
+};
+
+/**
+ * Move encrypted files still held in anchor_jobs rows to UPLOAD_STAGING_DIR,
+ * then drop the encrypted_file column
+ * Rows are moved one at a time, so no more than one file is in memory.
+ * @returns {Promise<void>}
+ */
+const stageQueuedFiles = async () => {
+  const columnResult = await pool.query(
+    `SELECT 1 FROM information_schema.columns
+     WHERE table_name = 'anchor_jobs' AND column_name = 'encrypted_file'`,
+  );
+
+  if (columnResult.rows.length === 0) {
+    return;
+  }
+
+  let staged = 0;
+
+  for (;;) {
+    const result = await pool.query(
+      `SELECT id, encrypted_file FROM anchor_jobs
+       WHERE encrypted_file IS NOT NULL
+       LIMIT 1`,
+    );
+    const job = result.rows[0];
+
+    if (!job) {
+      break;
+    }
+
+    const stagedFile = await uploadStagingService.stageBuffer(
+      job.encrypted_file,
+    );
+    await pool.query(
+      `UPDATE anchor_jobs SET staged_file = $2, encrypted_file = NULL
+       WHERE id = $1`,
+      [job.id, stagedFile],
+    );
+    staged++;
+  }
+
+  await pool.query("ALTER TABLE anchor_jobs DROP COLUMN encrypted_file");
+
+  logger.info(
+    `Moved ${staged} queued file(s) from anchor_jobs to the staging directory`,
+  );
+};
+
 const initializeDatabase = async () => {
   try {
     const schemaPath = path.join(__dirname, "schema.sql");
     const schema = fs.readFileSync(schemaPath, "utf8");
 
     await pool.query(schema);
+    await backfillNetworks();
+    await stageQueuedFiles();
     logger.info("Database schema initialized successfully");
     process.exit(0);
   } catch (error) {
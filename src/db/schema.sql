@@ -67,3 +67,357 @@ CREATE INDEX IF NOT EXISTS idx_document_versions_tx_hash ON document_versions(bl
 
 -- Create index on ipfs_cid for IPFS lookups
 CREATE INDEX IF NOT EXISTS idx_document_versions_ipfs_cid ON document_versions(ipfs_cid);
+
+-- Create index on file_hash for public verification lookups
+CREATE INDEX IF NOT EXISTS idx_document_versions_file_hash ON document_versions(file_hash);
+
+-- Original file metadata and uploader (NULL for versions uploaded before these were recorded)
+ALTER TABLE document_versions ADD COLUMN IF NOT EXISTS file_name TEXT;
+ALTER TABLE document_versions ADD COLUMN IF NOT EXISTS file_size BIGINT;
+ALTER TABLE document_versions ADD COLUMN IF NOT EXISTS mime_type VARCHAR(255);
+ALTER TABLE document_versions ADD COLUMN IF NOT EXISTS uploaded_by UUID REFERENCES users(id) ON DELETE SET NULL;
+
+-- Encryption scheme of the stored object (existing versions are whole-file AES-256-GCM)
+ALTER TABLE document_versions ADD COLUMN IF NOT EXISTS encryption_scheme VARCHAR(50) NOT NULL DEFAULT 'aes-256-gcm';
+
+-- Chain indexer cursor (last processed block per contract)
+CREATE TABLE IF NOT EXISTS chain_sync_state (
+  contract_address VARCHAR(255) PRIMARY KEY,
+  last_block BIGINT NOT NULL,
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Drift between on-chain events and the database found by the chain indexer
+CREATE TABLE IF NOT EXISTS chain_drift (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  drift_type VARCHAR(50) NOT NULL,
+  status VARCHAR(50) NOT NULL DEFAULT 'open',
+  event_name VARCHAR(50) NOT NULL,
+  blockchain_document_id BIGINT NOT NULL,
+  version_number INT,
+  owner_address VARCHAR(255),
+  title VARCHAR(500),
+  ipfs_cid TEXT,
+  file_hash TEXT,
+  tx_hash TEXT NOT NULL,
+  block_number BIGINT NOT NULL,
+  log_index INT NOT NULL,
+  details TEXT,
+  detected_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  resolved_at TIMESTAMP WITH TIME ZONE,
+  CONSTRAINT unique_chain_drift UNIQUE(tx_hash, log_index, drift_type)
+);
+
+-- Create index on status for open drift queries
+CREATE INDEX IF NOT EXISTS idx_chain_drift_status ON chain_drift(status);
+
+-- Anchoring jobs (asynchronous upload pipeline)
+-- Plaintext is never stored; the encrypted file waits in UPLOAD_STAGING_DIR
+-- until it is pinned (staged_file below)
+CREATE TABLE IF NOT EXISTS anchor_jobs (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  job_type VARCHAR(50) NOT NULL,
+  status VARCHAR(50) NOT NULL DEFAULT 'queued',
+  stage VARCHAR(50) NOT NULL,
+  stages JSONB NOT NULL DEFAULT '[]'::jsonb,
+  document_id UUID REFERENCES documents(id) ON DELETE CASCADE,
+  blockchain_document_id BIGINT,
+  owner_address VARCHAR(255),
+  title VARCHAR(500) NOT NULL,
+  file_name TEXT NOT NULL,
+  file_hash TEXT NOT NULL,
+  encrypted_key_payload TEXT NOT NULL,
+  ipfs_cid TEXT,
+  tx_hash TEXT,
+  version_number INT,
+  attempts INT NOT NULL DEFAULT 0,
+  max_attempts INT NOT NULL DEFAULT 3,
+  last_error TEXT,
+  next_run_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  locked_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Create index on status and next_run_at for the job worker
+CREATE INDEX IF NOT EXISTS idx_anchor_jobs_status_next_run ON anchor_jobs(status, next_run_at);
+
+-- Create index on user_id for job ownership checks
+CREATE INDEX IF NOT EXISTS idx_anchor_jobs_user_id ON anchor_jobs(user_id);
+
+-- Original file metadata carried through to document_versions
+ALTER TABLE anchor_jobs ADD COLUMN IF NOT EXISTS file_size BIGINT;
+ALTER TABLE anchor_jobs ADD COLUMN IF NOT EXISTS mime_type VARCHAR(255);
+
+-- Encryption scheme carried through to document_versions
+ALTER TABLE anchor_jobs ADD COLUMN IF NOT EXISTS encryption_scheme VARCHAR(50) NOT NULL DEFAULT 'aes-256-gcm';
+
+-- Failed upload attempts and the compensation applied to them
+CREATE TABLE IF NOT EXISTS failed_uploads (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  job_id UUID REFERENCES anchor_jobs(id) ON DELETE SET NULL,
+  user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+  document_id UUID REFERENCES documents(id) ON DELETE SET NULL,
+  ipfs_cid TEXT,
+  file_hash TEXT,
+  tx_hash TEXT,
+  stage VARCHAR(50),
+  reason TEXT NOT NULL,
+  compensation VARCHAR(50) NOT NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Create index on ipfs_cid for orphan sweeps
+CREATE INDEX IF NOT EXISTS idx_failed_uploads_ipfs_cid ON failed_uploads(ipfs_cid);
+
+-- Documents shared with other users (viewer or editor role)
+-- Revoked and expired grants are kept for the record
+CREATE TABLE IF NOT EXISTS document_permissions (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  document_id UUID NOT NULL REFERENCES documents(id) ON DELETE CASCADE,
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  role VARCHAR(50) NOT NULL,
+  granted_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  expires_at TIMESTAMP WITH TIME ZONE,
+  revoked_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  CONSTRAINT unique_document_permission UNIQUE(document_id, user_id)
+);
+
+-- Create index on user_id for shared document listings
+CREATE INDEX IF NOT EXISTS idx_document_permissions_user_id ON document_permissions(user_id);
+
+-- Signed, expiring view links to one document version for people without an account
+-- The link token is derived from the ID with an HMAC and is not stored
+CREATE TABLE IF NOT EXISTS share_links (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  document_id UUID NOT NULL REFERENCES documents(id) ON DELETE CASCADE,
+  version_number INT NOT NULL,
+  created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+  single_use BOOLEAN NOT NULL DEFAULT FALSE,
+  use_count INT NOT NULL DEFAULT 0,
+  revoked_at TIMESTAMP WITH TIME ZONE,
+  last_accessed_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Create index on document_id for link listings
+CREATE INDEX IF NOT EXISTS idx_share_links_document_id ON share_links(document_id);
+
+-- Every access attempt on a share link
+CREATE TABLE IF NOT EXISTS share_link_accesses (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  link_id UUID NOT NULL REFERENCES share_links(id) ON DELETE CASCADE,
+  outcome VARCHAR(50) NOT NULL,
+  ip_address VARCHAR(255),
+  user_agent TEXT,
+  accessed_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Create index on link_id for access logs
+CREATE INDEX IF NOT EXISTS idx_share_link_accesses_link_id ON share_link_accesses(link_id);
+
+-- Client-side encrypted uploads: the client's key envelope is stored instead of a server-wrapped file key
+ALTER TABLE document_versions ALTER COLUMN encrypted_key_payload DROP NOT NULL;
+ALTER TABLE document_versions ADD COLUMN IF NOT EXISTS client_key_envelope TEXT;
+ALTER TABLE anchor_jobs ALTER COLUMN encrypted_key_payload DROP NOT NULL;
+ALTER TABLE anchor_jobs ADD COLUMN IF NOT EXISTS client_key_envelope TEXT;
+
+-- Wallet public key recovered from a signature (NULL until the user signs in with the wallet or registers it)
+ALTER TABLE users ADD COLUMN IF NOT EXISTS wallet_public_key VARCHAR(132);
+
+-- Version file keys wrapped (ECIES) to a recipient's wallet public key
+-- Only the recipient's wallet can unwrap them, so their client decrypts the stored object itself
+CREATE TABLE IF NOT EXISTS document_key_shares (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  document_id UUID NOT NULL REFERENCES documents(id) ON DELETE CASCADE,
+  version_number INT NOT NULL,
+  recipient_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  recipient_public_key VARCHAR(132) NOT NULL,
+  wrapped_key TEXT NOT NULL,
+  created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  revoked_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  CONSTRAINT unique_document_key_share UNIQUE(document_id, version_number, recipient_id)
+);
+
+-- Create index on recipient_id for a recipient's key shares
+CREATE INDEX IF NOT EXISTS idx_document_key_shares_recipient_id ON document_key_shares(recipient_id);
+
+-- Hash-only notarizations: a SHA256 hash anchored on-chain with no stored file
+CREATE TABLE IF NOT EXISTS notarizations (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  title VARCHAR(500) NOT NULL,
+  file_hash TEXT NOT NULL,
+  file_name TEXT,
+  file_size BIGINT,
+  blockchain_document_id BIGINT,
+  blockchain_tx_hash TEXT,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Create index on file_hash for verification lookups
+CREATE INDEX IF NOT EXISTS idx_notarizations_file_hash ON notarizations(file_hash);
+
+-- Create index on blockchain_tx_hash for transaction lookups
+CREATE INDEX IF NOT EXISTS idx_notarizations_tx_hash ON notarizations(blockchain_tx_hash);
+
+-- Create index on blockchain_document_id for chain reconciliation
+CREATE INDEX IF NOT EXISTS idx_notarizations_blockchain_id ON notarizations(blockchain_document_id);
+
+-- Create index on user_id for a user's notarizations
+CREATE INDEX IF NOT EXISTS idx_notarizations_user_id ON notarizations(user_id);
+
+-- Notarization jobs anchor a hash without a stored file
+ALTER TABLE anchor_jobs ALTER COLUMN file_name DROP NOT NULL;
+ALTER TABLE anchor_jobs ADD COLUMN IF NOT EXISTS notarization_id UUID REFERENCES notarizations(id) ON DELETE SET NULL;
+
+-- Merkle batches: version hashes collected over a window, anchored as one root
+-- status: open | anchoring | sealed (waiting to retry) | anchored | failed
+CREATE TABLE IF NOT EXISTS anchor_batches (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  status VARCHAR(50) NOT NULL DEFAULT 'open',
+  leaf_count INT NOT NULL DEFAULT 0,
+  merkle_root TEXT,
+  blockchain_document_id BIGINT,
+  tx_hash TEXT,
+  attempts INT NOT NULL DEFAULT 0,
+  last_error TEXT,
+  next_run_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  locked_at TIMESTAMP WITH TIME ZONE,
+  sealed_at TIMESTAMP WITH TIME ZONE,
+  anchored_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Create index on status for the batch worker
+CREATE INDEX IF NOT EXISTS idx_anchor_batches_status ON anchor_batches(status);
+
+-- Create index on blockchain_document_id for chain reconciliation
+CREATE INDEX IF NOT EXISTS idx_anchor_batches_blockchain_id ON anchor_batches(blockchain_document_id);
+
+-- Batched jobs and versions: the batch and the version's inclusion proof
+ALTER TABLE anchor_jobs ADD COLUMN IF NOT EXISTS batch_id UUID REFERENCES anchor_batches(id) ON DELETE SET NULL;
+ALTER TABLE document_versions ADD COLUMN IF NOT EXISTS anchor_batch_id UUID REFERENCES anchor_batches(id);
+ALTER TABLE document_versions ADD COLUMN IF NOT EXISTS merkle_proof JSONB;
+
+-- Transactions sent from the backend wallet (ethers adapter), one row per nonce
+-- tx_hash is the latest broadcast; earlier, gas-bumped-over hashes are in replaced_tx_hashes
+-- status: pending | confirmed | reverted | dropped (nonce used by a transaction we did not send)
+CREATE TABLE IF NOT EXISTS chain_transactions (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  from_address VARCHAR(42) NOT NULL,
+  nonce BIGINT NOT NULL,
+  tx_hash TEXT NOT NULL,
+  replaced_tx_hashes TEXT[] NOT NULL DEFAULT '{}',
+  raw_tx TEXT NOT NULL,
+  status VARCHAR(50) NOT NULL DEFAULT 'pending',
+  replacements INT NOT NULL DEFAULT 0,
+  mined_tx_hash TEXT,
+  block_number BIGINT,
+  last_error TEXT,
+  sent_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  confirmed_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (from_address, nonce)
+);
+
+-- Create index on status for resuming pending transactions
+CREATE INDEX IF NOT EXISTS idx_chain_transactions_status ON chain_transactions(status);
+
+-- Create index on tx_hash for resuming waits by hash
+CREATE INDEX IF NOT EXISTS idx_chain_transactions_tx_hash ON chain_transactions(tx_hash);
+
+-- Network of each anchored record: chain id and contract address (see config/networks.js)
+-- Rows written before networks were recorded are filled in by db:init (LEGACY_NETWORK)
+ALTER TABLE documents ADD COLUMN IF NOT EXISTS chain_id BIGINT;
+ALTER TABLE documents ADD COLUMN IF NOT EXISTS contract_address VARCHAR(255);
+ALTER TABLE document_versions ADD COLUMN IF NOT EXISTS chain_id BIGINT;
+ALTER TABLE document_versions ADD COLUMN IF NOT EXISTS contract_address VARCHAR(255);
+ALTER TABLE notarizations ADD COLUMN IF NOT EXISTS chain_id BIGINT;
+ALTER TABLE notarizations ADD COLUMN IF NOT EXISTS contract_address VARCHAR(255);
+ALTER TABLE anchor_batches ADD COLUMN IF NOT EXISTS chain_id BIGINT;
+ALTER TABLE anchor_batches ADD COLUMN IF NOT EXISTS contract_address VARCHAR(255);
+ALTER TABLE anchor_jobs ADD COLUMN IF NOT EXISTS chain_id BIGINT;
+ALTER TABLE anchor_jobs ADD COLUMN IF NOT EXISTS contract_address VARCHAR(255);
+ALTER TABLE chain_drift ADD COLUMN IF NOT EXISTS chain_id BIGINT;
+ALTER TABLE chain_drift ADD COLUMN IF NOT EXISTS contract_address VARCHAR(255);
+
+-- On-chain document IDs are only unique within a deployment
+CREATE INDEX IF NOT EXISTS idx_documents_network ON documents(chain_id, contract_address, blockchain_document_id);
+
+-- Nonces are per chain: the same wallet may send on several networks
+ALTER TABLE chain_transactions ADD COLUMN IF NOT EXISTS chain_id BIGINT;
+ALTER TABLE chain_transactions DROP CONSTRAINT IF EXISTS chain_transactions_from_address_nonce_key;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_chain_transactions_nonce ON chain_transactions(chain_id, from_address, nonce);
+
+-- Cost of the anchoring transaction: gas in units, price and fee in wei
+-- A batched version records its share of the batch transaction's gas and fee
+ALTER TABLE document_versions ADD COLUMN IF NOT EXISTS block_number BIGINT;
+ALTER TABLE document_versions ADD COLUMN IF NOT EXISTS gas_used BIGINT;
+ALTER TABLE document_versions ADD COLUMN IF NOT EXISTS effective_gas_price NUMERIC(78, 0);
+ALTER TABLE document_versions ADD COLUMN IF NOT EXISTS fee_wei NUMERIC(78, 0);
+ALTER TABLE notarizations ADD COLUMN IF NOT EXISTS block_number BIGINT;
+ALTER TABLE notarizations ADD COLUMN IF NOT EXISTS gas_used BIGINT;
+ALTER TABLE notarizations ADD COLUMN IF NOT EXISTS effective_gas_price NUMERIC(78, 0);
+ALTER TABLE notarizations ADD COLUMN IF NOT EXISTS fee_wei NUMERIC(78, 0);
+ALTER TABLE anchor_batches ADD COLUMN IF NOT EXISTS block_number BIGINT;
+ALTER TABLE anchor_batches ADD COLUMN IF NOT EXISTS gas_used BIGINT;
+ALTER TABLE anchor_batches ADD COLUMN IF NOT EXISTS effective_gas_price NUMERIC(78, 0);
+ALTER TABLE anchor_batches ADD COLUMN IF NOT EXISTS fee_wei NUMERIC(78, 0);
+
+-- User-authorised anchoring (see anchorAuthorizationService.js)
+-- anchoring_mode: backend (backend wallet pays) | signed (user's EIP-712 signature) | relay (user's wallet sent the transaction)
+-- Jobs keep the Anchor payload and signature in anchor_authorization; versions and
+-- notarizations keep the signed typed data as proof (NULL for backend and relay)
+-- Versions and notarizations anchored before modes were recorded, or imported, have no mode
+ALTER TABLE users ADD COLUMN IF NOT EXISTS anchor_nonce BIGINT NOT NULL DEFAULT 0;
+ALTER TABLE anchor_jobs ADD COLUMN IF NOT EXISTS anchoring_mode VARCHAR(50) NOT NULL DEFAULT 'backend';
+ALTER TABLE anchor_jobs ADD COLUMN IF NOT EXISTS anchor_authorization JSONB;
+ALTER TABLE anchor_jobs ADD COLUMN IF NOT EXISTS authorization_deadline TIMESTAMP WITH TIME ZONE;
+ALTER TABLE document_versions ADD COLUMN IF NOT EXISTS anchoring_mode VARCHAR(50);
+ALTER TABLE document_versions ADD COLUMN IF NOT EXISTS anchor_authorization JSONB;
+ALTER TABLE notarizations ADD COLUMN IF NOT EXISTS anchoring_mode VARCHAR(50);
+ALTER TABLE notarizations ADD COLUMN IF NOT EXISTS anchor_authorization JSONB;
+
+-- A relayed transaction is recorded for one job only (jobs of a Merkle batch
+-- share the batch transaction, so backend jobs are left out)
+CREATE UNIQUE INDEX IF NOT EXISTS idx_anchor_jobs_relay_tx_hash ON anchor_jobs(tx_hash)
+  WHERE anchoring_mode = 'relay' AND tx_hash IS NOT NULL;
+
+-- Chain imports (see chainImportService.js), run by the job worker a page at a time
+-- document_ids: on-chain IDs listed for the wallet on the first page
+-- results: one entry per imported document, in document_ids order
+CREATE TABLE IF NOT EXISTS chain_imports (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  chain_id BIGINT NOT NULL,
+  contract_address VARCHAR(255) NOT NULL,
+  status VARCHAR(50) NOT NULL DEFAULT 'queued',
+  document_ids JSONB,
+  next_index INT NOT NULL DEFAULT 0,
+  results JSONB NOT NULL DEFAULT '[]'::jsonb,
+  attempts INT NOT NULL DEFAULT 0,
+  last_error TEXT,
+  locked_at TIMESTAMP WITH TIME ZONE,
+  completed_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Create index on status for the job worker
+CREATE INDEX IF NOT EXISTS idx_chain_imports_status ON chain_imports(status, updated_at);
+
+-- A wallet has one unfinished import per network
+CREATE UNIQUE INDEX IF NOT EXISTS idx_chain_imports_active ON chain_imports(user_id, chain_id, contract_address)
+  WHERE status IN ('queued', 'processing');
+
+-- Encrypted upload waiting in UPLOAD_STAGING_DIR for the job worker to store
+-- it (see uploadStagingService.js); cleared once it is pinned. Jobs queued
+-- before uploads were staged held the file in anchor_jobs.encrypted_file;
+-- db:init moves those files to UPLOAD_STAGING_DIR and drops the column
+ALTER TABLE anchor_jobs ADD COLUMN IF NOT EXISTS staged_file TEXT;
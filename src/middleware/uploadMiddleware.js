@@ -0,0 +1,209 @@
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const { pipeline, Transform, Writable } = require("stream");
+const multer = require("multer");
+const { createFileTypeDetector } = require("../utils/fileType");
+const {
+  ENCRYPTION_SCHEMES,
+  createEncryptStream,
+} = require("../utils/fileEncryption");
+const {
+  MAX_UPLOAD_SIZE_MB,
+  MAX_UPLOAD_BYTES,
+  UPLOAD_TMP_DIR,
+} = require("../config/upload");
+const logger = require("../utils/logger");
+
+/**
+ * Multer storage engine that inspects uploads as they stream in
+ * The plaintext is never buffered whole or written to disk. Every file gets:
+ * - size: plaintext size in bytes
+ * - fileHash: SHA256 of the plaintext (hex)
+ * - fileType: detected document type (see utils/fileType), or null
+ * - hashedAt: when the whole file had been hashed (ISO timestamp)
+ * With encrypt, the file is also encrypted to a spool file under
+ * UPLOAD_TMP_DIR and gets path, encryptedKeyPayload, encryptionScheme and
+ * encryptedAt (when the spool file was complete). The spool file is deleted
+ * once the response has been sent, unless it was staged for the job worker
+ * (see services/uploadStagingService.js).
+ *
+ * With encrypt and ?encryption=client, the file is a blob the client already
+ * encrypted: it is spooled as is and only gets size, path and
+ * encryptionScheme. Its hash and type say nothing about the plaintext, so
+ * they are left to the client's form fields.
+ * @param {object} options - { encrypt }
+ * @returns {object} Multer storage engine
+ */
+const createUploadStorage = ({ encrypt }) => ({
+  _handleFile(req, file, callback) {
+    const hash = crypto.createHash("sha256");
+    const detector = createFileTypeDetector();
+    let size = 0;
+    let hashedAt = null;
+
+    const inspect = new Transform({
+      transform(chunk, encoding, done) {
+        hash.update(chunk);
+        detector.update(chunk);
+        size += chunk.length;
+        done(null, chunk);
+      },
+      flush(done) {
+        hashedAt = new Date().toISOString();
+        done();
+      },
+    });
+
+    const describe = () => ({
+      size,
+      fileHash: hash.digest("hex"),
+      fileType: detector.digest(),
+      hashedAt,
+    });
+
+    if (!encrypt) {
+      const discard = new Writable({
+        write(chunk, encoding, done) {
+          done();
+        },
+      });
+      pipeline(file.stream, inspect, discard, (error) =>
+        error ? callback(error) : callback(null, describe()),
+      );
+      return;
+    }
+
+    const tempPath = path.join(
+      UPLOAD_TMP_DIR,
+      `upload-${crypto.randomBytes(12).toString("hex")}`,
+    );
+
+    // Remove the spool file however the request ends
+    req.res.once("close", () => removeSpoolFile(tempPath));
+
+    // Write the upload through the given transforms to the spool file
+    const spool = (transforms, describeFile) => {
+      pipeline(
+        file.stream,
+        ...transforms,
+        fs.createWriteStream(tempPath, { flags: "wx" }),
+        (error) => {
+          if (error) {
+            removeSpoolFile(tempPath);
+            return callback(error);
+          }
+
+          callback(null, { ...describeFile(), path: tempPath });
+        },
+      );
+    };
+
+    if (req.query.encryption === "client") {
+      fs.promises.mkdir(UPLOAD_TMP_DIR, { recursive: true }).then(() => {
+        spool([inspect], () => ({
+          size,
+          encryptionScheme: ENCRYPTION_SCHEMES.CLIENT,
+        }));
+      }, callback);
+      return;
+    }
+
+    // Wrapping the file key may call out to a key service
+    Promise.all([
+      createEncryptStream(),
+      fs.promises.mkdir(UPLOAD_TMP_DIR, { recursive: true }),
+    ]).then(([{ stream: encryptStream, encryptedKeyPayload }]) => {
+      spool([inspect, encryptStream], () => ({
+        ...describe(),
+        encryptedKeyPayload,
+        encryptionScheme: ENCRYPTION_SCHEMES.STREAM,
+        encryptedAt: new Date().toISOString(),
+      }));
+    }, callback);
+  },
+
+  _removeFile(req, file, callback) {
+    if (file.path) {
+      removeSpoolFile(file.path);
+    }
+    callback(null);
+  },
+});
+
+/**
+ * Delete a spool file, ignoring files that are already gone
+ * @param {string} filePath - Spool file path
+ */
+const removeSpoolFile = (filePath) => {
+  fs.unlink(filePath, (error) => {
+    if (error && error.code !== "ENOENT") {
+      logger.warn("Failed to remove upload spool file:", {
+        path: filePath,
+        message: error.message,
+      });
+    }
+  });
+};
+
+/**
+ * Wrap a multer middleware so upload errors get the API's JSON error shape
+ * @param {Function} upload - Multer middleware
+ * @returns {Function} Express middleware
+ */
+const withUploadErrors = (upload) => (req, res, next) => {
+  upload(req, res, (error) => {
+    if (!error) {
+      return next();
+    }
+
+    if (error.code === "LIMIT_FILE_SIZE") {
+      return res.status(400).json({
+        error: `File size exceeds ${MAX_UPLOAD_SIZE_MB}MB limit`,
+      });
+    }
+
+    if (error instanceof multer.MulterError) {
+      return res.status(400).json({
+        error: error.message,
+      });
+    }
+
+    logger.error("Upload error:", { message: error.message });
+    res.status(500).json({
+      error: "Failed to process upload",
+    });
+  });
+};
+
+/**
+ * Accept a single document file, hashed and encrypted to a spool file
+ * (or, with ?encryption=client, an already-encrypted blob spooled as is)
+ * @param {string} fieldName - Multipart field name
+ * @returns {Function} Express middleware
+ */
+const encryptedUpload = (fieldName) =>
+  withUploadErrors(
+    multer({
+      storage: createUploadStorage({ encrypt: true }),
+      limits: { fileSize: MAX_UPLOAD_BYTES },
+    }).single(fieldName),
+  );
+
+/**
+ * Accept a single file that is only hashed; nothing is kept
+ * @param {string} fieldName - Multipart field name
+ * @returns {Function} Express middleware
+ */
+const hashedUpload = (fieldName) =>
+  withUploadErrors(
+    multer({
+      storage: createUploadStorage({ encrypt: false }),
+      limits: { fileSize: MAX_UPLOAD_BYTES },
+    }).single(fieldName),
+  );
+
+module.exports = {
+  encryptedUpload,
+  hashedUpload,
+};
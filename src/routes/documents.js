@@ -1,21 +1,16 @@
 const express = require("express");
-const multer = require("multer");
 const authMiddleware = require("../middleware/authMiddleware");
+const { encryptedUpload } = require("../middleware/uploadMiddleware");
 const documentsController = require("../controllers/documentsController");
+const permissionsController = require("../controllers/permissionsController");
+const shareLinksController = require("../controllers/shareLinksController");
+const keySharesController = require("../controllers/keySharesController");
 
 const router = express.Router();
 
-// Configure multer for file uploads (store in memory)
-const upload = multer({
-  storage: multer.memoryStorage(),
-  limits: {
-    fileSize: 20 * 1024 * 1024, // 20MB
-  },
-});
-
 /**
  * GET /documents
- * Get all documents for authenticated user
+ * Get all documents the authenticated user owns or has been granted access to
  * Requires: JWT token
  */
 router.get(
@@ -27,7 +22,7 @@ router.get(
 /**
  * GET /documents/:id
  * Get a single document with all its versions
- * Requires: JWT token, document ownership
+ * Requires: JWT token, owner or viewer/editor grant
  */
 router.get(
   "/documents/:id",
@@ -35,34 +30,67 @@ router.get(
   documentsController.getDocumentById,
 );
 
+/**
+ * GET /documents/:id/integrity
+ * Audit that database, IPFS and blockchain agree for every version
+ * Requires: JWT token, owner or viewer/editor grant
+ */
+router.get(
+  "/documents/:id/integrity",
+  authMiddleware,
+  documentsController.getDocumentIntegrity,
+);
+
 /**
  * POST /documents
  * Create a new document
- * Requires: JWT token, PDF file
+ * Requires: JWT token, document file (pdf, docx, png, jpeg or txt)
  */
 router.post(
   "/documents",
   authMiddleware,
-  upload.single("file"),
+  encryptedUpload("file"),
   documentsController.createDocument,
 );
 
+/**
+ * POST /documents/import-chain
+ * Import the documents the contract holds for the user's wallet
+ * Requires: JWT token
+ */
+router.post(
+  "/documents/import-chain",
+  authMiddleware,
+  documentsController.importChainDocuments,
+);
+
+/**
+ * GET /documents/import-chain/:importId
+ * Get the progress and results of a chain import
+ * Requires: JWT token, import ownership
+ */
+router.get(
+  "/documents/import-chain/:importId",
+  authMiddleware,
+  documentsController.getChainImport,
+);
+
 /**
  * POST /documents/:id/version
  * Add a new version to an existing document
- * Requires: JWT token, PDF file, document ownership
+ * Requires: JWT token, document file (pdf, docx, png, jpeg or txt), owner or editor grant
  */
 router.post(
   "/documents/:id/version",
   authMiddleware,
-  upload.single("file"),
+  encryptedUpload("file"),
   documentsController.addVersion,
 );
 
 /**
  * GET /documents/:id/version/:version/view
  * View a specific document version inline
- * Requires: JWT token, document ownership
+ * Requires: JWT token, owner or viewer/editor grant
  */
 router.get(
   "/documents/:id/version/:version/view",
@@ -70,4 +98,147 @@ router.get(
   documentsController.viewDocumentVersion,
 );
 
+/**
+ * GET /documents/:id/version/:version/download
+ * Download a specific document version with its original file name
+ * Requires: JWT token, owner or viewer/editor grant
+ */
+router.get(
+  "/documents/:id/version/:version/download",
+  authMiddleware,
+  documentsController.downloadDocumentVersion,
+);
+
+/**
+ * GET /documents/:id/permissions
+ * List access grants on a document
+ * Requires: JWT token, document ownership
+ */
+router.get(
+  "/documents/:id/permissions",
+  authMiddleware,
+  permissionsController.listPermissions,
+);
+
+/**
+ * POST /documents/:id/permissions
+ * Grant a viewer or editor role to another user by email or wallet address
+ * Requires: JWT token, document ownership
+ */
+router.post(
+  "/documents/:id/permissions",
+  authMiddleware,
+  permissionsController.grantPermission,
+);
+
+/**
+ * DELETE /documents/:id/permissions/:permissionId
+ * Revoke an access grant
+ * Requires: JWT token, document ownership
+ */
+router.delete(
+  "/documents/:id/permissions/:permissionId",
+  authMiddleware,
+  permissionsController.revokePermission,
+);
+
+/**
+ * POST /documents/:id/version/:version/links
+ * Create a signed, expiring (optionally single-use) view link to a version
+ * Requires: JWT token, document ownership
+ */
+router.post(
+  "/documents/:id/version/:version/links",
+  authMiddleware,
+  shareLinksController.createLink,
+);
+
+/**
+ * GET /documents/:id/links
+ * List view links on a document
+ * Requires: JWT token, document ownership
+ */
+router.get(
+  "/documents/:id/links",
+  authMiddleware,
+  shareLinksController.listLinks,
+);
+
+/**
+ * GET /documents/:id/links/:linkId
+ * Get a view link with its access log
+ * Requires: JWT token, document ownership
+ */
+router.get(
+  "/documents/:id/links/:linkId",
+  authMiddleware,
+  shareLinksController.getLink,
+);
+
+/**
+ * DELETE /documents/:id/links/:linkId
+ * Revoke a view link
+ * Requires: JWT token, document ownership
+ */
+router.delete(
+  "/documents/:id/links/:linkId",
+  authMiddleware,
+  shareLinksController.revokeLink,
+);
+
+/**
+ * POST /documents/:id/version/:version/key-shares
+ * Wrap a version's file key to a user's wallet public key (end-to-end encrypted sharing)
+ * Requires: JWT token, document ownership
+ */
+router.post(
+  "/documents/:id/version/:version/key-shares",
+  authMiddleware,
+  keySharesController.shareVersionKey,
+);
+
+/**
+ * GET /documents/:id/version/:version/key-share
+ * Get the authenticated user's wrapped file key for a version
+ * Requires: JWT token, owner or viewer/editor grant, a key share
+ */
+router.get(
+  "/documents/:id/version/:version/key-share",
+  authMiddleware,
+  keySharesController.getKeyShare,
+);
+
+/**
+ * GET /documents/:id/version/:version/key-share/object
+ * Download the encrypted stored object of a version shared with the user
+ * Requires: JWT token, owner or viewer/editor grant, a key share
+ */
+router.get(
+  "/documents/:id/version/:version/key-share/object",
+  authMiddleware,
+  keySharesController.getKeySharedObject,
+);
+
+/**
+ * GET /documents/:id/key-shares
+ * List key shares on a document
+ * Requires: JWT token, document ownership
+ */
+router.get(
+  "/documents/:id/key-shares",
+  authMiddleware,
+  keySharesController.listKeyShares,
+);
+
+/**
+ * DELETE /documents/:id/key-shares/:shareId
+ * Revoke a key share
+ * Requires: JWT token, document ownership
+ */
+router.delete(
+  "/documents/:id/key-shares/:shareId",
+  authMiddleware,
+  keySharesController.revokeKeyShare,
+);
+
 module.exports = router;
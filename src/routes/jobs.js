@@ -0,0 +1,28 @@
+const express = require("express");
+const authMiddleware = require("../middleware/authMiddleware");
+const jobsController = require("../controllers/jobsController");
+
+const router = express.Router();
+
+/**
+ * GET /jobs/:id
+ * Get stage-by-stage status of an anchoring job
+ * Requires: JWT token, job ownership
+ */
+router.get("/:id", authMiddleware, jobsController.getJob);
+
+/**
+ * POST /jobs/:id/retry
+ * Requeue a failed anchoring job
+ * Requires: JWT token, job ownership
+ */
+router.post("/:id/retry", authMiddleware, jobsController.retryJob);
+
+/**
+ * POST /jobs/:id/authorization
+ * Sign (signed mode) or report the wallet's transaction (relay mode) for a job
+ * Requires: JWT token, job ownership
+ */
+router.post("/:id/authorization", authMiddleware, jobsController.authorizeJob);
+
+module.exports = router;
@@ -0,0 +1,13 @@
+const express = require("express");
+const shareLinksController = require("../controllers/shareLinksController");
+
+const router = express.Router();
+
+/**
+ * GET /links/:token
+ * View the document version behind a signed link
+ * Public: no authentication required
+ */
+router.get("/:token", shareLinksController.viewLink);
+
+module.exports = router;
@@ -0,0 +1,35 @@
+const express = require("express");
+const authMiddleware = require("../middleware/authMiddleware");
+const notarizationsController = require("../controllers/notarizationsController");
+const { hashedUpload } = require("../middleware/uploadMiddleware");
+
+const router = express.Router();
+
+/**
+ * POST /notarizations
+ * Anchor a file's SHA256 hash without storing the file
+ * Accepts a multipart file (hashed, then discarded) or a fileHash field
+ * Requires: JWT token
+ */
+router.post(
+  "/",
+  authMiddleware,
+  hashedUpload("file"),
+  notarizationsController.createNotarization,
+);
+
+/**
+ * GET /notarizations
+ * List the authenticated user's notarizations
+ * Requires: JWT token
+ */
+router.get("/", authMiddleware, notarizationsController.listNotarizations);
+
+/**
+ * GET /notarizations/:id
+ * Get a notarization
+ * Requires: JWT token, notarization ownership
+ */
+router.get("/:id", authMiddleware, notarizationsController.getNotarization);
+
+module.exports = router;
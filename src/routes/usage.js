@@ -0,0 +1,15 @@
+const express = require("express");
+const authMiddleware = require("../middleware/authMiddleware");
+const usageController = require("../controllers/usageController");
+
+const router = express.Router();
+
+/**
+ * GET /usage/gas
+ * Aggregate gas spent anchoring the user's documents and notarizations
+ * per user, per document or per period
+ * Requires: JWT token
+ */
+router.get("/gas", authMiddleware, usageController.getGasUsage);
+
+module.exports = router;
@@ -0,0 +1,28 @@
+const express = require("express");
+const verifyController = require("../controllers/verifyController");
+const { hashedUpload } = require("../middleware/uploadMiddleware");
+
+const router = express.Router();
+
+/**
+ * POST /verify
+ * Check whether an uploaded file is anchored
+ * Public: no authentication required
+ */
+router.post("/", hashedUpload("file"), verifyController.verifyFile);
+
+/**
+ * GET /verify/hash/:sha256
+ * Check whether a SHA256 file hash is anchored
+ * Public: no authentication required
+ */
+router.get("/hash/:sha256", verifyController.verifyHash);
+
+/**
+ * GET /verify/tx/:txHash
+ * Look up the document version anchored by a transaction
+ * Public: no authentication required
+ */
+router.get("/tx/:txHash", verifyController.verifyTransaction);
+
+module.exports = router;
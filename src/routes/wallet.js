@@ -1,9 +1,15 @@
 const express = require("express");
+const authMiddleware = require("../middleware/authMiddleware");
 const walletController = require("../controllers/walletController");
 
 const router = express.Router();
 
 router.get("/nonce", walletController.getNonce);
 router.post("/wallet-login", walletController.walletLogin);
+router.post(
+  "/wallet-public-key",
+  authMiddleware,
+  walletController.registerPublicKey,
+);
 
 module.exports = router;
@@ -0,0 +1,145 @@
+require("dotenv").config();
+const crypto = require("crypto");
+const fs = require("fs");
+const express = require("express");
+const logger = require("../utils/logger");
+
+/**
+ * Local stand-in for a Vault transit-style key service (KEY_PROVIDER=http)
+ * Implements the encrypt and decrypt calls used by the http key provider:
+ *
+ *   POST /v1/transit/encrypt/:name { plaintext, associated_data }
+ *   POST /v1/transit/decrypt/:name { ciphertext, associated_data }
+ *
+ * Keys are created on first use and held in memory; set
+ * KEY_STAND_IN_STATE_FILE to keep them across restarts. Listens on
+ * 127.0.0.1 only. For local development and automated testing only.
+ *
+ * Usage:
+ *   npm run keys:stand-in
+ *   KEY_SERVICE_URL=http://127.0.0.1:8200/v1/transit KEY_PROVIDER=http npm start
+ */
+
+const port = parseInt(process.env.KEY_STAND_IN_PORT || "8200", 10);
+const token = process.env.KEY_STAND_IN_TOKEN || null;
+const stateFile = process.env.KEY_STAND_IN_STATE_FILE;
+
+const ALGORITHM = "aes-256-gcm";
+const IV_LENGTH = 12;
+const AUTH_TAG_LENGTH = 16;
+const CIPHERTEXT_PREFIX = "standin:v1:";
+
+// Key name -> base64 key
+let keys = {};
+
+if (stateFile && fs.existsSync(stateFile)) {
+  keys = JSON.parse(fs.readFileSync(stateFile, "utf8"));
+  logger.info(
+    `Key stand-in state loaded from ${stateFile} (${Object.keys(keys).length} keys)`,
+  );
+}
+
+/**
+ * Get a key, creating it on first use when allowed
+ * @param {string} name - Key name
+ * @param {boolean} create - Create the key if it does not exist
+ * @returns {Buffer|null} 32-byte key
+ */
+const getKey = (name, create) => {
+  if (!keys[name] && create) {
+    keys[name] = crypto.randomBytes(32).toString("base64");
+    if (stateFile) {
+      fs.writeFileSync(stateFile, JSON.stringify(keys), { mode: 0o600 });
+    }
+    logger.info(`Created key "${name}"`);
+  }
+  return keys[name] ? Buffer.from(keys[name], "base64") : null;
+};
+
+const app = express();
+app.use(express.json());
+
+// Token check, as Vault does with X-Vault-Token
+app.use((req, res, next) => {
+  if (token && req.get("X-Vault-Token") !== token) {
+    return res.status(403).json({ errors: ["permission denied"] });
+  }
+  next();
+});
+
+app.post("/v1/transit/encrypt/:name", (req, res) => {
+  const { plaintext, associated_data: associatedData } = req.body || {};
+  if (typeof plaintext !== "string") {
+    return res.status(400).json({ errors: ["missing plaintext"] });
+  }
+
+  const iv = crypto.randomBytes(IV_LENGTH);
+  const cipher = crypto.createCipheriv(
+    ALGORITHM,
+    getKey(req.params.name, true),
+    iv,
+  );
+  cipher.setAAD(Buffer.from(associatedData || "", "base64"));
+  const ciphertext = Buffer.concat([
+    cipher.update(Buffer.from(plaintext, "base64")),
+    cipher.final(),
+  ]);
+
+  res.json({
+    data: {
+      ciphertext:
+        CIPHERTEXT_PREFIX +
+        Buffer.concat([iv, cipher.getAuthTag(), ciphertext]).toString(
+          "base64",
+        ),
+    },
+  });
+});
+
+app.post("/v1/transit/decrypt/:name", (req, res) => {
+  const { ciphertext, associated_data: associatedData } = req.body || {};
+  const key = getKey(req.params.name, false);
+
+  if (!key) {
+    return res.status(400).json({ errors: ["encryption key not found"] });
+  }
+
+  if (
+    typeof ciphertext !== "string" ||
+    !ciphertext.startsWith(CIPHERTEXT_PREFIX)
+  ) {
+    return res.status(400).json({ errors: ["invalid ciphertext"] });
+  }
+
+  const buffer = Buffer.from(
+    ciphertext.slice(CIPHERTEXT_PREFIX.length),
+    "base64",
+  );
+
+  try {
+    const decipher = crypto.createDecipheriv(
+      ALGORITHM,
+      key,
+      buffer.subarray(0, IV_LENGTH),
+    );
+    decipher.setAAD(Buffer.from(associatedData || "", "base64"));
+    decipher.setAuthTag(
+      buffer.subarray(IV_LENGTH, IV_LENGTH + AUTH_TAG_LENGTH),
+    );
+    const plaintext = Buffer.concat([
+      decipher.update(buffer.subarray(IV_LENGTH + AUTH_TAG_LENGTH)),
+      decipher.final(),
+    ]);
+    res.json({ data: { plaintext: plaintext.toString("base64") } });
+  } catch (error) {
+    res
+      .status(400)
+      .json({ errors: ["cipher: message authentication failed"] });
+  }
+});
+
+app.listen(port, "127.0.0.1", () => {
+  logger.info(
+    `Key service stand-in listening on http://127.0.0.1:${port}/v1/transit`,
+  );
+});
@@ -0,0 +1,87 @@
+require("dotenv").config();
+const fs = require("fs");
+const {
+  getKeystorePath,
+  readPassphrase,
+  readKeystore,
+  writeKeystore,
+  unlockKeystore,
+  createKeystore,
+  addKey,
+} = require("../services/keys/keystore");
+const logger = require("../utils/logger");
+
+/**
+ * Manage the passphrase-protected keystore used by KEY_PROVIDER=keystore
+ * The file is KEYSTORE_PATH; the passphrase comes from KEYSTORE_PASSPHRASE_FILE
+ * or KEYSTORE_PASSPHRASE.
+ *
+ * Usage:
+ *   npm run keys:keystore -- init [--id=k1]          Create the keystore with one active key
+ *   npm run keys:keystore -- add --id=k2 [--activate] Generate another key
+ *   npm run keys:keystore -- activate --id=k2        Wrap new file keys with k2
+ *   npm run keys:keystore -- list                    List keys
+ *
+ * After activating a new key, restart the server and run `npm run keys:rotate`.
+ */
+const runCommand = () => {
+  const [command, ...args] = process.argv.slice(2);
+  const idArg = args.find((arg) => arg.startsWith("--id="));
+  const keyId = idArg
+    ? idArg.split("=")[1]
+    : `k${new Date().toISOString().slice(0, 10).replace(/-/g, "")}`;
+  const keystorePath = getKeystorePath();
+
+  try {
+    if (command === "init") {
+      if (fs.existsSync(keystorePath)) {
+        throw new Error(`Keystore ${keystorePath} already exists`);
+      }
+      const keystore = addKey(createKeystore(), readPassphrase(), keyId);
+      keystore.activeKeyId = keyId;
+      writeKeystore(keystorePath, keystore);
+      logger.info(`Created keystore ${keystorePath} with active key ${keyId}`);
+    } else if (command === "add") {
+      const keystore = addKey(
+        readKeystore(keystorePath),
+        readPassphrase(),
+        keyId,
+      );
+      if (args.includes("--activate")) {
+        keystore.activeKeyId = keyId;
+      }
+      writeKeystore(keystorePath, keystore);
+      logger.info(
+        `Added key ${keyId}${keystore.activeKeyId === keyId ? " (active)" : ""}`,
+      );
+    } else if (command === "activate") {
+      const keystore = readKeystore(keystorePath);
+      if (!unlockKeystore(keystore, readPassphrase()).has(keyId)) {
+        throw new Error(`Keystore has no key with id "${keyId}"`);
+      }
+      keystore.activeKeyId = keyId;
+      writeKeystore(keystorePath, keystore);
+      logger.info(`Activated key ${keyId}`);
+    } else if (command === "list") {
+      const keystore = readKeystore(keystorePath);
+      for (const entry of keystore.keys) {
+        logger.info(
+          `${entry.id}${entry.id === keystore.activeKeyId ? " (active)" : ""}, created ${entry.createdAt}`,
+        );
+      }
+    } else {
+      throw new Error(
+        "Expected a command: init, add, activate or list",
+      );
+    }
+
+    process.exit(0);
+  } catch (error) {
+    logger.error("Keystore command failed:", {
+      message: error.message,
+    });
+    process.exit(1);
+  }
+};
+
+runCommand();
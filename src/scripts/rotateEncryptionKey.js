@@ -0,0 +1,69 @@
+require("dotenv").config();
+const { pool } = require("../config/database");
+const {
+  providerName,
+  activeKeyId,
+} = require("../services/keyProviderService");
+const {
+  countPayloadsByKey,
+  rotateKeyPayloads,
+} = require("../services/keyRotationService");
+const logger = require("../utils/logger");
+
+/**
+ * Re-wrap every file key with the active key provider (KEY_PROVIDER) and key
+ * Stored files are not re-encrypted. Safe to interrupt and run again.
+ *
+ * Usage:
+ *   npm run keys:rotate                      Re-wrap file keys
+ *   npm run keys:rotate -- --dry-run         Report file keys per provider and key only
+ *   npm run keys:rotate -- --batch-size=500  Rows per batch (default 100)
+ */
+const runRotation = async () => {
+  const args = process.argv.slice(2);
+  const dryRun = args.includes("--dry-run");
+  const batchSizeArg = args.find((arg) => arg.startsWith("--batch-size="));
+  const batchSize = batchSizeArg
+    ? parseInt(batchSizeArg.split("=")[1], 10)
+    : 100;
+
+  if (!Number.isInteger(batchSize) || batchSize < 1) {
+    logger.error("--batch-size must be a positive integer");
+    process.exit(1);
+  }
+
+  try {
+    logger.info(`Active key: ${providerName}/${activeKeyId}`);
+
+    let failed = 0;
+    if (!dryRun) {
+      ({ failed } = await rotateKeyPayloads({ batchSize }));
+    }
+
+    const counts = await countPayloadsByKey();
+    for (const [table, byKey] of Object.entries(counts)) {
+      const line = Object.entries(byKey)
+        .map(([keyId, count]) => `${keyId}=${count}`)
+        .join(", ");
+      logger.info(`${table}: ${line || "no rows"}`);
+    }
+
+    if (dryRun) {
+      logger.info("Run again without --dry-run to re-wrap file keys");
+    } else if (failed > 0) {
+      logger.warn(
+        `${failed} file keys could not be re-wrapped; keep their key providers and keys configured`,
+      );
+    }
+
+    await pool.end();
+    process.exit(failed > 0 ? 1 : 0);
+  } catch (error) {
+    logger.error("Key rotation failed:", {
+      message: error.message,
+    });
+    process.exit(1);
+  }
+};
+
+runRotation();
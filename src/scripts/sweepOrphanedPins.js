@@ -0,0 +1,52 @@
+require("dotenv").config();
+const { pool } = require("../config/database");
+const {
+  sweepOrphanedPins,
+} = require("../services/uploadCompensationService");
+const logger = require("../utils/logger");
+
+/**
+ * Admin sweep for pinned CIDs with no document_versions row
+ *
+ * Usage:
+ *   npm run storage:sweep                      Report orphans only
+ *   npm run storage:sweep -- --unpin           Unpin orphans
+ *   npm run storage:sweep -- --min-age-hours=6 Only consider pins older than 6 hours (default 24)
+ */
+const runSweep = async () => {
+  const args = process.argv.slice(2);
+  const unpin = args.includes("--unpin");
+  const minAgeArg = args.find((arg) => arg.startsWith("--min-age-hours="));
+  const minAgeHours = minAgeArg ? parseFloat(minAgeArg.split("=")[1]) : 24;
+
+  try {
+    const summary = await sweepOrphanedPins({
+      unpin,
+      minAgeMs: minAgeHours * 60 * 60 * 1000,
+    });
+
+    for (const orphan of summary.orphans) {
+      logger.info(
+        `Orphaned pin: ${orphan.cid} (${orphan.name || "unnamed"}, pinned ${orphan.createdAt})`,
+      );
+    }
+
+    logger.info(
+      `Sweep complete: ${summary.scanned} pinned, ${summary.orphans.length} orphaned, ${summary.unpinned} unpinned, ${summary.failed} failed`,
+    );
+
+    if (!unpin && summary.orphans.length > 0) {
+      logger.info("Run again with --unpin to remove orphaned pins");
+    }
+
+    await pool.end();
+    process.exit(summary.failed > 0 ? 1 : 0);
+  } catch (error) {
+    logger.error("Orphaned pin sweep failed:", {
+      message: error.error || error.message,
+    });
+    process.exit(1);
+  }
+};
+
+runSweep();
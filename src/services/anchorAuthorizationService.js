@@ -0,0 +1,240 @@
+const { ethers } = require("ethers");
+const database = require("../config/database");
+const blockchainService = require("./blockchainService");
+const logger = require("../utils/logger");
+
+/**
+ * User-authorised anchoring
+ *
+ * By default the backend wallet anchors every upload and pays its gas
+ * ("backend" mode). Two optional modes tie an anchor to the user's wallet,
+ * the one they use for /auth/wallet-login:
+ *
+ * - signed: the user signs an EIP-712 Anchor payload (owner, title, CID,
+ *   fileHash, deadline, nonce). The backend verifies the signature and then
+ *   anchors as usual; the signed payload is recorded with the version or
+ *   notarization as proof that the user authorised it.
+ * - relay: the user sends the contract's createOwnDocument call from their
+ *   own wallet, paying the gas, and reports the transaction hash. The anchor
+ *   job worker confirms the receipt (blockchainService.confirmUserTransaction).
+ *   Only new documents and notarizations can be relayed: versions are added
+ *   by the backend wallet alone, so on-chain version numbers keep matching
+ *   the database.
+ *
+ * Jobs in either mode wait with status "awaiting_authorization" until the
+ * user signs or reports the transaction. Nonces are per user and never
+ * reused, so a signature authorises exactly one job.
+ */
+
+const ANCHORING_MODES = {
+  BACKEND: "backend",
+  SIGNED: "signed",
+  RELAY: "relay",
+};
+
+// Time the user has to sign or report the transaction
+const AUTHORIZATION_TTL_SECONDS =
+  parseInt(process.env.ANCHOR_AUTHORIZATION_TTL_SECONDS, 10) || 900;
+
+const DOMAIN_NAME = "VersionedDocuments";
+const DOMAIN_VERSION = "1";
+
+const ANCHOR_TYPES = {
+  Anchor: [
+    { name: "owner", type: "address" },
+    { name: "title", type: "string" },
+    { name: "cid", type: "string" },
+    { name: "fileHash", type: "bytes32" },
+    { name: "deadline", type: "uint256" },
+    { name: "nonce", type: "uint256" },
+  ],
+};
+
+// Contract call the user's wallet sends in relay mode
+const selfServiceInterface = new ethers.Interface([
+  "function createOwnDocument(string _title, string _cid, bytes32 _fileHash)",
+]);
+
+/**
+ * Parse the anchoring query parameter
+ * @param {string|undefined} value - backend | signed | relay; defaults to backend
+ * @returns {string|null} Anchoring mode, or null if unknown
+ */
+const parseAnchoringMode = (value) => {
+  if (value === undefined || value === "") {
+    return ANCHORING_MODES.BACKEND;
+  }
+
+  return Object.values(ANCHORING_MODES).includes(value) ? value : null;
+};
+
+/**
+ * Check an anchoring mode can be used on a network
+ * Relay anchoring needs a deployment with createOwnDocument, which
+ * blockchainService.verifyBlockchainConnection probes on startup.
+ * @param {string} anchoringMode - backend | signed | relay
+ * @param {object} network - Network the job anchors on
+ * @returns {boolean} True if the network supports the mode
+ */
+const isModeSupported = (anchoringMode, network) =>
+  anchoringMode !== ANCHORING_MODES.RELAY || network.relayAnchoring === true;
+
+/**
+ * Create the Anchor payload of a new job
+ * Reserves the user's next anchoring nonce
+ * @param {string} userId - User UUID
+ * @param {object} anchor - { owner, title, cid, fileHash }; owner is the user's wallet
+ * @returns {Promise<object>} { message, deadline }; message numbers are decimal strings, deadline a Date
+ */
+const createAuthorization = async (userId, anchor) => {
+  const result = await database.query(
+    `UPDATE users SET anchor_nonce = anchor_nonce + 1
+     WHERE id = $1
+     RETURNING anchor_nonce`,
+    [userId],
+  );
+  const deadline =
+    Math.floor(Date.now() / 1000) + AUTHORIZATION_TTL_SECONDS;
+
+  return {
+    message: {
+      owner: ethers.getAddress(anchor.owner),
+      title: anchor.title,
+      cid: anchor.cid,
+      fileHash: blockchainService.toBytes32(anchor.fileHash),
+      deadline: deadline.toString(),
+      nonce: result.rows[0].anchor_nonce.toString(),
+    },
+    deadline: new Date(deadline * 1000),
+  };
+};
+
+/**
+ * Get the EIP-712 domain of a job's network
+ * verifyingContract is left out for networks whose contract has no address
+ * (the memory adapter's default)
+ * @param {object} job - anchor_jobs row
+ * @returns {object} Domain
+ */
+const getDomain = (job) => ({
+  name: DOMAIN_NAME,
+  version: DOMAIN_VERSION,
+  ...(job.chain_id ? { chainId: job.chain_id.toString() } : {}),
+  ...(ethers.isAddress(job.contract_address)
+    ? { verifyingContract: job.contract_address }
+    : {}),
+});
+
+/**
+ * Get the typed data a signed-mode job asks the user to sign
+ * Types leave out EIP712Domain, as ethers' signTypedData expects; add it for
+ * eth_signTypedData_v4.
+ * @param {object} job - anchor_jobs row
+ * @returns {object} { domain, types, primaryType, message }
+ */
+const getTypedData = (job) => ({
+  domain: getDomain(job),
+  types: ANCHOR_TYPES,
+  primaryType: "Anchor",
+  message: job.anchor_authorization.message,
+});
+
+/**
+ * Check that a signature over a job's Anchor payload is the owner wallet's
+ * @param {object} job - anchor_jobs row in signed mode
+ * @param {string} signature - EIP-712 signature
+ * @returns {boolean} True if the signature is valid
+ */
+const verifySignature = (job, signature) => {
+  const { message } = job.anchor_authorization;
+
+  try {
+    const recoveredAddress = ethers.verifyTypedData(
+      getDomain(job),
+      ANCHOR_TYPES,
+      message,
+      signature,
+    );
+    return recoveredAddress.toLowerCase() === message.owner.toLowerCase();
+  } catch (error) {
+    logger.debug("Anchor signature verification failed:", {
+      message: error.message,
+    });
+    return false;
+  }
+};
+
+/**
+ * Get the transaction a relay-mode job asks the user's wallet to send
+ * @param {object} job - anchor_jobs row in relay mode
+ * @returns {object} { to, chainId, data }
+ */
+const getRelayTransaction = (job) => {
+  const { message } = job.anchor_authorization;
+
+  return {
+    to: job.contract_address,
+    chainId: job.chain_id,
+    data: selfServiceInterface.encodeFunctionData("createOwnDocument", [
+      message.title,
+      message.cid,
+      message.fileHash,
+    ]),
+  };
+};
+
+/**
+ * Get the proof recorded with the anchored version or notarization
+ * @param {object} job - anchor_jobs row
+ * @returns {object|null} Signed typed data for signed-mode jobs, otherwise null (a relayed transaction is its own proof)
+ */
+const getAnchorProof = (job) => {
+  if (job.anchoring_mode !== ANCHORING_MODES.SIGNED) {
+    return null;
+  }
+
+  return {
+    ...getTypedData(job),
+    signature: job.anchor_authorization.signature,
+  };
+};
+
+/**
+ * Format a job's authorization for API responses
+ * @param {object} job - anchor_jobs row
+ * @returns {object|null} Authorization, or null for backend-mode jobs and
+ *   upload jobs whose file is not stored yet
+ */
+const formatAuthorization = (job) => {
+  if (
+    !job.anchoring_mode ||
+    job.anchoring_mode === ANCHORING_MODES.BACKEND ||
+    !job.anchor_authorization
+  ) {
+    return null;
+  }
+
+  const { message, signature } = job.anchor_authorization;
+
+  return {
+    mode: job.anchoring_mode,
+    wallet: message.owner,
+    nonce: message.nonce,
+    deadline: job.authorization_deadline,
+    ...(job.anchoring_mode === ANCHORING_MODES.SIGNED
+      ? { typedData: getTypedData(job), signature: signature || null }
+      : { transaction: getRelayTransaction(job) }),
+    authorizeUrl: `/jobs/${job.id}/authorization`,
+  };
+};
+
+module.exports = {
+  ANCHORING_MODES,
+  AUTHORIZATION_TTL_SECONDS,
+  parseAnchoringMode,
+  isModeSupported,
+  createAuthorization,
+  verifySignature,
+  getAnchorProof,
+  formatAuthorization,
+};
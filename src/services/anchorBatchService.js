@@ -0,0 +1,281 @@
+const database = require("../config/database");
+const { ACTIVE_NETWORK, findNetwork } = require("../config/networks");
+const blockchainService = require("./blockchainService");
+const { buildMerkleTree } = require("../utils/merkle");
+const logger = require("../utils/logger");
+
+/**
+ * Merkle-batched anchoring
+ *
+ * Jobs join the open batch instead of sending their own transaction. A batch
+ * is sealed once it is BATCH_WINDOW_MS old or holds BATCH_MAX_SIZE jobs; its
+ * file hashes are rolled into a Merkle tree (see utils/merkle.js) and only the
+ * root is anchored (blockchainService.anchorMerkleRoot) on the active
+ * network. Each version then stores its inclusion proof. The anchor job
+ * worker drives batches and commits their jobs.
+ */
+
+const BATCHING_ENABLED = process.env.BATCH_ANCHORING_ENABLED === "true";
+const BATCH_WINDOW_MS = parseInt(process.env.BATCH_WINDOW_MS, 10) || 60000;
+const BATCH_MAX_SIZE = parseInt(process.env.BATCH_MAX_SIZE, 10) || 64;
+
+/**
+ * Add a job to the open batch, opening one if needed
+ * The job leaves the queue with status "batched" until its batch is anchored
+ * @param {string} jobId - anchor_jobs ID
+ * @returns {Promise<string>} Batch ID
+ */
+const addToBatch = async (jobId) => {
+  const client = await database.getClient();
+
+  try {
+    await client.query("BEGIN");
+
+    const openResult = await client.query(
+      `SELECT id FROM anchor_batches
+       WHERE status = 'open'
+       ORDER BY created_at ASC
+       LIMIT 1
+       FOR UPDATE`,
+    );
+
+    const batchId =
+      openResult.rows.length > 0
+        ? openResult.rows[0].id
+        : (
+            await client.query(
+              "INSERT INTO anchor_batches DEFAULT VALUES RETURNING id",
+            )
+          ).rows[0].id;
+
+    await client.query(
+      "UPDATE anchor_batches SET leaf_count = leaf_count + 1 WHERE id = $1",
+      [batchId],
+    );
+
+    await client.query(
+      `UPDATE anchor_jobs
+       SET status = 'batched', batch_id = $2, locked_at = NULL,
+           updated_at = NOW()
+       WHERE id = $1`,
+      [jobId, batchId],
+    );
+
+    await client.query("COMMIT");
+
+    logger.debug(`Job ${jobId} added to batch ${batchId}`);
+
+    return batchId;
+  } catch (dbError) {
+    try {
+      await client.query("ROLLBACK");
+    } catch (rollbackError) {
+      logger.error("Rollback error:", {
+        message: rollbackError.message,
+      });
+    }
+    throw dbError;
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Claim the next batch to anchor
+ * Picks an open batch that is full or past its window, a sealed batch due
+ * for a retry, or a batch whose worker died mid-run, and seals it.
+ * @param {number} staleAfterMs - Lock age after which an anchoring batch is reclaimed
+ * @returns {Promise<object|null>} Claimed anchor_batches row or null
+ */
+const claimBatch = async (staleAfterMs) => {
+  const result = await database.query(
+    `UPDATE anchor_batches
+     SET status = 'anchoring', locked_at = NOW(), attempts = attempts + 1,
+         sealed_at = COALESCE(sealed_at, NOW())
+     WHERE id = (
+       SELECT b.id FROM anchor_batches b
+       WHERE (b.status = 'open'
+              AND (b.leaf_count >= $1
+                   OR b.created_at <= NOW() - ($2 * INTERVAL '1 millisecond')))
+          OR (b.status = 'sealed' AND b.next_run_at <= NOW())
+          OR (b.status = 'anchoring'
+              AND b.locked_at < NOW() - ($3 * INTERVAL '1 millisecond'))
+       ORDER BY b.created_at ASC
+       LIMIT 1
+       FOR UPDATE SKIP LOCKED
+     )
+     RETURNING *`,
+    [BATCH_MAX_SIZE, BATCH_WINDOW_MS, staleAfterMs],
+  );
+
+  return result.rows[0] || null;
+};
+
+/**
+ * Get the jobs waiting in a batch, in leaf order
+ * @param {string} batchId - Batch UUID
+ * @returns {Promise<Array<object>>} anchor_jobs rows
+ */
+const getBatchJobs = async (batchId) => {
+  const result = await database.query(
+    `SELECT * FROM anchor_jobs
+     WHERE batch_id = $1 AND status = 'batched'
+     ORDER BY created_at ASC, id ASC`,
+    [batchId],
+  );
+
+  return result.rows;
+};
+
+/**
+ * Split a batch transaction's gas and fee between its versions
+ * Shares are whole units; the remainder goes to the first versions so the
+ * shares add up to the transaction's totals.
+ * @param {object} blockchainResult - Confirmed batch transaction details
+ * @param {number} count - Number of versions in the batch
+ * @returns {Array<object>} { gasUsed, feeWei } per version, as decimal strings (null when unknown)
+ */
+const splitCost = (blockchainResult, count) => {
+  const split = (total) => {
+    if (total === null || total === undefined) {
+      return new Array(count).fill(null);
+    }
+
+    const share = BigInt(total) / BigInt(count);
+    const remainder = Number(BigInt(total) % BigInt(count));
+    return Array.from({ length: count }, (_, index) =>
+      (share + (index < remainder ? 1n : 0n)).toString(),
+    );
+  };
+
+  const gasShares = split(blockchainResult.gasUsed);
+  const feeShares = split(blockchainResult.feeWei);
+
+  return gasShares.map((gasUsed, index) => ({
+    gasUsed,
+    feeWei: feeShares[index],
+  }));
+};
+
+/**
+ * Anchor a batch's Merkle root
+ * The network is recorded before the transaction is sent, so a transaction
+ * that was already sent is awaited on the same network instead of being sent
+ * again.
+ * @param {object} batch - Claimed anchor_batches row
+ * @param {Array<object>} jobs - The batch's jobs, in leaf order
+ * @returns {Promise<object>} { blockchainResult, merkleRoot, proofs, costs } with one proof and cost share per job
+ */
+const anchorBatch = async (batch, jobs) => {
+  const { root, proofs } = buildMerkleTree(jobs.map((job) => job.file_hash));
+  const network = batch.chain_id
+    ? findNetwork(batch.chain_id, batch.contract_address)
+    : ACTIVE_NETWORK;
+
+  if (!network) {
+    throw new Error(
+      `Network of chain ${batch.chain_id} contract ${batch.contract_address} is not configured`,
+    );
+  }
+
+  await database.query(
+    `UPDATE anchor_batches
+     SET merkle_root = $2, leaf_count = $3, chain_id = $4,
+         contract_address = $5
+     WHERE id = $1`,
+    [batch.id, root, jobs.length, network.chainId, network.contractAddress],
+  );
+
+  let blockchainResult;
+
+  if (batch.tx_hash) {
+    blockchainResult = await blockchainService.waitForTransaction(
+      batch.tx_hash,
+      network,
+    );
+  } else {
+    logger.debug(
+      `Batch ${batch.id}: anchoring Merkle root of ${jobs.length} version(s)...`,
+    );
+    blockchainResult = await blockchainService.anchorMerkleRoot(
+      `Merkle batch ${batch.id}`,
+      root,
+      {
+        network,
+        onTransactionSent: (txHash) =>
+          database.query(
+            "UPDATE anchor_batches SET tx_hash = $2 WHERE id = $1",
+            [batch.id, txHash],
+          ),
+      },
+    );
+  }
+
+  if (!blockchainResult.documentId) {
+    throw new Error(
+      "Failed to extract document ID from blockchain transaction",
+    );
+  }
+
+  await database.query(
+    `UPDATE anchor_batches
+     SET status = 'anchored', blockchain_document_id = $2, tx_hash = $3,
+         block_number = $4, gas_used = $5, effective_gas_price = $6,
+         fee_wei = $7, last_error = NULL, locked_at = NULL,
+         anchored_at = NOW()
+     WHERE id = $1`,
+    [
+      batch.id,
+      parseInt(blockchainResult.documentId),
+      blockchainResult.txHash,
+      blockchainResult.blockNumber,
+      blockchainResult.gasUsed,
+      blockchainResult.effectiveGasPrice,
+      blockchainResult.feeWei,
+    ],
+  );
+
+  logger.info(
+    `Batch ${batch.id} anchored (${jobs.length} version(s), root ${root.substring(0, 10)}...)`,
+  );
+
+  return {
+    blockchainResult,
+    merkleRoot: root,
+    proofs,
+    costs: splitCost(blockchainResult, jobs.length),
+  };
+};
+
+/**
+ * Record a failed batch attempt
+ * @param {string} batchId - Batch UUID
+ * @param {string} reason - Failure reason
+ * @param {number|null} retryDelayMs - Delay before the next attempt, or null to fail the batch for good
+ * @returns {Promise<void>}
+ */
+const failBatch = async (batchId, reason, retryDelayMs) => {
+  await database.query(
+    `UPDATE anchor_batches
+     SET status = $2, last_error = $3, locked_at = NULL,
+         next_run_at = NOW() + ($4 * INTERVAL '1 millisecond')
+     WHERE id = $1`,
+    [
+      batchId,
+      retryDelayMs === null ? "failed" : "sealed",
+      reason,
+      retryDelayMs || 0,
+    ],
+  );
+};
+
+module.exports = {
+  BATCHING_ENABLED,
+  BATCH_WINDOW_MS,
+  BATCH_MAX_SIZE,
+  addToBatch,
+  claimBatch,
+  getBatchJobs,
+  anchorBatch,
+  failBatch,
+};
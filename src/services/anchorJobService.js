@@ -0,0 +1,1281 @@
+const database = require("../config/database");
+const { ACTIVE_NETWORK, findNetwork } = require("../config/networks");
+const storageService = require("./storageService");
+const blockchainService = require("./blockchainService");
+const anchorBatchService = require("./anchorBatchService");
+const anchorAuthorizationService = require("./anchorAuthorizationService");
+const uploadCompensationService = require("./uploadCompensationService");
+const uploadStagingService = require("./uploadStagingService");
+const chainImportService = require("./chainImportService");
+const logger = require("../utils/logger");
+
+const JOB_TYPES = {
+  CREATE_DOCUMENT: "create_document",
+  ADD_VERSION: "add_version",
+  NOTARIZE: "notarize",
+};
+
+// Pipeline stages, in order
+const STAGES = {
+  HASHED: "hashed",
+  ENCRYPTED: "encrypted",
+  PINNED: "pinned",
+  AUTHORIZED: "authorized",
+  BATCHED: "batched",
+  TX_SENT: "tx_sent",
+  CONFIRMED: "confirmed",
+  COMMITTED: "committed",
+};
+
+const POLL_INTERVAL_MS =
+  parseInt(process.env.JOB_POLL_INTERVAL_MS, 10) || 2000;
+const MAX_ATTEMPTS = parseInt(process.env.JOB_MAX_ATTEMPTS, 10) || 3;
+const RETRY_BASE_DELAY_MS =
+  parseInt(process.env.JOB_RETRY_BASE_DELAY_MS, 10) || 30000;
+// A job locked for longer than this is assumed to belong to a dead worker
+const STALE_AFTER_MS =
+  parseInt(process.env.JOB_STALE_AFTER_MS, 10) || 10 * 60 * 1000;
+// How often a relay job checks whether its user's transaction was mined
+const RELAY_POLL_INTERVAL_MS =
+  parseInt(process.env.RELAY_POLL_INTERVAL_MS, 10) || 15000;
+// How long a reported transaction may stay pending before the attempt fails
+const RELAY_CONFIRM_TIMEOUT_MS =
+  parseInt(process.env.RELAY_CONFIRM_TIMEOUT_MS, 10) || 30 * 60 * 1000;
+
+const { ANCHORING_MODES } = anchorAuthorizationService;
+const TX_HASH_PATTERN = /^0x[0-9a-fA-F]{64}$/;
+
+let timer = null;
+let running = false;
+
+/**
+ * Pick the network a new job anchors on
+ * Versions of an anchored document go to the document's network; everything
+ * else goes to the active network.
+ * @param {string|null} documentId - Target document (add_version only)
+ * @param {number|null} blockchainDocumentId - Target on-chain document (add_version only)
+ * @returns {Promise<object>} { chainId, contractAddress }
+ */
+const getJobNetwork = async (documentId, blockchainDocumentId) => {
+  if (!documentId || !blockchainDocumentId) {
+    return {
+      chainId: ACTIVE_NETWORK.chainId,
+      contractAddress: ACTIVE_NETWORK.contractAddress,
+    };
+  }
+
+  const result = await database.query(
+    "SELECT chain_id, contract_address FROM documents WHERE id = $1",
+    [documentId],
+  );
+  const document = result.rows[0];
+  const network =
+    document && findNetwork(document.chain_id, document.contract_address);
+
+  if (!network) {
+    throw {
+      status: 400,
+      message: "The document's blockchain network is not configured",
+    };
+  }
+
+  return {
+    chainId: network.chainId,
+    contractAddress: network.contractAddress,
+  };
+};
+
+// Columns returned for new jobs, enough to format their authorization
+const JOB_AUTHORIZATION_COLUMNS = `
+  id, status, stage, job_type, blockchain_document_id, chain_id,
+  contract_address, anchoring_mode, anchor_authorization,
+  authorization_deadline, created_at`;
+
+/**
+ * Create the authorization a new job waits for
+ * Backend-mode jobs need none and are queued straight away.
+ * @param {string} userId - Requesting user ID
+ * @param {string} anchoringMode - backend | signed | relay
+ * @param {object} anchor - { owner, title, cid, fileHash }; owner is the user's wallet
+ * @returns {Promise<object>} { status, payload, deadline } for the job row
+ */
+const createJobAuthorization = async (userId, anchoringMode, anchor) => {
+  if (anchoringMode === ANCHORING_MODES.BACKEND) {
+    return { status: "queued", payload: null, deadline: null };
+  }
+
+  const { message, deadline } =
+    await anchorAuthorizationService.createAuthorization(userId, anchor);
+
+  return {
+    status: "awaiting_authorization",
+    payload: JSON.stringify({ message, signature: null }),
+    deadline,
+  };
+};
+
+/**
+ * Enqueue an anchoring job for a file that is hashed, encrypted and staged
+ * The worker stores the staged file and records "pinned" when that finishes.
+ * Only the stages the upload middleware observed are recorded, at the times
+ * it reported; a client-side encrypted upload has neither. Jobs in signed or
+ * relay mode then wait for the user's authorization of the stored file (see
+ * requestJobAuthorization).
+ * @param {object} job - Job input
+ * @param {string} job.userId - Requesting user ID
+ * @param {string} job.jobType - create_document | add_version
+ * @param {string|null} job.documentId - Target document (add_version only)
+ * @param {number|null} job.blockchainDocumentId - Target on-chain document (add_version only)
+ * @param {string|null} job.ownerAddress - Owner wallet (create_document only)
+ * @param {string} job.title - Document title
+ * @param {string} job.fileName - Original file name
+ * @param {number} job.fileSize - Original file size in bytes
+ * @param {string} job.mimeType - Original MIME type
+ * @param {string} job.fileHash - SHA256 of the original file
+ * @param {string} job.stagedFile - Staged encrypted file (uploadStagingService.stageFile)
+ * @param {string|null} job.hashedAt - When the upload was hashed (null for client-side encryption)
+ * @param {string|null} job.encryptedAt - When the upload was encrypted (null for client-side encryption)
+ * @param {string|null} job.encryptedKeyPayload - Wrapped file key (null for client-side encryption)
+ * @param {string|null} job.clientKeyEnvelope - Client's key envelope (client-side encryption only)
+ * @param {string} job.encryptionScheme - Encryption scheme of the stored file
+ * @param {string} job.anchoringMode - backend | signed | relay
+ * @returns {Promise<object>} Created job row
+ */
+const enqueueJob = async ({
+  userId,
+  jobType,
+  documentId = null,
+  blockchainDocumentId = null,
+  ownerAddress = null,
+  title,
+  fileName,
+  fileSize,
+  mimeType,
+  fileHash,
+  stagedFile,
+  hashedAt = null,
+  encryptedAt = null,
+  encryptedKeyPayload,
+  clientKeyEnvelope = null,
+  encryptionScheme,
+  anchoringMode = ANCHORING_MODES.BACKEND,
+}) => {
+  const stages = [
+    { stage: STAGES.HASHED, at: hashedAt },
+    { stage: STAGES.ENCRYPTED, at: encryptedAt },
+  ].filter((entry) => entry.at);
+  const network = await getJobNetwork(documentId, blockchainDocumentId);
+
+  const result = await database.query(
+    `INSERT INTO anchor_jobs (
+      user_id, job_type, stage, stages, document_id, blockchain_document_id,
+      owner_address, title, file_name, file_size, mime_type, file_hash,
+      staged_file, encrypted_key_payload, client_key_envelope, encryption_scheme,
+      max_attempts, chain_id, contract_address, anchoring_mode
+    )
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20)
+    RETURNING ${JOB_AUTHORIZATION_COLUMNS}`,
+    [
+      userId,
+      jobType,
+      STAGES.ENCRYPTED,
+      JSON.stringify(stages),
+      documentId,
+      blockchainDocumentId,
+      ownerAddress,
+      title,
+      fileName,
+      fileSize,
+      mimeType,
+      fileHash,
+      stagedFile,
+      encryptedKeyPayload,
+      clientKeyEnvelope,
+      encryptionScheme,
+      MAX_ATTEMPTS,
+      network.chainId,
+      network.contractAddress,
+      anchoringMode,
+    ],
+  );
+
+  logger.info(
+    `Anchor job ${result.rows[0].id} queued (${jobType}, ${anchoringMode})`,
+  );
+
+  return result.rows[0];
+};
+
+/**
+ * Enqueue a hash-only notarization job
+ * Nothing is encrypted or pinned; the job starts at "hashed" and goes
+ * straight to the transaction. The hashed stage is recorded for files the
+ * upload middleware hashed; a hash sent by the client has none.
+ * @param {object} job - Job input
+ * @param {string} job.userId - Requesting user ID
+ * @param {string} job.ownerAddress - Owner wallet
+ * @param {string} job.title - Notarization title
+ * @param {string|null} job.fileName - Original file name (file notarizations only)
+ * @param {number|null} job.fileSize - Original file size in bytes (file notarizations only)
+ * @param {string} job.fileHash - SHA256 of the original file
+ * @param {string|null} job.hashedAt - When the file was hashed (file notarizations only)
+ * @param {string} job.anchoringMode - backend | signed | relay
+ * @returns {Promise<object>} Created job row
+ */
+const enqueueNotarization = async ({
+  userId,
+  ownerAddress,
+  title,
+  fileName = null,
+  fileSize = null,
+  fileHash,
+  hashedAt = null,
+  anchoringMode = ANCHORING_MODES.BACKEND,
+}) => {
+  const stages = hashedAt ? [{ stage: STAGES.HASHED, at: hashedAt }] : [];
+  const authorization = await createJobAuthorization(userId, anchoringMode, {
+    owner: ownerAddress,
+    title,
+    cid: blockchainService.NOTARIZATION_CID,
+    fileHash,
+  });
+
+  const result = await database.query(
+    `INSERT INTO anchor_jobs (
+      user_id, job_type, stage, stages, owner_address, title, file_name,
+      file_size, file_hash, max_attempts, chain_id, contract_address, status,
+      anchoring_mode, anchor_authorization, authorization_deadline
+    )
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16)
+    RETURNING ${JOB_AUTHORIZATION_COLUMNS}`,
+    [
+      userId,
+      JOB_TYPES.NOTARIZE,
+      STAGES.HASHED,
+      JSON.stringify(stages),
+      ownerAddress,
+      title,
+      fileName,
+      fileSize,
+      fileHash,
+      MAX_ATTEMPTS,
+      ACTIVE_NETWORK.chainId,
+      ACTIVE_NETWORK.contractAddress,
+      authorization.status,
+      anchoringMode,
+      authorization.payload,
+      authorization.deadline,
+    ],
+  );
+
+  logger.info(
+    `Anchor job ${result.rows[0].id} ${authorization.status} (${JOB_TYPES.NOTARIZE}, ${anchoringMode})`,
+  );
+
+  return result.rows[0];
+};
+
+/**
+ * Get a job by ID
+ * fee_capped is set while the job's transaction is stuck at
+ * TX_MAX_FEE_PER_GAS_GWEI (see chain/transactionManager.js).
+ * @param {string} jobId - Job UUID
+ * @returns {Promise<object|null>} Job row or null if not found
+ */
+const getJob = async (jobId) => {
+  const result = await database.query(
+    `SELECT
+      id, user_id, job_type, status, stage, stages, document_id,
+      notarization_id, batch_id, blockchain_document_id, chain_id, contract_address,
+      ipfs_cid, tx_hash, version_number, attempts,
+      max_attempts, last_error, next_run_at, anchoring_mode,
+      anchor_authorization, authorization_deadline, created_at, updated_at,
+      EXISTS (
+        SELECT 1 FROM chain_transactions ct
+        WHERE ct.status = 'pending'
+          AND ct.last_error = 'Fee cap reached'
+          AND (ct.tx_hash = anchor_jobs.tx_hash
+               OR anchor_jobs.tx_hash = ANY(ct.replaced_tx_hashes))
+      ) AS fee_capped
+     FROM anchor_jobs
+     WHERE id = $1`,
+    [jobId],
+  );
+
+  return result.rows[0] || null;
+};
+
+/**
+ * Requeue a failed job
+ * Completed stages are kept, so the job resumes where it stopped. A job whose
+ * stored file was unpinned by compensation has nothing left to anchor;
+ * notarization jobs have no file and can always be retried. Signed and relay
+ * jobs whose authorization was requested but never given cannot be retried,
+ * so the backend never anchors them without the user's authorization.
+ * @param {string} jobId - Job UUID
+ * @returns {Promise<object|null>} Updated job row, or null if the job is not failed, has no file or was not authorised in time
+ */
+const retryJob = async (jobId) => {
+  const result = await database.query(
+    `UPDATE anchor_jobs
+     SET status = 'queued', attempts = 0, next_run_at = NOW(), updated_at = NOW()
+     WHERE id = $1 AND status = 'failed'
+       AND (ipfs_cid IS NOT NULL OR staged_file IS NOT NULL
+            OR job_type = $2)
+       AND (anchoring_mode = $3 OR anchor_authorization IS NULL
+            OR stages @> jsonb_build_array(jsonb_build_object('stage', $4::text)))
+     RETURNING id, status, stage`,
+    [jobId, JOB_TYPES.NOTARIZE, ANCHORING_MODES.BACKEND, STAGES.AUTHORIZED],
+  );
+
+  if (result.rows.length > 0) {
+    logger.info(`Anchor job ${jobId} requeued`);
+  }
+
+  return result.rows[0] || null;
+};
+
+/**
+ * Check a relay job's reported transaction before it is queued
+ * The network must know the hash (mined or pending), and the transaction
+ * must come from the job's wallet and call the network's contract, so a
+ * made-up hash never reaches the worker.
+ * @param {object} job - anchor_jobs row in relay mode
+ * @param {string} txHash - Reported transaction hash
+ * @returns {Promise<void>}
+ */
+const checkRelayTransaction = async (job, txHash) => {
+  const network = findNetwork(job.chain_id, job.contract_address);
+
+  if (!network) {
+    throw {
+      status: 400,
+      message: "The job's blockchain network is not configured",
+    };
+  }
+
+  const transaction = await blockchainService.getTransaction(txHash, network);
+
+  if (!transaction) {
+    throw {
+      status: 400,
+      message: "The transaction is not known to the network",
+    };
+  }
+
+  const owner = job.anchor_authorization.message.owner.toLowerCase();
+  if (!transaction.from || transaction.from.toLowerCase() !== owner) {
+    throw {
+      status: 400,
+      message: "The transaction was not sent from the job's wallet",
+    };
+  }
+
+  if (
+    !transaction.to ||
+    transaction.to.toLowerCase() !== network.contractAddress.toLowerCase()
+  ) {
+    throw {
+      status: 400,
+      message: "The transaction was not sent to the network's contract",
+    };
+  }
+};
+
+/**
+ * Authorise a signed or relay job and queue it
+ * A signed job needs the user's EIP-712 signature over its Anchor payload; a
+ * relay job needs the hash of the transaction the user's wallet sent, which
+ * must be known to the network and is confirmed by the worker before
+ * committing.
+ * @param {object} job - anchor_jobs row (from getJob)
+ * @param {object} authorization - { signature } for signed jobs, { txHash } for relay jobs
+ * @returns {Promise<object>} Updated job row
+ */
+const authorizeJob = async (job, { signature, txHash }) => {
+  if (job.status !== "awaiting_authorization") {
+    throw {
+      status: 409,
+      message: "This job is not waiting for authorization",
+    };
+  }
+
+  if (new Date(job.authorization_deadline) <= new Date()) {
+    throw {
+      status: 409,
+      message: "The authorization deadline has passed",
+    };
+  }
+
+  const isRelay = job.anchoring_mode === ANCHORING_MODES.RELAY;
+
+  if (!isRelay) {
+    if (!signature || typeof signature !== "string") {
+      throw { status: 400, message: "signature is required" };
+    }
+
+    if (!anchorAuthorizationService.verifySignature(job, signature)) {
+      throw {
+        status: 400,
+        message: "The signature is not the wallet's signature of this job",
+      };
+    }
+  } else {
+    if (!txHash || !TX_HASH_PATTERN.test(txHash)) {
+      throw {
+        status: 400,
+        message: "A transaction hash (txHash) is required",
+      };
+    }
+
+    const usedResult = await database.query(
+      "SELECT 1 FROM anchor_jobs WHERE tx_hash = $1 AND id <> $2",
+      [txHash.toLowerCase(), job.id],
+    );
+
+    if (usedResult.rows.length > 0) {
+      throw {
+        status: 409,
+        message: "This transaction is already recorded for another job",
+      };
+    }
+
+    await checkRelayTransaction(job, txHash);
+  }
+
+  const client = await database.getClient();
+
+  try {
+    await client.query("BEGIN");
+
+    const result = await client.query(
+      `UPDATE anchor_jobs
+       SET status = 'queued', next_run_at = NOW(), updated_at = NOW(),
+           anchor_authorization = jsonb_set(
+             anchor_authorization, '{signature}',
+             COALESCE(to_jsonb($2::text), 'null'::jsonb)
+           )
+       WHERE id = $1 AND status = 'awaiting_authorization'
+       RETURNING id`,
+      [job.id, isRelay ? null : signature],
+    );
+
+    if (result.rows.length === 0) {
+      throw {
+        status: 409,
+        message: "This job is not waiting for authorization",
+      };
+    }
+
+    await advanceStage(client, job.id, STAGES.AUTHORIZED);
+
+    if (isRelay) {
+      await advanceStage(client, job.id, STAGES.TX_SENT, {
+        txHash: txHash.toLowerCase(),
+      });
+    }
+
+    await client.query("COMMIT");
+  } catch (dbError) {
+    try {
+      await client.query("ROLLBACK");
+    } catch (rollbackError) {
+      logger.error("Rollback error:", {
+        message: rollbackError.message,
+      });
+    }
+
+    // Another job recorded the same transaction first
+    if (
+      dbError.code === "23505" &&
+      dbError.constraint === "idx_anchor_jobs_relay_tx_hash"
+    ) {
+      throw {
+        status: 409,
+        message: "This transaction is already recorded for another job",
+      };
+    }
+    throw dbError;
+  } finally {
+    client.release();
+  }
+
+  logger.info(`Anchor job ${job.id} authorised (${job.anchoring_mode})`);
+
+  return getJob(job.id);
+};
+
+/**
+ * Format a job row for API responses
+ * @param {object} job - anchor_jobs row
+ * @returns {object} Job status
+ */
+const formatJob = (job) => ({
+  id: job.id,
+  type: job.job_type,
+  status: job.status,
+  stage: job.stage,
+  stages: job.stages,
+  documentId: job.document_id,
+  notarizationId: job.notarization_id,
+  batchId: job.batch_id,
+  blockchainDocumentId: job.blockchain_document_id,
+  chainId: job.chain_id,
+  contractAddress: job.contract_address,
+  version: job.version_number,
+  ipfsCid: job.ipfs_cid,
+  txHash: job.tx_hash,
+  feeCapped: job.fee_capped === true,
+  anchoringMode: job.anchoring_mode,
+  authorization: anchorAuthorizationService.formatAuthorization(job),
+  attempts: job.attempts,
+  maxAttempts: job.max_attempts,
+  error: job.last_error,
+  nextRunAt: job.status === "queued" ? job.next_run_at : null,
+  createdAt: job.created_at,
+  updatedAt: job.updated_at,
+});
+
+/**
+ * Record a completed stage (each stage is recorded once)
+ * @param {object} queryable - database module or transaction client
+ * @param {string} jobId - Job UUID
+ * @param {string} stage - Completed stage
+ * @param {object} fields - Optional { ipfsCid, txHash, blockchainDocumentId }
+ * @returns {Promise<void>}
+ */
+const advanceStage = async (queryable, jobId, stage, fields = {}) => {
+  await queryable.query(
+    `UPDATE anchor_jobs
+     SET stage = $2,
+         stages = CASE
+           WHEN stages @> jsonb_build_array(jsonb_build_object('stage', $2::text))
+           THEN stages
+           ELSE stages || jsonb_build_array(jsonb_build_object('stage', $2::text, 'at', NOW()))
+         END,
+         ipfs_cid = COALESCE($3, ipfs_cid),
+         tx_hash = COALESCE($4, tx_hash),
+         blockchain_document_id = COALESCE($5, blockchain_document_id),
+         updated_at = NOW()
+     WHERE id = $1`,
+    [
+      jobId,
+      stage,
+      fields.ipfsCid || null,
+      fields.txHash || null,
+      fields.blockchainDocumentId || null,
+    ],
+  );
+};
+
+/**
+ * Insert the notarization row and complete the job in one transaction
+ * @param {object} job - anchor_jobs row
+ * @param {object} blockchainResult - Confirmed transaction details
+ * @returns {Promise<void>}
+ */
+const commitNotarization = async (job, blockchainResult) => {
+  const anchorProof = anchorAuthorizationService.getAnchorProof(job);
+  const client = await database.getClient();
+
+  try {
+    await client.query("BEGIN");
+
+    const result = await client.query(
+      `INSERT INTO notarizations (
+        user_id, title, file_hash, file_name, file_size,
+        blockchain_document_id, blockchain_tx_hash, chain_id, contract_address,
+        block_number, gas_used, effective_gas_price, fee_wei, anchoring_mode,
+        anchor_authorization
+      )
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15)
+       RETURNING id`,
+      [
+        job.user_id,
+        job.title,
+        job.file_hash,
+        job.file_name,
+        job.file_size,
+        parseInt(blockchainResult.documentId),
+        blockchainResult.txHash,
+        blockchainResult.chainId,
+        blockchainResult.contractAddress,
+        blockchainResult.blockNumber,
+        blockchainResult.gasUsed,
+        blockchainResult.effectiveGasPrice,
+        blockchainResult.feeWei,
+        job.anchoring_mode,
+        anchorProof && JSON.stringify(anchorProof),
+      ],
+    );
+    const notarizationId = result.rows[0].id;
+
+    await advanceStage(client, job.id, STAGES.COMMITTED);
+
+    await client.query(
+      `UPDATE anchor_jobs
+       SET status = 'completed', notarization_id = $2, last_error = NULL,
+           locked_at = NULL, updated_at = NOW()
+       WHERE id = $1`,
+      [job.id, notarizationId],
+    );
+
+    await client.query("COMMIT");
+
+    logger.info(
+      `Anchor job ${job.id} committed (notarization ${notarizationId})`,
+    );
+  } catch (dbError) {
+    try {
+      await client.query("ROLLBACK");
+    } catch (rollbackError) {
+      logger.error("Rollback error:", {
+        message: rollbackError.message,
+      });
+    }
+    throw dbError;
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Insert the document/version rows and complete the job in one transaction
+ * A batched job records the batch transaction and its inclusion proof; a
+ * document created in a batch has no on-chain document (or network) of its
+ * own. Versions record the network and cost of their transaction; a batched
+ * version records its share of the batch transaction's gas and fee, and a
+ * signed-mode version records the user's signed authorization.
+ * @param {object} job - anchor_jobs row
+ * @param {string} cid - IPFS CID
+ * @param {object} blockchainResult - Confirmed transaction details
+ * @param {object|null} batch - { batchId, merkleProof, cost } for batched jobs
+ * @returns {Promise<void>}
+ */
+const commitJob = async (job, cid, blockchainResult, batch = null) => {
+  const anchorProof = anchorAuthorizationService.getAnchorProof(job);
+  const client = await database.getClient();
+
+  try {
+    await client.query("BEGIN");
+
+    let documentId = job.document_id;
+    let versionNumber = 1;
+
+    // Recorded with the commit so a failed commit is batched again
+    if (batch) {
+      await advanceStage(client, job.id, STAGES.TX_SENT, {
+        txHash: blockchainResult.txHash,
+      });
+      await advanceStage(client, job.id, STAGES.CONFIRMED);
+    }
+
+    if (job.job_type === JOB_TYPES.CREATE_DOCUMENT) {
+      const docResult = await client.query(
+        `INSERT INTO documents (
+          user_id, blockchain_document_id, title, chain_id, contract_address
+        )
+         VALUES ($1, $2, $3, $4, $5)
+         RETURNING id`,
+        [
+          job.user_id,
+          batch ? null : parseInt(blockchainResult.documentId),
+          job.title,
+          batch ? null : blockchainResult.chainId,
+          batch ? null : blockchainResult.contractAddress,
+        ],
+      );
+      documentId = docResult.rows[0].id;
+    } else {
+      // Get current highest version number
+      const versionResult = await client.query(
+        "SELECT COALESCE(MAX(version_number), 0) as max_version FROM document_versions WHERE document_id = $1",
+        [documentId],
+      );
+      versionNumber = versionResult.rows[0].max_version + 1;
+    }
+
+    await client.query(
+      `INSERT INTO document_versions (
+        document_id, version_number, ipfs_cid, file_hash, blockchain_tx_hash,
+        encrypted_key_payload, client_key_envelope, encryption_scheme,
+        file_name, file_size, mime_type, uploaded_by, anchor_batch_id,
+        merkle_proof, chain_id, contract_address, block_number, gas_used,
+        effective_gas_price, fee_wei, anchoring_mode, anchor_authorization
+      )
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20, $21, $22)`,
+      [
+        documentId,
+        versionNumber,
+        cid,
+        job.file_hash,
+        blockchainResult.txHash,
+        job.encrypted_key_payload,
+        job.client_key_envelope,
+        job.encryption_scheme,
+        job.file_name,
+        job.file_size,
+        job.mime_type,
+        job.user_id,
+        batch ? batch.batchId : null,
+        batch ? JSON.stringify(batch.merkleProof) : null,
+        blockchainResult.chainId,
+        blockchainResult.contractAddress,
+        blockchainResult.blockNumber,
+        batch ? batch.cost.gasUsed : blockchainResult.gasUsed,
+        blockchainResult.effectiveGasPrice,
+        batch ? batch.cost.feeWei : blockchainResult.feeWei,
+        job.anchoring_mode,
+        anchorProof && JSON.stringify(anchorProof),
+      ],
+    );
+
+    await advanceStage(client, job.id, STAGES.COMMITTED);
+
+    await client.query(
+      `UPDATE anchor_jobs
+       SET status = 'completed', document_id = $2, version_number = $3,
+           last_error = NULL, locked_at = NULL, updated_at = NOW()
+       WHERE id = $1`,
+      [job.id, documentId, versionNumber],
+    );
+
+    await client.query("COMMIT");
+
+    logger.info(
+      `Anchor job ${job.id} committed (document ${documentId}, version ${versionNumber})`,
+    );
+  } catch (dbError) {
+    try {
+      await client.query("ROLLBACK");
+    } catch (rollbackError) {
+      logger.error("Rollback error:", {
+        message: rollbackError.message,
+      });
+    }
+    throw dbError;
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Whether a job is anchored in a Merkle batch instead of its own transaction
+ * New documents follow BATCH_ANCHORING_ENABLED. A document created in a
+ * batch has no on-chain document to add versions to, so its versions are
+ * always batched, and a document created on its own never is: on-chain
+ * version numbers keep matching the database. Notarizations are never batched.
+ * @param {object} job - anchor_jobs row
+ * @returns {boolean} True if the job joins a batch
+ */
+const isBatched = (job) => {
+  if (job.job_type === JOB_TYPES.CREATE_DOCUMENT) {
+    return anchorBatchService.BATCHING_ENABLED;
+  }
+
+  return (
+    job.job_type === JOB_TYPES.ADD_VERSION && !job.blockchain_document_id
+  );
+};
+
+/**
+ * Store a job's encrypted file and record the "pinned" stage
+ * The staged upload is removed once the CID is recorded.
+ * @param {object} job - Claimed anchor_jobs row
+ * @returns {Promise<string>} Storage CID
+ */
+const pinJobFile = async (job) => {
+  const options = {
+    fileName: job.file_name,
+    metadata: {
+      userId: job.user_id,
+      documentId: job.document_id,
+      title: job.title,
+    },
+  };
+
+  logger.debug(
+    `Job ${job.id}: uploading to ${storageService.driverName} storage...`,
+  );
+  const { cid } = await storageService.putFile(
+    uploadStagingService.getStagedPath(job.staged_file),
+    options,
+  );
+
+  await advanceStage(database, job.id, STAGES.PINNED, { ipfsCid: cid });
+  await database.query(
+    "UPDATE anchor_jobs SET staged_file = NULL WHERE id = $1",
+    [job.id],
+  );
+  await uploadStagingService.removeStagedFile(job.staged_file);
+
+  return cid;
+};
+
+/**
+ * Ask the user to authorise a signed or relay job whose file is stored
+ * The authorization names the file's CID, so it is created once the file is
+ * pinned. The job waits with status "awaiting_authorization" until
+ * authorizeJob; creating it does not use up an attempt.
+ * @param {object} job - Claimed anchor_jobs row in signed or relay mode
+ * @param {string} cid - Storage CID of the encrypted file
+ * @returns {Promise<void>}
+ */
+const requestJobAuthorization = async (job, cid) => {
+  const userResult = await database.query(
+    "SELECT wallet_address FROM users WHERE id = $1",
+    [job.user_id],
+  );
+  const walletAddress =
+    userResult.rows[0] && userResult.rows[0].wallet_address;
+
+  if (!walletAddress) {
+    throw new Error("User must have a wallet address to authorise anchoring");
+  }
+
+  const authorization = await createJobAuthorization(
+    job.user_id,
+    job.anchoring_mode,
+    { owner: walletAddress, title: job.title, cid, fileHash: job.file_hash },
+  );
+
+  await database.query(
+    `UPDATE anchor_jobs
+     SET status = $2, anchor_authorization = $3, authorization_deadline = $4,
+         attempts = attempts - 1, locked_at = NULL, updated_at = NOW()
+     WHERE id = $1`,
+    [
+      job.id,
+      authorization.status,
+      authorization.payload,
+      authorization.deadline,
+    ],
+  );
+
+  logger.info(
+    `Anchor job ${job.id} ${authorization.status} (${job.job_type}, ${job.anchoring_mode})`,
+  );
+};
+
+/**
+ * Run the remaining pipeline stages for a job
+ * Stages already completed by an earlier attempt are skipped; a transaction
+ * that was already sent is awaited instead of being sent again. Signed and
+ * relay jobs stop once their file is pinned, until the user authorises them
+ * (see requestJobAuthorization). Batched jobs stop at "batched" and are
+ * committed when their batch is anchored. A relay
+ * job's transaction was sent by the user's wallet and is confirmed against
+ * the job before it is committed; while it is pending the job is put back
+ * in the queue (see deferRelayJob) rather than holding the worker.
+ * @param {object} job - Claimed anchor_jobs row
+ * @returns {Promise<void>}
+ */
+const processJob = async (job) => {
+  const isNotarization = job.job_type === JOB_TYPES.NOTARIZE;
+  let cid = job.ipfs_cid;
+
+  if (!cid && !isNotarization) {
+    cid = await pinJobFile(job);
+  }
+
+  // The user authorises the stored file, so its CID comes first
+  if (
+    job.anchoring_mode !== ANCHORING_MODES.BACKEND &&
+    !job.anchor_authorization
+  ) {
+    await requestJobAuthorization(job, cid);
+    return;
+  }
+
+  if (!job.tx_hash && isBatched(job)) {
+    await advanceStage(database, job.id, STAGES.BATCHED);
+    await anchorBatchService.addToBatch(job.id);
+    return;
+  }
+
+  const network = findNetwork(job.chain_id, job.contract_address);
+  if (!network) {
+    throw new Error(
+      `Network of chain ${job.chain_id} contract ${job.contract_address} is not configured`,
+    );
+  }
+
+  let blockchainResult;
+
+  if (job.anchoring_mode === ANCHORING_MODES.RELAY) {
+    const { message } = job.anchor_authorization;
+    blockchainResult = await blockchainService.confirmUserTransaction(
+      job.tx_hash,
+      { from: message.owner, cid: message.cid, fileHash: job.file_hash },
+      network,
+    );
+
+    if (!blockchainResult) {
+      await deferRelayJob(job);
+      return;
+    }
+  } else if (job.tx_hash) {
+    blockchainResult = await blockchainService.waitForTransaction(
+      job.tx_hash,
+      network,
+    );
+  } else {
+    const options = {
+      network,
+      onTransactionSent: (txHash) =>
+        advanceStage(database, job.id, STAGES.TX_SENT, { txHash }),
+    };
+
+    logger.debug(`Job ${job.id}: anchoring on blockchain...`);
+    if (isNotarization) {
+      blockchainResult = await blockchainService.notarizeHash(
+        job.owner_address,
+        job.title,
+        job.file_hash,
+        options,
+      );
+    } else if (job.job_type === JOB_TYPES.CREATE_DOCUMENT) {
+      blockchainResult = await blockchainService.createDocument(
+        job.owner_address,
+        job.title,
+        cid,
+        job.file_hash,
+        options,
+      );
+    } else {
+      blockchainResult = await blockchainService.addVersion(
+        job.blockchain_document_id,
+        cid,
+        job.file_hash,
+        options,
+      );
+    }
+  }
+
+  if (
+    job.job_type !== JOB_TYPES.ADD_VERSION &&
+    !blockchainResult.documentId
+  ) {
+    throw new Error(
+      "Failed to extract document ID from blockchain transaction",
+    );
+  }
+
+  // The mined hash replaces the sent one if a stuck transaction was replaced
+  await advanceStage(database, job.id, STAGES.CONFIRMED, {
+    txHash: blockchainResult.txHash,
+    blockchainDocumentId: blockchainResult.documentId,
+  });
+
+  if (isNotarization) {
+    await commitNotarization(job, blockchainResult);
+  } else {
+    await commitJob(job, cid, blockchainResult);
+  }
+};
+
+/**
+ * Put a relay job whose transaction is still pending back in the queue
+ * The check does not use up an attempt. Once the transaction has been
+ * pending for RELAY_CONFIRM_TIMEOUT_MS the attempt fails instead, and the job
+ * is retried with backoff like any other failure.
+ * @param {object} job - Claimed anchor_jobs row in relay mode
+ * @returns {Promise<void>}
+ */
+const deferRelayJob = async (job) => {
+  const sent = job.stages.find((entry) => entry.stage === STAGES.TX_SENT);
+
+  if (sent && Date.now() - new Date(sent.at) > RELAY_CONFIRM_TIMEOUT_MS) {
+    throw new Error("The user's transaction was not mined in time");
+  }
+
+  await database.query(
+    `UPDATE anchor_jobs
+     SET status = 'queued', attempts = attempts - 1, locked_at = NULL,
+         next_run_at = NOW() + ($2 * INTERVAL '1 millisecond'),
+         updated_at = NOW()
+     WHERE id = $1`,
+    [job.id, RELAY_POLL_INTERVAL_MS],
+  );
+
+  logger.debug(
+    `Job ${job.id}: user transaction still pending, checking again later`,
+  );
+};
+
+/**
+ * Record a failed attempt and schedule a retry with exponential backoff
+ * A job out of attempts is marked failed and compensated
+ * @param {object} job - Claimed anchor_jobs row
+ * @param {Error|object} error - Failure
+ * @returns {Promise<void>}
+ */
+const failJob = async (job, error) => {
+  const reason = error.error
+    ? `${error.message}: ${error.error}`
+    : error.message || String(error);
+  const willRetry = job.attempts < job.max_attempts;
+  const delayMs = RETRY_BASE_DELAY_MS * 2 ** (job.attempts - 1);
+
+  await database.query(
+    `UPDATE anchor_jobs
+     SET status = $2, last_error = $3, locked_at = NULL,
+         next_run_at = NOW() + ($4 * INTERVAL '1 millisecond'),
+         updated_at = NOW()
+     WHERE id = $1`,
+    [job.id, willRetry ? "queued" : "failed", reason, delayMs],
+  );
+
+  logger.error(
+    `Anchor job ${job.id} failed at stage "${job.stage}" (attempt ${job.attempts}/${job.max_attempts})`,
+    { message: reason },
+  );
+
+  // Out of attempts: undo completed stages (e.g. unpin an orphaned CID)
+  if (!willRetry) {
+    await uploadCompensationService.compensateJob(job.id, reason);
+  }
+};
+
+/**
+ * Claim the next runnable job
+ * Jobs for a document wait until earlier jobs for that document finish
+ * (including batched ones and ones awaiting authorization), so version
+ * numbers follow on-chain order.
+ * @returns {Promise<object|null>} Claimed job or null
+ */
+const claimNextJob = async () => {
+  const result = await database.query(
+    `UPDATE anchor_jobs
+     SET status = 'processing', locked_at = NOW(), attempts = attempts + 1,
+         updated_at = NOW()
+     WHERE id = (
+       SELECT j.id FROM anchor_jobs j
+       WHERE j.status = 'queued'
+         AND j.next_run_at <= NOW()
+         AND NOT EXISTS (
+           SELECT 1 FROM anchor_jobs earlier
+           WHERE earlier.document_id = j.document_id
+             AND earlier.created_at < j.created_at
+             AND earlier.status IN ('queued', 'processing', 'batched',
+                                    'awaiting_authorization')
+         )
+       ORDER BY j.created_at ASC
+       LIMIT 1
+       FOR UPDATE SKIP LOCKED
+     )
+     RETURNING *`,
+  );
+
+  return result.rows[0] || null;
+};
+
+/**
+ * Requeue jobs whose worker died mid-run
+ * @returns {Promise<void>}
+ */
+const recoverStaleJobs = async () => {
+  const result = await database.query(
+    `UPDATE anchor_jobs
+     SET status = 'queued', locked_at = NULL, updated_at = NOW()
+     WHERE status = 'processing'
+       AND locked_at < NOW() - ($1 * INTERVAL '1 millisecond')`,
+    [STALE_AFTER_MS],
+  );
+
+  if (result.rowCount > 0) {
+    logger.warn(`Requeued ${result.rowCount} stale anchor job(s)`);
+  }
+};
+
+/**
+ * Fail jobs whose user did not authorise them before the deadline
+ * Their stored file is removed like that of any job that failed for good.
+ * @returns {Promise<void>}
+ */
+const expireAuthorizations = async () => {
+  const reason = "The authorization deadline passed";
+  const result = await database.query(
+    `UPDATE anchor_jobs
+     SET status = 'failed', last_error = $1, updated_at = NOW()
+     WHERE status = 'awaiting_authorization'
+       AND authorization_deadline <= NOW()
+     RETURNING id`,
+    [reason],
+  );
+
+  for (const job of result.rows) {
+    logger.warn(`Anchor job ${job.id} was not authorised in time`);
+    await uploadCompensationService.compensateJob(job.id, reason);
+  }
+};
+
+/**
+ * Record a failed batch attempt and schedule a retry with exponential backoff
+ * A batch out of attempts is marked failed, and its jobs are failed and
+ * compensated
+ * @param {object} batch - Claimed anchor_batches row
+ * @param {Array<object>} jobs - The batch's jobs
+ * @param {Error|object} error - Failure
+ * @returns {Promise<void>}
+ */
+const failBatch = async (batch, jobs, error) => {
+  const reason = error.error
+    ? `${error.message}: ${error.error}`
+    : error.message || String(error);
+  const willRetry = batch.attempts < MAX_ATTEMPTS;
+
+  await anchorBatchService.failBatch(
+    batch.id,
+    reason,
+    willRetry ? RETRY_BASE_DELAY_MS * 2 ** (batch.attempts - 1) : null,
+  );
+
+  logger.error(
+    `Anchor batch ${batch.id} failed (attempt ${batch.attempts}/${MAX_ATTEMPTS})`,
+    { message: reason },
+  );
+
+  if (willRetry) {
+    return;
+  }
+
+  await database.query(
+    `UPDATE anchor_jobs
+     SET status = 'failed', last_error = $2, updated_at = NOW()
+     WHERE batch_id = $1 AND status = 'batched'`,
+    [batch.id, reason],
+  );
+
+  for (const job of jobs) {
+    await uploadCompensationService.compensateJob(job.id, reason);
+  }
+};
+
+/**
+ * Anchor a claimed batch and commit each of its jobs
+ * A job whose commit fails goes through the normal retry path and is
+ * batched again.
+ * @param {object} batch - Claimed anchor_batches row
+ * @returns {Promise<void>}
+ */
+const processBatch = async (batch) => {
+  const jobs = await anchorBatchService.getBatchJobs(batch.id);
+
+  if (jobs.length === 0) {
+    await anchorBatchService.failBatch(batch.id, "Batch has no jobs", null);
+    return;
+  }
+
+  let anchored;
+  try {
+    anchored = await anchorBatchService.anchorBatch(batch, jobs);
+  } catch (error) {
+    await failBatch(batch, jobs, error);
+    return;
+  }
+
+  for (const [index, job] of jobs.entries()) {
+    try {
+      await commitJob(job, job.ipfs_cid, anchored.blockchainResult, {
+        batchId: batch.id,
+        merkleProof: anchored.proofs[index],
+        cost: anchored.costs[index],
+      });
+    } catch (error) {
+      await failJob(job, error);
+    }
+  }
+};
+
+/**
+ * Process runnable jobs until the queue is empty, then anchor due batches
+ * and import a page of the next chain import
+ * @returns {Promise<void>}
+ */
+const runWorkerOnce = async () => {
+  await recoverStaleJobs();
+  await expireAuthorizations();
+
+  let job = await claimNextJob();
+  while (job) {
+    try {
+      await processJob(job);
+    } catch (error) {
+      await failJob(job, error);
+    }
+    job = await claimNextJob();
+  }
+
+  let batch = await anchorBatchService.claimBatch(STALE_AFTER_MS);
+  while (batch) {
+    await processBatch(batch);
+    batch = await anchorBatchService.claimBatch(STALE_AFTER_MS);
+  }
+
+  await chainImportService.runImportsOnce();
+};
+
+/**
+ * Run one worker pass and schedule the next
+ * @returns {Promise<void>}
+ */
+const tick = async () => {
+  if (running) {
+    return;
+  }
+
+  running = true;
+  try {
+    await runWorkerOnce();
+  } catch (error) {
+    logger.error("Anchor job worker error:", {
+      message: error.message,
+    });
+  } finally {
+    running = false;
+    if (timer) {
+      timer = setTimeout(tick, POLL_INTERVAL_MS);
+    }
+  }
+};
+
+/**
+ * Start the background job worker
+ * @returns {void}
+ */
+const startWorker = () => {
+  if (timer) {
+    return;
+  }
+
+  logger.info(
+    `Anchor job worker started (interval: ${POLL_INTERVAL_MS}ms, max attempts: ${MAX_ATTEMPTS})`,
+  );
+  timer = setTimeout(tick, 0);
+};
+
+/**
+ * Stop the background job worker
+ * @returns {void}
+ */
+const stopWorker = () => {
+  if (timer) {
+    clearTimeout(timer);
+    timer = null;
+  }
+};
+
+module.exports = {
+  JOB_TYPES,
+  STAGES,
+  enqueueJob,
+  enqueueNotarization,
+  getJob,
+  retryJob,
+  authorizeJob,
+  formatJob,
+  runWorkerOnce,
+  startWorker,
+  stopWorker,
+};
@@ -1,47 +1,110 @@
 const { ethers } = require("ethers");
-const fs = require("fs");
-const path = require("path");
+const { NETWORKS, ACTIVE_NETWORK } = require("../config/networks");
 const logger = require("../utils/logger");
 
-// Load contract ABI
-const abiPath = path.join(
-  __dirname,
-  "../../abi/VersionedDocuments.json",
-);
-const contractABI = JSON.parse(fs.readFileSync(abiPath, "utf8"));
-
-// Load configuration from environment
-const rpcUrl = process.env.RPC_URL;
-const privateKey = process.env.PRIVATE_KEY;
-const contractAddress = process.env.CONTRACT_ADDRESS;
-
-// Validate configuration
-if (!rpcUrl || !privateKey || !contractAddress) {
-  logger.warn(
-    "Blockchain configuration incomplete. Smart contract operations will fail.",
-  );
-  logger.warn("Required: RPC_URL, PRIVATE_KEY, CONTRACT_ADDRESS");
-}
-
-let provider = null;
-let wallet = null;
-let contract = null;
-
-try {
-  if (rpcUrl && privateKey && contractAddress) {
-    provider = new ethers.JsonRpcProvider(rpcUrl);
-    wallet = new ethers.Wallet(privateKey, provider);
-    contract = new ethers.Contract(
-      contractAddress,
-      contractABI,
-      wallet,
-    );
+/**
+ * Blockchain service backed by a chain adapter
+ *
+ * Adapters implement:
+ * - sendCreateDocument(owner, title, cid, bytes32Hash) -> { hash, wait() }
+ * - sendAddVersion(documentId, cid, bytes32Hash) -> { hash, wait() }
+ * - waitForTransaction(txHash, timeoutMs) -> receipt | null
+ * - getTransaction(txHash) -> { txHash, from, to } | null
+ * - getReceipt(txHash) -> receipt | null, without waiting (null until mined
+ *   with the network's confirmations)
+ * - getDocument(documentId) -> { owner, title, versionCount }
+ * - getVersions(documentId) -> [{ cid, fileHash, timestamp }]
+ * - getUserDocuments(owner) -> [documentId]
+ * - getBlockNumber() -> number
+ * - getContractEvents(fromBlock, toBlock) -> [event]
+ * - getStatus() -> { chainId, documentCounter, relayAnchoring }; relayAnchoring
+ *   is whether the contract has createOwnDocument
+ * - resumePendingTransactions() -> number (optional, for adapters that
+ *   track sent transactions)
+ * - sendUserTransaction(from, { to, data }) -> { hash, wait() } (optional,
+ *   for adapters that can stand in for a user's wallet)
+ *
+ * Receipts are { txHash, from, to, blockNumber, gasUsed, effectiveGasPrice,
+ * status, documentId, events }, with gas values as decimal strings (wei for
+ * the price) and events as the contract's DocumentCreated and VersionAdded
+ * events in the transaction. txHash is the hash that was mined, which differs
+ * from the sent hash when a stuck transaction was replaced; adapters that
+ * never replace may omit it.
+ *
+ * Every network in the registry (config/networks.js) gets its own adapter,
+ * selected by the network's adapter setting (ethers | memory). Writes go to
+ * options.network and reads take a network argument; both default to the
+ * active network. Results of writes carry the chainId and contractAddress
+ * the transaction was sent to.
+ * Adapters are loaded lazily so unused backends need no configuration.
+ */
+
+const ADAPTERS = {
+  ethers: () => require("./chain/ethersChain").createEthersChain,
+  memory: () => require("./chain/memoryChain").createMemoryChain,
+};
+
+// Network name -> adapter
+const adapters = new Map();
+
+// CID recorded on-chain for hash-only notarizations, which store no file
+const NOTARIZATION_CID = "notarization:sha256";
+
+// CID recorded on-chain for Merkle batch roots (see utils/merkle.js)
+const MERKLE_ROOT_CID = "merkle-root:sha256";
+
+// Error codes of an RPC endpoint that could not be reached (ethers and Node)
+const UNREACHABLE_ERROR_CODES = new Set([
+  "NETWORK_ERROR",
+  "TIMEOUT",
+  "ECONNREFUSED",
+  "ECONNRESET",
+  "ENOTFOUND",
+  "ETIMEDOUT",
+]);
+
+/**
+ * Get a network's adapter, creating it on first use
+ * @param {object} network - Network from config/networks.js
+ * @returns {object} Chain adapter
+ */
+const getAdapter = (network) => {
+  if (!adapters.has(network.name)) {
+    adapters.set(network.name, ADAPTERS[network.adapter]()(network));
+    logger.debug(`Chain adapter for ${network.name}: ${network.adapter}`);
   }
-} catch (error) {
-  logger.error("Failed to initialize blockchain service:", {
-    message: error.message,
-  });
-}
+  return adapters.get(network.name);
+};
+
+/**
+ * Get what a mined transaction cost
+ * @param {object} receipt - Adapter receipt
+ * @returns {object} { effectiveGasPrice, feeWei } as decimal strings, null when the receipt has no price
+ */
+const getTransactionCost = (receipt) => {
+  if (!receipt.effectiveGasPrice) {
+    return { effectiveGasPrice: null, feeWei: null };
+  }
+
+  return {
+    effectiveGasPrice: receipt.effectiveGasPrice,
+    feeWei: (
+      BigInt(receipt.gasUsed) * BigInt(receipt.effectiveGasPrice)
+    ).toString(),
+  };
+};
+
+/**
+ * Convert a hex file hash to bytes32
+ * @param {string} fileHash - Hex hash, with or without 0x
+ * @returns {string} bytes32 hex string
+ */
+const toBytes32 = (fileHash) => {
+  if (typeof fileHash !== "string") {
+    return fileHash;
+  }
+  return ethers.zeroPadValue("0x" + fileHash.replace(/^0x/, ""), 32);
+};
 
 /**
  * Create a new document on the blockchain
@@ -49,16 +112,19 @@ try {
  * @param {string} title - Document title
  * @param {string} cid - IPFS CID
  * @param {string} fileHash - File hash (should be bytes32)
- * @returns {Promise<object>} Transaction hash, documentId, and other details
+ * @param {object} options - Optional { network, onTransactionSent(txHash) }; the hook is called before waiting
+ * @returns {Promise<object>} Transaction hash, documentId, network, and other details
  */
-const createDocument = async (owner, title, cid, fileHash) => {
-  try {
-    if (!contract) {
-      throw new Error(
-        "Blockchain service not initialized. Check RPC_URL, PRIVATE_KEY, and CONTRACT_ADDRESS in .env",
-      );
-    }
+const createDocument = async (
+  owner,
+  title,
+  cid,
+  fileHash,
+  options = {},
+) => {
+  const network = options.network || ACTIVE_NETWORK;
 
+  try {
     // Validate inputs
     if (!ethers.isAddress(owner)) {
       throw new Error("Invalid owner address");
@@ -77,28 +143,26 @@ const createDocument = async (owner, title, cid, fileHash) => {
     }
 
     // Convert fileHash to bytes32 if it's a string
-    let hash = fileHash;
-    if (typeof fileHash === "string") {
-      if (!fileHash.startsWith("0x")) {
-        // Convert hex string to bytes32
-        hash = ethers.zeroPadValue(
-          "0x" + fileHash.replace(/^0x/, ""),
-          32,
-        );
-      } else {
-        hash = ethers.zeroPadValue(fileHash, 32);
-      }
-    }
+    const hash = toBytes32(fileHash);
 
-    logger.debug("Creating document on blockchain...");
+    logger.debug(`Creating document on ${network.name}...`);
     logger.debug(`  Owner: ${owner}`);
     logger.debug(`  Title: ${title}`);
     logger.debug(`  CID: ${cid}`);
 
     // Send transaction
-    const tx = await contract.createDocument(owner, title, cid, hash);
+    const tx = await getAdapter(network).sendCreateDocument(
+      owner,
+      title,
+      cid,
+      hash,
+    );
     logger.debug(`  Transaction sent: ${tx.hash}`);
 
+    if (options.onTransactionSent) {
+      await options.onTransactionSent(tx.hash);
+    }
+
     // Wait for confirmation
     logger.debug("  Waiting for confirmation...");
     const receipt = await tx.wait();
@@ -109,28 +173,21 @@ const createDocument = async (owner, title, cid, fileHash) => {
 
     logger.info("Document created successfully");
     logger.debug(`  Block: ${receipt.blockNumber}`);
-    logger.debug(`  Gas used: ${receipt.gasUsed.toString()}`);
-
-    // Parse DocumentCreated event from logs
-    let documentId = null;
-    const documentCreatedEvent = contract.interface.parseLog({
-      topics: receipt.logs[0]?.topics || [],
-      data: receipt.logs[0]?.data || "0x",
-    });
+    logger.debug(`  Gas used: ${receipt.gasUsed}`);
 
-    if (
-      documentCreatedEvent &&
-      documentCreatedEvent.name === "DocumentCreated"
-    ) {
-      documentId = documentCreatedEvent.args.documentId.toString();
+    const { documentId } = receipt;
+    if (documentId) {
       logger.debug(`  Document ID: ${documentId}`);
     }
 
     return {
-      txHash: tx.hash,
+      txHash: receipt.txHash || tx.hash,
       documentId,
+      chainId: network.chainId,
+      contractAddress: network.contractAddress,
       blockNumber: receipt.blockNumber,
-      gasUsed: receipt.gasUsed.toString(),
+      gasUsed: receipt.gasUsed,
+      ...getTransactionCost(receipt),
       status: receipt.status === 1 ? "success" : "failed",
     };
   } catch (error) {
@@ -150,16 +207,13 @@ const createDocument = async (owner, title, cid, fileHash) => {
  * @param {number} documentId - Document ID
  * @param {string} cid - IPFS CID
  * @param {string} fileHash - File hash (should be bytes32)
- * @returns {Promise<object>} Transaction hash and other details
+ * @param {object} options - Optional { network, onTransactionSent(txHash) }; network must be the document's
+ * @returns {Promise<object>} Transaction hash, network, and other details
  */
-const addVersion = async (documentId, cid, fileHash) => {
-  try {
-    if (!contract) {
-      throw new Error(
-        "Blockchain service not initialized. Check RPC_URL, PRIVATE_KEY, and CONTRACT_ADDRESS in .env",
-      );
-    }
+const addVersion = async (documentId, cid, fileHash, options = {}) => {
+  const network = options.network || ACTIVE_NETWORK;
 
+  try {
     // Validate inputs
     if (!documentId || documentId <= 0) {
       throw new Error("Invalid document ID");
@@ -174,26 +228,24 @@ const addVersion = async (documentId, cid, fileHash) => {
     }
 
     // Convert fileHash to bytes32 if it's a string
-    let hash = fileHash;
-    if (typeof fileHash === "string") {
-      if (!fileHash.startsWith("0x")) {
-        hash = ethers.zeroPadValue(
-          "0x" + fileHash.replace(/^0x/, ""),
-          32,
-        );
-      } else {
-        hash = ethers.zeroPadValue(fileHash, 32);
-      }
-    }
+    const hash = toBytes32(fileHash);
 
-    logger.debug("Adding version to document on blockchain...");
+    logger.debug(`Adding version to document on ${network.name}...`);
     logger.debug(`  Document ID: ${documentId}`);
     logger.debug(`  CID: ${cid}`);
 
     // Send transaction
-    const tx = await contract.addVersion(documentId, cid, hash);
+    const tx = await getAdapter(network).sendAddVersion(
+      documentId,
+      cid,
+      hash,
+    );
     logger.debug(`  Transaction sent: ${tx.hash}`);
 
+    if (options.onTransactionSent) {
+      await options.onTransactionSent(tx.hash);
+    }
+
     // Wait for confirmation
     logger.debug("  Waiting for confirmation...");
     const receipt = await tx.wait();
@@ -204,12 +256,15 @@ const addVersion = async (documentId, cid, fileHash) => {
 
     logger.info("Version added successfully");
     logger.debug(`  Block: ${receipt.blockNumber}`);
-    logger.debug(`  Gas used: ${receipt.gasUsed.toString()}`);
+    logger.debug(`  Gas used: ${receipt.gasUsed}`);
 
     return {
-      txHash: tx.hash,
+      txHash: receipt.txHash || tx.hash,
+      chainId: network.chainId,
+      contractAddress: network.contractAddress,
       blockNumber: receipt.blockNumber,
-      gasUsed: receipt.gasUsed.toString(),
+      gasUsed: receipt.gasUsed,
+      ...getTransactionCost(receipt),
       status: receipt.status === 1 ? "success" : "failed",
     };
   } catch (error) {
@@ -223,23 +278,227 @@ const addVersion = async (documentId, cid, fileHash) => {
 };
 
 /**
- * Get document information (read-only)
- * @param {number} documentId - Document ID
- * @returns {Promise<object>} Document owner, title, and version count
+ * Anchor a file hash with no stored file (hash-only notarization)
+ * Creates a one-version on-chain document whose CID is NOTARIZATION_CID
+ * @param {string} owner - Owner wallet address
+ * @param {string} title - Notarization title
+ * @param {string} fileHash - SHA256 hex hash
+ * @param {object} options - Optional { network, onTransactionSent(txHash) }; the hook is called before waiting
+ * @returns {Promise<object>} Transaction hash, documentId, network, and other details
+ */
+const notarizeHash = async (owner, title, fileHash, options = {}) => {
+  return createDocument(owner, title, NOTARIZATION_CID, fileHash, options);
+};
+
+/**
+ * Anchor the Merkle root of a batch of file hashes
+ * Creates a one-version on-chain document owned by the zero address whose CID
+ * is MERKLE_ROOT_CID and whose file hash is the root
+ * @param {string} title - Batch title
+ * @param {string} merkleRoot - Root hash (hex)
+ * @param {object} options - Optional { network, onTransactionSent(txHash) }; the hook is called before waiting
+ * @returns {Promise<object>} Transaction hash, documentId, network, and other details
+ */
+const anchorMerkleRoot = async (title, merkleRoot, options = {}) => {
+  return createDocument(
+    ethers.ZeroAddress,
+    title,
+    MERKLE_ROOT_CID,
+    merkleRoot,
+    options,
+  );
+};
+
+/**
+ * Wait for a previously sent transaction to be confirmed
+ * Used to resume an anchoring attempt without sending a duplicate transaction.
+ * Any hash of a replaced transaction resolves to the replacement that was mined.
+ * @param {string} txHash - Transaction hash
+ * @param {object} network - Network the transaction was sent to
+ * @param {number} timeoutMs - Maximum time to wait
+ * @returns {Promise<object>} Transaction hash, documentId (for createDocument), network, and other details
+ */
+const waitForTransaction = async (
+  txHash,
+  network = ACTIVE_NETWORK,
+  timeoutMs = 300000,
+) => {
+  try {
+    logger.debug(`Waiting for transaction ${txHash} on ${network.name}...`);
+    const receipt = await getAdapter(network).waitForTransaction(
+      txHash,
+      timeoutMs,
+    );
+
+    if (!receipt || receipt.status === 0) {
+      throw new Error("Transaction failed");
+    }
+
+    return {
+      txHash: receipt.txHash || txHash,
+      documentId: receipt.documentId,
+      chainId: network.chainId,
+      contractAddress: network.contractAddress,
+      blockNumber: receipt.blockNumber,
+      gasUsed: receipt.gasUsed,
+      ...getTransactionCost(receipt),
+      status: receipt.status === 1 ? "success" : "failed",
+    };
+  } catch (error) {
+    logger.error("Wait for transaction error:", {
+      message: error.message,
+    });
+    throw {
+      status: 400,
+      message: "Failed to confirm blockchain transaction",
+      error: error.message,
+    };
+  }
+};
+
+/**
+ * Send a contract call as a user's wallet would (relay anchoring)
+ * Only for adapters that can stand in for a wallet (memory), so development
+ * and tests can complete relay jobs without a node. On ethers networks the
+ * user's own wallet sends the transaction.
+ * @param {string} from - User's wallet address
+ * @param {object} transaction - { to, data }, as in a relay job's authorization
+ * @param {object} network - Network to send on
+ * @returns {Promise<string>} Transaction hash
+ */
+const sendUserTransaction = async (
+  from,
+  transaction,
+  network = ACTIVE_NETWORK,
+) => {
+  const adapter = getAdapter(network);
+
+  if (!adapter.sendUserTransaction) {
+    throw new Error(
+      `The ${adapter.name} adapter cannot send transactions for a user's wallet`,
+    );
+  }
+
+  const tx = await adapter.sendUserTransaction(from, transaction);
+  return tx.hash;
+};
+
+/**
+ * Look up a sent transaction, mined or pending
+ * @param {string} txHash - Transaction hash
+ * @param {object} network - Network to query
+ * @returns {Promise<object|null>} { txHash, from, to }, or null if the network does not know the hash
+ */
+const getTransaction = async (txHash, network = ACTIVE_NETWORK) => {
+  try {
+    return await getAdapter(network).getTransaction(txHash);
+  } catch (error) {
+    logger.error("Get transaction error:", { message: error.message });
+    throw {
+      status: 502,
+      message: "Failed to get transaction from blockchain",
+      error: error.message,
+    };
+  }
+};
+
+/**
+ * Confirm a transaction the user sent from their own wallet (relay anchoring)
+ * Does not wait: a transaction that is still pending (or short of the
+ * network's confirmations) resolves to null, so the caller can check again
+ * later. A mined transaction must come from the user's wallet, call the
+ * network's contract (createOwnDocument), and anchor exactly the expected
+ * CID and hash: a DocumentCreated event owned by the wallet whose version 1
+ * holds them.
+ * @param {string} txHash - Transaction hash reported by the user
+ * @param {object} expected - { from, cid, fileHash }
+ * @param {object} network - Network the transaction was sent to
+ * @returns {Promise<object|null>} Transaction hash, documentId, network, and other details, or null while pending
  */
-const getDocument = async (documentId) => {
+const confirmUserTransaction = async (
+  txHash,
+  expected,
+  network = ACTIVE_NETWORK,
+) => {
   try {
-    if (!contract) {
-      throw new Error("Blockchain service not initialized");
+    logger.debug(`Checking user transaction ${txHash} on ${network.name}...`);
+    const adapter = getAdapter(network);
+    const receipt = await adapter.getReceipt(txHash);
+
+    if (!receipt) {
+      if (!(await adapter.getTransaction(txHash))) {
+        throw new Error("Transaction is no longer known to the network");
+      }
+      return null;
     }
 
-    const doc = await contract.getDocument(documentId);
+    if (receipt.status === 0) {
+      throw new Error("Transaction failed");
+    }
+
+    const from = expected.from.toLowerCase();
+    if (!receipt.from || receipt.from.toLowerCase() !== from) {
+      throw new Error("Transaction was not sent from the user's wallet");
+    }
+
+    if (
+      !receipt.to ||
+      !network.contractAddress ||
+      receipt.to.toLowerCase() !== network.contractAddress.toLowerCase()
+    ) {
+      throw new Error("Transaction was not sent to the network's contract");
+    }
+
+    const hash = toBytes32(expected.fileHash).toLowerCase();
+    const documentCreated = receipt.events.find(
+      (event) =>
+        event.name === "DocumentCreated" && event.owner.toLowerCase() === from,
+    );
+    const [firstVersion] = documentCreated
+      ? await adapter.getVersions(documentCreated.documentId)
+      : [];
+
+    if (
+      !firstVersion ||
+      firstVersion.cid !== expected.cid ||
+      firstVersion.fileHash.toLowerCase() !== hash
+    ) {
+      throw new Error("Transaction did not create this document");
+    }
+
+    logger.info(`User transaction ${txHash} confirmed`);
 
     return {
-      owner: doc.owner,
-      title: doc.title,
-      versionCount: doc.versionCount.toString(),
+      txHash: receipt.txHash || txHash,
+      documentId: documentCreated.documentId,
+      chainId: network.chainId,
+      contractAddress: network.contractAddress,
+      blockNumber: receipt.blockNumber,
+      gasUsed: receipt.gasUsed,
+      ...getTransactionCost(receipt),
+      status: receipt.status === 1 ? "success" : "failed",
+    };
+  } catch (error) {
+    logger.error("Confirm user transaction error:", {
+      message: error.message,
+    });
+    throw {
+      status: 400,
+      message: "Failed to confirm user transaction",
+      error: error.message,
     };
+  }
+};
+
+/**
+ * Get document information (read-only)
+ * @param {number} documentId - Document ID
+ * @param {object} network - Network the document lives on
+ * @returns {Promise<object>} Document owner, title, and version count
+ */
+const getDocument = async (documentId, network = ACTIVE_NETWORK) => {
+  try {
+    return await getAdapter(network).getDocument(documentId);
   } catch (error) {
     logger.error("Get document error:", { message: error.message });
     throw {
@@ -251,54 +510,186 @@ const getDocument = async (documentId) => {
 };
 
 /**
- * Verify blockchain connection and contract accessibility
- * @returns {Promise<void>}
+ * Get all versions of a document (read-only)
+ * @param {number} documentId - Document ID
+ * @param {object} network - Network the document lives on
+ * @returns {Promise<Array<object>>} Versions with cid, fileHash, and block timestamp
  */
-const verifyBlockchainConnection = async () => {
+const getVersions = async (documentId, network = ACTIVE_NETWORK) => {
   try {
-    if (!rpcUrl || !privateKey || !contractAddress) {
-      logger.error("Blockchain configuration incomplete");
+    return await getAdapter(network).getVersions(documentId);
+  } catch (error) {
+    logger.error("Get versions error:", { message: error.message });
+    throw {
+      status: 400,
+      message: "Failed to get document versions from blockchain",
+      error: error.message,
+    };
+  }
+};
+
+/**
+ * Get the IDs of every document created for an owner (read-only)
+ * @param {string} owner - Owner wallet address
+ * @param {object} network - Network to query
+ * @returns {Promise<Array<string>>} On-chain document IDs, oldest first
+ */
+const getUserDocuments = async (owner, network = ACTIVE_NETWORK) => {
+  if (!ethers.isAddress(owner)) {
+    throw {
+      status: 400,
+      message: "Invalid owner address",
+    };
+  }
+
+  try {
+    return await getAdapter(network).getUserDocuments(owner);
+  } catch (error) {
+    logger.error("Get user documents error:", { message: error.message });
+    throw {
+      status: UNREACHABLE_ERROR_CODES.has(error.code) ? 503 : 502,
+      message: "Failed to get user documents from blockchain",
+      error: error.message,
+    };
+  }
+};
+
+/**
+ * Get the latest block number
+ * @param {object} network - Network to query
+ * @returns {Promise<number>} Latest block number
+ */
+const getBlockNumber = async (network = ACTIVE_NETWORK) => {
+  return getAdapter(network).getBlockNumber();
+};
+
+/**
+ * Get DocumentCreated and VersionAdded events in a block range (inclusive)
+ * @param {number} fromBlock - First block to scan
+ * @param {number} toBlock - Last block to scan
+ * @param {object} network - Network whose contract to scan
+ * @returns {Promise<Array<object>>} Parsed events ordered by block and log index
+ */
+const getContractEvents = async (
+  fromBlock,
+  toBlock,
+  network = ACTIVE_NETWORK,
+) => {
+  const events = await getAdapter(network).getContractEvents(
+    fromBlock,
+    toBlock,
+  );
+
+  return events.sort(
+    (a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex,
+  );
+};
+
+/**
+ * Resume tracking transactions that were pending when the process stopped
+ * Stuck ones are replaced as usual; a no-op for adapters without tracking.
+ * A network that cannot be reached is logged and skipped.
+ * @returns {Promise<number>} Number of pending transactions resumed
+ */
+const resumePendingTransactions = async () => {
+  let count = 0;
+
+  for (const network of NETWORKS) {
+    const adapter = getAdapter(network);
+    if (!adapter.resumePendingTransactions) {
+      continue;
+    }
+
+    try {
+      count += await adapter.resumePendingTransactions();
+    } catch (error) {
       logger.error(
-        "Required: RPC_URL, PRIVATE_KEY, CONTRACT_ADDRESS",
+        `Could not resume pending transactions on ${network.name}:`,
+        { message: error.message },
       );
-      process.exit(1);
     }
+  }
 
-    // Initialize provider, wallet, and contract
-    const testProvider = new ethers.JsonRpcProvider(rpcUrl);
-    const testWallet = new ethers.Wallet(privateKey, testProvider);
-    const testContract = new ethers.Contract(
-      contractAddress,
-      contractABI,
-      testWallet,
+  if (count > 0) {
+    logger.info(`Resumed ${count} pending transaction(s)`);
+  }
+  return count;
+};
+
+/**
+ * Verify the connection and contract of one network
+ * Fills in a chain id the network did not configure and rejects a mismatch.
+ * Records whether the deployment supports relay anchoring (createOwnDocument);
+ * older deployments must be redeployed for it.
+ * @param {object} network - Network to check
+ * @returns {Promise<void>}
+ */
+const verifyNetwork = async (network) => {
+  const adapter = getAdapter(network);
+  const { chainId, documentCounter, relayAnchoring } =
+    await adapter.getStatus();
+
+  if (network.chainId === null) {
+    network.chainId = chainId;
+  } else if (network.chainId !== chainId) {
+    throw new Error(
+      `Network "${network.name}" is configured for chain ${network.chainId} but its RPC endpoint is on chain ${chainId}`,
     );
+  }
 
-    // Get network chain ID
-    const network = await testProvider.getNetwork();
-    const chainId = network.chainId.toString();
+  network.relayAnchoring = relayAnchoring;
 
-    // Call read-only function to verify contract is callable
-    const documentCounter = await testContract.documentCounter();
+  logger.info(
+    `Blockchain connection successful (Network: ${network.name}, Adapter: ${adapter.name}, Chain: ${chainId}, Documents: ${documentCounter})`,
+  );
 
-    logger.info(
-      `Blockchain connection successful (Chain: ${chainId}, Documents: ${documentCounter})`,
+  if (!relayAnchoring) {
+    logger.warn(
+      `The contract on network "${network.name}" has no createOwnDocument; relay anchoring is disabled there until it is redeployed`,
     );
-  } catch (error) {
-    logger.error("Blockchain initialization failed");
-    logger.error(`Error: ${error.message}`);
-    if (error.code) {
-      logger.error(`Code: ${error.code}`);
+  }
+};
+
+/**
+ * Verify blockchain connection and contract accessibility for every network
+ * Throws when the active network is unreachable so the caller decides how to
+ * fail; other networks are only read from, so their failures are logged.
+ * @returns {Promise<void>}
+ */
+const verifyBlockchainConnection = async () => {
+  for (const network of NETWORKS) {
+    try {
+      await verifyNetwork(network);
+    } catch (error) {
+      logger.error(`Blockchain initialization failed for ${network.name}`);
+      logger.error(`Error: ${error.message}`);
+      if (error.code) {
+        logger.error(`Code: ${error.code}`);
+      }
+      if (network === ACTIVE_NETWORK) {
+        throw error;
+      }
     }
-    process.exit(1);
   }
 };
 
 module.exports = {
+  NOTARIZATION_CID,
+  MERKLE_ROOT_CID,
+  toBytes32,
   createDocument,
+  notarizeHash,
+  anchorMerkleRoot,
   addVersion,
+  waitForTransaction,
+  sendUserTransaction,
+  getTransaction,
+  confirmUserTransaction,
   getDocument,
+  getVersions,
+  getUserDocuments,
+  getBlockNumber,
+  getContractEvents,
+  resumePendingTransactions,
   verifyBlockchainConnection,
-  contract,
-  wallet,
-  provider,
 };
@@ -0,0 +1,358 @@
+const { ethers } = require("ethers");
+const fs = require("fs");
+const path = require("path");
+const logger = require("../../utils/logger");
+const { createTransactionManager } = require("./transactionManager");
+
+/**
+ * Ethers chain adapter
+ * Talks to a deployed VersionedDocuments contract over JSON-RPC, one adapter
+ * per network (see config/networks.js). The provider, wallet and contract
+ * are created on first use. Reads only need the RPC URL and contract
+ * address; the backend wallet key is required once a transaction is sent.
+ * Writes go through the transaction manager, which assigns nonces and
+ * replaces stuck transactions (see transactionManager.js).
+ */
+
+// Load contract ABI
+const abiPath = path.join(
+  __dirname,
+  "../../../abi/VersionedDocuments.json",
+);
+const contractABI = JSON.parse(fs.readFileSync(abiPath, "utf8"));
+const contractInterface = new ethers.Interface(contractABI);
+
+// Networks on the same chain with the same wallet share one nonce sequence
+const transactionManagers = new Map();
+
+/**
+ * Extract the document ID from the DocumentCreated event in a receipt
+ * @param {object} receipt - Transaction receipt
+ * @returns {string|null} Document ID
+ */
+const parseDocumentId = (receipt) => {
+  const documentCreatedEvent = contractInterface.parseLog({
+    topics: receipt.logs[0]?.topics || [],
+    data: receipt.logs[0]?.data || "0x",
+  });
+
+  if (
+    documentCreatedEvent &&
+    documentCreatedEvent.name === "DocumentCreated"
+  ) {
+    return documentCreatedEvent.args.documentId.toString();
+  }
+
+  return null;
+};
+
+/**
+ * Format a DocumentCreated or VersionAdded event
+ * @param {string} name - Event name
+ * @param {object} args - Decoded event arguments
+ * @returns {object} { name, documentId, owner, title, cid, fileHash }
+ */
+const formatEvent = (name, args) => ({
+  name,
+  documentId: args.documentId.toString(),
+  owner: args.owner,
+  title: name === "DocumentCreated" ? args.title : null,
+  cid: name === "VersionAdded" ? args.cid : null,
+  fileHash: name === "VersionAdded" ? args.fileHash : null,
+});
+
+/**
+ * Parse the contract's events from a receipt
+ * @param {object} receipt - Transaction receipt
+ * @param {string} contractAddress - Address of the network's contract
+ * @returns {Array<object>} DocumentCreated and VersionAdded events, in log order
+ */
+const parseEvents = (receipt, contractAddress) =>
+  receipt.logs
+    .filter(
+      (log) =>
+        contractAddress &&
+        log.address.toLowerCase() === contractAddress.toLowerCase(),
+    )
+    .map((log) => contractInterface.parseLog(log))
+    .filter(
+      (event) =>
+        event &&
+        (event.name === "DocumentCreated" || event.name === "VersionAdded"),
+    )
+    .map((event) => formatEvent(event.name, event.args));
+
+/**
+ * Normalize an ethers receipt
+ * @param {object|null} receipt - ethers TransactionReceipt
+ * @param {string} contractAddress - Address of the network's contract
+ * @returns {object|null} { txHash, from, to, blockNumber, gasUsed, effectiveGasPrice, status, documentId, events }
+ */
+const normalizeReceipt = (receipt, contractAddress) => {
+  if (!receipt) {
+    return null;
+  }
+
+  return {
+    txHash: receipt.hash,
+    from: receipt.from,
+    to: receipt.to,
+    blockNumber: receipt.blockNumber,
+    gasUsed: receipt.gasUsed.toString(),
+    effectiveGasPrice: receipt.gasPrice.toString(),
+    status: receipt.status,
+    documentId: receipt.status === 1 ? parseDocumentId(receipt) : null,
+    events: receipt.status === 1 ? parseEvents(receipt, contractAddress) : [],
+  };
+};
+
+/**
+ * Create the adapter for one network
+ * @param {object} network - Network from config/networks.js
+ * @returns {object} Chain adapter
+ */
+const createEthersChain = (network) => {
+  const privateKey = process.env[network.privateKeyEnv];
+
+  // Validate configuration
+  if (!network.rpcUrl || !network.contractAddress) {
+    logger.warn(
+      `Blockchain configuration incomplete for network "${network.name}". Smart contract operations will fail.`,
+    );
+    logger.warn(`Required: RPC URL and contract address`);
+  } else if (!privateKey) {
+    logger.warn(
+      `${network.privateKeyEnv} is not set for network "${network.name}". Records can be read and verified, but anchoring will fail.`,
+    );
+  }
+
+  let provider = null;
+  let wallet = null;
+  let contract = null;
+
+  /**
+   * Get the provider, creating it on first use
+   * @returns {ethers.JsonRpcProvider} Provider
+   */
+  const getProvider = () => {
+    if (provider) {
+      return provider;
+    }
+
+    if (!network.rpcUrl || !network.contractAddress) {
+      throw new Error(
+        `Network "${network.name}" is not configured. Check its RPC URL and contract address`,
+      );
+    }
+
+    provider = new ethers.JsonRpcProvider(network.rpcUrl);
+
+    return provider;
+  };
+
+  /**
+   * Get the contract, creating it on first use
+   * Connected to the provider: view calls and populateTransaction need no
+   * signer, and sent transactions are signed by the transaction manager.
+   * @returns {ethers.Contract} Read-only contract
+   */
+  const getContract = () => {
+    if (!contract) {
+      contract = new ethers.Contract(
+        network.contractAddress,
+        contractABI,
+        getProvider(),
+      );
+    }
+
+    return contract;
+  };
+
+  /**
+   * Get the backend wallet, creating it on first use
+   * @returns {ethers.Wallet} Wallet connected to the provider
+   */
+  const getWallet = () => {
+    if (wallet) {
+      return wallet;
+    }
+
+    if (!privateKey) {
+      throw new Error(
+        `Network "${network.name}" has no backend wallet. Set ${network.privateKeyEnv} to send transactions`,
+      );
+    }
+
+    wallet = new ethers.Wallet(privateKey, getProvider());
+
+    return wallet;
+  };
+
+  /**
+   * Get the transaction manager for this network's chain and wallet
+   * Created on first use, once the chain id is known
+   * @returns {object} Transaction manager
+   */
+  const getTransactionManager = () => {
+    const key = `${network.chainId}:${getWallet().address.toLowerCase()}`;
+
+    if (!transactionManagers.has(key)) {
+      transactionManagers.set(
+        key,
+        createTransactionManager(getWallet, network),
+      );
+    }
+
+    return transactionManagers.get(key);
+  };
+
+  /**
+   * Send a contract call through the transaction manager
+   * @param {object} txRequest - Unsigned request from populateTransaction
+   * @returns {Promise<object>} { hash, wait() }
+   */
+  const sendTransaction = async (txRequest) => {
+    const tx = await getTransactionManager().sendTransaction(txRequest);
+    return {
+      hash: tx.hash,
+      wait: async () =>
+        normalizeReceipt(await tx.wait(), network.contractAddress),
+    };
+  };
+
+  return {
+    name: "ethers",
+
+    sendCreateDocument: async (owner, title, cid, fileHash) =>
+      sendTransaction(
+        await getContract().createDocument.populateTransaction(
+          owner,
+          title,
+          cid,
+          fileHash,
+        ),
+      ),
+
+    sendAddVersion: async (documentId, cid, fileHash) =>
+      sendTransaction(
+        await getContract().addVersion.populateTransaction(
+          documentId,
+          cid,
+          fileHash,
+        ),
+      ),
+
+    // Without a backend wallet only user-sent transactions can be awaited
+    waitForTransaction: async (txHash, timeoutMs) =>
+      normalizeReceipt(
+        privateKey
+          ? await getTransactionManager().waitForTransaction(txHash, timeoutMs)
+          : await getProvider().waitForTransaction(
+              txHash,
+              network.confirmations,
+              timeoutMs,
+            ),
+        network.contractAddress,
+      ),
+
+    getTransaction: async (txHash) => {
+      const tx = await getProvider().getTransaction(txHash);
+      return tx && { txHash: tx.hash, from: tx.from, to: tx.to };
+    },
+
+    getReceipt: async (txHash) => {
+      const receipt = await getProvider().getTransactionReceipt(txHash);
+      if (
+        !receipt ||
+        (await receipt.confirmations()) < network.confirmations
+      ) {
+        return null;
+      }
+      return normalizeReceipt(receipt, network.contractAddress);
+    },
+
+    // Without a backend wallet this process sent nothing to resume
+    resumePendingTransactions: async () =>
+      privateKey ? getTransactionManager().resumePending() : 0,
+
+    getDocument: async (documentId) => {
+      const doc = await getContract().getDocument(documentId);
+      return {
+        owner: doc.owner,
+        title: doc.title,
+        versionCount: doc.versionCount.toString(),
+      };
+    },
+
+    getVersions: async (documentId) => {
+      const versions = await getContract().getVersions(documentId);
+      return versions.map((version) => ({
+        cid: version.cid,
+        fileHash: version.fileHash,
+        timestamp: Number(version.timestamp),
+      }));
+    },
+
+    getUserDocuments: async (owner) => {
+      const documentIds = await getContract().getUserDocuments(owner);
+      return documentIds.map((documentId) => documentId.toString());
+    },
+
+    getBlockNumber: () => getProvider().getBlockNumber(),
+
+    getContractEvents: async (fromBlock, toBlock) => {
+      const documents = getContract();
+
+      const [createdEvents, versionEvents] = await Promise.all([
+        documents.queryFilter(
+          documents.filters.DocumentCreated(),
+          fromBlock,
+          toBlock,
+        ),
+        documents.queryFilter(
+          documents.filters.VersionAdded(),
+          fromBlock,
+          toBlock,
+        ),
+      ]);
+
+      return [...createdEvents, ...versionEvents].map((event) => ({
+        ...formatEvent(event.eventName, event.args),
+        txHash: event.transactionHash,
+        blockNumber: event.blockNumber,
+        logIndex: event.index,
+      }));
+    },
+
+    getStatus: async () => {
+      const documents = getContract();
+
+      // Get network chain ID
+      const chainNetwork = await getProvider().getNetwork();
+
+      // Call read-only function to verify contract is callable
+      const documentCounter = await documents.documentCounter();
+
+      // Deployments from before relay anchoring revert on createOwnDocument
+      let relayAnchoring = true;
+      try {
+        await documents.createOwnDocument.staticCall("", "", ethers.ZeroHash, {
+          from: ethers.ZeroAddress,
+        });
+      } catch (error) {
+        if (error.code !== "CALL_EXCEPTION") {
+          throw error;
+        }
+        relayAnchoring = false;
+      }
+
+      return {
+        chainId: chainNetwork.chainId.toString(),
+        documentCounter: documentCounter.toString(),
+        relayAnchoring,
+      };
+    },
+  };
+};
+
+module.exports = { createEthersChain };
@@ -0,0 +1,266 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+const logger = require("../../utils/logger");
+
+/**
+ * In-process ledger chain adapter
+ * Reproduces VersionedDocuments semantics (documentCounter, versions,
+ * userDocuments, DocumentCreated/VersionAdded events) without a node.
+ * Every transaction is mined into its own block immediately.
+ *
+ * The backend's transactions are sent from a fixed address derived from the
+ * network name, which owns the ledger's contract. sendUserTransaction stands
+ * in for a user's wallet (relay anchoring): it takes the contract call a
+ * wallet would send and runs it as that sender, so only createOwnDocument
+ * goes through.
+ *
+ * Each network gets its own ledger. State lives in memory; set the
+ * network's stateFile (MEMORY_CHAIN_STATE_FILE for the single-network
+ * setup) to keep it across restarts.
+ * For local development and automated testing only.
+ */
+
+const GAS_USED = "100000";
+// Nominal 1 gwei, so gas usage can be reported without a node
+const GAS_PRICE = "1000000000";
+
+const contractInterface = new ethers.Interface(
+  JSON.parse(
+    fs.readFileSync(
+      path.join(__dirname, "../../../abi/VersionedDocuments.json"),
+      "utf8",
+    ),
+  ),
+);
+
+/**
+ * Current time in seconds, like block.timestamp
+ * @returns {number} Unix timestamp
+ */
+const blockTimestamp = () => Math.floor(Date.now() / 1000);
+
+/**
+ * Create the adapter for one network
+ * @param {object} network - Network from config/networks.js
+ * @returns {object} Chain adapter
+ */
+const createMemoryChain = (network) => {
+  const { stateFile } = network;
+
+  // Sender of the backend's transactions and owner of the ledger's contract
+  const backendAddress = ethers.getAddress(
+    ethers.dataSlice(ethers.id(`memory-chain:${network.name}`), 12),
+  );
+
+  let state = {
+    blockNumber: 0,
+    documentCounter: 0,
+    documents: {},
+    userDocuments: {},
+    events: [],
+    receipts: {},
+  };
+
+  if (stateFile && fs.existsSync(stateFile)) {
+    state = JSON.parse(fs.readFileSync(stateFile, "utf8"));
+    logger.info(
+      `Memory chain state loaded from ${stateFile} (block ${state.blockNumber})`,
+    );
+  }
+
+  /**
+   * Persist state when a state file is configured
+   * @returns {void}
+   */
+  const saveState = () => {
+    if (stateFile) {
+      fs.writeFileSync(stateFile, JSON.stringify(state));
+    }
+  };
+
+  /**
+   * Revert like the contract does for an unknown document ID
+   * @param {number|string} documentId - Document ID
+   * @returns {number} Validated document ID
+   */
+  const requireDocument = (documentId) => {
+    const id = Number(documentId);
+    if (!Number.isInteger(id) || id === 0 || id > state.documentCounter) {
+      throw new Error("execution reverted: InvalidDocumentId()");
+    }
+    return id;
+  };
+
+  /**
+   * Mine a block holding one transaction and its events
+   * @param {string} from - Sender address
+   * @param {Array<object>} events - Events emitted by the transaction
+   * @param {string|null} documentId - Created document ID (createDocument only)
+   * @returns {object} { hash, wait() }
+   */
+  const mine = (from, events, documentId = null) => {
+    const hash = `0x${crypto.randomBytes(32).toString("hex")}`;
+    state.blockNumber++;
+
+    events.forEach((event, logIndex) => {
+      state.events.push({
+        ...event,
+        txHash: hash,
+        blockNumber: state.blockNumber,
+        logIndex,
+      });
+    });
+
+    const receipt = {
+      from,
+      to: network.contractAddress,
+      blockNumber: state.blockNumber,
+      gasUsed: GAS_USED,
+      effectiveGasPrice: GAS_PRICE,
+      status: 1,
+      documentId,
+      events,
+    };
+    state.receipts[hash] = receipt;
+    saveState();
+
+    return { hash, wait: async () => receipt };
+  };
+
+  /**
+   * Create a document, like createDocument and createOwnDocument
+   * @param {string} from - Sender address
+   * @param {string} owner - Owner address
+   * @param {string} title - Document title
+   * @param {string} cid - Version 1 CID
+   * @param {string} fileHash - Version 1 bytes32 hash
+   * @returns {object} { hash, wait() }
+   */
+  const createDocument = (from, owner, title, cid, fileHash) => {
+    state.documentCounter++;
+    const documentId = state.documentCounter;
+
+    state.documents[documentId] = {
+      owner,
+      title,
+      versions: [{ cid, fileHash, timestamp: blockTimestamp() }],
+    };
+
+    const ownerKey = owner.toLowerCase();
+    state.userDocuments[ownerKey] = [
+      ...(state.userDocuments[ownerKey] || []),
+      documentId,
+    ];
+
+    return mine(
+      from,
+      [
+        {
+          name: "DocumentCreated",
+          documentId: documentId.toString(),
+          owner,
+          title,
+          cid: null,
+          fileHash: null,
+        },
+      ],
+      documentId.toString(),
+    );
+  };
+
+  logger.warn(
+    `Using in-memory chain adapter for network "${network.name}". Documents are not anchored on a real blockchain.`,
+  );
+
+  return {
+    name: "memory",
+
+    sendCreateDocument: async (owner, title, cid, fileHash) =>
+      createDocument(backendAddress, owner, title, cid, fileHash),
+
+    sendAddVersion: async (documentId, cid, fileHash) => {
+      const id = requireDocument(documentId);
+      const document = state.documents[id];
+
+      document.versions.push({ cid, fileHash, timestamp: blockTimestamp() });
+
+      return mine(backendAddress, [
+        {
+          name: "VersionAdded",
+          documentId: id.toString(),
+          owner: document.owner,
+          title: null,
+          cid,
+          fileHash,
+        },
+      ]);
+    },
+
+    sendUserTransaction: async (from, { to, data }) => {
+      if (!to || to.toLowerCase() !== network.contractAddress) {
+        throw new Error("Transaction is not sent to the network's contract");
+      }
+
+      const call = contractInterface.parseTransaction({ data });
+      const sender = ethers.getAddress(from);
+
+      // Every other write is onlyOwner
+      if (!call || call.name !== "createOwnDocument") {
+        throw new Error(
+          `execution reverted: OwnableUnauthorizedAccount(${sender})`,
+        );
+      }
+
+      const [title, cid, fileHash] = call.args;
+      return createDocument(sender, sender, title, cid, fileHash);
+    },
+
+    waitForTransaction: async (txHash) => state.receipts[txHash] || null,
+
+    getTransaction: async (txHash) => {
+      const receipt = state.receipts[txHash];
+      return receipt ? { txHash, from: receipt.from, to: receipt.to } : null;
+    },
+
+    getReceipt: async (txHash) => state.receipts[txHash] || null,
+
+    getDocument: async (documentId) => {
+      const document = state.documents[requireDocument(documentId)];
+      return {
+        owner: document.owner,
+        title: document.title,
+        versionCount: document.versions.length.toString(),
+      };
+    },
+
+    getVersions: async (documentId) => {
+      const document = state.documents[requireDocument(documentId)];
+      return document.versions.map((version) => ({ ...version }));
+    },
+
+    getUserDocuments: async (owner) =>
+      (state.userDocuments[owner.toLowerCase()] || []).map((documentId) =>
+        documentId.toString(),
+      ),
+
+    getBlockNumber: async () => state.blockNumber,
+
+    getContractEvents: async (fromBlock, toBlock) =>
+      state.events
+        .filter(
+          (event) =>
+            event.blockNumber >= fromBlock && event.blockNumber <= toBlock,
+        )
+        .map((event) => ({ ...event })),
+
+    getStatus: async () => ({
+      chainId: network.chainId,
+      documentCounter: state.documentCounter.toString(),
+      relayAnchoring: true,
+    }),
+  };
+};
+
+module.exports = { createMemoryChain };
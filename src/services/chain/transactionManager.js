@@ -0,0 +1,495 @@
+const { ethers } = require("ethers");
+const database = require("../../config/database");
+const logger = require("../../utils/logger");
+
+/**
+ * Managed sender for the backend wallet
+ *
+ * - Nonces are assigned one send at a time, so concurrent anchors never
+ *   collide. The first send (and any send after an error) resyncs the next
+ *   nonce from the chain and from the persisted pending set.
+ * - Every transaction is signed, recorded in chain_transactions and only
+ *   then broadcast, so a restart knows about everything that may be in flight.
+ *   A failed broadcast leaves the row pending for the monitor, since the node
+ *   may have taken it anyway; the nonce is only freed once the wallet's
+ *   pending transaction count shows it unused.
+ * - A transaction not mined within TX_STUCK_AFTER_MS is replaced by the same
+ *   transaction (same nonce) with fees raised by TX_GAS_BUMP_PERCENT, capped
+ *   at TX_MAX_FEE_PER_GAS_GWEI. Whichever hash is mined wins. A transaction
+ *   stuck at the cap is marked "Fee cap reached" and keeps being watched.
+ * - wait() gives up after TX_MAX_WAIT_MS; the transaction stays pending and
+ *   the next wait for its hash picks the same monitor up again.
+ * - A receipt counts once it has the network's confirmations.
+ * - resumePending() picks the pending set up again after a restart.
+ *
+ * There is one manager per chain and wallet. Assumes one process sends from
+ * the wallet at a time; the (chain_id, from_address, nonce) unique key
+ * rejects a second one instead of letting it reuse a nonce.
+ */
+
+const STUCK_AFTER_MS =
+  parseInt(process.env.TX_STUCK_AFTER_MS, 10) || 3 * 60 * 1000;
+const POLL_INTERVAL_MS =
+  parseInt(process.env.TX_POLL_INTERVAL_MS, 10) || 4000;
+// Nodes reject replacements that raise fees by less than 10%
+const GAS_BUMP_PERCENT = Math.max(
+  parseInt(process.env.TX_GAS_BUMP_PERCENT, 10) || 20,
+  10,
+);
+const MAX_FEE_PER_GAS = process.env.TX_MAX_FEE_PER_GAS_GWEI
+  ? ethers.parseUnits(process.env.TX_MAX_FEE_PER_GAS_GWEI, "gwei")
+  : null;
+const MAX_WAIT_MS =
+  parseInt(process.env.TX_MAX_WAIT_MS, 10) || 30 * 60 * 1000;
+// last_error of a transaction that cannot be replaced under the fee cap
+const FEE_CAP_REACHED = "Fee cap reached";
+
+/**
+ * Wait for a number of milliseconds
+ * @param {number} ms - Delay
+ * @returns {Promise<void>}
+ */
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Raise a fee by GAS_BUMP_PERCENT, to at least the current network fee
+ * @param {bigint} fee - Fee of the transaction being replaced
+ * @param {bigint|null} networkFee - Current network fee
+ * @returns {bigint} Replacement fee
+ */
+const bumpFee = (fee, networkFee) => {
+  const bumped = (fee * BigInt(100 + GAS_BUMP_PERCENT) + 99n) / 100n;
+  return networkFee && networkFee > bumped ? networkFee : bumped;
+};
+
+/**
+ * Create a managed sender for a wallet
+ * @param {Function} getWallet - Returns the ethers Wallet (connected to a provider)
+ * @param {object} network - Network from config/networks.js ({ chainId, confirmations })
+ * @returns {object} { sendTransaction, waitForTransaction, resumePending }
+ */
+const createTransactionManager = (getWallet, network) => {
+  let nextNonce = null;
+  let sendQueue = Promise.resolve();
+  // Transaction row ID -> promise of its receipt, shared by every waiter
+  const watchers = new Map();
+
+  /**
+   * Run sends one at a time
+   * @param {Function} task - Async function
+   * @returns {Promise<*>} Task result
+   */
+  const serialize = (task) => {
+    const run = sendQueue.then(task, task);
+    sendQueue = run.catch(() => {});
+    return run;
+  };
+
+  /**
+   * Next nonce for the wallet, resynced when unknown
+   * @param {object} wallet - ethers Wallet
+   * @returns {Promise<number>} Nonce
+   */
+  const reserveNonce = async (wallet) => {
+    if (nextNonce === null) {
+      const chainNonce = await wallet.provider.getTransactionCount(
+        wallet.address,
+        "pending",
+      );
+      const result = await database.query(
+        `SELECT MAX(nonce) AS nonce FROM chain_transactions
+         WHERE chain_id = $1 AND from_address = $2 AND status = 'pending'`,
+        [network.chainId, wallet.address.toLowerCase()],
+      );
+      const pendingNonce =
+        result.rows[0].nonce === null ? -1 : Number(result.rows[0].nonce);
+
+      nextNonce = Math.max(chainNonce, pendingNonce + 1);
+    }
+
+    return nextNonce++;
+  };
+
+  /**
+   * Whether a nonce is unused, i.e. the node's pending transaction count for
+   * the wallet has not reached it. A count that cannot be read proves nothing.
+   * @param {object} wallet - ethers Wallet
+   * @param {number} nonce - Nonce to check
+   * @returns {Promise<boolean>} True only if the nonce is known to be free
+   */
+  const isNonceUnused = async (wallet, nonce) => {
+    try {
+      const pendingCount = await wallet.provider.getTransactionCount(
+        wallet.address,
+        "pending",
+      );
+      return pendingCount <= nonce;
+    } catch (error) {
+      logger.warn(`Could not check nonce ${nonce}: ${error.message}`);
+      return false;
+    }
+  };
+
+  /**
+   * Load a transaction row
+   * @param {string} id - Row UUID
+   * @returns {Promise<object>} chain_transactions row
+   */
+  const loadRow = async (id) => {
+    const result = await database.query(
+      "SELECT * FROM chain_transactions WHERE id = $1",
+      [id],
+    );
+    return result.rows[0];
+  };
+
+  /**
+   * Receipt of the first of a row's hashes that was mined
+   * @param {object} wallet - ethers Wallet
+   * @param {object} row - chain_transactions row
+   * @returns {Promise<object|null>} ethers TransactionReceipt or null
+   */
+  const findReceipt = async (wallet, row) => {
+    for (const hash of [row.tx_hash, ...row.replaced_tx_hashes]) {
+      const receipt = await wallet.provider.getTransactionReceipt(hash);
+      if (receipt) {
+        return receipt;
+      }
+    }
+    return null;
+  };
+
+  /**
+   * Re-sign a stuck transaction with higher fees and broadcast it
+   * The replacement is recorded before it is broadcast.
+   * @param {object} wallet - ethers Wallet
+   * @param {object} row - Pending chain_transactions row
+   * @returns {Promise<void>}
+   */
+  const replaceTransaction = async (wallet, row) => {
+    const stuck = ethers.Transaction.from(row.raw_tx);
+    const feeData = await wallet.provider.getFeeData();
+
+    const request = {
+      type: stuck.type,
+      to: stuck.to,
+      data: stuck.data,
+      value: stuck.value,
+      gasLimit: stuck.gasLimit,
+      nonce: stuck.nonce,
+      chainId: stuck.chainId,
+    };
+
+    let oldFee;
+    let newFee;
+
+    if (stuck.type === 2) {
+      oldFee = stuck.maxFeePerGas;
+      newFee = bumpFee(stuck.maxFeePerGas, feeData.maxFeePerGas);
+      if (MAX_FEE_PER_GAS !== null && newFee > MAX_FEE_PER_GAS) {
+        newFee = MAX_FEE_PER_GAS;
+      }
+      request.maxFeePerGas = newFee;
+      request.maxPriorityFeePerGas = bumpFee(
+        stuck.maxPriorityFeePerGas,
+        feeData.maxPriorityFeePerGas,
+      );
+      if (request.maxPriorityFeePerGas > newFee) {
+        request.maxPriorityFeePerGas = newFee;
+      }
+    } else {
+      oldFee = stuck.gasPrice;
+      newFee = bumpFee(stuck.gasPrice, feeData.gasPrice);
+      if (MAX_FEE_PER_GAS !== null && newFee > MAX_FEE_PER_GAS) {
+        newFee = MAX_FEE_PER_GAS;
+      }
+      request.gasPrice = newFee;
+    }
+
+    if (newFee * 100n < oldFee * 110n) {
+      logger.warn(
+        `Transaction ${row.tx_hash} (nonce ${row.nonce}) is stuck but TX_MAX_FEE_PER_GAS_GWEI leaves no room to replace it`,
+      );
+      await database.query(
+        `UPDATE chain_transactions
+         SET sent_at = NOW(), last_error = $2
+         WHERE id = $1`,
+        [row.id, FEE_CAP_REACHED],
+      );
+      return;
+    }
+
+    const rawTx = await wallet.signTransaction(request);
+    const txHash = ethers.Transaction.from(rawTx).hash;
+
+    await database.query(
+      `UPDATE chain_transactions
+       SET tx_hash = $2, raw_tx = $3,
+           replaced_tx_hashes = array_append(replaced_tx_hashes, tx_hash),
+           replacements = replacements + 1, sent_at = NOW(), last_error = NULL
+       WHERE id = $1 AND status = 'pending'`,
+      [row.id, txHash, rawTx],
+    );
+
+    logger.warn(
+      `Transaction ${row.tx_hash} (nonce ${row.nonce}) stuck; replaced by ${txHash} at ${ethers.formatUnits(newFee, "gwei")} gwei`,
+    );
+
+    try {
+      await wallet.provider.broadcastTransaction(rawTx);
+    } catch (error) {
+      // The stuck transaction may have been mined meanwhile; the next poll sees it
+      logger.warn(`Replacement broadcast failed: ${error.message}`);
+    }
+  };
+
+  /**
+   * Poll a pending transaction until one of its hashes is mined,
+   * replacing it whenever it is stuck
+   * @param {string} id - Row UUID
+   * @returns {Promise<object>} ethers TransactionReceipt
+   */
+  const monitor = async (id) => {
+    const wallet = getWallet();
+
+    for (;;) {
+      const row = await loadRow(id);
+
+      if (row.status === "dropped") {
+        throw new Error(
+          `Nonce ${row.nonce} was used by a transaction not sent by this service`,
+        );
+      }
+
+      if (row.status !== "pending") {
+        return wallet.provider.getTransactionReceipt(row.mined_tx_hash);
+      }
+
+      // Read the nonce first: if it is used up, its receipt is already there
+      const minedNonce = await wallet.provider.getTransactionCount(
+        wallet.address,
+        "latest",
+      );
+      const receipt = await findReceipt(wallet, row);
+
+      if (receipt) {
+        const headBlock = await wallet.provider.getBlockNumber();
+        if (headBlock - receipt.blockNumber + 1 < network.confirmations) {
+          await sleep(POLL_INTERVAL_MS);
+          continue;
+        }
+
+        await database.query(
+          `UPDATE chain_transactions
+           SET status = $2, mined_tx_hash = $3, block_number = $4,
+               confirmed_at = NOW()
+           WHERE id = $1`,
+          [
+            id,
+            receipt.status === 1 ? "confirmed" : "reverted",
+            receipt.hash,
+            receipt.blockNumber,
+          ],
+        );
+        return receipt;
+      }
+
+      if (minedNonce > Number(row.nonce)) {
+        await database.query(
+          `UPDATE chain_transactions
+           SET status = 'dropped', last_error = 'Nonce used by another transaction'
+           WHERE id = $1`,
+          [id],
+        );
+        continue;
+      }
+
+      if (Date.now() - new Date(row.sent_at).getTime() >= STUCK_AFTER_MS) {
+        await replaceTransaction(wallet, row);
+      }
+
+      await sleep(POLL_INTERVAL_MS);
+    }
+  };
+
+  /**
+   * Wait for a transaction row, sharing one monitor between waiters
+   * @param {string} id - Row UUID
+   * @returns {Promise<object>} ethers TransactionReceipt
+   */
+  const watch = (id) => {
+    if (!watchers.has(id)) {
+      const receipt = monitor(id).finally(() => watchers.delete(id));
+      // A waiter that timed out must not leave the rejection unhandled
+      receipt.catch(() => {});
+      watchers.set(id, receipt);
+    }
+    return watchers.get(id);
+  };
+
+  /**
+   * Wait for a transaction row for at most timeoutMs
+   * Giving up leaves the transaction pending and its monitor running.
+   * @param {string} id - Row UUID
+   * @param {string} txHash - Hash reported in the error
+   * @param {number} timeoutMs - Maximum time to wait
+   * @returns {Promise<object>} ethers TransactionReceipt
+   */
+  const waitFor = async (id, txHash, timeoutMs) => {
+    const timedOut = Symbol("timedOut");
+    let timer;
+    const timeout = new Promise((resolve) => {
+      timer = setTimeout(() => resolve(timedOut), timeoutMs);
+    });
+
+    let receipt;
+    try {
+      receipt = await Promise.race([watch(id), timeout]);
+    } finally {
+      clearTimeout(timer);
+    }
+
+    if (receipt !== timedOut) {
+      return receipt;
+    }
+
+    const row = await loadRow(id);
+    if (row.last_error === FEE_CAP_REACHED) {
+      throw new Error(
+        `Transaction ${txHash} is still pending at the fee cap (TX_MAX_FEE_PER_GAS_GWEI)`,
+      );
+    }
+    throw new Error(`Timed out waiting for transaction ${txHash}`);
+  };
+
+  /**
+   * Sign, record and broadcast a transaction with the next nonce
+   * @param {object} txRequest - Unsigned request ({ to, data }, e.g. from populateTransaction)
+   * @returns {Promise<object>} { hash, wait() } where wait() resolves to the mined receipt,
+   *   or rejects after TX_MAX_WAIT_MS
+   */
+  const sendTransaction = (txRequest) =>
+    serialize(async () => {
+      const wallet = getWallet();
+
+      try {
+        const nonce = await reserveNonce(wallet);
+        const populated = await wallet.populateTransaction({
+          ...txRequest,
+          nonce,
+        });
+        const rawTx = await wallet.signTransaction(populated);
+        const txHash = ethers.Transaction.from(rawTx).hash;
+
+        const result = await database.query(
+          `INSERT INTO chain_transactions (
+            chain_id, from_address, nonce, tx_hash, raw_tx
+          )
+           VALUES ($1, $2, $3, $4, $5)
+           RETURNING id`,
+          [
+            network.chainId,
+            wallet.address.toLowerCase(),
+            nonce,
+            txHash,
+            rawTx,
+          ],
+        );
+        const id = result.rows[0].id;
+
+        try {
+          await wallet.provider.broadcastTransaction(rawTx);
+          logger.debug(`Transaction ${txHash} sent with nonce ${nonce}`);
+        } catch (broadcastError) {
+          if (await isNonceUnused(wallet, nonce)) {
+            // Never reached the network: free the nonce
+            await database.query(
+              "DELETE FROM chain_transactions WHERE id = $1",
+              [id],
+            );
+            throw broadcastError;
+          }
+
+          // It may be in flight; the monitor finds it mined, replaces it
+          // once stuck or marks the nonce used by another transaction
+          logger.warn(
+            `Broadcast of ${txHash} (nonce ${nonce}) failed, monitoring it: ${broadcastError.message}`,
+          );
+          await database.query(
+            "UPDATE chain_transactions SET last_error = $2 WHERE id = $1",
+            [id, broadcastError.message],
+          );
+        }
+
+        return {
+          hash: txHash,
+          wait: () => waitFor(id, txHash, MAX_WAIT_MS),
+        };
+      } catch (error) {
+        nextNonce = null;
+        throw error;
+      }
+    });
+
+  /**
+   * Wait for a transaction by any of its hashes
+   * Transactions the manager did not send are awaited on the provider.
+   * @param {string} txHash - Transaction hash (original or replacement)
+   * @param {number} timeoutMs - Maximum time to wait
+   * @returns {Promise<object>} ethers TransactionReceipt
+   */
+  const waitForTransaction = async (txHash, timeoutMs) => {
+    const wallet = getWallet();
+    const hash = txHash.toLowerCase();
+
+    const result = await database.query(
+      `SELECT id FROM chain_transactions
+       WHERE chain_id = $1
+         AND (tx_hash = $2 OR mined_tx_hash = $2 OR $2 = ANY(replaced_tx_hashes))
+       LIMIT 1`,
+      [network.chainId, hash],
+    );
+
+    if (result.rows.length === 0) {
+      return wallet.provider.waitForTransaction(
+        txHash,
+        network.confirmations,
+        timeoutMs,
+      );
+    }
+
+    return waitFor(result.rows[0].id, txHash, timeoutMs);
+  };
+
+  /**
+   * Resume monitoring the persisted pending transactions (after a restart)
+   * @returns {Promise<number>} Number of pending transactions resumed
+   */
+  const resumePending = async () => {
+    const wallet = getWallet();
+
+    const result = await database.query(
+      `SELECT id, tx_hash, nonce FROM chain_transactions
+       WHERE chain_id = $1 AND from_address = $2 AND status = 'pending'
+       ORDER BY nonce ASC`,
+      [network.chainId, wallet.address.toLowerCase()],
+    );
+
+    for (const row of result.rows) {
+      logger.info(
+        `Resuming pending transaction ${row.tx_hash} (nonce ${row.nonce})`,
+      );
+      watch(row.id).catch((error) => {
+        logger.error(`Pending transaction ${row.tx_hash} failed:`, {
+          message: error.message,
+        });
+      });
+    }
+
+    return result.rows.length;
+  };
+
+  return { sendTransaction, waitForTransaction, resumePending };
+};
+
+module.exports = { createTransactionManager };
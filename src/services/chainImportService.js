@@ -0,0 +1,568 @@
+const database = require("../config/database");
+const { findNetwork } = require("../config/networks");
+const blockchainService = require("./blockchainService");
+const { normalizeHash } = require("./verificationService");
+const { ENCRYPTION_SCHEMES } = require("../utils/fileEncryption");
+const logger = require("../utils/logger");
+
+/**
+ * Import a wallet's on-chain documents
+ *
+ * getUserDocuments lists every document the contract holds for a wallet,
+ * including ones anchored by another deployment of this service or by
+ * earlier tooling. Each one missing from the database gets its documents
+ * and document_versions rows rebuilt from the chain; documents already known
+ * get the versions they are missing. Notarizations (version 1 CID is
+ * NOTARIZATION_CID) become notarizations rows.
+ *
+ * The chain holds no key, so imported versions are recorded with the
+ * "imported" encryption scheme and no key payload: they verify and audit,
+ * but cannot be viewed, downloaded or shared through the server. Their
+ * transaction hash is taken from the indexer's drift records when it has
+ * seen the transaction, and is otherwise filled in by the indexer later.
+ * Documents and versions whose anchoring job has not committed yet (including
+ * a relay job whose user has not reported the transaction) are left to the
+ * job.
+ *
+ * Imports are queued in chain_imports and run by the job worker a page of
+ * CHAIN_IMPORT_PAGE_SIZE documents at a time. Titles longer than the title
+ * columns are truncated.
+ */
+
+// Documents imported per worker pass
+const PAGE_SIZE = parseInt(process.env.CHAIN_IMPORT_PAGE_SIZE, 10) || 20;
+const MAX_ATTEMPTS = parseInt(process.env.JOB_MAX_ATTEMPTS, 10) || 3;
+// An import locked for longer than this is assumed to belong to a dead worker
+const STALE_AFTER_MS =
+  parseInt(process.env.JOB_STALE_AFTER_MS, 10) || 10 * 60 * 1000;
+// documents.title and notarizations.title are VARCHAR(500)
+const MAX_TITLE_LENGTH = 500;
+
+const IMPORT_STATUS = {
+  IMPORTED: "imported",
+  UPDATED: "updated",
+  UNCHANGED: "unchanged",
+  SKIPPED: "skipped",
+};
+
+/**
+ * Fit an on-chain title into the title columns
+ * Counts characters (code points) like VARCHAR does.
+ * @param {string} title - On-chain title
+ * @returns {string} Title of at most MAX_TITLE_LENGTH characters
+ */
+const toStoredTitle = (title) => {
+  const characters = Array.from(title);
+  return characters.length > MAX_TITLE_LENGTH
+    ? characters.slice(0, MAX_TITLE_LENGTH).join("")
+    : title;
+};
+
+/**
+ * Get the file hashes of anchoring jobs that may still commit on a network
+ * @param {object} network - Network being imported
+ * @returns {Promise<Set<string>>} Normalized file hashes
+ */
+const getPendingFileHashes = async (network) => {
+  const result = await database.query(
+    `SELECT file_hash FROM anchor_jobs
+     WHERE status IN ('queued', 'processing', 'awaiting_authorization')
+       AND chain_id = $1 AND contract_address = $2`,
+    [network.chainId, network.contractAddress],
+  );
+
+  return new Set(result.rows.map((row) => normalizeHash(row.file_hash)));
+};
+
+/**
+ * Get transaction hashes the indexer recorded for records it found no row for
+ * A missing document's creating transaction also anchored its version 1.
+ * @param {object} network - Network being imported
+ * @param {string} blockchainDocumentId - On-chain document ID
+ * @returns {Promise<Map<number, string>>} Version number -> tx hash
+ */
+const getDriftTxHashes = async (network, blockchainDocumentId) => {
+  const result = await database.query(
+    `SELECT COALESCE(version_number, 1) AS version_number, tx_hash
+     FROM chain_drift
+     WHERE blockchain_document_id = $1
+       AND chain_id = $2 AND contract_address = $3
+       AND (drift_type = 'missing_document'
+            OR (drift_type = 'missing_version' AND version_number IS NOT NULL))`,
+    [blockchainDocumentId, network.chainId, network.contractAddress],
+  );
+
+  return new Map(
+    result.rows.map((row) => [row.version_number, row.tx_hash]),
+  );
+};
+
+/**
+ * Find the database record of an on-chain document
+ * @param {object} client - Database client
+ * @param {object} network - Network being imported
+ * @param {string} blockchainDocumentId - On-chain document ID
+ * @returns {Promise<object|null>} { type, id, user_id }, or null if unknown
+ */
+const findRecord = async (client, network, blockchainDocumentId) => {
+  const result = await client.query(
+    `SELECT 'document' AS type, id, user_id FROM documents
+     WHERE blockchain_document_id = $1 AND chain_id = $2 AND contract_address = $3
+     UNION ALL
+     SELECT 'notarization' AS type, id, user_id FROM notarizations
+     WHERE blockchain_document_id = $1 AND chain_id = $2 AND contract_address = $3`,
+    [blockchainDocumentId, network.chainId, network.contractAddress],
+  );
+
+  return result.rows[0] || null;
+};
+
+/**
+ * Insert version rows for on-chain versions the database is missing
+ * A version counts as recorded when its number or its CID and hash already
+ * exist. Stops at the first version whose anchoring job may still commit, so
+ * version numbers keep following on-chain order.
+ * @param {object} client - Database client inside a transaction
+ * @param {string} documentId - Document UUID
+ * @param {object} context - { network, blockchainDocumentId, versions, pendingHashes }
+ * @returns {Promise<number>} Number of versions imported
+ */
+const importVersions = async (client, documentId, context) => {
+  const { network, blockchainDocumentId, versions, pendingHashes } = context;
+
+  const existingResult = await client.query(
+    `SELECT version_number, ipfs_cid, file_hash FROM document_versions
+     WHERE document_id = $1`,
+    [documentId],
+  );
+  const existingNumbers = new Set(
+    existingResult.rows.map((row) => row.version_number),
+  );
+  const existingContent = new Set(
+    existingResult.rows.map(
+      (row) => `${row.ipfs_cid}:${normalizeHash(row.file_hash)}`,
+    ),
+  );
+  const driftTxHashes = await getDriftTxHashes(network, blockchainDocumentId);
+
+  let imported = 0;
+
+  for (const [index, version] of versions.entries()) {
+    const versionNumber = index + 1;
+    const fileHash = normalizeHash(version.fileHash);
+
+    if (
+      existingNumbers.has(versionNumber) ||
+      existingContent.has(`${version.cid}:${fileHash}`)
+    ) {
+      continue;
+    }
+
+    if (pendingHashes.has(fileHash)) {
+      break;
+    }
+
+    const result = await client.query(
+      `INSERT INTO document_versions (
+        document_id, version_number, ipfs_cid, file_hash, blockchain_tx_hash,
+        encrypted_key_payload, encryption_scheme, chain_id, contract_address,
+        created_at
+      )
+       VALUES ($1, $2, $3, $4, $5, NULL, $6, $7, $8, to_timestamp($9))
+       ON CONFLICT (document_id, version_number) DO NOTHING`,
+      [
+        documentId,
+        versionNumber,
+        version.cid,
+        fileHash,
+        driftTxHashes.get(versionNumber) || null,
+        ENCRYPTION_SCHEMES.IMPORTED,
+        network.chainId,
+        network.contractAddress,
+        version.timestamp,
+      ],
+    );
+    imported += result.rowCount;
+  }
+
+  return imported;
+};
+
+/**
+ * Import one on-chain document, or its missing versions
+ * @param {object} user - { id, wallet_address }
+ * @param {object} network - Network being imported
+ * @param {string} blockchainDocumentId - On-chain document ID
+ * @param {Set<string>} pendingHashes - File hashes of uncommitted anchoring jobs
+ * @returns {Promise<object>} Import result for the document
+ */
+const importDocument = async (
+  user,
+  network,
+  blockchainDocumentId,
+  pendingHashes,
+) => {
+  const [chainDocument, versions] = await Promise.all([
+    blockchainService.getDocument(blockchainDocumentId, network),
+    blockchainService.getVersions(blockchainDocumentId, network),
+  ]);
+  const isNotarization =
+    versions[0] && versions[0].cid === blockchainService.NOTARIZATION_CID;
+  const title = toStoredTitle(chainDocument.title);
+
+  const result = {
+    type: isNotarization ? "notarization" : "document",
+    blockchainDocumentId,
+    id: null,
+    title,
+    titleTruncated: title !== chainDocument.title,
+    status: IMPORT_STATUS.UNCHANGED,
+    versionsImported: 0,
+    reason: null,
+  };
+
+  const client = await database.getClient();
+
+  try {
+    await client.query("BEGIN");
+
+    // Imports of the same wallet run one at a time
+    await client.query("SELECT id FROM users WHERE id = $1 FOR UPDATE", [
+      user.id,
+    ]);
+
+    const record = await findRecord(client, network, blockchainDocumentId);
+
+    if (record && record.user_id === user.id) {
+      result.type = record.type;
+      result.id = record.id;
+    }
+
+    if (record && record.user_id !== user.id) {
+      result.status = IMPORT_STATUS.SKIPPED;
+      result.reason = "Already recorded for another user";
+    } else if (versions.length === 0) {
+      result.status = IMPORT_STATUS.SKIPPED;
+      result.reason = "Document has no versions";
+    } else if (
+      !record &&
+      pendingHashes.has(normalizeHash(versions[0].fileHash))
+    ) {
+      result.status = IMPORT_STATUS.SKIPPED;
+      result.reason = "An anchoring job for this document has not committed yet";
+    } else if (!record && isNotarization) {
+      const driftTxHashes = await getDriftTxHashes(
+        network,
+        blockchainDocumentId,
+      );
+      const insertResult = await client.query(
+        `INSERT INTO notarizations (
+          user_id, title, file_hash, blockchain_document_id, blockchain_tx_hash,
+          chain_id, contract_address, created_at
+        )
+         VALUES ($1, $2, $3, $4, $5, $6, $7, to_timestamp($8))
+         RETURNING id`,
+        [
+          user.id,
+          title,
+          normalizeHash(versions[0].fileHash),
+          blockchainDocumentId,
+          driftTxHashes.get(1) || null,
+          network.chainId,
+          network.contractAddress,
+          versions[0].timestamp,
+        ],
+      );
+      result.id = insertResult.rows[0].id;
+      result.status = IMPORT_STATUS.IMPORTED;
+    } else if (!record || record.type === "document") {
+      if (!record) {
+        const insertResult = await client.query(
+          `INSERT INTO documents (
+            user_id, blockchain_document_id, title, chain_id, contract_address,
+            created_at
+          )
+           VALUES ($1, $2, $3, $4, $5, to_timestamp($6))
+           RETURNING id`,
+          [
+            user.id,
+            blockchainDocumentId,
+            title,
+            network.chainId,
+            network.contractAddress,
+            versions[0].timestamp,
+          ],
+        );
+        result.id = insertResult.rows[0].id;
+      }
+
+      result.versionsImported = await importVersions(client, result.id, {
+        network,
+        blockchainDocumentId,
+        versions,
+        pendingHashes,
+      });
+
+      if (!record) {
+        result.status = IMPORT_STATUS.IMPORTED;
+      } else if (result.versionsImported > 0) {
+        result.status = IMPORT_STATUS.UPDATED;
+      }
+    }
+
+    await client.query("COMMIT");
+  } catch (dbError) {
+    try {
+      await client.query("ROLLBACK");
+    } catch (rollbackError) {
+      logger.error("Rollback error:", {
+        message: rollbackError.message,
+      });
+    }
+    throw dbError;
+  } finally {
+    client.release();
+  }
+
+  return result;
+};
+
+/**
+ * Queue an import of the documents the contract holds for a user's wallet
+ * A wallet has at most one unfinished import per network; asking again
+ * returns that import.
+ * @param {object} user - { id }
+ * @param {object} network - Network to import from
+ * @returns {Promise<object>} chain_imports row
+ */
+const enqueueImport = async (user, network) => {
+  const result = await database.query(
+    `INSERT INTO chain_imports (user_id, chain_id, contract_address)
+     VALUES ($1, $2, $3)
+     ON CONFLICT (user_id, chain_id, contract_address)
+       WHERE status IN ('queued', 'processing')
+     DO NOTHING
+     RETURNING *`,
+    [user.id, network.chainId, network.contractAddress],
+  );
+
+  if (result.rows.length > 0) {
+    logger.info(
+      `Chain import ${result.rows[0].id} queued for user ${user.id} on ${network.name}`,
+    );
+    return result.rows[0];
+  }
+
+  const existing = await database.query(
+    `SELECT * FROM chain_imports
+     WHERE user_id = $1 AND chain_id = $2 AND contract_address = $3
+       AND status IN ('queued', 'processing')`,
+    [user.id, network.chainId, network.contractAddress],
+  );
+
+  return existing.rows[0];
+};
+
+/**
+ * Get a chain import by ID
+ * @param {string} importId - chain_imports UUID
+ * @returns {Promise<object|null>} chain_imports row or null if not found
+ */
+const getImport = async (importId) => {
+  const result = await database.query(
+    "SELECT * FROM chain_imports WHERE id = $1",
+    [importId],
+  );
+
+  return result.rows[0] || null;
+};
+
+/**
+ * Claim the next import with documents left to import
+ * Imports locked for longer than STALE_AFTER_MS belong to a dead worker and
+ * are claimed again.
+ * @returns {Promise<object|null>} Claimed chain_imports row or null
+ */
+const claimNextImport = async () => {
+  const result = await database.query(
+    `UPDATE chain_imports
+     SET status = 'processing', locked_at = NOW(), attempts = attempts + 1,
+         updated_at = NOW()
+     WHERE id = (
+       SELECT id FROM chain_imports
+       WHERE status = 'queued'
+          OR (status = 'processing'
+              AND locked_at < NOW() - ($1 * INTERVAL '1 millisecond'))
+       ORDER BY updated_at ASC
+       LIMIT 1
+       FOR UPDATE SKIP LOCKED
+     )
+     RETURNING *`,
+    [STALE_AFTER_MS],
+  );
+
+  return result.rows[0] || null;
+};
+
+/**
+ * Import the next page of a claimed import
+ * The wallet's document IDs are listed once, on the first page. Each page
+ * imports up to PAGE_SIZE documents and records their results, so the
+ * import resumes after the last committed page.
+ * @param {object} chainImport - Claimed chain_imports row
+ * @returns {Promise<void>}
+ */
+const processImportPage = async (chainImport) => {
+  const network = findNetwork(
+    chainImport.chain_id,
+    chainImport.contract_address,
+  );
+  if (!network) {
+    throw new Error(
+      `Network of chain ${chainImport.chain_id} contract ${chainImport.contract_address} is not configured`,
+    );
+  }
+
+  const userResult = await database.query(
+    "SELECT id, wallet_address FROM users WHERE id = $1",
+    [chainImport.user_id],
+  );
+  const user = userResult.rows[0];
+
+  let documentIds = chainImport.document_ids;
+  if (!documentIds) {
+    documentIds = (
+      await blockchainService.getUserDocuments(user.wallet_address, network)
+    ).map(String);
+    await database.query(
+      "UPDATE chain_imports SET document_ids = $2 WHERE id = $1",
+      [chainImport.id, JSON.stringify(documentIds)],
+    );
+  }
+
+  const pendingHashes = await getPendingFileHashes(network);
+  const page = documentIds.slice(
+    chainImport.next_index,
+    chainImport.next_index + PAGE_SIZE,
+  );
+  const results = [];
+
+  for (const blockchainDocumentId of page) {
+    results.push(
+      await importDocument(user, network, blockchainDocumentId, pendingHashes),
+    );
+  }
+
+  const nextIndex = chainImport.next_index + page.length;
+  const done = nextIndex >= documentIds.length;
+
+  await database.query(
+    `UPDATE chain_imports
+     SET results = results || $2::jsonb, next_index = $3,
+         status = $4, attempts = 0, last_error = NULL, locked_at = NULL,
+         completed_at = CASE WHEN $4 = 'completed' THEN NOW() END,
+         updated_at = NOW()
+     WHERE id = $1`,
+    [
+      chainImport.id,
+      JSON.stringify(results),
+      nextIndex,
+      done ? "completed" : "queued",
+    ],
+  );
+
+  if (done) {
+    const all = [...chainImport.results, ...results];
+    const count = (status) =>
+      all.filter((result) => result.status === status).length;
+    logger.info(
+      `Chain import ${chainImport.id} for user ${user.id} on ${network.name}: ${count(IMPORT_STATUS.IMPORTED)} imported, ${count(IMPORT_STATUS.UPDATED)} updated, ${count(IMPORT_STATUS.SKIPPED)} skipped`,
+    );
+  }
+};
+
+/**
+ * Record a failed page; the import is retried until MAX_ATTEMPTS
+ * @param {object} chainImport - Claimed chain_imports row
+ * @param {Error|object} error - Failure
+ * @returns {Promise<void>}
+ */
+const failImportPage = async (chainImport, error) => {
+  const reason = error.error
+    ? `${error.message}: ${error.error}`
+    : error.message || String(error);
+  const willRetry = chainImport.attempts < MAX_ATTEMPTS;
+
+  await database.query(
+    `UPDATE chain_imports
+     SET status = $2, last_error = $3, locked_at = NULL, updated_at = NOW()
+     WHERE id = $1`,
+    [chainImport.id, willRetry ? "queued" : "failed", reason],
+  );
+
+  logger.error(
+    `Chain import ${chainImport.id} failed (attempt ${chainImport.attempts}/${MAX_ATTEMPTS})`,
+    { message: reason },
+  );
+};
+
+/**
+ * Import one page of the import that waited longest
+ * Run by the job worker (anchorJobService.runWorkerOnce) on every pass. A
+ * large wallet is imported over several passes and imports take turns, so
+ * none holds the worker for long.
+ * @returns {Promise<void>}
+ */
+const runImportsOnce = async () => {
+  const chainImport = await claimNextImport();
+  if (!chainImport) {
+    return;
+  }
+
+  try {
+    await processImportPage(chainImport);
+  } catch (error) {
+    await failImportPage(chainImport, error);
+  }
+};
+
+/**
+ * Format a chain import for API responses
+ * @param {object} chainImport - chain_imports row
+ * @returns {object} Import status with per-document results
+ */
+const formatImport = (chainImport) => {
+  const network = findNetwork(
+    chainImport.chain_id,
+    chainImport.contract_address,
+  );
+  const count = (status) =>
+    chainImport.results.filter((result) => result.status === status).length;
+
+  return {
+    id: chainImport.id,
+    status: chainImport.status,
+    network: network ? network.name : null,
+    chainId: chainImport.chain_id,
+    contractAddress: chainImport.contract_address,
+    total: chainImport.document_ids ? chainImport.document_ids.length : null,
+    processed: chainImport.next_index,
+    imported: count(IMPORT_STATUS.IMPORTED),
+    updated: count(IMPORT_STATUS.UPDATED),
+    unchanged: count(IMPORT_STATUS.UNCHANGED),
+    skipped: count(IMPORT_STATUS.SKIPPED),
+    documents: chainImport.results,
+    error: chainImport.last_error,
+    createdAt: chainImport.created_at,
+    updatedAt: chainImport.updated_at,
+    completedAt: chainImport.completed_at,
+  };
+};
+
+module.exports = {
+  IMPORT_STATUS,
+  enqueueImport,
+  getImport,
+  runImportsOnce,
+  formatImport,
+};
@@ -0,0 +1,541 @@
+const database = require("../config/database");
+const { NETWORKS, LEGACY_NETWORK } = require("../config/networks");
+const blockchainService = require("./blockchainService");
+const { normalizeHash } = require("./verificationService");
+const { ENCRYPTION_SCHEMES } = require("../utils/fileEncryption");
+const logger = require("../utils/logger");
+
+const POLL_INTERVAL_MS =
+  parseInt(process.env.INDEXER_POLL_INTERVAL_MS, 10) || 15000;
+const BLOCK_RANGE = parseInt(process.env.INDEXER_BLOCK_RANGE, 10) || 2000;
+// Blocks to lag behind the head so reorgs and in-flight DB commits settle
+// (at least the network's confirmations)
+const CONFIRMATIONS = Number.isInteger(
+  parseInt(process.env.INDEXER_CONFIRMATIONS, 10),
+)
+  ? parseInt(process.env.INDEXER_CONFIRMATIONS, 10)
+  : 5;
+
+let timer = null;
+let running = false;
+
+/**
+ * Cursor key for a network's contract
+ * @param {object} network - Network being indexed
+ * @returns {string} "<chainId>:<lowercased contract address>"
+ */
+const getCursorKey = (network) => {
+  return `${network.chainId}:${network.contractAddress}`;
+};
+
+/**
+ * Get the last processed block of a network
+ * The legacy network also picks up the cursor stored before networks were
+ * recorded (keyed by contract address alone). Falls back to
+ * INDEXER_START_BLOCK, or the current head when unset.
+ * @param {object} network - Network being indexed
+ * @param {number} headBlock - Latest confirmed block
+ * @returns {Promise<number>} Last processed block
+ */
+const getCursor = async (network, headBlock) => {
+  const cursorKey = getCursorKey(network);
+  const legacyKey =
+    network === LEGACY_NETWORK ? network.contractAddress : cursorKey;
+
+  const result = await database.query(
+    `SELECT last_block FROM chain_sync_state
+     WHERE contract_address IN ($1, $2)
+     ORDER BY contract_address = $1 DESC
+     LIMIT 1`,
+    [cursorKey, legacyKey],
+  );
+
+  if (result.rows.length > 0) {
+    return parseInt(result.rows[0].last_block, 10);
+  }
+
+  const startBlock = parseInt(process.env.INDEXER_START_BLOCK, 10);
+  if (Number.isInteger(startBlock)) {
+    return startBlock - 1;
+  }
+
+  logger.warn(
+    `INDEXER_START_BLOCK not set. Indexing ${network.name} from current block ${headBlock}; earlier events will not be reconciled.`,
+  );
+  return headBlock;
+};
+
+/**
+ * Persist the last processed block of a network
+ * @param {object} network - Network being indexed
+ * @param {number} blockNumber - Last processed block
+ * @returns {Promise<void>}
+ */
+const setCursor = async (network, blockNumber) => {
+  await database.query(
+    `INSERT INTO chain_sync_state (contract_address, last_block, updated_at)
+     VALUES ($1, $2, NOW())
+     ON CONFLICT (contract_address)
+     DO UPDATE SET last_block = $2, updated_at = NOW()`,
+    [getCursorKey(network), blockNumber],
+  );
+};
+
+/**
+ * Record drift for an event (idempotent per event and drift type)
+ * @param {object} network - Network the event was emitted on
+ * @param {object} event - Parsed contract event
+ * @param {string} driftType - missing_document | missing_version | mismatch
+ * @param {object} options - { status, versionNumber, details }
+ * @returns {Promise<void>}
+ */
+const recordDrift = async (network, event, driftType, options = {}) => {
+  const { status = "open", versionNumber = null, details = null } = options;
+
+  const result = await database.query(
+    `INSERT INTO chain_drift (
+      drift_type, status, event_name, blockchain_document_id, version_number,
+      owner_address, title, ipfs_cid, file_hash, tx_hash, block_number,
+      log_index, details, chain_id, contract_address, resolved_at
+    )
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15,
+      CASE WHEN $2 = 'open' THEN NULL ELSE NOW() END)
+    ON CONFLICT (tx_hash, log_index, drift_type) DO NOTHING
+    RETURNING id`,
+    [
+      driftType,
+      status,
+      event.name,
+      event.documentId,
+      versionNumber,
+      event.owner ? event.owner.toLowerCase() : null,
+      event.title,
+      event.cid,
+      event.fileHash ? normalizeHash(event.fileHash) : null,
+      event.txHash,
+      event.blockNumber,
+      event.logIndex,
+      details,
+      network.chainId,
+      network.contractAddress,
+    ],
+  );
+
+  if (result.rows.length > 0) {
+    logger.warn(
+      `Chain drift (${driftType}, ${status}): ${event.name} for document ${event.documentId} on ${network.name} in tx ${event.txHash}`,
+    );
+  }
+};
+
+/**
+ * Find the on-chain version number of a VersionAdded event
+ * @param {object} network - Network the event was emitted on
+ * @param {object} event - Parsed VersionAdded event
+ * @returns {Promise<number|null>} 1-based version number
+ */
+const findVersionNumber = async (network, event) => {
+  const versions = await blockchainService.getVersions(
+    event.documentId,
+    network,
+  );
+  const index = versions.findIndex(
+    (version) =>
+      version.cid === event.cid &&
+      normalizeHash(version.fileHash) === normalizeHash(event.fileHash),
+  );
+
+  return index === -1 ? null : index + 1;
+};
+
+/**
+ * Give an imported version the transaction hash of its event
+ * Versions imported from the chain (see chainImportService.js) may have been
+ * created without one.
+ * @param {object} network - Network the event was emitted on
+ * @param {object} event - Parsed DocumentCreated or VersionAdded event
+ * @param {number|null} versionNumber - 1-based on-chain version number
+ * @returns {Promise<boolean>} True if an imported version took the hash
+ */
+const claimImportedVersion = async (network, event, versionNumber) => {
+  if (!versionNumber) {
+    return false;
+  }
+
+  const result = await database.query(
+    `UPDATE document_versions dv
+     SET blockchain_tx_hash = $1
+     FROM documents d
+     WHERE d.id = dv.document_id
+       AND d.blockchain_document_id = $2
+       AND d.chain_id = $3 AND d.contract_address = $4
+       AND dv.version_number = $5
+       AND dv.encryption_scheme = $6
+       AND dv.blockchain_tx_hash IS NULL`,
+    [
+      event.txHash.toLowerCase(),
+      event.documentId,
+      network.chainId,
+      network.contractAddress,
+      versionNumber,
+      ENCRYPTION_SCHEMES.IMPORTED,
+    ],
+  );
+
+  return result.rowCount > 0;
+};
+
+/**
+ * Backfill a notarization whose DocumentCreated event has no notarizations row
+ * Everything a notarization stores is on-chain, so the row can be rebuilt
+ * when the owner wallet belongs to a known user.
+ * @param {object} network - Network the event was emitted on
+ * @param {object} event - Parsed DocumentCreated event
+ * @param {object} version - On-chain version 1 ({ cid, fileHash, timestamp })
+ * @returns {Promise<void>}
+ */
+const backfillNotarization = async (network, event, version) => {
+  const userResult = await database.query(
+    "SELECT id FROM users WHERE wallet_address = $1",
+    [event.owner.toLowerCase()],
+  );
+
+  if (userResult.rows.length === 0) {
+    await recordDrift(network, event, "missing_document", {
+      details: "Notarization owner wallet does not belong to a known user",
+    });
+    return;
+  }
+
+  await database.query(
+    `INSERT INTO notarizations (
+      user_id, title, file_hash, blockchain_document_id, blockchain_tx_hash,
+      chain_id, contract_address, block_number
+    )
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
+    [
+      userResult.rows[0].id,
+      event.title,
+      normalizeHash(version.fileHash),
+      event.documentId,
+      event.txHash.toLowerCase(),
+      network.chainId,
+      network.contractAddress,
+      event.blockNumber,
+    ],
+  );
+  await recordDrift(network, event, "missing_document", {
+    status: "backfilled",
+    details: "Notarization row backfilled from DocumentCreated event",
+  });
+};
+
+/**
+ * Reconcile a DocumentCreated event against the documents table
+ * Backfills the documents row when the owner wallet belongs to a known user.
+ * Version rows cannot be backfilled because the encrypted key payload is lost.
+ * Notarizations (version 1 CID is NOTARIZATION_CID) are reconciled against
+ * the notarizations table and Merkle batch roots (MERKLE_ROOT_CID) against
+ * anchor_batches instead. Rows are matched on the event's network. Imported
+ * records without a transaction hash take the event's.
+ * @param {object} network - Network the event was emitted on
+ * @param {object} event - Parsed DocumentCreated event
+ * @returns {Promise<void>}
+ */
+const reconcileDocumentCreated = async (network, event) => {
+  // Imported notarizations may have been created without their hash
+  await database.query(
+    `UPDATE notarizations SET blockchain_tx_hash = $1
+     WHERE blockchain_document_id = $2 AND chain_id = $3 AND contract_address = $4
+       AND blockchain_tx_hash IS NULL`,
+    [
+      event.txHash.toLowerCase(),
+      event.documentId,
+      network.chainId,
+      network.contractAddress,
+    ],
+  );
+
+  const knownResult = await database.query(
+    `SELECT id FROM notarizations
+     WHERE blockchain_document_id = $1 AND chain_id = $2 AND contract_address = $3
+     UNION ALL
+     SELECT id FROM anchor_batches
+     WHERE blockchain_document_id = $1 AND chain_id = $2 AND contract_address = $3`,
+    [event.documentId, network.chainId, network.contractAddress],
+  );
+
+  if (knownResult.rows.length > 0) {
+    return;
+  }
+
+  const docResult = await database.query(
+    `SELECT id FROM documents
+     WHERE blockchain_document_id = $1 AND chain_id = $2 AND contract_address = $3`,
+    [event.documentId, network.chainId, network.contractAddress],
+  );
+
+  if (docResult.rows.length === 0) {
+    const [firstVersion] = await blockchainService.getVersions(
+      event.documentId,
+      network,
+    );
+
+    if (
+      firstVersion &&
+      firstVersion.cid === blockchainService.NOTARIZATION_CID
+    ) {
+      await backfillNotarization(network, event, firstVersion);
+      return;
+    }
+
+    // Inclusion proofs only exist in the database, so a batch cannot be backfilled
+    if (
+      firstVersion &&
+      firstVersion.cid === blockchainService.MERKLE_ROOT_CID
+    ) {
+      await recordDrift(network, event, "missing_document", {
+        details: "Merkle root with no anchor_batches row",
+      });
+      return;
+    }
+
+    const userResult = await database.query(
+      "SELECT id FROM users WHERE wallet_address = $1",
+      [event.owner.toLowerCase()],
+    );
+
+    if (userResult.rows.length === 0) {
+      await recordDrift(network, event, "missing_document", {
+        details: "Owner wallet does not belong to a known user",
+      });
+    } else {
+      await database.query(
+        `INSERT INTO documents (
+          user_id, blockchain_document_id, title, chain_id, contract_address
+        )
+         VALUES ($1, $2, $3, $4, $5)`,
+        [
+          userResult.rows[0].id,
+          event.documentId,
+          event.title,
+          network.chainId,
+          network.contractAddress,
+        ],
+      );
+      await recordDrift(network, event, "missing_document", {
+        status: "backfilled",
+        details: "Document row backfilled from DocumentCreated event",
+      });
+    }
+  }
+
+  // createDocument anchors version 1 in the same transaction
+  const versionResult = await database.query(
+    "SELECT id FROM document_versions WHERE blockchain_tx_hash = $1",
+    [event.txHash.toLowerCase()],
+  );
+
+  if (
+    versionResult.rows.length === 0 &&
+    !(await claimImportedVersion(network, event, 1))
+  ) {
+    await recordDrift(network, event, "missing_version", {
+      versionNumber: 1,
+      details: "No document_versions row for the creating transaction",
+    });
+  }
+};
+
+/**
+ * Reconcile a VersionAdded event against the document_versions table
+ * An imported version without a transaction hash takes the event's.
+ * @param {object} network - Network the event was emitted on
+ * @param {object} event - Parsed VersionAdded event
+ * @returns {Promise<void>}
+ */
+const reconcileVersionAdded = async (network, event) => {
+  const versionResult = await database.query(
+    `SELECT ipfs_cid, file_hash FROM document_versions
+     WHERE blockchain_tx_hash = $1`,
+    [event.txHash.toLowerCase()],
+  );
+
+  if (versionResult.rows.length === 0) {
+    const versionNumber = await findVersionNumber(network, event);
+
+    if (!(await claimImportedVersion(network, event, versionNumber))) {
+      await recordDrift(network, event, "missing_version", {
+        versionNumber,
+        details: "No document_versions row for the transaction",
+      });
+    }
+    return;
+  }
+
+  const version = versionResult.rows[0];
+
+  if (
+    version.ipfs_cid !== event.cid ||
+    normalizeHash(version.file_hash) !== normalizeHash(event.fileHash)
+  ) {
+    await recordDrift(network, event, "mismatch", {
+      details: `Database has CID ${version.ipfs_cid} and hash ${version.file_hash}`,
+    });
+  }
+};
+
+/**
+ * Mark open drift as resolved once the missing rows exist
+ * @returns {Promise<void>}
+ */
+const resolveDrift = async () => {
+  const result = await database.query(
+    `UPDATE chain_drift cd
+     SET status = 'resolved', resolved_at = NOW()
+     WHERE cd.status = 'open'
+       AND (
+         (cd.drift_type = 'missing_document' AND (
+           EXISTS (
+             SELECT 1 FROM documents d
+             WHERE d.blockchain_document_id = cd.blockchain_document_id
+               AND d.chain_id = cd.chain_id
+               AND d.contract_address = cd.contract_address
+           )
+           OR EXISTS (
+             SELECT 1 FROM notarizations n
+             WHERE n.blockchain_document_id = cd.blockchain_document_id
+               AND n.chain_id = cd.chain_id
+               AND n.contract_address = cd.contract_address
+           )
+           OR EXISTS (
+             SELECT 1 FROM anchor_batches b
+             WHERE b.blockchain_document_id = cd.blockchain_document_id
+               AND b.chain_id = cd.chain_id
+               AND b.contract_address = cd.contract_address
+           )
+         ))
+         OR (cd.drift_type = 'missing_version' AND EXISTS (
+           SELECT 1 FROM document_versions dv
+           WHERE dv.blockchain_tx_hash = cd.tx_hash
+         ))
+       )`,
+  );
+
+  if (result.rowCount > 0) {
+    logger.info(`Resolved ${result.rowCount} chain drift record(s)`);
+  }
+};
+
+/**
+ * Process a network's confirmed blocks since its cursor, one range at a time
+ * @param {object} network - Network to index
+ * @returns {Promise<void>}
+ */
+const indexNetwork = async (network) => {
+  const latestBlock = await blockchainService.getBlockNumber(network);
+  const headBlock =
+    latestBlock - Math.max(CONFIRMATIONS, network.confirmations);
+  let cursor = await getCursor(network, headBlock);
+
+  while (cursor < headBlock) {
+    const fromBlock = cursor + 1;
+    const toBlock = Math.min(fromBlock + BLOCK_RANGE - 1, headBlock);
+
+    const events = await blockchainService.getContractEvents(
+      fromBlock,
+      toBlock,
+      network,
+    );
+
+    for (const event of events) {
+      if (event.name === "DocumentCreated") {
+        await reconcileDocumentCreated(network, event);
+      } else {
+        await reconcileVersionAdded(network, event);
+      }
+    }
+
+    await setCursor(network, toBlock);
+    cursor = toBlock;
+
+    logger.debug(
+      `Indexed ${network.name} blocks ${fromBlock}-${toBlock} (${events.length} events)`,
+    );
+  }
+};
+
+/**
+ * Index every configured network, then resolve drift
+ * A network that cannot be reached is logged and retried on the next pass.
+ * @returns {Promise<void>}
+ */
+const runIndexerOnce = async () => {
+  for (const network of NETWORKS) {
+    try {
+      await indexNetwork(network);
+    } catch (error) {
+      logger.error(`Chain indexer error on ${network.name}:`, {
+        message: error.message || error.error,
+      });
+    }
+  }
+
+  await resolveDrift();
+};
+
+/**
+ * Run one indexer pass and schedule the next
+ * @returns {Promise<void>}
+ */
+const tick = async () => {
+  if (running) {
+    return;
+  }
+
+  running = true;
+  try {
+    await runIndexerOnce();
+  } catch (error) {
+    logger.error("Chain indexer error:", {
+      message: error.message || error.error,
+    });
+  } finally {
+    running = false;
+    if (timer) {
+      timer = setTimeout(tick, POLL_INTERVAL_MS);
+    }
+  }
+};
+
+/**
+ * Start the background chain indexer
+ * @returns {void}
+ */
+const startIndexer = () => {
+  if (timer) {
+    return;
+  }
+
+  logger.info(
+    `Chain indexer started (interval: ${POLL_INTERVAL_MS}ms, confirmations: ${CONFIRMATIONS})`,
+  );
+  timer = setTimeout(tick, 0);
+};
+
+/**
+ * Stop the background chain indexer
+ * @returns {void}
+ */
+const stopIndexer = () => {
+  if (timer) {
+    clearTimeout(timer);
+    timer = null;
+  }
+};
+
+module.exports = {
+  runIndexerOnce,
+  startIndexer,
+  stopIndexer,
+};
@@ -0,0 +1,235 @@
+const { pipeline, Readable } = require("stream");
+const database = require("../config/database");
+const storageService = require("./storageService");
+const {
+  ENCRYPTION_SCHEMES,
+  STREAM_HEADER_LENGTH,
+  createDecryptStream,
+  createRangeDecryptStream,
+  getEncryptedRange,
+  decryptFile,
+} = require("../utils/fileEncryption");
+const logger = require("../utils/logger");
+
+/**
+ * Retrieve a stored object (or a byte range of it) as a stream
+ * @param {string} cid - Storage CID
+ * @param {object} range - Optional { start, end } inclusive byte offsets
+ * @returns {Promise<Readable>} Encrypted content
+ * @throws {{status: number, message: string}} When the object cannot be retrieved
+ */
+const getStoredStream = async (cid, range = null) => {
+  try {
+    return await storageService.getStream(cid, range);
+  } catch (error) {
+    logger.error("Failed to retrieve file from storage:", {
+      message: error.error || error.message,
+    });
+    throw {
+      status: 500,
+      message: "Failed to retrieve document from storage",
+    };
+  }
+};
+
+/**
+ * Read the chunked format header of a stored object
+ * @param {string} cid - Storage CID
+ * @returns {Promise<Buffer>} Header bytes
+ * @throws {{status: number, message: string}} When the object cannot be retrieved
+ */
+const readStoredHeader = async (cid) => {
+  const stream = await getStoredStream(cid, {
+    start: 0,
+    end: STREAM_HEADER_LENGTH - 1,
+  });
+
+  try {
+    const chunks = [];
+    for await (const chunk of stream) {
+      chunks.push(chunk);
+    }
+    return Buffer.concat(chunks);
+  } catch (error) {
+    logger.error("Failed to retrieve file from storage:", {
+      message: error.message,
+    });
+    throw {
+      status: 500,
+      message: "Failed to retrieve document from storage",
+    };
+  }
+};
+
+/**
+ * Open a streamed version, or a byte range of it, for decryption
+ * A range only fetches and decrypts the chunks that cover it.
+ * @param {object} version - document_versions row
+ * @param {number} fileSize - Plaintext size in bytes
+ * @param {object|null} range - Optional { start, end } inclusive plaintext byte offsets
+ * @returns {Promise<Readable>} Plaintext stream
+ * @throws {{status: number, message: string}} When the object cannot be retrieved or decrypted
+ */
+const openStreamedContent = async (
+  { ipfs_cid, encrypted_key_payload },
+  fileSize,
+  range,
+) => {
+  const header = range ? await readStoredHeader(ipfs_cid) : null;
+
+  let decryptStream;
+  let encryptedRange = null;
+  try {
+    if (range) {
+      encryptedRange = getEncryptedRange(header, fileSize, range);
+      decryptStream = await createRangeDecryptStream(
+        encrypted_key_payload,
+        { header, plaintextSize: fileSize, range },
+      );
+    } else {
+      decryptStream = await createDecryptStream(encrypted_key_payload);
+    }
+  } catch (error) {
+    logger.error("Decryption failed:", { message: error.message });
+    throw {
+      status: 500,
+      message: "Failed to decrypt document",
+    };
+  }
+
+  const storedStream = await getStoredStream(ipfs_cid, encryptedRange);
+
+  // Storage and authentication errors surface on the returned stream
+  return pipeline(storedStream, decryptStream, () => {});
+};
+
+/**
+ * Open a whole-file encrypted version, which must be decrypted in memory
+ * @param {object} version - document_versions row
+ * @returns {Promise<Buffer>} Decrypted content
+ * @throws {{status: number, message: string}} When the object cannot be retrieved or decrypted
+ */
+const readWholeFileContent = async ({ ipfs_cid, encrypted_key_payload }) => {
+  let encryptedFileBuffer;
+  try {
+    encryptedFileBuffer = await storageService.get(ipfs_cid);
+  } catch (error) {
+    logger.error("Failed to retrieve file from storage:", {
+      message: error.error || error.message,
+    });
+    throw {
+      status: 500,
+      message: "Failed to retrieve document from storage",
+    };
+  }
+
+  try {
+    return await decryptFile(encryptedFileBuffer, encrypted_key_payload);
+  } catch (error) {
+    logger.error("Decryption failed:", { message: error.message });
+    throw {
+      status: 500,
+      message: "Failed to decrypt document",
+    };
+  }
+};
+
+/**
+ * Open a document version for reading
+ * Shared by the view and download endpoints and public share links.
+ * Call read(range) to get the decrypted content, or part of it.
+ * @param {string} documentId - Document UUID
+ * @param {number} versionNumber - Version number
+ * @returns {Promise<object|null>} { fileName, fileSize, mimeType, read }, or null if the version does not exist
+ * @throws {{status: number, message: string}} When the object cannot be retrieved or decrypted,
+ *   or was encrypted client-side or imported (409)
+ */
+const openVersion = async (documentId, versionNumber) => {
+  // Fetch version record
+  const versionResult = await database.query(
+    `SELECT ipfs_cid, encrypted_key_payload, encryption_scheme, file_name,
+            file_size, mime_type
+     FROM document_versions
+     WHERE document_id = $1 AND version_number = $2`,
+    [documentId, versionNumber],
+  );
+
+  if (versionResult.rows.length === 0) {
+    return null;
+  }
+
+  const version = versionResult.rows[0];
+
+  // The server never had the key for client-side encrypted versions
+  if (version.encryption_scheme === ENCRYPTION_SCHEMES.CLIENT) {
+    throw {
+      status: 409,
+      message:
+        "This version is encrypted client-side and cannot be decrypted by the server",
+    };
+  }
+
+  if (version.encryption_scheme === ENCRYPTION_SCHEMES.IMPORTED) {
+    throw {
+      status: 409,
+      message:
+        "This version was imported from the chain and has no stored key",
+    };
+  }
+
+  logger.debug(
+    `Retrieving version ${versionNumber} from storage (CID: ${version.ipfs_cid.substring(0, 10)}...)`,
+  );
+
+  let fileSize;
+  let read;
+
+  if (version.encryption_scheme === ENCRYPTION_SCHEMES.STREAM) {
+    fileSize = Number(version.file_size);
+    read = (range = null) => openStreamedContent(version, fileSize, range);
+  } else {
+    // Whole-file versions can only be decrypted in full; ranges are sliced after
+    const content = await readWholeFileContent(version);
+    fileSize = content.length;
+    read = async (range = null) =>
+      Readable.from([
+        range ? content.subarray(range.start, range.end + 1) : content,
+      ]);
+  }
+
+  // Versions uploaded before metadata was recorded are PDFs with no stored name
+  return {
+    fileName: version.file_name || `version-${versionNumber}.pdf`,
+    fileSize,
+    mimeType: version.mime_type || "application/pdf",
+    read,
+  };
+};
+
+/**
+ * Stream decrypted content to an HTTP response
+ * Headers must be set first. A failure mid-stream (storage error or a chunk
+ * that fails authentication) aborts the response, so the client sees a
+ * truncated body rather than unauthenticated content.
+ * @param {Readable} stream - Result of read() on an opened version
+ * @param {object} res - Express response
+ * @returns {Promise<boolean>} True if the whole stream was sent
+ */
+const sendStream = (stream, res) =>
+  new Promise((resolve) => {
+    pipeline(stream, res, (error) => {
+      if (error) {
+        logger.error("Failed to stream document version:", {
+          message: error.message,
+        });
+        return resolve(false);
+      }
+      resolve(true);
+    });
+  });
+
+module.exports = {
+  openVersion,
+  getStoredStream,
+  sendStream,
+};
@@ -0,0 +1,316 @@
+const { findNetwork } = require("../config/networks");
+const blockchainService = require("./blockchainService");
+const storageService = require("./storageService");
+const {
+  normalizeHash,
+  confirmBatchInclusion,
+} = require("./verificationService");
+const { pipeline } = require("stream");
+const {
+  generateSHA256,
+  generateStreamSHA256,
+} = require("../utils/hash");
+const {
+  ENCRYPTION_SCHEMES,
+  createDecryptStream,
+  decryptFile,
+} = require("../utils/fileEncryption");
+const logger = require("../utils/logger");
+
+/**
+ * Load on-chain document metadata and versions from the document's network
+ * Failures are reported instead of thrown so the audit can still check IPFS
+ * @param {object} document - documents row (blockchain_document_id, chain_id, contract_address)
+ * @returns {Promise<object>} { document, versions, error }
+ */
+const loadChainRecord = async (document) => {
+  const blockchainDocumentId = document.blockchain_document_id;
+
+  if (!blockchainDocumentId) {
+    return {
+      document: null,
+      versions: [],
+      error: "Document has no blockchain document ID",
+    };
+  }
+
+  const network = findNetwork(document.chain_id, document.contract_address);
+
+  if (!network) {
+    return {
+      document: null,
+      versions: [],
+      error: `Network of chain ${document.chain_id} contract ${document.contract_address} is not configured`,
+    };
+  }
+
+  try {
+    const [chainDocument, versions] = await Promise.all([
+      blockchainService.getDocument(blockchainDocumentId, network),
+      blockchainService.getVersions(blockchainDocumentId, network),
+    ]);
+    return { document: chainDocument, versions, error: null };
+  } catch (error) {
+    return {
+      document: null,
+      versions: [],
+      error: error.error || error.message,
+    };
+  }
+};
+
+/**
+ * Compare a database version row with its on-chain entry
+ * @param {object} version - document_versions row
+ * @param {object} chainRecord - Result of loadChainRecord
+ * @returns {object} Chain layer result
+ */
+const checkChainLayer = (version, chainRecord) => {
+  if (chainRecord.error) {
+    return { passed: false, error: chainRecord.error };
+  }
+
+  const onChainVersion = chainRecord.versions[version.version_number - 1];
+
+  if (!onChainVersion) {
+    return { passed: false, error: "Version not found on-chain" };
+  }
+
+  const cidMatches = onChainVersion.cid === version.ipfs_cid;
+  const fileHashMatches =
+    normalizeHash(onChainVersion.fileHash) ===
+    normalizeHash(version.file_hash);
+
+  return {
+    passed: cidMatches && fileHashMatches,
+    cidMatches,
+    fileHashMatches,
+    owner: chainRecord.document.owner,
+    blockTimestamp: new Date(
+      onChainVersion.timestamp * 1000,
+    ).toISOString(),
+  };
+};
+
+/**
+ * Check a batched version's inclusion proof against its batch's anchored root
+ * The CID is not anchored for batched versions, only the file hash
+ * @param {object} version - document_versions row with merkle_proof, batch_blockchain_document_id and its network
+ * @param {Map} chainCache - Cache of on-chain batch roots
+ * @returns {Promise<object>} Chain layer result
+ */
+const checkBatchedChainLayer = async (version, chainCache) => {
+  try {
+    const inclusion = await confirmBatchInclusion(version, chainCache);
+
+    return {
+      passed: inclusion.anchored,
+      proofValid: inclusion.anchored,
+      merkleRoot: inclusion.merkleRoot,
+      batchDocumentId: version.batch_blockchain_document_id,
+      blockTimestamp: inclusion.blockTimestamp,
+    };
+  } catch (error) {
+    return { passed: false, error: error.error || error.message };
+  }
+};
+
+/**
+ * Fetch, decrypt and re-hash a streamed version's object without buffering it
+ * @param {object} version - document_versions row
+ * @param {object} result - IPFS layer result to fill in
+ * @returns {Promise<string|null>} SHA256 of the plaintext, or null on failure
+ */
+const hashStreamedObject = async (version, result) => {
+  let storedStream;
+  try {
+    storedStream = await storageService.getStream(version.ipfs_cid);
+  } catch (error) {
+    result.error = error.error || error.message;
+    return null;
+  }
+
+  let decryptStream;
+  try {
+    decryptStream = await createDecryptStream(version.encrypted_key_payload);
+  } catch (error) {
+    storedStream.destroy();
+    result.fetched = true;
+    result.error = error.message;
+    return null;
+  }
+
+  // Storage errors mid-stream mean the object could not be fetched
+  let fetchError = null;
+  storedStream.once("error", (error) => {
+    fetchError = error;
+  });
+
+  try {
+    const fileHash = await generateStreamSHA256(
+      pipeline(storedStream, decryptStream, () => {}),
+    );
+    result.fetched = true;
+    result.decrypted = true;
+    return fileHash;
+  } catch (error) {
+    result.fetched = !fetchError;
+    result.error = error.message;
+    return null;
+  }
+};
+
+/**
+ * Fetch, decrypt and re-hash a whole-file encrypted version's object
+ * @param {object} version - document_versions row
+ * @param {object} result - IPFS layer result to fill in
+ * @returns {Promise<string|null>} SHA256 of the plaintext, or null on failure
+ */
+const hashWholeFileObject = async (version, result) => {
+  let encryptedFileBuffer;
+  try {
+    encryptedFileBuffer = await storageService.get(version.ipfs_cid);
+    result.fetched = true;
+  } catch (error) {
+    result.error = error.error || error.message;
+    return null;
+  }
+
+  try {
+    const decryptedBuffer = await decryptFile(
+      encryptedFileBuffer,
+      version.encrypted_key_payload,
+    );
+    result.decrypted = true;
+    return generateSHA256(decryptedBuffer);
+  } catch (error) {
+    result.error = error.message;
+    return null;
+  }
+};
+
+/**
+ * Check that a client-side encrypted version's object is still stored
+ * The server has no key for it, so the plaintext hash cannot be re-checked
+ * (fileHashMatches is null)
+ * @param {object} version - document_versions row
+ * @param {object} result - IPFS layer result to fill in
+ * @returns {Promise<object>} IPFS layer result
+ */
+const checkClientEncryptedObject = async (version, result) => {
+  result.fileHashMatches = null;
+
+  try {
+    const object = await storageService.stat(version.ipfs_cid);
+    result.fetched = Boolean(object);
+    result.passed = result.fetched;
+    if (!object) {
+      result.error = "Object not found in storage";
+    }
+  } catch (error) {
+    result.error = error.error || error.message;
+  }
+
+  return result;
+};
+
+/**
+ * Fetch, decrypt and re-hash a version's IPFS object
+ * Imported versions were stored by whoever anchored them, not through this
+ * backend, so the layer does not apply to them (passed is null).
+ * @param {object} version - document_versions row
+ * @returns {Promise<object>} IPFS layer result
+ */
+const checkIpfsLayer = async (version) => {
+  if (version.encryption_scheme === ENCRYPTION_SCHEMES.IMPORTED) {
+    return {
+      passed: null,
+      reason:
+        "Imported from the chain; the object is not held by this backend's storage",
+    };
+  }
+
+  const result = {
+    passed: false,
+    fetched: false,
+    decrypted: false,
+    fileHashMatches: false,
+  };
+
+  if (version.encryption_scheme === ENCRYPTION_SCHEMES.CLIENT) {
+    return checkClientEncryptedObject(version, result);
+  }
+
+  const fileHash =
+    version.encryption_scheme === ENCRYPTION_SCHEMES.STREAM
+      ? await hashStreamedObject(version, result)
+      : await hashWholeFileObject(version, result);
+
+  if (!fileHash) {
+    return result;
+  }
+
+  result.fileHashMatches = fileHash === normalizeHash(version.file_hash);
+  result.passed = result.fileHashMatches;
+
+  return result;
+};
+
+/**
+ * Audit that the database, IPFS and chain agree for every version of a document
+ * A document anchored in Merkle batches has no on-chain document; each
+ * version's inclusion proof is checked instead.
+ * @param {object} document - documents row (must include blockchain_document_id and its network)
+ * @param {Array<object>} versions - document_versions rows (with merkle_proof and batch_blockchain_document_id)
+ * @returns {Promise<object>} Audit result with a pass/fail per layer per version
+ */
+const auditDocument = async (document, versions) => {
+  const batched =
+    !document.blockchain_document_id &&
+    versions.length > 0 &&
+    versions.every((version) => version.merkle_proof);
+  const chainRecord = batched
+    ? null
+    : await loadChainRecord(document);
+  const batchCache = new Map();
+
+  const results = [];
+  for (const version of versions) {
+    logger.debug(`Auditing version ${version.version_number}...`);
+
+    const chain = version.merkle_proof
+      ? await checkBatchedChainLayer(version, batchCache)
+      : checkChainLayer(version, chainRecord);
+    const ipfs = await checkIpfsLayer(version);
+
+    results.push({
+      versionNumber: version.version_number,
+      ipfsCid: version.ipfs_cid,
+      fileHash: version.file_hash,
+      txHash: version.blockchain_tx_hash,
+      // A layer that does not apply (passed null) is left out
+      passed: chain.passed && ipfs.passed !== false,
+      chain,
+      ipfs,
+    });
+  }
+
+  const onChainVersionCount =
+    chainRecord && chainRecord.document
+      ? parseInt(chainRecord.document.versionCount, 10)
+      : null;
+
+  return {
+    passed:
+      results.every((result) => result.passed) &&
+      (batched || onChainVersionCount === versions.length),
+    versionCount: versions.length,
+    onChainVersionCount,
+    chainError: chainRecord ? chainRecord.error : null,
+    versions: results,
+  };
+};
+
+module.exports = {
+  auditDocument,
+};
@@ -0,0 +1,193 @@
+const logger = require("../utils/logger");
+
+/**
+ * Key management for the per-file keys that encrypt stored documents
+ *
+ * Providers implement:
+ * - name
+ * - activeKeyId -> master key (or key service key name) that wraps new file keys
+ * - wrapKey(fileKey, { keyId, aad }) -> wrapped key string
+ * - unwrapKey(wrappedKey, { keyId, aad }) -> file key Buffer
+ *
+ * The provider for new file keys is selected with KEY_PROVIDER
+ * (env | keystore | http). Providers are loaded lazily, so other providers
+ * are only needed to read payloads they wrapped.
+ *
+ * Wrapped file keys (encrypted_key_payload) name the provider and key:
+ * - "v2:<provider>:<keyId>:<wrappedKey>", with the "v2:<provider>:<keyId>"
+ *   prefix authenticated by the provider
+ * - Older env payloads: "v1:<keyId>:<hex>" and bare hex (key id "master")
+ */
+
+const PROVIDERS = {
+  env: "./keys/envKeyProvider",
+  keystore: "./keys/keystoreKeyProvider",
+  http: "./keys/httpKeyProvider",
+};
+
+// Key ids end up in the payload prefix, so they cannot contain ":"
+const KEY_ID_PATTERN = /^[A-Za-z0-9_.-]{1,64}$/;
+// Key id of FILE_ENCRYPTION_MASTER_KEY in the env provider (config/encryption)
+const LEGACY_KEY_ID = "master";
+
+const providerName = process.env.KEY_PROVIDER || "env";
+
+if (!PROVIDERS[providerName]) {
+  throw new Error(
+    `Unknown KEY_PROVIDER "${providerName}". Expected one of: ${Object.keys(PROVIDERS).join(", ")}`,
+  );
+}
+
+/**
+ * Load a provider
+ * @param {string} name - Provider name
+ * @returns {object} Provider
+ * @throws {Error} When the provider is unknown or not configured
+ */
+const loadProvider = (name) => {
+  if (!PROVIDERS[name]) {
+    throw new Error(`Unknown key provider "${name}"`);
+  }
+
+  try {
+    return require(PROVIDERS[name]);
+  } catch (error) {
+    throw new Error(
+      `Key provider "${name}" is not configured: ${error.message}`,
+    );
+  }
+};
+
+const provider = require(PROVIDERS[providerName]);
+
+if (!KEY_ID_PATTERN.test(provider.activeKeyId)) {
+  throw new Error(
+    `Key id "${provider.activeKeyId}" must be 1-64 letters, digits, '_', '.' or '-'`,
+  );
+}
+
+logger.debug(
+  `Key provider: ${provider.name} (active key ${provider.activeKeyId})`,
+);
+
+// Payloads wrapped by the active provider and key start with this prefix
+const activePayloadPrefix = `v2:${provider.name}:${provider.activeKeyId}:`;
+
+/**
+ * Split a wrapped file key payload into its parts
+ * @param {string} encryptedKeyPayload - Wrapped file key
+ * @returns {object} { provider, keyId, aad, wrappedKey }, where aad is null for bare hex payloads
+ */
+const parseKeyPayload = (encryptedKeyPayload) => {
+  const parts = encryptedKeyPayload.split(":");
+
+  if (parts.length === 1) {
+    return {
+      provider: "env",
+      keyId: LEGACY_KEY_ID,
+      aad: null,
+      wrappedKey: parts[0],
+    };
+  }
+
+  if (parts[0] === "v1" && parts.length === 3) {
+    return {
+      provider: "env",
+      keyId: parts[1],
+      aad: Buffer.from(`v1:${parts[1]}`),
+      wrappedKey: parts[2],
+    };
+  }
+
+  // The wrapped key is opaque to us and may itself contain ":"
+  if (parts[0] === "v2" && parts.length >= 4) {
+    return {
+      provider: parts[1],
+      keyId: parts[2],
+      aad: Buffer.from(`v2:${parts[1]}:${parts[2]}`),
+      wrappedKey: parts.slice(3).join(":"),
+    };
+  }
+
+  throw new Error(
+    "Failed to decrypt file key: unrecognized key payload format",
+  );
+};
+
+/**
+ * Provider and key that wrapped a file key payload
+ * @param {string} encryptedKeyPayload - Wrapped file key
+ * @returns {{provider: string, keyId: string}}
+ */
+const describeKeyPayload = (encryptedKeyPayload) => {
+  const { provider: payloadProvider, keyId } =
+    parseKeyPayload(encryptedKeyPayload);
+  return { provider: payloadProvider, keyId };
+};
+
+/**
+ * Wrap a file key with the active provider and key
+ * @param {Buffer} fileKey - 32-byte file key
+ * @returns {Promise<string>} Payload "v2:<provider>:<keyId>:<wrappedKey>"
+ */
+const wrapFileKey = async (fileKey) => {
+  const prefix = activePayloadPrefix.slice(0, -1);
+  const wrappedKey = await provider.wrapKey(fileKey, {
+    keyId: provider.activeKeyId,
+    aad: Buffer.from(prefix),
+  });
+
+  return `${prefix}:${wrappedKey}`;
+};
+
+/**
+ * Unwrap a file key with the provider and key named in its payload
+ * @param {string} encryptedKeyPayload - Wrapped file key
+ * @returns {Promise<Buffer>} File key
+ * @throws {Error} When the payload's provider is not configured or unwrapping fails
+ */
+const unwrapFileKey = async (encryptedKeyPayload) => {
+  const {
+    provider: payloadProvider,
+    keyId,
+    aad,
+    wrappedKey,
+  } = parseKeyPayload(encryptedKeyPayload);
+
+  let keyProvider;
+  try {
+    keyProvider =
+      payloadProvider === provider.name
+        ? provider
+        : loadProvider(payloadProvider);
+  } catch (error) {
+    throw new Error(`Failed to decrypt file key: ${error.message}`);
+  }
+
+  return keyProvider.unwrapKey(wrappedKey, { keyId, aad });
+};
+
+/**
+ * Re-wrap a file key with the active provider and key
+ * The encrypted file itself is unchanged.
+ * @param {string} encryptedKeyPayload - Wrapped file key
+ * @returns {Promise<string>} Payload for the active key (unchanged if it already is)
+ * @throws {Error} When the current payload cannot be unwrapped
+ */
+const rewrapFileKey = async (encryptedKeyPayload) => {
+  if (encryptedKeyPayload.startsWith(activePayloadPrefix)) {
+    return encryptedKeyPayload;
+  }
+
+  return wrapFileKey(await unwrapFileKey(encryptedKeyPayload));
+};
+
+module.exports = {
+  providerName: provider.name,
+  activeKeyId: provider.activeKeyId,
+  activePayloadPrefix,
+  describeKeyPayload,
+  wrapFileKey,
+  unwrapFileKey,
+  rewrapFileKey,
+};
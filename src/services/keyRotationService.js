@@ -0,0 +1,132 @@
+const database = require("../config/database");
+const {
+  activeKeyId,
+  activePayloadPrefix,
+  providerName,
+  rewrapFileKey,
+} = require("./keyProviderService");
+const logger = require("../utils/logger");
+
+// Tables holding wrapped file keys. Jobs are included so queued uploads can
+// still be committed once an old master key is retired.
+const KEY_PAYLOAD_TABLES = ["document_versions", "anchor_jobs"];
+
+/**
+ * Count wrapped file keys per key provider and key
+ * @returns {Promise<object>} { [table]: { ["<provider>/<keyId>"]: count } }
+ */
+const countPayloadsByKey = async () => {
+  const counts = {};
+
+  for (const table of KEY_PAYLOAD_TABLES) {
+    const result = await database.query(
+      `SELECT CASE
+                WHEN encrypted_key_payload LIKE 'v2:%'
+                THEN split_part(encrypted_key_payload, ':', 2) || '/' ||
+                     split_part(encrypted_key_payload, ':', 3)
+                WHEN encrypted_key_payload LIKE 'v1:%'
+                THEN 'env/' || split_part(encrypted_key_payload, ':', 2)
+                ELSE 'env/master'
+              END AS key_id,
+              COUNT(*)::int AS count
+       FROM ${table}
+       WHERE encrypted_key_payload IS NOT NULL
+       GROUP BY 1
+       ORDER BY 1`,
+    );
+
+    counts[table] = Object.fromEntries(
+      result.rows.map((row) => [row.key_id, row.count]),
+    );
+  }
+
+  return counts;
+};
+
+/**
+ * Re-wrap every file key of one table with the active key
+ * @param {string} table - Table name from KEY_PAYLOAD_TABLES
+ * @param {number} batchSize - Rows fetched per query
+ * @returns {Promise<object>} { scanned, rotated, skipped, failed }
+ */
+const rotateTable = async (table, batchSize) => {
+  const summary = { scanned: 0, rotated: 0, skipped: 0, failed: 0 };
+  let lastId = null;
+
+  for (;;) {
+    const result = await database.query(
+      `SELECT id, encrypted_key_payload
+       FROM ${table}
+       WHERE encrypted_key_payload IS NOT NULL
+         AND NOT starts_with(encrypted_key_payload, $1)
+         AND ($2::uuid IS NULL OR id > $2)
+       ORDER BY id
+       LIMIT $3`,
+      [activePayloadPrefix, lastId, batchSize],
+    );
+
+    if (result.rows.length === 0) {
+      return summary;
+    }
+
+    for (const row of result.rows) {
+      summary.scanned += 1;
+      lastId = row.id;
+
+      let payload;
+      try {
+        payload = await rewrapFileKey(row.encrypted_key_payload);
+      } catch (error) {
+        logger.warn(`Failed to re-wrap file key in ${table} ${row.id}:`, {
+          message: error.message,
+        });
+        summary.failed += 1;
+        continue;
+      }
+
+      // Only replace the payload that was re-wrapped
+      const update = await database.query(
+        `UPDATE ${table}
+         SET encrypted_key_payload = $1
+         WHERE id = $2 AND encrypted_key_payload = $3`,
+        [payload, row.id, row.encrypted_key_payload],
+      );
+
+      if (update.rowCount === 1) {
+        summary.rotated += 1;
+      } else {
+        summary.skipped += 1;
+      }
+    }
+  }
+};
+
+/**
+ * Re-wrap every stored file key with the active key provider and key
+ * Stored files are not touched: only encrypted_key_payload changes. Rows
+ * already under the active key are never selected, so an interrupted run can
+ * simply be started again. Client-side encrypted versions have no server
+ * key and are ignored.
+ * @param {object} options - { batchSize }
+ * @returns {Promise<object>} { provider, activeKeyId, tables: { [table]: { scanned, rotated, skipped, failed } }, failed }
+ */
+const rotateKeyPayloads = async ({ batchSize = 100 } = {}) => {
+  const tables = {};
+  let failed = 0;
+
+  for (const table of KEY_PAYLOAD_TABLES) {
+    tables[table] = await rotateTable(table, batchSize);
+    failed += tables[table].failed;
+
+    logger.info(
+      `Rotated ${table}: ${tables[table].rotated} re-wrapped, ${tables[table].skipped} changed concurrently, ${tables[table].failed} failed`,
+    );
+  }
+
+  return { provider: providerName, activeKeyId, tables, failed };
+};
+
+module.exports = {
+  countPayloadsByKey,
+  rotateKeyPayloads,
+};
@@ -0,0 +1,195 @@
+const database = require("../config/database");
+const storageService = require("./storageService");
+const { unwrapFileKey } = require("./keyProviderService");
+const { ENCRYPTION_SCHEMES } = require("../utils/fileEncryption");
+const { encryptToPublicKey } = require("../utils/ecies");
+
+/**
+ * End-to-end encrypted key shares
+ *
+ * A version's file key is wrapped (ECIES, see utils/ecies.js) to a
+ * recipient's wallet public key, recovered from a signature the wallet made
+ * when signing in. The server can create a share but not read one back, so
+ * the recipient's client fetches the stored object (from the storage
+ * driver's public URL or through the API) and decrypts it locally.
+ *
+ * Revoking a share stops it being served; a recipient who already
+ * downloaded the wrapped key keeps the file key.
+ */
+
+/**
+ * Wrap a version's file key to a recipient's wallet public key
+ * Sharing again to the same recipient replaces the previous share
+ * @param {object} share - { documentId, versionNumber, recipient (user with id and wallet_public_key), createdBy }
+ * @returns {Promise<object|null>} document_key_shares row, or null if the version does not exist
+ * @throws {{status: number, message: string}} When the version was encrypted client-side or imported (409)
+ */
+const shareVersionKey = async ({
+  documentId,
+  versionNumber,
+  recipient,
+  createdBy,
+}) => {
+  const versionResult = await database.query(
+    "SELECT encrypted_key_payload, encryption_scheme FROM document_versions WHERE document_id = $1 AND version_number = $2",
+    [documentId, versionNumber],
+  );
+
+  if (versionResult.rows.length === 0) {
+    return null;
+  }
+
+  if (versionResult.rows[0].encryption_scheme === ENCRYPTION_SCHEMES.CLIENT) {
+    throw {
+      status: 409,
+      message:
+        "This version is encrypted client-side; share its key from the client",
+    };
+  }
+
+  if (
+    versionResult.rows[0].encryption_scheme === ENCRYPTION_SCHEMES.IMPORTED
+  ) {
+    throw {
+      status: 409,
+      message:
+        "This version was imported from the chain and has no stored key",
+    };
+  }
+
+  const fileKey = await unwrapFileKey(
+    versionResult.rows[0].encrypted_key_payload,
+  );
+  const wrappedKey = encryptToPublicKey(recipient.wallet_public_key, fileKey);
+
+  const result = await database.query(
+    `INSERT INTO document_key_shares
+       (document_id, version_number, recipient_id, recipient_public_key, wrapped_key, created_by)
+     VALUES ($1, $2, $3, $4, $5, $6)
+     ON CONFLICT (document_id, version_number, recipient_id)
+     DO UPDATE SET
+       recipient_public_key = EXCLUDED.recipient_public_key,
+       wrapped_key = EXCLUDED.wrapped_key,
+       created_by = EXCLUDED.created_by,
+       revoked_at = NULL,
+       created_at = NOW()
+     RETURNING *`,
+    [
+      documentId,
+      versionNumber,
+      recipient.id,
+      recipient.wallet_public_key,
+      wrappedKey,
+      createdBy,
+    ],
+  );
+
+  return result.rows[0];
+};
+
+/**
+ * Get a recipient's active key share for a version, with what is needed to
+ * fetch and decrypt the stored object
+ * @param {string} documentId - Document UUID
+ * @param {number} versionNumber - Version number
+ * @param {string} recipientId - Recipient user UUID
+ * @returns {Promise<object|null>} document_key_shares row plus version fields
+ */
+const getKeyShare = async (documentId, versionNumber, recipientId) => {
+  const result = await database.query(
+    `SELECT dks.*, dv.ipfs_cid, dv.encryption_scheme, dv.file_hash,
+            dv.file_name, dv.file_size, dv.mime_type
+     FROM document_key_shares dks
+     JOIN document_versions dv
+       ON dv.document_id = dks.document_id
+      AND dv.version_number = dks.version_number
+     WHERE dks.document_id = $1
+       AND dks.version_number = $2
+       AND dks.recipient_id = $3
+       AND dks.revoked_at IS NULL`,
+    [documentId, versionNumber, recipientId],
+  );
+
+  return result.rows[0] || null;
+};
+
+/**
+ * List every key share on a document, including revoked ones
+ * @param {string} documentId - Document UUID
+ * @returns {Promise<Array<object>>} document_key_shares rows with recipient email and wallet
+ */
+const listKeyShares = async (documentId) => {
+  const result = await database.query(
+    `SELECT dks.*, u.email, u.wallet_address
+     FROM document_key_shares dks
+     JOIN users u ON u.id = dks.recipient_id
+     WHERE dks.document_id = $1
+     ORDER BY dks.version_number ASC, dks.created_at ASC`,
+    [documentId],
+  );
+
+  return result.rows;
+};
+
+/**
+ * Revoke a key share
+ * @param {string} documentId - Document UUID
+ * @param {string} shareId - document_key_shares ID
+ * @returns {Promise<object|null>} Revoked row, or null if missing or already revoked
+ */
+const revokeKeyShare = async (documentId, shareId) => {
+  const result = await database.query(
+    `UPDATE document_key_shares
+     SET revoked_at = NOW()
+     WHERE id = $1 AND document_id = $2 AND revoked_at IS NULL
+     RETURNING *`,
+    [shareId, documentId],
+  );
+
+  return result.rows[0] || null;
+};
+
+/**
+ * Format a key share row for API responses
+ * The wrapped key and object details are only included for the recipient
+ * @param {object} share - document_key_shares row (optionally with recipient or version fields)
+ * @returns {object} Key share
+ */
+const formatKeyShare = (share) => {
+  const formatted = {
+    id: share.id,
+    documentId: share.document_id,
+    versionNumber: share.version_number,
+    recipientId: share.recipient_id,
+    email: share.email,
+    walletAddress: share.wallet_address,
+    recipientPublicKey: share.recipient_public_key,
+    status: share.revoked_at ? "revoked" : "active",
+    createdBy: share.created_by,
+    revokedAt: share.revoked_at,
+    createdAt: share.created_at,
+  };
+
+  if (share.ipfs_cid) {
+    formatted.wrappedKey = share.wrapped_key;
+    formatted.ipfsCid = share.ipfs_cid;
+    formatted.gatewayUrl = storageService.getPublicUrl(share.ipfs_cid);
+    formatted.objectUrl = `/documents/${share.document_id}/version/${share.version_number}/key-share/object`;
+    formatted.encryptionScheme = share.encryption_scheme;
+    formatted.fileHash = share.file_hash;
+    formatted.fileName = share.file_name;
+    formatted.fileSize =
+      share.file_size === null ? null : Number(share.file_size);
+    formatted.mimeType = share.mime_type;
+  }
+
+  return formatted;
+};
+
+module.exports = {
+  shareVersionKey,
+  getKeyShare,
+  listKeyShares,
+  revokeKeyShare,
+  formatKeyShare,
+};
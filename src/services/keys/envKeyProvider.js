@@ -0,0 +1,19 @@
+const {
+  ACTIVE_KEY_ID,
+  KEY_IDS,
+  getMasterKey,
+} = require("../../config/encryption");
+const { createLocalKeyProvider } = require("./localKeyRing");
+
+/**
+ * Environment key provider
+ * Master keys come from FILE_ENCRYPTION_KEYS and FILE_ENCRYPTION_MASTER_KEY
+ * (see config/encryption). Also unwraps payloads written before key
+ * providers existed.
+ */
+
+module.exports = createLocalKeyProvider(
+  "env",
+  new Map(KEY_IDS.map((keyId) => [keyId, getMasterKey(keyId)])),
+  ACTIVE_KEY_ID,
+);
@@ -0,0 +1,135 @@
+const fs = require("fs");
+const logger = require("../../utils/logger");
+
+/**
+ * HTTP key provider for a Vault transit-style key service
+ * File keys are wrapped and unwrapped by the service, so master keys never
+ * reach this process.
+ *
+ *   POST <KEY_SERVICE_URL>/encrypt/<keyName>
+ *     { plaintext: base64, associated_data: base64 } -> { data: { ciphertext } }
+ *   POST <KEY_SERVICE_URL>/decrypt/<keyName>
+ *     { ciphertext, associated_data: base64 } -> { data: { plaintext: base64 } }
+ *
+ * The token is sent as X-Vault-Token. For HashiCorp Vault, KEY_SERVICE_URL is
+ * the transit mount, e.g. https://vault:8200/v1/transit. `npm run keys:stand-in`
+ * runs a local stand-in for development and testing.
+ */
+
+const serviceUrl = (process.env.KEY_SERVICE_URL || "").replace(/\/+$/, "");
+const keyName = process.env.KEY_SERVICE_KEY_NAME || "docuchain";
+const timeoutMs = parseInt(
+  process.env.KEY_SERVICE_TIMEOUT_MS || "10000",
+  10,
+);
+
+if (!serviceUrl) {
+  throw new Error("KEY_SERVICE_URL must be set for KEY_PROVIDER=http");
+}
+
+/**
+ * Read the key service token
+ * @returns {string|null} Token, or null if none is configured
+ */
+const readToken = () => {
+  if (process.env.KEY_SERVICE_TOKEN_FILE) {
+    return fs
+      .readFileSync(process.env.KEY_SERVICE_TOKEN_FILE, "utf8")
+      .trim();
+  }
+  return process.env.KEY_SERVICE_TOKEN || null;
+};
+
+const token = readToken();
+
+/**
+ * Call a key service operation
+ * @param {string} operation - "encrypt" or "decrypt"
+ * @param {string} keyId - Key name
+ * @param {object} body - Request body
+ * @returns {Promise<object>} Response data
+ */
+const callService = async (operation, keyId, body) => {
+  const response = await fetch(
+    `${serviceUrl}/${operation}/${encodeURIComponent(keyId)}`,
+    {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        ...(token ? { "X-Vault-Token": token } : {}),
+      },
+      body: JSON.stringify(body),
+      signal: AbortSignal.timeout(timeoutMs),
+    },
+  );
+
+  if (!response.ok) {
+    throw new Error(`key service returned ${response.status}`);
+  }
+
+  const { data } = await response.json();
+  return data || {};
+};
+
+/**
+ * Encrypt a file key
+ * @param {Buffer} fileKey - 32-byte file key
+ * @param {object} options - { keyId, aad }
+ * @returns {Promise<string>} Ciphertext from the key service
+ */
+const wrapKey = async (fileKey, { keyId, aad }) => {
+  let data;
+  try {
+    data = await callService("encrypt", keyId, {
+      plaintext: fileKey.toString("base64"),
+      associated_data: aad.toString("base64"),
+    });
+  } catch (error) {
+    logger.error("Key service encrypt failed:", { message: error.message });
+    throw new Error(`Failed to wrap file key: ${error.message}`);
+  }
+
+  if (typeof data.ciphertext !== "string") {
+    throw new Error(
+      "Failed to wrap file key: key service returned no ciphertext",
+    );
+  }
+
+  return data.ciphertext;
+};
+
+/**
+ * Decrypt a file key
+ * @param {string} wrappedKey - Ciphertext from the key service
+ * @param {object} options - { keyId, aad }
+ * @returns {Promise<Buffer>} File key
+ */
+const unwrapKey = async (wrappedKey, { keyId, aad }) => {
+  let data;
+  try {
+    data = await callService("decrypt", keyId, {
+      ciphertext: wrappedKey,
+      associated_data: aad.toString("base64"),
+    });
+  } catch (error) {
+    logger.error("Key service decrypt failed:", { message: error.message });
+    throw new Error(`Failed to decrypt file key: ${error.message}`);
+  }
+
+  if (typeof data.plaintext !== "string") {
+    throw new Error(
+      "Failed to decrypt file key: key service returned no plaintext",
+    );
+  }
+
+  return Buffer.from(data.plaintext, "base64");
+};
+
+logger.debug(`Key service: ${serviceUrl} (key ${keyName})`);
+
+module.exports = {
+  name: "http",
+  activeKeyId: keyName,
+  wrapKey,
+  unwrapKey,
+};
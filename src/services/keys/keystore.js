@@ -0,0 +1,209 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * Passphrase-protected keystore file
+ *
+ * JSON document:
+ * {
+ *   version: 1,
+ *   kdf: { name: "scrypt", salt, N, r, p },
+ *   activeKeyId,
+ *   keys: [{ id, createdAt, iv, tag, ciphertext }]
+ * }
+ *
+ * Each 32-byte master key is encrypted with AES-256-GCM under a key derived
+ * from the passphrase with scrypt; the key id is authenticated with it.
+ * Binary values are base64.
+ *
+ * The file is KEYSTORE_PATH (default keystore.json). The passphrase comes from
+ * KEYSTORE_PASSPHRASE_FILE (preferred) or KEYSTORE_PASSPHRASE.
+ */
+
+const KEYSTORE_VERSION = 1;
+const ALGORITHM = "aes-256-gcm";
+const IV_LENGTH = 12; // GCM standard
+const KEY_LENGTH = 32; // 256 bits for AES-256
+const SCRYPT_PARAMS = { N: 2 ** 15, r: 8, p: 1 };
+const KEY_ID_PATTERN = /^[A-Za-z0-9_-]{1,32}$/;
+
+/**
+ * Keystore path from the environment
+ * @returns {string} Absolute path
+ */
+const getKeystorePath = () =>
+  path.resolve(process.env.KEYSTORE_PATH || "keystore.json");
+
+/**
+ * Read the keystore passphrase from the environment
+ * @returns {string} Passphrase
+ */
+const readPassphrase = () => {
+  if (process.env.KEYSTORE_PASSPHRASE_FILE) {
+    return fs
+      .readFileSync(process.env.KEYSTORE_PASSPHRASE_FILE, "utf8")
+      .replace(/\r?\n$/, "");
+  }
+
+  if (process.env.KEYSTORE_PASSPHRASE) {
+    return process.env.KEYSTORE_PASSPHRASE;
+  }
+
+  throw new Error(
+    "KEYSTORE_PASSPHRASE_FILE or KEYSTORE_PASSPHRASE must be set",
+  );
+};
+
+/**
+ * Derive the key that encrypts master keys
+ * @param {string} passphrase - Keystore passphrase
+ * @param {object} kdf - Keystore kdf section
+ * @returns {Buffer} 32-byte key
+ */
+const deriveKey = (passphrase, { salt, N, r, p }) =>
+  crypto.scryptSync(passphrase, Buffer.from(salt, "base64"), KEY_LENGTH, {
+    N,
+    r,
+    p,
+    maxmem: 256 * N * r,
+  });
+
+/**
+ * Read a keystore file
+ * @param {string} filePath - Keystore path
+ * @returns {object} Keystore document
+ */
+const readKeystore = (filePath) => {
+  const keystore = JSON.parse(fs.readFileSync(filePath, "utf8"));
+
+  if (
+    keystore.version !== KEYSTORE_VERSION ||
+    keystore.kdf?.name !== "scrypt" ||
+    !Array.isArray(keystore.keys)
+  ) {
+    throw new Error(`Unrecognized keystore file: ${filePath}`);
+  }
+
+  return keystore;
+};
+
+/**
+ * Write a keystore file, replacing it atomically
+ * @param {string} filePath - Keystore path
+ * @param {object} keystore - Keystore document
+ */
+const writeKeystore = (filePath, keystore) => {
+  const tempPath = `${filePath}.${crypto.randomBytes(6).toString("hex")}.tmp`;
+  fs.writeFileSync(tempPath, `${JSON.stringify(keystore, null, 2)}\n`, {
+    mode: 0o600,
+  });
+  fs.renameSync(tempPath, filePath);
+};
+
+/**
+ * Decrypt every master key in a keystore
+ * @param {object} keystore - Keystore document
+ * @param {string} passphrase - Keystore passphrase
+ * @returns {Map<string, Buffer>} Master keys by id
+ * @throws {Error} When the passphrase is wrong or the file was modified
+ */
+const unlockKeystore = (keystore, passphrase) => {
+  const kek = deriveKey(passphrase, keystore.kdf);
+  const keyRing = new Map();
+
+  for (const entry of keystore.keys) {
+    const decipher = crypto.createDecipheriv(
+      ALGORITHM,
+      kek,
+      Buffer.from(entry.iv, "base64"),
+    );
+    decipher.setAAD(Buffer.from(entry.id));
+    decipher.setAuthTag(Buffer.from(entry.tag, "base64"));
+
+    try {
+      keyRing.set(
+        entry.id,
+        Buffer.concat([
+          decipher.update(Buffer.from(entry.ciphertext, "base64")),
+          decipher.final(),
+        ]),
+      );
+    } catch (error) {
+      throw new Error(
+        "Failed to unlock keystore: wrong passphrase or modified file",
+      );
+    }
+  }
+
+  return keyRing;
+};
+
+/**
+ * Create an empty keystore document
+ * @returns {object} Keystore document
+ */
+const createKeystore = () => ({
+  version: KEYSTORE_VERSION,
+  kdf: {
+    name: "scrypt",
+    salt: crypto.randomBytes(16).toString("base64"),
+    ...SCRYPT_PARAMS,
+  },
+  activeKeyId: null,
+  keys: [],
+});
+
+/**
+ * Generate a master key and add it to a keystore
+ * @param {object} keystore - Keystore document (modified in place)
+ * @param {string} passphrase - Keystore passphrase
+ * @param {string} keyId - New key id
+ * @returns {object} Keystore document
+ */
+const addKey = (keystore, passphrase, keyId) => {
+  if (!KEY_ID_PATTERN.test(keyId)) {
+    throw new Error(
+      "Key ids must be 1-32 letters, digits, '_' or '-'",
+    );
+  }
+
+  if (keystore.keys.some((entry) => entry.id === keyId)) {
+    throw new Error(`Keystore already has a key with id "${keyId}"`);
+  }
+
+  // Check the passphrase against the existing keys first
+  unlockKeystore(keystore, passphrase);
+
+  const iv = crypto.randomBytes(IV_LENGTH);
+  const cipher = crypto.createCipheriv(
+    ALGORITHM,
+    deriveKey(passphrase, keystore.kdf),
+    iv,
+  );
+  cipher.setAAD(Buffer.from(keyId));
+  const ciphertext = Buffer.concat([
+    cipher.update(crypto.randomBytes(KEY_LENGTH)),
+    cipher.final(),
+  ]);
+
+  keystore.keys.push({
+    id: keyId,
+    createdAt: new Date().toISOString(),
+    iv: iv.toString("base64"),
+    tag: cipher.getAuthTag().toString("base64"),
+    ciphertext: ciphertext.toString("base64"),
+  });
+
+  return keystore;
+};
+
+module.exports = {
+  getKeystorePath,
+  readPassphrase,
+  readKeystore,
+  writeKeystore,
+  unlockKeystore,
+  createKeystore,
+  addKey,
+};
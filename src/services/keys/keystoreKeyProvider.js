@@ -0,0 +1,35 @@
+const {
+  getKeystorePath,
+  readPassphrase,
+  readKeystore,
+  unlockKeystore,
+} = require("./keystore");
+const { createLocalKeyProvider } = require("./localKeyRing");
+const logger = require("../../utils/logger");
+
+/**
+ * Keystore key provider
+ * Master keys live in a passphrase-protected file (see keystore.js), managed
+ * with `npm run keys:keystore`. Only the passphrase is configured through the
+ * environment, never the keys themselves.
+ */
+
+const keystorePath = getKeystorePath();
+const keystore = readKeystore(keystorePath);
+const keyRing = unlockKeystore(keystore, readPassphrase());
+
+if (!keyRing.has(keystore.activeKeyId)) {
+  throw new Error(
+    `Keystore ${keystorePath} has no active key. Add one with: npm run keys:keystore -- add --activate`,
+  );
+}
+
+logger.debug(
+  `Keystore loaded from ${keystorePath} (${keyRing.size} keys, active ${keystore.activeKeyId})`,
+);
+
+module.exports = createLocalKeyProvider(
+  "keystore",
+  keyRing,
+  keystore.activeKeyId,
+);
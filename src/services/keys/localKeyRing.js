@@ -0,0 +1,111 @@
+const crypto = require("crypto");
+
+const ALGORITHM = "aes-256-gcm";
+const IV_LENGTH = 12; // GCM standard
+const AUTH_TAG_LENGTH = 16; // GCM standard
+
+/**
+ * Key provider backed by master keys held in process memory
+ * Shared by the env and keystore providers. A wrapped key is the HEX string
+ * keyIv(12) | keyAuthTag(16) | encryptedKeyCiphertext.
+ * @param {string} name - Provider name
+ * @param {Map<string, Buffer>} keyRing - 32-byte master keys by id
+ * @param {string} activeKeyId - Key that wraps new file keys
+ * @returns {object} Key provider
+ */
+const createLocalKeyProvider = (name, keyRing, activeKeyId) => {
+  /**
+   * Look up a master key
+   * @param {string} keyId - Key id
+   * @returns {Buffer} Master key
+   */
+  const masterKey = (keyId) => {
+    const key = keyRing.get(keyId);
+    if (!key) {
+      throw new Error(
+        `Failed to decrypt file key: master key "${keyId}" is not in the ${name} key ring`,
+      );
+    }
+    return key;
+  };
+
+  /**
+   * Encrypt a file key
+   * @param {Buffer} fileKey - 32-byte file key
+   * @param {object} options - { keyId, aad }
+   * @returns {Promise<string>} Wrapped key
+   */
+  const wrapKey = async (fileKey, { keyId, aad }) => {
+    const keyIv = crypto.randomBytes(IV_LENGTH);
+    const keyCipher = crypto.createCipheriv(
+      ALGORITHM,
+      masterKey(keyId),
+      keyIv,
+    );
+    if (aad) {
+      keyCipher.setAAD(aad);
+    }
+    const encryptedKeyCiphertext = Buffer.concat([
+      keyCipher.update(fileKey),
+      keyCipher.final(),
+    ]);
+
+    return Buffer.concat([
+      keyIv,
+      keyCipher.getAuthTag(),
+      encryptedKeyCiphertext,
+    ]).toString("hex");
+  };
+
+  /**
+   * Decrypt a file key
+   * @param {string} wrappedKey - Wrapped key
+   * @param {object} options - { keyId, aad }
+   * @returns {Promise<Buffer>} File key
+   */
+  const unwrapKey = async (wrappedKey, { keyId, aad }) => {
+    const encryptedKeyBuffer = Buffer.from(wrappedKey, "hex");
+
+    // Extract components: keyIv (12) | keyAuthTag (16) | encryptedKeyCiphertext
+    const keyIv = encryptedKeyBuffer.subarray(0, IV_LENGTH);
+    const keyAuthTag = encryptedKeyBuffer.subarray(
+      IV_LENGTH,
+      IV_LENGTH + AUTH_TAG_LENGTH,
+    );
+    const encryptedKeyCiphertext = encryptedKeyBuffer.subarray(
+      IV_LENGTH + AUTH_TAG_LENGTH,
+    );
+
+    const keyDecipher = crypto.createDecipheriv(
+      ALGORITHM,
+      masterKey(keyId),
+      keyIv,
+    );
+    if (aad) {
+      keyDecipher.setAAD(aad);
+    }
+    keyDecipher.setAuthTag(keyAuthTag);
+
+    try {
+      return Buffer.concat([
+        keyDecipher.update(encryptedKeyCiphertext),
+        keyDecipher.final(),
+      ]);
+    } catch (error) {
+      throw new Error(
+        "Failed to decrypt file key: authentication failed",
+      );
+    }
+  };
+
+  return {
+    name,
+    activeKeyId,
+    wrapKey,
+    unwrapKey,
+  };
+};
+
+module.exports = {
+  createLocalKeyProvider,
+};
@@ -0,0 +1,76 @@
+const database = require("../config/database");
+
+/**
+ * Hash-only notarizations
+ *
+ * A notarization anchors a SHA256 hash as a one-version on-chain document
+ * (see blockchainService.notarizeHash). No file is encrypted or stored; a
+ * file sent for notarization is only hashed. Rows are written by the anchor
+ * job worker once the transaction is confirmed, and are found by the same
+ * verification lookups as document versions.
+ */
+
+/**
+ * Get a user's notarization
+ * @param {string} notarizationId - Notarization UUID
+ * @param {string} userId - Owner user UUID
+ * @returns {Promise<object|null>} notarizations row, or null if missing or not the user's
+ */
+const getNotarization = async (notarizationId, userId) => {
+  const result = await database.query(
+    "SELECT * FROM notarizations WHERE id = $1 AND user_id = $2",
+    [notarizationId, userId],
+  );
+
+  return result.rows[0] || null;
+};
+
+/**
+ * List a user's notarizations, newest first
+ * @param {string} userId - Owner user UUID
+ * @returns {Promise<Array<object>>} notarizations rows
+ */
+const listNotarizations = async (userId) => {
+  const result = await database.query(
+    `SELECT * FROM notarizations
+     WHERE user_id = $1
+     ORDER BY created_at DESC`,
+    [userId],
+  );
+
+  return result.rows;
+};
+
+/**
+ * Format a notarization row for API responses
+ * @param {object} notarization - notarizations row
+ * @returns {object} Notarization
+ */
+const formatNotarization = (notarization) => ({
+  id: notarization.id,
+  title: notarization.title,
+  fileHash: notarization.file_hash,
+  fileName: notarization.file_name,
+  fileSize:
+    notarization.file_size === null ? null : Number(notarization.file_size),
+  blockchainDocumentId: notarization.blockchain_document_id,
+  chainId: notarization.chain_id,
+  contractAddress: notarization.contract_address,
+  txHash: notarization.blockchain_tx_hash,
+  blockNumber:
+    notarization.block_number === null
+      ? null
+      : Number(notarization.block_number),
+  gasUsed: notarization.gas_used,
+  effectiveGasPrice: notarization.effective_gas_price,
+  feeWei: notarization.fee_wei,
+  anchoringMode: notarization.anchoring_mode,
+  anchorAuthorization: notarization.anchor_authorization,
+  createdAt: notarization.created_at,
+});
+
+module.exports = {
+  getNotarization,
+  listNotarizations,
+  formatNotarization,
+};
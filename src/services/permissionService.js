@@ -0,0 +1,227 @@
+const database = require("../config/database");
+
+/**
+ * Document access grants
+ *
+ * The owner (documents.user_id) always has full access. Other users get a
+ * viewer or editor role through document_permissions. A grant stops
+ * applying once it expires or is revoked; the row is kept for the record.
+ */
+
+const ROLES = {
+  OWNER: "owner",
+  EDITOR: "editor",
+  VIEWER: "viewer",
+};
+
+// Roles an owner can grant to other users
+const GRANTABLE_ROLES = [ROLES.VIEWER, ROLES.EDITOR];
+
+const ROLE_RANK = {
+  [ROLES.VIEWER]: 1,
+  [ROLES.EDITOR]: 2,
+  [ROLES.OWNER]: 3,
+};
+
+/**
+ * Join a document's grant for one user, if it is neither revoked nor expired
+ * @param {string} userParam - Query placeholder holding the user ID (e.g. "$2")
+ * @returns {string} LEFT JOIN clause aliased as dp
+ */
+const activeGrantJoin = (userParam) =>
+  `LEFT JOIN document_permissions dp
+     ON dp.document_id = d.id
+    AND dp.user_id = ${userParam}
+    AND dp.revoked_at IS NULL
+    AND (dp.expires_at IS NULL OR dp.expires_at > NOW())`;
+
+/**
+ * Check whether a role includes the required role
+ * @param {string|null} role - User's role on a document
+ * @param {string} requiredRole - Minimum role
+ * @returns {boolean} True if allowed
+ */
+const hasRole = (role, requiredRole) => {
+  return Boolean(role) && ROLE_RANK[role] >= ROLE_RANK[requiredRole];
+};
+
+/**
+ * Load a document with the user's role on it
+ * @param {string} documentId - Document UUID
+ * @param {string} userId - User UUID
+ * @returns {Promise<object|null>} documents row plus role (null role means no access), or null if missing
+ */
+const getDocumentAccess = async (documentId, userId) => {
+  const result = await database.query(
+    `SELECT
+      d.id,
+      d.user_id,
+      d.title,
+      d.blockchain_document_id,
+      d.chain_id,
+      d.contract_address,
+      d.created_at,
+      CASE WHEN d.user_id = $2 THEN '${ROLES.OWNER}' ELSE dp.role END AS role
+     FROM documents d
+     ${activeGrantJoin("$2")}
+     WHERE d.id = $1`,
+    [documentId, userId],
+  );
+
+  return result.rows[0] || null;
+};
+
+/**
+ * List documents the user owns or has an active grant on
+ * @param {string} userId - User UUID
+ * @returns {Promise<Array<object>>} Documents with role and version count
+ */
+const listAccessibleDocuments = async (userId) => {
+  const result = await database.query(
+    `SELECT
+      d.id,
+      d.title,
+      d.created_at,
+      CASE WHEN d.user_id = $1 THEN '${ROLES.OWNER}' ELSE dp.role END AS role,
+      COUNT(dv.id) as version_count
+    FROM documents d
+    ${activeGrantJoin("$1")}
+    LEFT JOIN document_versions dv ON d.id = dv.document_id
+    WHERE d.user_id = $1 OR dp.id IS NOT NULL
+    GROUP BY d.id, d.title, d.created_at, d.user_id, dp.role
+    ORDER BY d.created_at DESC`,
+    [userId],
+  );
+
+  return result.rows;
+};
+
+/**
+ * Find the user to share with by email or wallet address
+ * @param {object} grantee - { email, walletAddress }
+ * @returns {Promise<object|null>} User with id, email, wallet_address and wallet_public_key
+ */
+const findGrantee = async ({ email, walletAddress }) => {
+  const result = email
+    ? await database.query(
+        "SELECT id, email, wallet_address, wallet_public_key FROM users WHERE email = $1",
+        [email],
+      )
+    : await database.query(
+        "SELECT id, email, wallet_address, wallet_public_key FROM users WHERE wallet_address = $1",
+        [walletAddress.toLowerCase()],
+      );
+
+  return result.rows[0] || null;
+};
+
+/**
+ * Grant (or update) a user's role on a document
+ * Re-granting a revoked or expired permission reactivates it
+ * @param {object} grant - { documentId, userId, role, grantedBy, expiresAt }
+ * @returns {Promise<object>} document_permissions row
+ */
+const grantPermission = async ({
+  documentId,
+  userId,
+  role,
+  grantedBy,
+  expiresAt = null,
+}) => {
+  const result = await database.query(
+    `INSERT INTO document_permissions (document_id, user_id, role, granted_by, expires_at)
+     VALUES ($1, $2, $3, $4, $5)
+     ON CONFLICT (document_id, user_id)
+     DO UPDATE SET
+       role = EXCLUDED.role,
+       granted_by = EXCLUDED.granted_by,
+       expires_at = EXCLUDED.expires_at,
+       revoked_at = NULL,
+       updated_at = NOW()
+     RETURNING *`,
+    [documentId, userId, role, grantedBy, expiresAt],
+  );
+
+  return result.rows[0];
+};
+
+/**
+ * Revoke a permission
+ * @param {string} documentId - Document UUID
+ * @param {string} permissionId - document_permissions ID
+ * @returns {Promise<object|null>} Revoked row, or null if missing or already revoked
+ */
+const revokePermission = async (documentId, permissionId) => {
+  const result = await database.query(
+    `UPDATE document_permissions
+     SET revoked_at = NOW(), updated_at = NOW()
+     WHERE id = $1 AND document_id = $2 AND revoked_at IS NULL
+     RETURNING *`,
+    [permissionId, documentId],
+  );
+
+  return result.rows[0] || null;
+};
+
+/**
+ * List every permission on a document, including expired and revoked ones
+ * @param {string} documentId - Document UUID
+ * @returns {Promise<Array<object>>} document_permissions rows with grantee email and wallet
+ */
+const listPermissions = async (documentId) => {
+  const result = await database.query(
+    `SELECT dp.*, u.email, u.wallet_address
+     FROM document_permissions dp
+     JOIN users u ON u.id = dp.user_id
+     WHERE dp.document_id = $1
+     ORDER BY dp.created_at ASC`,
+    [documentId],
+  );
+
+  return result.rows;
+};
+
+/**
+ * Format a permission row for API responses
+ * @param {object} permission - document_permissions row (optionally with email and wallet_address)
+ * @returns {object} Permission status
+ */
+const formatPermission = (permission) => {
+  let status = "active";
+  if (permission.revoked_at) {
+    status = "revoked";
+  } else if (
+    permission.expires_at &&
+    new Date(permission.expires_at) <= new Date()
+  ) {
+    status = "expired";
+  }
+
+  return {
+    id: permission.id,
+    documentId: permission.document_id,
+    userId: permission.user_id,
+    email: permission.email,
+    walletAddress: permission.wallet_address,
+    role: permission.role,
+    status,
+    grantedBy: permission.granted_by,
+    expiresAt: permission.expires_at,
+    revokedAt: permission.revoked_at,
+    createdAt: permission.created_at,
+    updatedAt: permission.updated_at,
+  };
+};
+
+module.exports = {
+  ROLES,
+  GRANTABLE_ROLES,
+  hasRole,
+  getDocumentAccess,
+  listAccessibleDocuments,
+  findGrantee,
+  grantPermission,
+  revokePermission,
+  listPermissions,
+  formatPermission,
+};
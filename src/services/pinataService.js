@@ -1,5 +1,6 @@
 const { PinataSDK } = require("pinata");
 const fs = require("fs");
+const { Readable, Transform, pipeline } = require("stream");
 const path = require("path");
 const logger = require("../utils/logger");
 
@@ -47,33 +48,28 @@ const uploadFile = async (fileContent, fileName, metadata = {}) => {
     }
 
     // Handle file path input
-    let fileBuffer;
+    let fileData;
     if (typeof fileContent === "string") {
       if (!fs.existsSync(fileContent)) {
         throw new Error(`File not found: ${fileContent}`);
       }
-      fileBuffer = fs.readFileSync(fileContent);
+      // File-backed blob: read from disk as it uploads
+      fileData = await fs.openAsBlob(fileContent);
       // Use provided fileName or extract from path
       fileName = fileName || path.basename(fileContent);
     } else if (Buffer.isBuffer(fileContent)) {
-      fileBuffer = fileContent;
+      fileData = fileContent;
     } else {
       throw new Error(
         "File content must be a Buffer or file path string",
       );
     }
 
-    // Validate file extension (PDF)
-    const ext = path.extname(fileName).toLowerCase();
-    if (ext !== ".pdf") {
-      throw new Error(
-        `Invalid file type: ${ext}. Only PDF files are supported.`,
-      );
-    }
-
     // Create File object for Pinata SDK
-    const file = new File([fileBuffer], fileName, {
-      type: "application/pdf",
+    // Document types are validated from content before upload, and the
+    // stored bytes are encrypted, so the object is opaque binary
+    const file = new File([fileData], fileName, {
+      type: "application/octet-stream",
     });
 
     // Upload to Pinata using the correct method
@@ -114,8 +110,185 @@ const getGatewayUrl = (cid) => {
   return `https://${pinataGateway}/ipfs/${cid}`;
 };
 
+/**
+ * Fetch a file from IPFS through the Pinata gateway
+ * @param {string} cid - IPFS content identifier
+ * @returns {Promise<Buffer>} File content
+ */
+const fetchFile = async (cid) => {
+  const response = await fetch(getGatewayUrl(cid), {
+    signal: AbortSignal.timeout(30000),
+  });
+
+  if (!response.ok) {
+    throw new Error(`IPFS fetch failed: ${response.statusText}`);
+  }
+
+  const arrayBuffer = await response.arrayBuffer();
+  return Buffer.from(arrayBuffer);
+};
+
+/**
+ * Fetch a file, or a byte range of it, from IPFS through the Pinata gateway as a stream
+ * The timeout covers the response headers only, so large files are not cut off.
+ * @param {string} cid - IPFS content identifier
+ * @param {object} range - Optional { start, end } inclusive byte offsets
+ * @returns {Promise<Readable>} File content
+ */
+const fetchFileStream = async (cid, range = null) => {
+  const controller = new AbortController();
+  const timeout = setTimeout(() => controller.abort(), 30000);
+
+  let response;
+  try {
+    response = await fetch(getGatewayUrl(cid), {
+      headers: range ? { Range: `bytes=${range.start}-${range.end}` } : {},
+      signal: controller.signal,
+    });
+  } finally {
+    clearTimeout(timeout);
+  }
+
+  if (!response.ok) {
+    throw new Error(`IPFS fetch failed: ${response.statusText}`);
+  }
+
+  const body = Readable.fromWeb(response.body);
+
+  // A gateway that ignores Range sends the whole file with 200; trim it here
+  if (range && response.status !== 206) {
+    let offset = 0;
+    const trim = new Transform({
+      transform(chunk, encoding, callback) {
+        const chunkStart = offset;
+        offset += chunk.length;
+        if (offset > range.start && chunkStart <= range.end) {
+          this.push(
+            chunk.subarray(
+              Math.max(0, range.start - chunkStart),
+              range.end - chunkStart + 1,
+            ),
+          );
+        }
+        callback();
+      },
+    });
+    return pipeline(body, trim, () => {});
+  }
+
+  return body;
+};
+
+/**
+ * Get metadata for a pinned file
+ * @param {string} cid - IPFS content identifier
+ * @returns {Promise<object|null>} { cid, size, createdAt } or null if not pinned
+ */
+const statFile = async (cid) => {
+  try {
+    if (!pinata) {
+      throw new Error(
+        "Pinata SDK not initialized. Check PINATA_JWT and PINATA_GATEWAY in .env",
+      );
+    }
+
+    const result = await pinata.files.public.list().cid(cid).limit(1);
+    const file = result.files[0];
+
+    if (!file) {
+      return null;
+    }
+
+    return {
+      cid: file.cid,
+      size: file.size,
+      createdAt: file.created_at,
+    };
+  } catch (error) {
+    logger.error("Pinata stat error:", { message: error.message });
+    throw {
+      status: 400,
+      message: "Failed to get pinned file",
+      error: error.message,
+    };
+  }
+};
+
+/**
+ * Unpin a file from IPFS via Pinata
+ * @param {string} cid - IPFS content identifier
+ * @returns {Promise<number>} Number of Pinata files removed
+ */
+const unpinFile = async (cid) => {
+  try {
+    if (!pinata) {
+      throw new Error(
+        "Pinata SDK not initialized. Check PINATA_JWT and PINATA_GATEWAY in .env",
+      );
+    }
+
+    if (!cid) {
+      throw new Error("CID is required");
+    }
+
+    // Pinata deletes by file ID; the same CID may have been uploaded more than once
+    const files = await pinata.files.public.list().cid(cid).all();
+    const fileIds = files.map((file) => file.id);
+
+    if (fileIds.length > 0) {
+      await pinata.files.public.delete(fileIds);
+    }
+
+    logger.debug(`Unpinned ${fileIds.length} file(s) for CID: ${cid}`);
+
+    return fileIds.length;
+  } catch (error) {
+    logger.error("Pinata unpin error:", { message: error.message });
+    throw {
+      status: 400,
+      message: "Failed to unpin file from IPFS",
+      error: error.message,
+    };
+  }
+};
+
+/**
+ * List every file pinned with the configured Pinata account
+ * @returns {Promise<Array<object>>} Files with id, cid, name, and createdAt
+ */
+const listPinnedFiles = async () => {
+  try {
+    if (!pinata) {
+      throw new Error(
+        "Pinata SDK not initialized. Check PINATA_JWT and PINATA_GATEWAY in .env",
+      );
+    }
+
+    const files = await pinata.files.public.list().all();
+
+    return files.map((file) => ({
+      id: file.id,
+      cid: file.cid,
+      name: file.name,
+      createdAt: file.created_at,
+    }));
+  } catch (error) {
+    logger.error("Pinata list error:", { message: error.message });
+    throw {
+      status: 400,
+      message: "Failed to list pinned files",
+      error: error.message,
+    };
+  }
+};
+
 module.exports = {
   uploadFile,
   getGatewayUrl,
+  fetchFile,
+  fetchFileStream,
+  statFile,
+  unpinFile,
+  listPinnedFiles,
   pinata,
 };
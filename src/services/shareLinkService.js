@@ -0,0 +1,269 @@
+const crypto = require("crypto");
+const database = require("../config/database");
+
+/**
+ * Signed view links for a single document version
+ *
+ * A link token is "<linkId>.<signature>", where the signature is an
+ * HMAC-SHA256 of the link ID. Tokens are never stored: a forged or altered
+ * token fails the signature check before the database is queried, and the
+ * row decides expiry, revocation and single use.
+ */
+
+const DEFAULT_TTL_MS = 24 * 60 * 60 * 1000; // 24 hours
+const MAX_TTL_MS = 30 * 24 * 60 * 60 * 1000; // 30 days
+
+const ACCESS_OUTCOMES = {
+  SERVED: "served",
+  EXPIRED: "expired",
+  REVOKED: "revoked",
+  USED: "used",
+  FAILED: "failed",
+};
+
+// Dedicated secret, or one derived from JWT_SECRET so session tokens and link tokens never share a key
+const signingKey = process.env.SHARE_LINK_SECRET
+  ? Buffer.from(process.env.SHARE_LINK_SECRET, "utf8")
+  : crypto
+      .createHmac("sha256", process.env.JWT_SECRET || "")
+      .update("share-links")
+      .digest();
+
+/**
+ * Sign a link ID
+ * @param {string} linkId - share_links ID
+ * @returns {string} base64url signature
+ */
+const sign = (linkId) => {
+  return crypto
+    .createHmac("sha256", signingKey)
+    .update(linkId)
+    .digest("base64url");
+};
+
+/**
+ * Build the token for a link
+ * @param {string} linkId - share_links ID
+ * @returns {string} Link token
+ */
+const createToken = (linkId) => {
+  return `${linkId}.${sign(linkId)}`;
+};
+
+/**
+ * Check a token's signature
+ * @param {string} token - Link token
+ * @returns {string|null} Link ID, or null if the token is malformed or forged
+ */
+const verifyToken = (token) => {
+  const [linkId, signature, ...rest] = (token || "").split(".");
+
+  if (!linkId || !signature || rest.length > 0) {
+    return null;
+  }
+
+  const expected = Buffer.from(sign(linkId));
+  const actual = Buffer.from(signature);
+
+  if (
+    expected.length !== actual.length ||
+    !crypto.timingSafeEqual(expected, actual)
+  ) {
+    return null;
+  }
+
+  return linkId;
+};
+
+/**
+ * Create a link to a document version
+ * @param {object} link - { documentId, versionNumber, createdBy, expiresAt, singleUse }
+ * @returns {Promise<object>} share_links row plus token
+ */
+const createLink = async ({
+  documentId,
+  versionNumber,
+  createdBy,
+  expiresAt,
+  singleUse = false,
+}) => {
+  const result = await database.query(
+    `INSERT INTO share_links (document_id, version_number, created_by, expires_at, single_use)
+     VALUES ($1, $2, $3, $4, $5)
+     RETURNING *`,
+    [documentId, versionNumber, createdBy, expiresAt, singleUse],
+  );
+
+  const link = result.rows[0];
+  return { ...link, token: createToken(link.id) };
+};
+
+/**
+ * Get a link by ID
+ * @param {string} linkId - share_links ID
+ * @returns {Promise<object|null>} share_links row
+ */
+const getLink = async (linkId) => {
+  const result = await database.query(
+    "SELECT * FROM share_links WHERE id = $1",
+    [linkId],
+  );
+
+  return result.rows[0] || null;
+};
+
+/**
+ * Work out why a link cannot be used
+ * @param {object} link - share_links row
+ * @returns {string|null} Access outcome, or null if the link is usable
+ */
+const getUnusableReason = (link) => {
+  if (link.revoked_at) {
+    return ACCESS_OUTCOMES.REVOKED;
+  }
+  if (new Date(link.expires_at) <= new Date()) {
+    return ACCESS_OUTCOMES.EXPIRED;
+  }
+  if (link.single_use && link.use_count > 0) {
+    return ACCESS_OUTCOMES.USED;
+  }
+  return null;
+};
+
+/**
+ * Count a use of a link
+ * Atomic, so a single-use link is served at most once under concurrent requests
+ * @param {string} linkId - share_links ID
+ * @returns {Promise<boolean>} True if the use was counted
+ */
+const consumeLink = async (linkId) => {
+  const result = await database.query(
+    `UPDATE share_links
+     SET use_count = use_count + 1, last_accessed_at = NOW()
+     WHERE id = $1
+       AND revoked_at IS NULL
+       AND expires_at > NOW()
+       AND (NOT single_use OR use_count = 0)
+     RETURNING id`,
+    [linkId],
+  );
+
+  return result.rows.length > 0;
+};
+
+/**
+ * Record an access attempt on a link
+ * @param {string} linkId - share_links ID
+ * @param {object} access - { outcome, ipAddress, userAgent }
+ * @returns {Promise<void>}
+ */
+const recordAccess = async (linkId, { outcome, ipAddress, userAgent }) => {
+  await database.query(
+    `INSERT INTO share_link_accesses (link_id, outcome, ip_address, user_agent)
+     VALUES ($1, $2, $3, $4)`,
+    [linkId, outcome, ipAddress || null, userAgent || null],
+  );
+};
+
+/**
+ * List the links on a document with their access counts
+ * @param {string} documentId - Document UUID
+ * @returns {Promise<Array<object>>} share_links rows with access_count
+ */
+const listLinks = async (documentId) => {
+  const result = await database.query(
+    `SELECT sl.*, COUNT(sla.id) AS access_count
+     FROM share_links sl
+     LEFT JOIN share_link_accesses sla ON sla.link_id = sl.id
+     WHERE sl.document_id = $1
+     GROUP BY sl.id
+     ORDER BY sl.created_at DESC`,
+    [documentId],
+  );
+
+  return result.rows;
+};
+
+/**
+ * List the access log of a link, newest first
+ * @param {string} linkId - share_links ID
+ * @returns {Promise<Array<object>>} share_link_accesses rows
+ */
+const listAccesses = async (linkId) => {
+  const result = await database.query(
+    `SELECT id, outcome, ip_address, user_agent, accessed_at
+     FROM share_link_accesses
+     WHERE link_id = $1
+     ORDER BY accessed_at DESC`,
+    [linkId],
+  );
+
+  return result.rows;
+};
+
+/**
+ * Revoke a link
+ * @param {string} documentId - Document UUID
+ * @param {string} linkId - share_links ID
+ * @returns {Promise<object|null>} Revoked row, or null if missing or already revoked
+ */
+const revokeLink = async (documentId, linkId) => {
+  const result = await database.query(
+    `UPDATE share_links
+     SET revoked_at = NOW()
+     WHERE id = $1 AND document_id = $2 AND revoked_at IS NULL
+     RETURNING *`,
+    [linkId, documentId],
+  );
+
+  return result.rows[0] || null;
+};
+
+/**
+ * Format a link row for API responses
+ * The token is only included right after creation
+ * @param {object} link - share_links row
+ * @returns {object} Link status
+ */
+const formatLink = (link) => {
+  const formatted = {
+    id: link.id,
+    documentId: link.document_id,
+    versionNumber: link.version_number,
+    status: getUnusableReason(link) || "active",
+    singleUse: link.single_use,
+    useCount: link.use_count,
+    accessCount:
+      link.access_count !== undefined
+        ? parseInt(link.access_count, 10)
+        : undefined,
+    createdBy: link.created_by,
+    expiresAt: link.expires_at,
+    revokedAt: link.revoked_at,
+    lastAccessedAt: link.last_accessed_at,
+    createdAt: link.created_at,
+  };
+
+  if (link.token) {
+    formatted.token = link.token;
+    formatted.url = `/links/${link.token}`;
+  }
+
+  return formatted;
+};
+
+module.exports = {
+  DEFAULT_TTL_MS,
+  MAX_TTL_MS,
+  ACCESS_OUTCOMES,
+  verifyToken,
+  createLink,
+  getLink,
+  getUnusableReason,
+  consumeLink,
+  recordAccess,
+  listLinks,
+  listAccesses,
+  revokeLink,
+  formatLink,
+};
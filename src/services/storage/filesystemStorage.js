@@ -0,0 +1,154 @@
+const fs = require("fs/promises");
+const { createReadStream } = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const { computeCid, computeFileCid } = require("../../utils/cid");
+const logger = require("../../utils/logger");
+
+/**
+ * Local filesystem storage driver
+ * Content-addressed store: each object is saved as <STORAGE_LOCAL_DIR>/<cid>,
+ * where cid is the IPFS CIDv1 of the content.
+ */
+
+const storageDir = path.resolve(process.env.STORAGE_LOCAL_DIR || "storage");
+
+// Only well-formed base32 CIDv1 strings are used as file names
+const CID_PATTERN = /^b[a-z2-7]{58,}$/;
+
+/**
+ * Resolve the file path for a CID
+ * @param {string} cid - IPFS CIDv1
+ * @returns {string} Absolute file path
+ */
+const objectPath = (cid) => {
+  if (!cid || !CID_PATTERN.test(cid)) {
+    throw new Error(`Invalid CID: ${cid}`);
+  }
+  return path.join(storageDir, cid);
+};
+
+/**
+ * Temp path next to an object, renamed into place once fully written
+ * so readers never see partial objects
+ * @param {string} filePath - Final object path
+ * @returns {string} Temp file path
+ */
+const tempPathFor = (filePath) =>
+  `${filePath}.${crypto.randomBytes(6).toString("hex")}.tmp`;
+
+logger.debug(`Filesystem storage directory: ${storageDir}`);
+
+module.exports = {
+  name: "filesystem",
+
+  put: async (buffer) => {
+    const cid = computeCid(buffer);
+    const filePath = objectPath(cid);
+
+    await fs.mkdir(storageDir, { recursive: true });
+
+    const tempPath = tempPathFor(filePath);
+    await fs.writeFile(tempPath, buffer);
+    await fs.rename(tempPath, filePath);
+
+    return { cid, size: buffer.length };
+  },
+
+  putFile: async (sourcePath) => {
+    const cid = await computeFileCid(sourcePath);
+    const filePath = objectPath(cid);
+
+    await fs.mkdir(storageDir, { recursive: true });
+
+    // Copy rather than move: the source may be on another filesystem
+    const tempPath = tempPathFor(filePath);
+    await fs.copyFile(sourcePath, tempPath);
+    await fs.rename(tempPath, filePath);
+
+    const stats = await fs.stat(filePath);
+    return { cid, size: stats.size };
+  },
+
+  get: async (cid) => {
+    try {
+      return await fs.readFile(objectPath(cid));
+    } catch (error) {
+      if (error.code === "ENOENT") {
+        throw new Error(`Object not found: ${cid}`);
+      }
+      throw error;
+    }
+  },
+
+  getStream: async (cid, range) => {
+    const filePath = objectPath(cid);
+
+    // Check up front so a missing object fails the call, not the stream
+    try {
+      await fs.access(filePath);
+    } catch (error) {
+      if (error.code === "ENOENT") {
+        throw new Error(`Object not found: ${cid}`);
+      }
+      throw error;
+    }
+
+    return createReadStream(
+      filePath,
+      range ? { start: range.start, end: range.end } : undefined,
+    );
+  },
+
+  delete: async (cid) => {
+    try {
+      await fs.unlink(objectPath(cid));
+      return 1;
+    } catch (error) {
+      if (error.code === "ENOENT") {
+        return 0;
+      }
+      throw error;
+    }
+  },
+
+  stat: async (cid) => {
+    try {
+      const stats = await fs.stat(objectPath(cid));
+      return {
+        cid,
+        size: stats.size,
+        createdAt: stats.mtime.toISOString(),
+      };
+    } catch (error) {
+      if (error.code === "ENOENT") {
+        return null;
+      }
+      throw error;
+    }
+  },
+
+  list: async () => {
+    let entries;
+    try {
+      entries = await fs.readdir(storageDir);
+    } catch (error) {
+      if (error.code === "ENOENT") {
+        return [];
+      }
+      throw error;
+    }
+
+    const files = [];
+    for (const entry of entries.filter((name) => CID_PATTERN.test(name))) {
+      const stats = await fs.stat(path.join(storageDir, entry));
+      files.push({
+        id: entry,
+        cid: entry,
+        name: null,
+        createdAt: stats.mtime.toISOString(),
+      });
+    }
+    return files;
+  },
+};
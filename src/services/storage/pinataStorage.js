@@ -0,0 +1,39 @@
+const pinataService = require("../pinataService");
+
+/**
+ * Pinata storage driver
+ * Stores objects on IPFS through the Pinata SDK; CIDs are assigned by Pinata.
+ */
+module.exports = {
+  name: "pinata",
+
+  put: async (buffer, { fileName, metadata }) => {
+    const result = await pinataService.uploadFile(
+      buffer,
+      fileName,
+      metadata,
+    );
+    return { cid: result.cid, size: result.size };
+  },
+
+  putFile: async (filePath, { fileName, metadata }) => {
+    const result = await pinataService.uploadFile(
+      filePath,
+      fileName,
+      metadata,
+    );
+    return { cid: result.cid, size: result.size };
+  },
+
+  get: (cid) => pinataService.fetchFile(cid),
+
+  getStream: (cid, range) => pinataService.fetchFileStream(cid, range),
+
+  delete: (cid) => pinataService.unpinFile(cid),
+
+  stat: (cid) => pinataService.statFile(cid),
+
+  list: () => pinataService.listPinnedFiles(),
+
+  getPublicUrl: (cid) => pinataService.getGatewayUrl(cid),
+};
@@ -0,0 +1,194 @@
+const {
+  S3Client,
+  PutObjectCommand,
+  GetObjectCommand,
+  HeadObjectCommand,
+  DeleteObjectCommand,
+  ListObjectsV2Command,
+} = require("@aws-sdk/client-s3");
+const fs = require("fs");
+const { computeCid, computeFileCid } = require("../../utils/cid");
+const logger = require("../../utils/logger");
+
+/**
+ * S3-compatible storage driver
+ * Content-addressed store: each object is saved under <S3_PREFIX><cid>,
+ * where cid is the IPFS CIDv1 of the content.
+ */
+
+const bucket = process.env.S3_BUCKET;
+const prefix = process.env.S3_PREFIX || "";
+
+if (!bucket) {
+  logger.warn("S3_BUCKET not configured. S3 storage operations will fail.");
+}
+
+const client = new S3Client({
+  region: process.env.S3_REGION || "us-east-1",
+  endpoint: process.env.S3_ENDPOINT || undefined,
+  forcePathStyle: process.env.S3_FORCE_PATH_STYLE === "true",
+  credentials:
+    process.env.S3_ACCESS_KEY_ID && process.env.S3_SECRET_ACCESS_KEY
+      ? {
+          accessKeyId: process.env.S3_ACCESS_KEY_ID,
+          secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+        }
+      : undefined,
+});
+
+/**
+ * Object key for a CID
+ * @param {string} cid - IPFS CIDv1
+ * @returns {string} S3 key
+ */
+const objectKey = (cid) => `${prefix}${cid}`;
+
+/**
+ * Whether an S3 error means the object does not exist
+ * @param {Error} error - AWS SDK error
+ * @returns {boolean}
+ */
+const isNotFound = (error) =>
+  error.name === "NotFound" ||
+  error.name === "NoSuchKey" ||
+  error.$metadata?.httpStatusCode === 404;
+
+/**
+ * Get metadata for an object
+ * @param {string} cid - IPFS CIDv1
+ * @returns {Promise<object|null>} { cid, size, createdAt } or null
+ */
+const stat = async (cid) => {
+  try {
+    const head = await client.send(
+      new HeadObjectCommand({ Bucket: bucket, Key: objectKey(cid) }),
+    );
+    return {
+      cid,
+      size: head.ContentLength,
+      createdAt: head.LastModified
+        ? head.LastModified.toISOString()
+        : null,
+    };
+  } catch (error) {
+    if (isNotFound(error)) {
+      return null;
+    }
+    throw error;
+  }
+};
+
+module.exports = {
+  name: "s3",
+
+  put: async (buffer) => {
+    const cid = computeCid(buffer);
+
+    await client.send(
+      new PutObjectCommand({
+        Bucket: bucket,
+        Key: objectKey(cid),
+        Body: buffer,
+        ContentType: "application/octet-stream",
+      }),
+    );
+
+    return { cid, size: buffer.length };
+  },
+
+  putFile: async (filePath) => {
+    const cid = await computeFileCid(filePath);
+    const { size } = await fs.promises.stat(filePath);
+
+    await client.send(
+      new PutObjectCommand({
+        Bucket: bucket,
+        Key: objectKey(cid),
+        Body: fs.createReadStream(filePath),
+        ContentLength: size,
+        ContentType: "application/octet-stream",
+      }),
+    );
+
+    return { cid, size };
+  },
+
+  get: async (cid) => {
+    try {
+      const result = await client.send(
+        new GetObjectCommand({ Bucket: bucket, Key: objectKey(cid) }),
+      );
+      return Buffer.from(await result.Body.transformToByteArray());
+    } catch (error) {
+      if (isNotFound(error)) {
+        throw new Error(`Object not found: ${cid}`);
+      }
+      throw error;
+    }
+  },
+
+  getStream: async (cid, range) => {
+    try {
+      const result = await client.send(
+        new GetObjectCommand({
+          Bucket: bucket,
+          Key: objectKey(cid),
+          Range: range ? `bytes=${range.start}-${range.end}` : undefined,
+        }),
+      );
+      return result.Body;
+    } catch (error) {
+      if (isNotFound(error)) {
+        throw new Error(`Object not found: ${cid}`);
+      }
+      throw error;
+    }
+  },
+
+  delete: async (cid) => {
+    // DeleteObject succeeds for missing keys, so check first to report the count
+    if (!(await stat(cid))) {
+      return 0;
+    }
+
+    await client.send(
+      new DeleteObjectCommand({ Bucket: bucket, Key: objectKey(cid) }),
+    );
+    return 1;
+  },
+
+  stat,
+
+  list: async () => {
+    const files = [];
+    let continuationToken;
+
+    do {
+      const page = await client.send(
+        new ListObjectsV2Command({
+          Bucket: bucket,
+          Prefix: prefix || undefined,
+          ContinuationToken: continuationToken,
+        }),
+      );
+
+      for (const object of page.Contents || []) {
+        const cid = object.Key.slice(prefix.length);
+        files.push({
+          id: object.Key,
+          cid,
+          name: null,
+          createdAt: object.LastModified
+            ? object.LastModified.toISOString()
+            : null,
+        });
+      }
+
+      continuationToken = page.IsTruncated
+        ? page.NextContinuationToken
+        : undefined;
+    } while (continuationToken);
+
+    return files;
+  },
+};
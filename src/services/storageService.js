@@ -0,0 +1,149 @@
+const logger = require("../utils/logger");
+
+/**
+ * Storage backend for encrypted document objects, addressed by IPFS CID
+ *
+ * Drivers implement:
+ * - put(buffer, { fileName, metadata }) -> { cid, size }
+ * - putFile(filePath, { fileName, metadata }) -> { cid, size }, streamed from disk
+ * - get(cid) -> Buffer
+ * - getStream(cid, range) -> Readable, optionally limited to { start, end } (inclusive)
+ * - delete(cid) -> number of objects removed
+ * - stat(cid) -> { cid, size, createdAt } | null
+ * - list() -> [{ id, cid, name, createdAt }]
+ * - getPublicUrl(cid) -> URL the object can be fetched from without
+ *   credentials (optional; drivers without one are served through the API)
+ *
+ * The driver is selected with STORAGE_DRIVER (pinata | filesystem | s3).
+ * Drivers are loaded lazily so unused backends need no configuration.
+ */
+
+const DRIVERS = {
+  pinata: "./storage/pinataStorage",
+  filesystem: "./storage/filesystemStorage",
+  s3: "./storage/s3Storage",
+};
+
+const driverName = process.env.STORAGE_DRIVER || "pinata";
+
+if (!DRIVERS[driverName]) {
+  throw new Error(
+    `Unknown STORAGE_DRIVER "${driverName}". Expected one of: ${Object.keys(DRIVERS).join(", ")}`,
+  );
+}
+
+const driver = require(DRIVERS[driverName]);
+
+logger.debug(`Storage driver: ${driver.name}`);
+
+/**
+ * Run a driver operation and normalize its errors
+ * @param {string} operation - Description used in the error message
+ * @param {Function} fn - Driver call
+ * @returns {Promise<any>} Driver result
+ */
+const run = async (operation, fn) => {
+  try {
+    return await fn();
+  } catch (error) {
+    // Pinata service errors are already normalized
+    if (error.status) {
+      throw error;
+    }
+
+    logger.error(`Storage ${operation} error:`, {
+      driver: driver.name,
+      message: error.message,
+    });
+    throw {
+      status: 400,
+      message: `Failed to ${operation} storage object`,
+      error: error.message,
+    };
+  }
+};
+
+/**
+ * Store an object
+ * @param {Buffer} buffer - Object content
+ * @param {object} options - { fileName, metadata }
+ * @returns {Promise<object>} { cid, size }
+ */
+const put = (buffer, options = {}) =>
+  run("store", () => driver.put(buffer, options));
+
+/**
+ * Store an object from a file without loading it into memory
+ * @param {string} filePath - Path to the object content
+ * @param {object} options - { fileName, metadata }
+ * @returns {Promise<object>} { cid, size }
+ */
+const putFile = (filePath, options = {}) =>
+  run("store", () => driver.putFile(filePath, options));
+
+/**
+ * Retrieve an object
+ * @param {string} cid - Content identifier
+ * @returns {Promise<Buffer>} Object content
+ */
+const get = (cid) => run("retrieve", () => driver.get(cid));
+
+/**
+ * Retrieve an object, or a byte range of it, as a stream
+ * Errors after the stream is returned are emitted on the stream.
+ * @param {string} cid - Content identifier
+ * @param {object} range - Optional { start, end } inclusive byte offsets
+ * @returns {Promise<Readable>} Object content
+ */
+const getStream = (cid, range = null) =>
+  run("retrieve", () => driver.getStream(cid, range));
+
+/**
+ * Delete (unpin) an object
+ * @param {string} cid - Content identifier
+ * @returns {Promise<number>} Number of objects removed
+ */
+const remove = (cid) => run("delete", () => driver.delete(cid));
+
+/**
+ * Get object metadata
+ * @param {string} cid - Content identifier
+ * @returns {Promise<object|null>} { cid, size, createdAt } or null if missing
+ */
+const stat = (cid) => run("stat", () => driver.stat(cid));
+
+/**
+ * Get a URL the object can be fetched from without credentials
+ * @param {string} cid - Content identifier
+ * @returns {string|null} Public URL, or null if the driver has none
+ */
+const getPublicUrl = (cid) => {
+  if (!driver.getPublicUrl) {
+    return null;
+  }
+
+  try {
+    return driver.getPublicUrl(cid);
+  } catch (error) {
+    logger.warn(`Storage public URL unavailable: ${error.message}`);
+    return null;
+  }
+};
+
+/**
+ * List every stored object
+ * @returns {Promise<Array<object>>} Objects with id, cid, name, and createdAt
+ */
+const list = () => run("list", () => driver.list());
+
+module.exports = {
+  driverName: driver.name,
+  put,
+  putFile,
+  get,
+  getStream,
+  delete: remove,
+  stat,
+  list,
+  getPublicUrl,
+};
@@ -0,0 +1,236 @@
+const database = require("../config/database");
+const storageService = require("./storageService");
+const uploadStagingService = require("./uploadStagingService");
+const logger = require("../utils/logger");
+
+/**
+ * Record a failed upload attempt
+ * @param {object} upload - Failed upload details
+ * @returns {Promise<void>}
+ */
+const recordFailedUpload = async ({
+  jobId = null,
+  userId = null,
+  documentId = null,
+  ipfsCid = null,
+  fileHash = null,
+  txHash = null,
+  stage = null,
+  reason,
+  compensation,
+}) => {
+  await database.query(
+    `INSERT INTO failed_uploads (
+      job_id, user_id, document_id, ipfs_cid, file_hash, tx_hash, stage,
+      reason, compensation
+    )
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)`,
+    [
+      jobId,
+      userId,
+      documentId,
+      ipfsCid,
+      fileHash,
+      txHash,
+      stage,
+      reason,
+      compensation,
+    ],
+  );
+};
+
+/**
+ * Undo the completed stages of a job that failed for good
+ *
+ * - Not pinned yet: the staged upload is kept, so a manual retry can still
+ *   store it.
+ * - Pinned but never sent on-chain: the CID is unpinned and the job is
+ *   rolled back to "encrypted". The staged upload was removed once pinned,
+ *   so the file must be uploaded again.
+ * - Transaction sent: the CID is referenced on-chain and must stay pinned.
+ *
+ * Every call is recorded in failed_uploads with the compensation applied.
+ * @param {string} jobId - anchor_jobs ID
+ * @param {string} reason - Failure reason
+ * @returns {Promise<string>} Compensation applied
+ */
+const compensateJob = async (jobId, reason) => {
+  const result = await database.query(
+    `SELECT id, user_id, document_id, ipfs_cid, file_hash, tx_hash, stage
+     FROM anchor_jobs
+     WHERE id = $1`,
+    [jobId],
+  );
+
+  const job = result.rows[0];
+  if (!job) {
+    return "none";
+  }
+
+  let compensation = "none";
+
+  if (job.tx_hash) {
+    compensation = "kept_anchored";
+  } else if (job.ipfs_cid) {
+    try {
+      await storageService.delete(job.ipfs_cid);
+      compensation = "unpinned";
+
+      await database.query(
+        `UPDATE anchor_jobs
+         SET ipfs_cid = NULL, stage = 'encrypted', updated_at = NOW(),
+             stages = COALESCE((
+               SELECT jsonb_agg(entry)
+               FROM jsonb_array_elements(stages) entry
+               WHERE entry->>'stage' NOT IN ('pinned', 'batched')
+             ), '[]'::jsonb)
+         WHERE id = $1`,
+        [job.id],
+      );
+    } catch (error) {
+      compensation = "unpin_failed";
+      logger.error(`Failed to unpin orphaned CID ${job.ipfs_cid}:`, {
+        message: error.error || error.message,
+      });
+    }
+  }
+
+  await recordFailedUpload({
+    jobId: job.id,
+    userId: job.user_id,
+    documentId: job.document_id,
+    ipfsCid: job.ipfs_cid,
+    fileHash: job.file_hash,
+    txHash: job.tx_hash,
+    stage: job.stage,
+    reason,
+    compensation,
+  });
+
+  logger.warn(
+    `Compensated failed upload for job ${job.id} at stage "${job.stage}": ${compensation}`,
+  );
+
+  return compensation;
+};
+
+/**
+ * Undo the upload of a file whose anchoring job could not be queued
+ * The staged file is referenced by nothing, so it is deleted. The attempt
+ * is recorded in failed_uploads; failing to record it is only logged, so the
+ * caller can still report the original error.
+ * @param {object} upload - { userId, documentId, stagedFile, fileHash, reason }
+ * @returns {Promise<string>} Compensation applied
+ */
+const compensateUnqueuedUpload = async ({
+  userId,
+  documentId = null,
+  stagedFile,
+  fileHash,
+  reason,
+}) => {
+  const compensation = "unstaged";
+
+  await uploadStagingService.removeStagedFile(stagedFile);
+
+  try {
+    await recordFailedUpload({
+      userId,
+      documentId,
+      fileHash,
+      stage: "encrypted",
+      reason,
+      compensation,
+    });
+  } catch (error) {
+    logger.error(`Failed to record failed upload of ${stagedFile}:`, {
+      message: error.message,
+    });
+  }
+
+  logger.warn(
+    `Compensated upload that could not be queued (${stagedFile}): ${compensation}`,
+  );
+
+  return compensation;
+};
+
+/**
+ * Find pinned CIDs with no document_versions row
+ * CIDs held by unfinished jobs, or by jobs whose transaction was sent, are
+ * never reported. Recent pins are skipped so in-flight uploads are not raced.
+ * @param {object} options - Sweep options
+ * @param {boolean} options.unpin - Unpin the orphans instead of only reporting them
+ * @param {number} options.minAgeMs - Minimum pin age to consider
+ * @returns {Promise<object>} { scanned, orphans, unpinned, failed }
+ */
+const sweepOrphanedPins = async ({
+  unpin = false,
+  minAgeMs = 24 * 60 * 60 * 1000,
+} = {}) => {
+  const files = await storageService.list();
+
+  const knownResult = await database.query(
+    `SELECT ipfs_cid FROM document_versions
+     UNION
+     SELECT ipfs_cid FROM anchor_jobs
+     WHERE ipfs_cid IS NOT NULL
+       AND (status IN ('queued', 'processing', 'awaiting_authorization')
+            OR tx_hash IS NOT NULL)`,
+  );
+  const knownCids = new Set(knownResult.rows.map((row) => row.ipfs_cid));
+
+  const cutoff = Date.now() - minAgeMs;
+  const orphansByCid = new Map();
+  for (const file of files) {
+    if (
+      file.cid !== "pending" &&
+      !knownCids.has(file.cid) &&
+      new Date(file.createdAt).getTime() < cutoff
+    ) {
+      orphansByCid.set(file.cid, file);
+    }
+  }
+  const orphans = [...orphansByCid.values()];
+
+  const summary = {
+    scanned: files.length,
+    orphans: orphans.map((file) => ({
+      cid: file.cid,
+      name: file.name,
+      createdAt: file.createdAt,
+    })),
+    unpinned: 0,
+    failed: 0,
+  };
+
+  if (!unpin) {
+    return summary;
+  }
+
+  for (const file of orphans) {
+    try {
+      await storageService.delete(file.cid);
+      await recordFailedUpload({
+        ipfsCid: file.cid,
+        reason: "Orphaned pin with no document version",
+        compensation: "swept",
+      });
+      summary.unpinned++;
+    } catch (error) {
+      summary.failed++;
+      logger.error(`Failed to unpin orphaned CID ${file.cid}:`, {
+        message: error.error || error.message,
+      });
+    }
+  }
+
+  return summary;
+};
+
+module.exports = {
+  recordFailedUpload,
+  compensateJob,
+  compensateUnqueuedUpload,
+  sweepOrphanedPins,
+};
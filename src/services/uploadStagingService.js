@@ -0,0 +1,92 @@
+const fs = require("fs/promises");
+const path = require("path");
+const crypto = require("crypto");
+const { UPLOAD_STAGING_DIR } = require("../config/upload");
+const logger = require("../utils/logger");
+
+/**
+ * Staged uploads
+ * An accepted upload's encrypted spool file is moved to UPLOAD_STAGING_DIR,
+ * where it outlives the request. The anchoring job refers to it by name, and
+ * the job worker stores it and removes it once it is pinned.
+ */
+
+// Only names created by this module are resolved
+const STAGED_NAME_PATTERN = /^staged-[0-9a-f]{24}$/;
+
+/**
+ * Resolve the path of a staged file
+ * @param {string} name - Staged file name (from stageFile)
+ * @returns {string} Absolute file path
+ */
+const getStagedPath = (name) => {
+  if (!name || !STAGED_NAME_PATTERN.test(name)) {
+    throw new Error(`Invalid staged file name: ${name}`);
+  }
+  return path.join(UPLOAD_STAGING_DIR, name);
+};
+
+/**
+ * Move an upload's spool file to the staging directory
+ * Copied instead when the two directories are on different file systems.
+ * @param {string} spoolPath - Encrypted spool file (req.file.path)
+ * @returns {Promise<string>} Staged file name
+ */
+const stageFile = async (spoolPath) => {
+  const name = `staged-${crypto.randomBytes(12).toString("hex")}`;
+  const stagedPath = getStagedPath(name);
+
+  await fs.mkdir(UPLOAD_STAGING_DIR, { recursive: true });
+
+  try {
+    await fs.rename(spoolPath, stagedPath);
+  } catch (error) {
+    if (error.code !== "EXDEV") {
+      throw error;
+    }
+    await fs.copyFile(spoolPath, stagedPath);
+  }
+
+  return name;
+};
+
+/**
+ * Stage an encrypted file held in memory
+ * Used to move files out of anchor_jobs rows queued before uploads were staged.
+ * @param {Buffer} buffer - Encrypted file
+ * @returns {Promise<string>} Staged file name
+ */
+const stageBuffer = async (buffer) => {
+  const name = `staged-${crypto.randomBytes(12).toString("hex")}`;
+
+  await fs.mkdir(UPLOAD_STAGING_DIR, { recursive: true });
+  await fs.writeFile(getStagedPath(name), buffer, { flag: "wx" });
+
+  return name;
+};
+
+/**
+ * Delete a staged file, ignoring files that are already gone
+ * Failures are only logged: the file is no longer needed.
+ * @param {string} name - Staged file name
+ * @returns {Promise<void>}
+ */
+const removeStagedFile = async (name) => {
+  try {
+    await fs.unlink(getStagedPath(name));
+  } catch (error) {
+    if (error.code !== "ENOENT") {
+      logger.warn("Failed to remove staged upload:", {
+        name,
+        message: error.message,
+      });
+    }
+  }
+};
+
+module.exports = {
+  getStagedPath,
+  stageFile,
+  stageBuffer,
+  removeStagedFile,
+};
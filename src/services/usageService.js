@@ -0,0 +1,148 @@
+const database = require("../config/database");
+
+/**
+ * Gas usage reporting
+ *
+ * Every anchored version and notarization records the gas and fee of its
+ * transaction (a batched version records its share of the batch
+ * transaction). Usage is reported for the documents a user owns, including
+ * versions uploaded by editors, and the user's notarizations. Fees are in
+ * the chain's native currency, so totals are always kept apart per chain.
+ * Records anchored before costs were recorded are left out, and so are
+ * relayed anchors, whose gas the user's own wallet paid.
+ */
+
+const GROUP_BY = ["user", "document", "period"];
+const PERIODS = ["day", "week", "month"];
+
+// Anchored records with a recorded fee, one row per version or notarization
+const SPENDING_SELECT = `
+  SELECT
+    'document' AS record_type,
+    d.id AS record_id,
+    d.title,
+    COALESCE(dv.uploaded_by, d.user_id) AS user_id,
+    dv.chain_id,
+    dv.gas_used,
+    dv.fee_wei,
+    dv.created_at
+  FROM document_versions dv
+  JOIN documents d ON d.id = dv.document_id
+  WHERE d.user_id = $1 AND dv.fee_wei IS NOT NULL
+    AND dv.anchoring_mode IS DISTINCT FROM 'relay'
+  UNION ALL
+  SELECT
+    'notarization' AS record_type,
+    n.id AS record_id,
+    n.title,
+    n.user_id,
+    n.chain_id,
+    n.gas_used,
+    n.fee_wei,
+    n.created_at
+  FROM notarizations n
+  WHERE n.user_id = $1 AND n.fee_wei IS NOT NULL
+    AND n.anchoring_mode IS DISTINCT FROM 'relay'
+`;
+
+// Columns each grouping adds to the per-chain totals
+const GROUP_COLUMNS = {
+  user: ["user_id"],
+  document: ["record_type", "record_id", "title"],
+  period: ["period_start"],
+};
+
+/**
+ * Format an aggregated row
+ * @param {object} row - Row with chain_id, anchors, gas_used, fee_wei
+ * @returns {object} Usage totals
+ */
+const formatTotals = (row) => ({
+  chainId: row.chain_id,
+  anchors: Number(row.anchors),
+  gasUsed: row.gas_used,
+  feeWei: row.fee_wei,
+});
+
+/**
+ * Format a grouped row for API responses
+ * @param {string} groupBy - user | document | period
+ * @param {object} row - Aggregated row
+ * @returns {object} Usage group
+ */
+const formatGroup = (groupBy, row) => {
+  if (groupBy === "user") {
+    return { userId: row.user_id, ...formatTotals(row) };
+  }
+
+  if (groupBy === "document") {
+    return {
+      type: row.record_type,
+      id: row.record_id,
+      title: row.title,
+      ...formatTotals(row),
+    };
+  }
+
+  return { periodStart: row.period_start, ...formatTotals(row) };
+};
+
+/**
+ * Aggregate a user's anchoring gas spending
+ * @param {string} userId - Owner user UUID
+ * @param {object} options - { groupBy, period, from, to }; from is inclusive, to exclusive, both optional Dates
+ * @returns {Promise<object>} { totals, groups }, per chain
+ */
+const getGasUsage = async (userId, options) => {
+  const { groupBy, period, from, to } = options;
+  const groupColumns = GROUP_COLUMNS[groupBy];
+
+  const result = await database.query(
+    `WITH spending AS (${SPENDING_SELECT})
+     SELECT
+       ${groupColumns.join(", ")},
+       chain_id,
+       COUNT(*) AS anchors,
+       SUM(gas_used) AS gas_used,
+       SUM(fee_wei) AS fee_wei
+     FROM (
+       SELECT *, date_trunc($2, created_at) AS period_start
+       FROM spending
+       WHERE ($3::timestamptz IS NULL OR created_at >= $3)
+         AND ($4::timestamptz IS NULL OR created_at < $4)
+     ) ranged
+     GROUP BY ${groupColumns.join(", ")}, chain_id
+     ORDER BY ${groupBy === "period" ? "period_start ASC" : "fee_wei DESC"}, chain_id ASC`,
+    [userId, period, from, to],
+  );
+
+  // Per-chain totals of all groups
+  const totals = new Map();
+  for (const row of result.rows) {
+    const chainTotals = totals.get(row.chain_id) || {
+      chainId: row.chain_id,
+      anchors: 0,
+      gasUsed: 0n,
+      feeWei: 0n,
+    };
+    chainTotals.anchors += Number(row.anchors);
+    chainTotals.gasUsed += BigInt(row.gas_used);
+    chainTotals.feeWei += BigInt(row.fee_wei);
+    totals.set(row.chain_id, chainTotals);
+  }
+
+  return {
+    totals: [...totals.values()].map((chainTotals) => ({
+      ...chainTotals,
+      gasUsed: chainTotals.gasUsed.toString(),
+      feeWei: chainTotals.feeWei.toString(),
+    })),
+    groups: result.rows.map((row) => formatGroup(groupBy, row)),
+  };
+};
+
+module.exports = {
+  GROUP_BY,
+  PERIODS,
+  getGasUsage,
+};
@@ -0,0 +1,314 @@
+const { query } = require("../config/database");
+const { findNetwork } = require("../config/networks");
+const blockchainService = require("./blockchainService");
+const { verifyMerkleProof } = require("../utils/merkle");
+const logger = require("../utils/logger");
+
+/**
+ * Normalize a SHA256 hex hash to the format stored in document_versions
+ * (lowercase, no 0x prefix)
+ * @param {string} hash - SHA256 hex hash
+ * @returns {string} Normalized hash
+ */
+const normalizeHash = (hash) => {
+  return hash.toLowerCase().replace(/^0x/, "");
+};
+
+/**
+ * Find the network a record row was anchored on
+ * Logs rows whose deployment is missing from the networks registry
+ * @param {object} row - Row with chain_id and contract_address
+ * @returns {object|null} Network, or null if it is not configured
+ */
+const getRowNetwork = (row) => {
+  const network = findNetwork(row.chain_id, row.contract_address);
+
+  if (!network) {
+    logger.warn(
+      `No configured network for chain ${row.chain_id} contract ${row.contract_address}`,
+    );
+  }
+
+  return network;
+};
+
+/**
+ * Load an on-chain document and its versions, once per cache
+ * @param {object} network - Network the document lives on
+ * @param {number|string} blockchainDocumentId - On-chain document ID
+ * @param {Map} chainCache - Cache of on-chain documents
+ * @returns {Promise<object>} { document, versions }
+ */
+const loadChainDocument = async (
+  network,
+  blockchainDocumentId,
+  chainCache,
+) => {
+  const chainId = blockchainDocumentId.toString();
+  const cacheKey = `${network.name}:${chainId}`;
+
+  if (!chainCache.has(cacheKey)) {
+    const [document, versions] = await Promise.all([
+      blockchainService.getDocument(chainId, network),
+      blockchainService.getVersions(chainId, network),
+    ]);
+    chainCache.set(cacheKey, { document, versions });
+  }
+
+  return chainCache.get(cacheKey);
+};
+
+/**
+ * Check a batched version's inclusion proof against its batch's Merkle root
+ * as anchored on-chain (the root is not taken from the database)
+ * A batched version records its batch's network.
+ * @param {object} row - { file_hash, merkle_proof, batch_blockchain_document_id, chain_id, contract_address }
+ * @param {Map} chainCache - Cache of on-chain documents
+ * @returns {Promise<object>} { anchored, merkleRoot, blockTimestamp }
+ */
+const confirmBatchInclusion = async (row, chainCache) => {
+  const inclusion = {
+    anchored: false,
+    merkleRoot: null,
+    blockTimestamp: null,
+  };
+
+  const network = getRowNetwork(row);
+
+  if (!row.batch_blockchain_document_id || !network) {
+    return inclusion;
+  }
+
+  const { versions } = await loadChainDocument(
+    network,
+    row.batch_blockchain_document_id,
+    chainCache,
+  );
+  const [anchoredRoot] = versions;
+
+  if (!anchoredRoot) {
+    return inclusion;
+  }
+
+  inclusion.merkleRoot = normalizeHash(anchoredRoot.fileHash);
+
+  if (
+    verifyMerkleProof(row.file_hash, row.merkle_proof, inclusion.merkleRoot)
+  ) {
+    inclusion.anchored = true;
+    inclusion.blockTimestamp = new Date(
+      anchoredRoot.timestamp * 1000,
+    ).toISOString();
+  }
+
+  return inclusion;
+};
+
+/**
+ * Log a failed chain lookup and describe it for a verification match
+ * @param {object} match - Verification match being confirmed
+ * @param {Error|object} error - Error thrown by blockchainService
+ * @returns {string} Error message for the match
+ */
+const getLookupError = (match, error) => {
+  logger.warn(
+    `Could not confirm ${match.type} on ${match.network} document ${match.blockchainDocumentId}:`,
+    { message: error.message, error: error.error },
+  );
+
+  return error.message || String(error);
+};
+
+/**
+ * Confirm a database record row against the contract's version history,
+ * or a batched version against its batch's anchored Merkle root
+ * A chain lookup that fails leaves the match unconfirmed with the error, so
+ * one unreachable network does not fail the other matches.
+ * @param {object} row - Document version or notarization row (see RECORD_SELECT)
+ * @param {Map} chainCache - Per-request cache of on-chain documents
+ * @returns {Promise<object>} Verification match
+ */
+const confirmOnChain = async (row, chainCache) => {
+  const network = getRowNetwork(row);
+
+  const match = {
+    type: row.record_type,
+    title: row.title,
+    versionNumber: row.version_number,
+    blockchainDocumentId: row.blockchain_document_id,
+    network: network ? network.name : null,
+    chainId: network ? network.chainId : row.chain_id,
+    contractAddress: network ? network.contractAddress : row.contract_address,
+    txHash: row.blockchain_tx_hash,
+    blockTimestamp: null,
+    owner: null,
+    merkleRoot: null,
+    merkleProof: row.merkle_proof,
+    anchored: false,
+    error: null,
+  };
+
+  if (row.merkle_proof) {
+    // The on-chain document is the batch's root, not the user's document
+    match.blockchainDocumentId = row.batch_blockchain_document_id;
+
+    try {
+      const inclusion = await confirmBatchInclusion(row, chainCache);
+      match.merkleRoot = inclusion.merkleRoot;
+      match.anchored = inclusion.anchored;
+      match.blockTimestamp = inclusion.blockTimestamp;
+    } catch (error) {
+      match.error = getLookupError(match, error);
+    }
+    return match;
+  }
+
+  if (!row.blockchain_document_id || !network) {
+    return match;
+  }
+
+  let chainDocument;
+  try {
+    chainDocument = await loadChainDocument(
+      network,
+      row.blockchain_document_id,
+      chainCache,
+    );
+  } catch (error) {
+    match.error = getLookupError(match, error);
+    return match;
+  }
+
+  const { document, versions } = chainDocument;
+  const onChainVersion = versions[row.version_number - 1];
+
+  match.owner = document.owner;
+
+  if (
+    onChainVersion &&
+    normalizeHash(onChainVersion.fileHash) ===
+      normalizeHash(row.file_hash)
+  ) {
+    match.anchored = true;
+    match.blockTimestamp = new Date(
+      onChainVersion.timestamp * 1000,
+    ).toISOString();
+  }
+
+  return match;
+};
+
+/**
+ * Build a verification result from matching database rows
+ * @param {string} fileHash - Normalized SHA256 hash
+ * @param {Array<object>} rows - Document version and notarization rows
+ * @returns {Promise<object>} Verification result
+ */
+const buildVerificationResult = async (fileHash, rows) => {
+  const chainCache = new Map();
+  const matches = [];
+
+  for (const row of rows) {
+    matches.push(await confirmOnChain(row, chainCache));
+  }
+
+  return {
+    verified: matches.some((match) => match.anchored),
+    fileHash,
+    matches,
+  };
+};
+
+// Document versions (with the batch of batched versions) and notarizations
+// (anchored as on-chain version 1), each with the network it was anchored on
+const RECORD_SELECT = `SELECT * FROM (
+      SELECT
+        'document' AS record_type,
+        d.title,
+        d.blockchain_document_id,
+        dv.version_number,
+        dv.file_hash,
+        dv.blockchain_tx_hash,
+        dv.merkle_proof,
+        b.blockchain_document_id AS batch_blockchain_document_id,
+        dv.chain_id,
+        dv.contract_address,
+        dv.created_at
+      FROM document_versions dv
+      JOIN documents d ON d.id = dv.document_id
+      LEFT JOIN anchor_batches b ON b.id = dv.anchor_batch_id
+      UNION ALL
+      SELECT
+        'notarization' AS record_type,
+        n.title,
+        n.blockchain_document_id,
+        1 AS version_number,
+        n.file_hash,
+        n.blockchain_tx_hash,
+        NULL::jsonb AS merkle_proof,
+        NULL::bigint AS batch_blockchain_document_id,
+        n.chain_id,
+        n.contract_address,
+        n.created_at
+      FROM notarizations n
+     ) records`;
+
+/**
+ * Verify whether a file hash is anchored
+ * Looks up document versions and notarizations by file hash and confirms
+ * each match on-chain
+ * @param {string} fileHash - SHA256 hex hash of the original file
+ * @returns {Promise<object>} Verification result
+ */
+const verifyFileHash = async (fileHash) => {
+  const normalizedHash = normalizeHash(fileHash);
+
+  const result = await query(
+    `${RECORD_SELECT}
+     WHERE records.file_hash = $1
+     ORDER BY records.created_at ASC`,
+    [normalizedHash],
+  );
+
+  logger.debug(
+    `Verification lookup: ${result.rows.length} match(es) for ${normalizedHash.substring(0, 10)}...`,
+  );
+
+  return buildVerificationResult(normalizedHash, result.rows);
+};
+
+/**
+ * Verify the document versions or notarization anchored by a transaction
+ * Looks up the transaction hash and confirms each match on-chain
+ * @param {string} txHash - Transaction hash (0x-prefixed)
+ * @returns {Promise<object>} Verification result
+ */
+const verifyTxHash = async (txHash) => {
+  const normalizedTxHash = txHash.toLowerCase();
+
+  const result = await query(
+    `${RECORD_SELECT}
+     WHERE records.blockchain_tx_hash = $1
+     ORDER BY records.created_at ASC`,
+    [normalizedTxHash],
+  );
+
+  logger.debug(
+    `Verification lookup: ${result.rows.length} match(es) for tx ${normalizedTxHash.substring(0, 12)}...`,
+  );
+
+  // A batch transaction anchors many versions; report a hash only if they share one
+  const fileHashes = new Set(
+    result.rows.map((row) => normalizeHash(row.file_hash)),
+  );
+  const fileHash = fileHashes.size === 1 ? [...fileHashes][0] : null;
+
+  return buildVerificationResult(fileHash, result.rows);
+};
+
+module.exports = {
+  normalizeHash,
+  confirmBatchInclusion,
+  verifyFileHash,
+  verifyTxHash,
+};
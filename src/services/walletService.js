@@ -79,6 +79,44 @@ const verifySignature = async (walletAddress, message, signature) => {
   }
 };
 
+/**
+ * Recover the public key that signed a message
+ * @param {string} walletAddress - Ethereum wallet address expected to have signed
+ * @param {string} message - Original message
+ * @param {string} signature - Signed message
+ * @returns {string|null} Uncompressed secp256k1 public key (0x04...), or null if the signature is invalid or from another wallet
+ */
+const recoverPublicKey = (walletAddress, message, signature) => {
+  try {
+    const publicKey = ethers.SigningKey.recoverPublicKey(
+      ethers.hashMessage(message),
+      signature,
+    );
+    return ethers.computeAddress(publicKey).toLowerCase() ===
+      walletAddress.toLowerCase()
+      ? publicKey
+      : null;
+  } catch (error) {
+    logger.error("Public key recovery failed:", {
+      message: error.message,
+    });
+    return null;
+  }
+};
+
+/**
+ * Record a user's wallet public key
+ * @param {string} userId - User UUID
+ * @param {string} publicKey - Uncompressed secp256k1 public key
+ * @returns {Promise<void>}
+ */
+const saveWalletPublicKey = async (userId, publicKey) => {
+  await query("UPDATE users SET wallet_public_key = $1 WHERE id = $2", [
+    publicKey,
+    userId,
+  ]);
+};
+
 /**
  * Delete nonce after use
  * @param {string} walletAddress - Ethereum wallet address
@@ -113,6 +151,8 @@ module.exports = {
   createNonce,
   getNonce,
   verifySignature,
+  recoverPublicKey,
+  saveWalletPublicKey,
   deleteNonce,
   findUserByWallet,
 };
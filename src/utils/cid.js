@@ -0,0 +1,234 @@
+const crypto = require("crypto");
+const fs = require("fs");
+
+/**
+ * IPFS CIDv1 computation
+ *
+ * Produces the same CIDs as `ipfs add --cid-version=1` with default settings:
+ * 256 KiB fixed-size chunks, raw leaves, balanced DAG with up to 174 links per node.
+ * A file that fits in one chunk is a single raw block (bafkrei...); larger files
+ * get a dag-pb UnixFS root (bafybei...).
+ */
+
+const CHUNK_SIZE = 262144; // 256 KiB
+const MAX_LINKS = 174;
+
+const CODEC_RAW = 0x55;
+const CODEC_DAG_PB = 0x70;
+const MULTIHASH_SHA2_256 = 0x12;
+const UNIXFS_TYPE_FILE = 2;
+
+const BASE32_ALPHABET = "abcdefghijklmnopqrstuvwxyz234567";
+
+/**
+ * Encode an unsigned integer as a protobuf/multiformats varint
+ * @param {number} value - Non-negative integer
+ * @returns {Buffer} Varint bytes
+ */
+const encodeVarint = (value) => {
+  const bytes = [];
+  let remaining = value;
+  while (remaining >= 0x80) {
+    bytes.push((remaining % 0x80) | 0x80);
+    remaining = Math.floor(remaining / 0x80);
+  }
+  bytes.push(remaining);
+  return Buffer.from(bytes);
+};
+
+/**
+ * Encode bytes as lowercase RFC 4648 base32 without padding
+ * @param {Buffer} buffer - Bytes to encode
+ * @returns {string} Base32 string
+ */
+const encodeBase32 = (buffer) => {
+  let output = "";
+  let bits = 0;
+  let value = 0;
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+};
+
+/**
+ * Build binary CIDv1 for a block
+ * @param {number} codec - Multicodec code
+ * @param {Buffer} block - Block bytes
+ * @returns {Buffer} CID bytes
+ */
+const cidBytes = (codec, block) => {
+  const digest = crypto.createHash("sha256").update(block).digest();
+  return Buffer.concat([
+    encodeVarint(1),
+    encodeVarint(codec),
+    encodeVarint(MULTIHASH_SHA2_256),
+    encodeVarint(digest.length),
+    digest,
+  ]);
+};
+
+/**
+ * Format binary CID as a multibase base32 string
+ * @param {Buffer} bytes - CID bytes
+ * @returns {string} CID string (b...)
+ */
+const formatCid = (bytes) => {
+  return `b${encodeBase32(bytes)}`;
+};
+
+/**
+ * Encode a protobuf length-delimited field
+ * @param {number} fieldNumber - Field number
+ * @param {Buffer} bytes - Field bytes
+ * @returns {Buffer} Encoded field
+ */
+const encodeBytesField = (fieldNumber, bytes) => {
+  return Buffer.concat([
+    encodeVarint((fieldNumber << 3) | 2),
+    encodeVarint(bytes.length),
+    bytes,
+  ]);
+};
+
+/**
+ * Encode a protobuf varint field
+ * @param {number} fieldNumber - Field number
+ * @param {number} value - Field value
+ * @returns {Buffer} Encoded field
+ */
+const encodeVarintField = (fieldNumber, value) => {
+  return Buffer.concat([encodeVarint(fieldNumber << 3), encodeVarint(value)]);
+};
+
+/**
+ * Encode a UnixFS file node (dag-pb PBNode wrapping UnixFS Data)
+ * @param {Array<object>} children - { cid, tsize, fileSize }
+ * @returns {Buffer} Encoded node
+ */
+const encodeFileNode = (children) => {
+  const fileSize = children.reduce((sum, child) => sum + child.fileSize, 0);
+
+  const unixfsData = Buffer.concat([
+    encodeVarintField(1, UNIXFS_TYPE_FILE),
+    encodeVarintField(3, fileSize),
+    ...children.map((child) => encodeVarintField(4, child.fileSize)),
+  ]);
+
+  // dag-pb canonical form: Links (field 2) before Data (field 1)
+  const links = children.map((child) =>
+    encodeBytesField(
+      2,
+      Buffer.concat([
+        encodeBytesField(1, child.cid),
+        encodeBytesField(2, Buffer.alloc(0)),
+        encodeVarintField(3, child.tsize),
+      ]),
+    ),
+  );
+
+  return Buffer.concat([...links, encodeBytesField(1, unixfsData)]);
+};
+
+/**
+ * Build the DAG above a list of raw leaves and return the root CID
+ * @param {Array<object>} leaves - { cid, tsize, fileSize }
+ * @returns {string} CIDv1 string
+ */
+const buildRoot = (leaves) => {
+  let level = leaves;
+
+  do {
+    const parents = [];
+    for (let i = 0; i < level.length; i += MAX_LINKS) {
+      const children = level.slice(i, i + MAX_LINKS);
+      const node = encodeFileNode(children);
+      parents.push({
+        cid: cidBytes(CODEC_DAG_PB, node),
+        tsize:
+          node.length +
+          children.reduce((sum, child) => sum + child.tsize, 0),
+        fileSize: children.reduce((sum, child) => sum + child.fileSize, 0),
+      });
+    }
+    level = parents;
+  } while (level.length > 1);
+
+  return formatCid(level[0].cid);
+};
+
+/**
+ * Create an incremental CID calculator for content that arrives in pieces
+ * Only the current 256 KiB chunk and one small entry per leaf are kept in memory.
+ * @returns {{update: function(Buffer): object, digest: function(): string}}
+ */
+const createCidBuilder = () => {
+  const leaves = [];
+  let pending = Buffer.alloc(0);
+
+  const addLeaf = (chunk) => {
+    leaves.push({
+      cid: cidBytes(CODEC_RAW, chunk),
+      tsize: chunk.length,
+      fileSize: chunk.length,
+    });
+  };
+
+  return {
+    update(data) {
+      pending = Buffer.concat([pending, data]);
+      while (pending.length > CHUNK_SIZE) {
+        addLeaf(pending.subarray(0, CHUNK_SIZE));
+        pending = pending.subarray(CHUNK_SIZE);
+      }
+      return this;
+    },
+
+    digest() {
+      // A file that fits in one chunk is a single raw block
+      if (leaves.length === 0) {
+        return formatCid(cidBytes(CODEC_RAW, pending));
+      }
+
+      addLeaf(pending);
+      return buildRoot(leaves);
+    },
+  };
+};
+
+/**
+ * Compute the IPFS CIDv1 of a file
+ * @param {Buffer} buffer - File content
+ * @returns {string} CIDv1 string
+ */
+const computeCid = (buffer) => createCidBuilder().update(buffer).digest();
+
+/**
+ * Compute the IPFS CIDv1 of a file on disk without loading it into memory
+ * @param {string} filePath - Path to the file
+ * @returns {Promise<string>} CIDv1 string
+ */
+const computeFileCid = async (filePath) => {
+  const builder = createCidBuilder();
+  for await (const chunk of fs.createReadStream(filePath)) {
+    builder.update(chunk);
+  }
+  return builder.digest();
+};
+
+module.exports = {
+  computeCid,
+  computeFileCid,
+  createCidBuilder,
+};
@@ -0,0 +1,72 @@
+const crypto = require("crypto");
+const { ethers } = require("ethers");
+
+/**
+ * ECIES over secp256k1, for wrapping file keys to a wallet's public key
+ *
+ * Output (0x-prefixed hex):
+ *   ephemeralPublicKey(65, uncompressed) | nonce(16) | authTag(16) | ciphertext
+ *
+ * - sharedPoint: ECDH of a fresh ephemeral key and the recipient's public key
+ *   (uncompressed point, 65 bytes)
+ * - key: HKDF-SHA256 over ephemeralPublicKey | sharedPoint, no salt or info, 32 bytes
+ * - cipher: AES-256-GCM with a 16-byte nonce
+ *
+ * Only the holder of the wallet's private key can decrypt.
+ */
+
+const ALGORITHM = "aes-256-gcm";
+const NONCE_LENGTH = 16;
+const KEY_LENGTH = 32;
+
+/**
+ * Derive the symmetric key from the ephemeral public key and shared point
+ * @param {Buffer} ephemeralPublicKey - Uncompressed ephemeral public key
+ * @param {Buffer} sharedPoint - Uncompressed ECDH shared point
+ * @returns {Buffer} 32-byte key
+ */
+const deriveKey = (ephemeralPublicKey, sharedPoint) =>
+  Buffer.from(
+    crypto.hkdfSync(
+      "sha256",
+      Buffer.concat([ephemeralPublicKey, sharedPoint]),
+      Buffer.alloc(0),
+      Buffer.alloc(0),
+      KEY_LENGTH,
+    ),
+  );
+
+/**
+ * Encrypt data to a secp256k1 public key
+ * @param {string} publicKey - Recipient public key (hex, compressed or uncompressed)
+ * @param {Buffer} plaintext - Data to encrypt
+ * @returns {string} 0x-prefixed hex ECIES payload
+ */
+const encryptToPublicKey = (publicKey, plaintext) => {
+  const ephemeralKey = new ethers.SigningKey(ethers.randomBytes(32));
+  const ephemeralPublicKey = Buffer.from(
+    ethers.getBytes(ephemeralKey.publicKey),
+  );
+  const sharedPoint = Buffer.from(
+    ethers.getBytes(ephemeralKey.computeSharedSecret(publicKey)),
+  );
+
+  const nonce = crypto.randomBytes(NONCE_LENGTH);
+  const cipher = crypto.createCipheriv(
+    ALGORITHM,
+    deriveKey(ephemeralPublicKey, sharedPoint),
+    nonce,
+  );
+  const ciphertext = Buffer.concat([
+    cipher.update(plaintext),
+    cipher.final(),
+  ]);
+
+  return ethers.hexlify(
+    Buffer.concat([ephemeralPublicKey, nonce, cipher.getAuthTag(), ciphertext]),
+  );
+};
+
+module.exports = {
+  encryptToPublicKey,
+};
@@ -1,5 +1,9 @@
 const crypto = require("crypto");
-const { MASTER_KEY } = require("../config/encryption");
+const { Transform } = require("stream");
+const {
+  wrapFileKey,
+  unwrapFileKey,
+} = require("../services/keyProviderService");
 
 const ALGORITHM = "aes-256-gcm";
 const IV_LENGTH = 12; // GCM standard
@@ -7,132 +11,420 @@ const AUTH_TAG_LENGTH = 16; // GCM standard
 const KEY_LENGTH = 32; // 256 bits for AES-256
 
 /**
- * Encrypt a file buffer
+ * Encryption schemes recorded per version
+ * - aes-256-gcm: whole file in one GCM message [fileIv(12) | fileAuthTag(16) | ciphertext]
+ * - aes-256-gcm-stream: chunked format below, encrypted and decrypted as a stream
+ * - client: encrypted by the uploader; the server stores the blob and the
+ *   client's key envelope as given and cannot decrypt it
+ * - imported: anchored outside this service and imported from the chain; no
+ *   key payload is stored and the CID may point to an object we never stored
+ */
+const ENCRYPTION_SCHEMES = {
+  WHOLE_FILE: "aes-256-gcm",
+  STREAM: "aes-256-gcm-stream",
+  CLIENT: "client",
+  IMPORTED: "imported",
+};
+
+/**
+ * Chunked stream format
+ *
+ * Header (16 bytes): magic "DVSE"(4) | version(1) | chunkSize uint32BE(4) | noncePrefix(7)
+ * Then one frame per plaintext chunk: ciphertext | authTag(16)
+ *
+ * Every chunk is chunkSize bytes except the last, which may be shorter (or
+ * empty for an empty file). Chunk nonces are noncePrefix | counter uint32BE(4) |
+ * lastChunkFlag(1), and the header is authenticated with every chunk, so
+ * frames cannot be reordered, dropped, truncated or moved between files.
+ */
+const STREAM_MAGIC = Buffer.from("DVSE");
+const STREAM_VERSION = 1;
+const STREAM_CHUNK_SIZE = 64 * 1024; // 64 KiB
+const STREAM_MAX_CHUNK_SIZE = 16 * 1024 * 1024;
+const NONCE_PREFIX_LENGTH = 7;
+const STREAM_HEADER_LENGTH =
+  STREAM_MAGIC.length + 1 + 4 + NONCE_PREFIX_LENGTH;
+const MAX_CHUNKS = 2 ** 32;
+
+/**
+ * Build the nonce for a stream chunk
+ * @param {Buffer} noncePrefix - 7-byte prefix from the header
+ * @param {number} counter - Chunk index
+ * @param {boolean} isLast - Whether this is the final chunk
+ * @returns {Buffer} 12-byte nonce
+ */
+const chunkNonce = (noncePrefix, counter, isLast) => {
+  const nonce = Buffer.alloc(IV_LENGTH);
+  noncePrefix.copy(nonce, 0);
+  nonce.writeUInt32BE(counter, NONCE_PREFIX_LENGTH);
+  nonce[IV_LENGTH - 1] = isLast ? 1 : 0;
+  return nonce;
+};
+
+/**
+ * Create a stream that encrypts a file with a fresh file key
  *
  * Returns:
  * {
- *   encryptedFileBuffer: Buffer with format [fileIv(12) | fileAuthTag(16) | ciphertext]
- *   encryptedKeyPayload: HEX string with format keyIv(12) | keyAuthTag(16) | encryptedKeyCiphertext
+ *   stream: Transform from plaintext to the chunked format
+ *   encryptedKeyPayload: file key wrapped by the active key provider
  * }
  *
- * @param {Buffer} buffer - File content (PDF)
- * @returns {Promise<{encryptedFileBuffer: Buffer, encryptedKeyPayload: string}>}
+ * Holds at most two chunks in memory regardless of file size.
+ *
+ * @returns {Promise<{stream: Transform, encryptedKeyPayload: string}>}
+ * @throws {Error} When the key provider cannot wrap the file key
  */
-const encryptFile = async (buffer) => {
+const createEncryptStream = async () => {
   // Generate random file encryption key
   const fileKey = crypto.randomBytes(KEY_LENGTH);
+  const noncePrefix = crypto.randomBytes(NONCE_PREFIX_LENGTH);
 
-  // Generate random IV for file encryption
-  const fileIv = crypto.randomBytes(IV_LENGTH);
+  const header = Buffer.alloc(STREAM_HEADER_LENGTH);
+  STREAM_MAGIC.copy(header, 0);
+  header.writeUInt8(STREAM_VERSION, STREAM_MAGIC.length);
+  header.writeUInt32BE(STREAM_CHUNK_SIZE, STREAM_MAGIC.length + 1);
+  noncePrefix.copy(header, STREAM_MAGIC.length + 5);
 
-  // Encrypt file content
-  const fileCipher = crypto.createCipheriv(
-    ALGORITHM,
-    fileKey,
-    fileIv,
-  );
-  const ciphertext = Buffer.concat([
-    fileCipher.update(buffer),
-    fileCipher.final(),
-  ]);
+  let headerSent = false;
+  let pending = Buffer.alloc(0);
+  let counter = 0;
 
-  // Get authentication tag for file encryption
-  const fileAuthTag = fileCipher.getAuthTag();
+  const pushHeader = (stream) => {
+    if (!headerSent) {
+      stream.push(header);
+      headerSent = true;
+    }
+  };
 
-  // Combine: fileIv + fileAuthTag + ciphertext
-  const encryptedFileBuffer = Buffer.concat([
-    fileIv,
-    fileAuthTag,
-    ciphertext,
-  ]);
+  const encryptChunk = (chunk, isLast) => {
+    if (counter >= MAX_CHUNKS) {
+      throw new Error("File is too large to encrypt");
+    }
 
-  // Now encrypt the fileKey using MASTER_KEY
+    const cipher = crypto.createCipheriv(
+      ALGORITHM,
+      fileKey,
+      chunkNonce(noncePrefix, counter, isLast),
+    );
+    cipher.setAAD(header);
+    counter += 1;
 
-  // Generate random IV for key encryption
-  const keyIv = crypto.randomBytes(IV_LENGTH);
+    return Buffer.concat([
+      cipher.update(chunk),
+      cipher.final(),
+      cipher.getAuthTag(),
+    ]);
+  };
 
-  // Encrypt fileKey using MASTER_KEY
-  const keyCipher = crypto.createCipheriv(
-    ALGORITHM,
-    MASTER_KEY,
-    keyIv,
-  );
-  const encryptedKeyCiphertext = Buffer.concat([
-    keyCipher.update(fileKey),
-    keyCipher.final(),
-  ]);
+  const stream = new Transform({
+    transform(chunk, encoding, callback) {
+      try {
+        pushHeader(this);
+        pending = Buffer.concat([pending, chunk]);
 
-  // Get authentication tag for key encryption
-  const keyAuthTag = keyCipher.getAuthTag();
+        // Keep the last chunk back until flush so it can be marked final
+        while (pending.length > STREAM_CHUNK_SIZE) {
+          this.push(
+            encryptChunk(pending.subarray(0, STREAM_CHUNK_SIZE), false),
+          );
+          pending = pending.subarray(STREAM_CHUNK_SIZE);
+        }
 
-  // Combine: keyIv + keyAuthTag + encryptedKeyCiphertext, then convert to hex
-  const encryptedKeyPayload = Buffer.concat([
-    keyIv,
-    keyAuthTag,
-    encryptedKeyCiphertext,
-  ]).toString("hex");
+        callback();
+      } catch (error) {
+        callback(error);
+      }
+    },
+
+    flush(callback) {
+      try {
+        pushHeader(this);
+        this.push(encryptChunk(pending, true));
+        callback();
+      } catch (error) {
+        callback(error);
+      }
+    },
+  });
 
   return {
-    encryptedFileBuffer,
-    encryptedKeyPayload,
+    stream,
+    encryptedKeyPayload: await wrapFileKey(fileKey),
   };
 };
 
 /**
- * Decrypt a file buffer
- *
- * @param {Buffer} encryptedFileBuffer - Encrypted file with format [fileIv(12) | fileAuthTag(16) | ciphertext]
- * @param {string} encryptedKeyPayload - Hex string with format keyIv(12) | keyAuthTag(16) | encryptedKeyCiphertext
- * @returns {Promise<Buffer>} Decrypted file content
+ * Parse and validate a chunked stream header
+ * @param {Buffer} header - First STREAM_HEADER_LENGTH bytes of the object
+ * @returns {{header: Buffer, chunkSize: number, noncePrefix: Buffer}}
  */
-const decryptFile = async (
-  encryptedFileBuffer,
-  encryptedKeyPayload,
-) => {
-  // Parse encryptedKeyPayload to extract fileKey
+const parseStreamHeader = (header) => {
+  const chunkSize =
+    header.length === STREAM_HEADER_LENGTH
+      ? header.readUInt32BE(STREAM_MAGIC.length + 1)
+      : 0;
 
-  // Convert hex string to Buffer
-  const encryptedKeyBuffer = Buffer.from(encryptedKeyPayload, "hex");
+  if (
+    chunkSize === 0 ||
+    chunkSize > STREAM_MAX_CHUNK_SIZE ||
+    !header.subarray(0, STREAM_MAGIC.length).equals(STREAM_MAGIC) ||
+    header.readUInt8(STREAM_MAGIC.length) !== STREAM_VERSION
+  ) {
+    throw new Error("Failed to decrypt file: unrecognized stream header");
+  }
 
-  // Extract components: keyIv (12) | keyAuthTag (16) | encryptedKeyCiphertext
-  const keyIv = encryptedKeyBuffer.slice(0, IV_LENGTH);
-  const keyAuthTag = encryptedKeyBuffer.slice(
-    IV_LENGTH,
-    IV_LENGTH + AUTH_TAG_LENGTH,
-  );
-  const encryptedKeyCiphertext = encryptedKeyBuffer.slice(
-    IV_LENGTH + AUTH_TAG_LENGTH,
+  return {
+    header,
+    chunkSize,
+    noncePrefix: header.subarray(STREAM_MAGIC.length + 5),
+  };
+};
+
+/**
+ * Create a function that decrypts and authenticates one frame
+ * @param {Buffer} fileKey - File key
+ * @param {object} parsedHeader - Result of parseStreamHeader
+ * @returns {function(Buffer, number, boolean): Buffer} (frame, chunkIndex, isLast) -> plaintext
+ */
+const createFrameDecryptor =
+  (fileKey, { header, noncePrefix }) =>
+  (frame, chunkIndex, isLast) => {
+    if (frame.length < AUTH_TAG_LENGTH) {
+      throw new Error("Failed to decrypt file: stream is truncated");
+    }
+
+    const decipher = crypto.createDecipheriv(
+      ALGORITHM,
+      fileKey,
+      chunkNonce(noncePrefix, chunkIndex, isLast),
+    );
+    decipher.setAAD(header);
+    decipher.setAuthTag(frame.subarray(frame.length - AUTH_TAG_LENGTH));
+
+    try {
+      return Buffer.concat([
+        decipher.update(frame.subarray(0, frame.length - AUTH_TAG_LENGTH)),
+        decipher.final(),
+      ]);
+    } catch (error) {
+      throw new Error("Failed to decrypt file: authentication failed");
+    }
+  };
+
+/**
+ * Create a stream that decrypts the chunked format
+ * Each chunk is only emitted after its authentication tag has been verified;
+ * a tampered or truncated file makes the stream error.
+ * @param {string} encryptedKeyPayload - Wrapped file key (see keyProviderService)
+ * @returns {Promise<Transform>} Stream from the chunked format to plaintext
+ * @throws {Error} When the file key cannot be decrypted
+ */
+const createDecryptStream = async (encryptedKeyPayload) => {
+  const fileKey = await unwrapFileKey(encryptedKeyPayload);
+
+  let decryptFrame = null;
+  let frameSize;
+  let pending = Buffer.alloc(0);
+  let counter = 0;
+
+  return new Transform({
+    transform(chunk, encoding, callback) {
+      try {
+        pending = Buffer.concat([pending, chunk]);
+
+        if (!decryptFrame) {
+          if (pending.length < STREAM_HEADER_LENGTH) {
+            return callback();
+          }
+          const parsedHeader = parseStreamHeader(
+            Buffer.from(pending.subarray(0, STREAM_HEADER_LENGTH)),
+          );
+          decryptFrame = createFrameDecryptor(fileKey, parsedHeader);
+          frameSize = parsedHeader.chunkSize + AUTH_TAG_LENGTH;
+          pending = pending.subarray(STREAM_HEADER_LENGTH);
+        }
+
+        // Keep the last frame back until flush so it is checked as final
+        while (pending.length > frameSize) {
+          this.push(
+            decryptFrame(pending.subarray(0, frameSize), counter, false),
+          );
+          counter += 1;
+          pending = pending.subarray(frameSize);
+        }
+
+        callback();
+      } catch (error) {
+        callback(error);
+      }
+    },
+
+    flush(callback) {
+      try {
+        if (!decryptFrame) {
+          throw new Error("Failed to decrypt file: stream is truncated");
+        }
+        this.push(decryptFrame(pending, counter, true));
+        callback();
+      } catch (error) {
+        callback(error);
+      }
+    },
+  });
+};
+
+/**
+ * Locate the frames holding a plaintext byte range
+ * @param {object} parsedHeader - Result of parseStreamHeader
+ * @param {number} plaintextSize - Size of the original file in bytes
+ * @param {{start: number, end: number}} range - Inclusive plaintext byte range
+ * @returns {object} { firstChunk, lastChunk, finalChunk, start, end }, where
+ *   start and end are the inclusive byte offsets of those frames in the object
+ */
+const locateRange = ({ chunkSize }, plaintextSize, range) => {
+  const frameSize = chunkSize + AUTH_TAG_LENGTH;
+  const firstChunk = Math.floor(range.start / chunkSize);
+  const lastChunk = Math.floor(range.end / chunkSize);
+  const finalChunk = Math.max(0, Math.ceil(plaintextSize / chunkSize) - 1);
+  const lastChunkLength =
+    lastChunk === finalChunk
+      ? plaintextSize - finalChunk * chunkSize
+      : chunkSize;
+
+  return {
+    firstChunk,
+    lastChunk,
+    finalChunk,
+    start: STREAM_HEADER_LENGTH + firstChunk * frameSize,
+    end:
+      STREAM_HEADER_LENGTH +
+      lastChunk * frameSize +
+      lastChunkLength +
+      AUTH_TAG_LENGTH -
+      1,
+  };
+};
+
+/**
+ * Byte range of the encrypted object needed to decrypt a plaintext range
+ * @param {Buffer} header - First STREAM_HEADER_LENGTH bytes of the object
+ * @param {number} plaintextSize - Size of the original file in bytes
+ * @param {{start: number, end: number}} range - Inclusive plaintext byte range
+ * @returns {{start: number, end: number}} Inclusive encrypted byte range
+ */
+const getEncryptedRange = (header, plaintextSize, range) => {
+  const { start, end } = locateRange(
+    parseStreamHeader(header),
+    plaintextSize,
+    range,
   );
+  return { start, end };
+};
 
-  // Decrypt fileKey using MASTER_KEY
-  const keyDecipher = crypto.createDecipheriv(
-    ALGORITHM,
-    MASTER_KEY,
-    keyIv,
+/**
+ * Create a stream that decrypts part of a chunked file
+ * Input is the encrypted byte range from getEncryptedRange; output is exactly
+ * the requested plaintext range. Only the frames covering the range are
+ * decrypted, and each is authenticated before any of it is emitted.
+ * @param {string} encryptedKeyPayload - Wrapped file key (see keyProviderService)
+ * @param {object} options - { header, plaintextSize, range }
+ * @param {Buffer} options.header - First STREAM_HEADER_LENGTH bytes of the object
+ * @param {number} options.plaintextSize - Size of the original file in bytes
+ * @param {{start: number, end: number}} options.range - Inclusive plaintext byte range
+ * @returns {Promise<Transform>} Stream from the frames to the plaintext range
+ * @throws {Error} When the file key cannot be decrypted or the header is invalid
+ */
+const createRangeDecryptStream = async (
+  encryptedKeyPayload,
+  { header, plaintextSize, range },
+) => {
+  const parsedHeader = parseStreamHeader(header);
+  const decryptFrame = createFrameDecryptor(
+    await unwrapFileKey(encryptedKeyPayload),
+    parsedHeader,
+  );
+  const { chunkSize } = parsedHeader;
+  const { firstChunk, lastChunk, finalChunk } = locateRange(
+    parsedHeader,
+    plaintextSize,
+    range,
   );
-  keyDecipher.setAuthTag(keyAuthTag);
 
-  let fileKey;
-  try {
-    fileKey = Buffer.concat([
-      keyDecipher.update(encryptedKeyCiphertext),
-      keyDecipher.final(),
-    ]);
-  } catch (error) {
-    throw new Error(
-      "Failed to decrypt file key: authentication failed",
-    );
-  }
+  let pending = Buffer.alloc(0);
+  let counter = firstChunk;
+
+  const frameSizeOf = (chunkIndex) =>
+    (chunkIndex === finalChunk
+      ? plaintextSize - finalChunk * chunkSize
+      : chunkSize) + AUTH_TAG_LENGTH;
+
+  return new Transform({
+    transform(chunk, encoding, callback) {
+      try {
+        pending = Buffer.concat([pending, chunk]);
+
+        while (
+          counter <= lastChunk &&
+          pending.length >= frameSizeOf(counter)
+        ) {
+          const frameSize = frameSizeOf(counter);
+          const plaintext = decryptFrame(
+            pending.subarray(0, frameSize),
+            counter,
+            counter === finalChunk,
+          );
+
+          // Trim the first and last chunks to the requested bytes
+          const chunkStart = counter * chunkSize;
+          this.push(
+            plaintext.subarray(
+              Math.max(0, range.start - chunkStart),
+              Math.min(plaintext.length, range.end - chunkStart + 1),
+            ),
+          );
+
+          counter += 1;
+          pending = pending.subarray(frameSize);
+        }
 
-  // Parse encryptedFileBuffer to extract ciphertext and decrypt
+        callback();
+      } catch (error) {
+        callback(error);
+      }
+    },
+
+    flush(callback) {
+      if (counter <= lastChunk) {
+        return callback(
+          new Error("Failed to decrypt file: stream is truncated"),
+        );
+      }
+      callback();
+    },
+  });
+};
+
+/**
+ * Decrypt a file buffer encrypted with the whole-file scheme
+ *
+ * @param {Buffer} encryptedFileBuffer - Encrypted file with format [fileIv(12) | fileAuthTag(16) | ciphertext]
+ * @param {string} encryptedKeyPayload - Wrapped file key (see keyProviderService)
+ * @returns {Promise<Buffer>} Decrypted file content
+ */
+const decryptFile = async (
+  encryptedFileBuffer,
+  encryptedKeyPayload,
+) => {
+  const fileKey = await unwrapFileKey(encryptedKeyPayload);
 
   // Extract components: fileIv (12) | fileAuthTag (16) | ciphertext
-  const fileIv = encryptedFileBuffer.slice(0, IV_LENGTH);
-  const fileAuthTag = encryptedFileBuffer.slice(
+  const fileIv = encryptedFileBuffer.subarray(0, IV_LENGTH);
+  const fileAuthTag = encryptedFileBuffer.subarray(
     IV_LENGTH,
     IV_LENGTH + AUTH_TAG_LENGTH,
   );
-  const ciphertext = encryptedFileBuffer.slice(
+  const ciphertext = encryptedFileBuffer.subarray(
     IV_LENGTH + AUTH_TAG_LENGTH,
   );
 
@@ -158,6 +450,11 @@ const decryptFile = async (
 };
 
 module.exports = {
-  encryptFile,
+  ENCRYPTION_SCHEMES,
+  STREAM_HEADER_LENGTH,
+  createEncryptStream,
+  createDecryptStream,
+  getEncryptedRange,
+  createRangeDecryptStream,
   decryptFile,
 };
@@ -0,0 +1,155 @@
+/**
+ * Document type detection from file content (magic bytes)
+ * Client-declared MIME types and extensions are never trusted.
+ */
+
+const PNG_SIGNATURE = Buffer.from([
+  0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a,
+]);
+const JPEG_SIGNATURE = Buffer.from([0xff, 0xd8, 0xff]);
+const ZIP_SIGNATURE = Buffer.from([0x50, 0x4b, 0x03, 0x04]);
+
+// Readers accept a PDF header anywhere in the first 1024 bytes
+const PDF_HEADER_SEARCH_BYTES = 1024;
+
+// DOCX entry names that must appear in the ZIP package
+const DOCX_MARKERS = ["[Content_Types].xml", "word/document.xml"].map(
+  (marker) => Buffer.from(marker),
+);
+const MAX_MARKER_LENGTH = Math.max(
+  ...DOCX_MARKERS.map((marker) => marker.length),
+);
+
+// Bytes allowed below 0x20 in plain text: tab, newline, form feed, carriage return
+const TEXT_CONTROL_BYTES = [0x09, 0x0a, 0x0c, 0x0d];
+
+/**
+ * Supported document types, in detection order
+ * Each matcher receives what the detector collected from the whole file:
+ * { head, markers, isText }. Plain text has no signature, so it is checked last.
+ */
+const DOCUMENT_TYPES = {
+  pdf: {
+    mimeType: "application/pdf",
+    extension: ".pdf",
+    matches: ({ head }) => head.includes("%PDF-"),
+  },
+  png: {
+    mimeType: "image/png",
+    extension: ".png",
+    matches: ({ head }) =>
+      head.subarray(0, PNG_SIGNATURE.length).equals(PNG_SIGNATURE),
+  },
+  jpeg: {
+    mimeType: "image/jpeg",
+    extension: ".jpg",
+    matches: ({ head }) =>
+      head.subarray(0, JPEG_SIGNATURE.length).equals(JPEG_SIGNATURE),
+  },
+  // DOCX is a ZIP package; entry names are stored uncompressed
+  docx: {
+    mimeType:
+      "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+    extension: ".docx",
+    matches: ({ head, markers }) =>
+      head.subarray(0, ZIP_SIGNATURE.length).equals(ZIP_SIGNATURE) &&
+      markers.size === DOCX_MARKERS.length,
+  },
+  txt: {
+    mimeType: "text/plain",
+    extension: ".txt",
+    matches: ({ isText }) => isText,
+  },
+};
+
+/**
+ * Create a detector that identifies a document type as the file streams past
+ * Keeps only the first 1024 bytes and a short overlap for marker search.
+ * @returns {{update: function(Buffer): object, digest: function(): object|null}}
+ */
+const createFileTypeDetector = () => {
+  const utf8Decoder = new TextDecoder("utf-8", { fatal: true });
+  const markers = new Set();
+  let head = Buffer.alloc(0);
+  let tail = Buffer.alloc(0);
+  let length = 0;
+  let isText = true;
+
+  return {
+    update(chunk) {
+      length += chunk.length;
+
+      if (head.length < PDF_HEADER_SEARCH_BYTES) {
+        head = Buffer.concat([
+          head,
+          chunk.subarray(0, PDF_HEADER_SEARCH_BYTES - head.length),
+        ]);
+      }
+
+      // Search across chunk boundaries by carrying the end of the last chunk
+      const window = Buffer.concat([tail, chunk]);
+      for (const marker of DOCX_MARKERS) {
+        if (!markers.has(marker) && window.includes(marker)) {
+          markers.add(marker);
+        }
+      }
+      tail = window.subarray(
+        Math.max(0, window.length - (MAX_MARKER_LENGTH - 1)),
+      );
+
+      if (isText) {
+        for (const byte of chunk) {
+          if (byte < 0x20 && !TEXT_CONTROL_BYTES.includes(byte)) {
+            isText = false;
+            break;
+          }
+        }
+      }
+
+      if (isText) {
+        try {
+          utf8Decoder.decode(chunk, { stream: true });
+        } catch {
+          isText = false;
+        }
+      }
+
+      return this;
+    },
+
+    digest() {
+      // Empty files and files ending mid-character are not text
+      if (isText) {
+        try {
+          utf8Decoder.decode();
+        } catch {
+          isText = false;
+        }
+      }
+
+      const collected = { head, markers, isText: isText && length > 0 };
+
+      for (const [name, type] of Object.entries(DOCUMENT_TYPES)) {
+        if (type.matches(collected)) {
+          return { name, mimeType: type.mimeType, extension: type.extension };
+        }
+      }
+
+      return null;
+    },
+  };
+};
+
+/**
+ * Detect the document type of a file from its content
+ * @param {Buffer} buffer - File content
+ * @returns {object|null} { name, mimeType, extension }, or null if unsupported
+ */
+const detectFileType = (buffer) =>
+  createFileTypeDetector().update(buffer).digest();
+
+module.exports = {
+  DOCUMENT_TYPES,
+  createFileTypeDetector,
+  detectFileType,
+};
@@ -9,6 +9,20 @@ const generateSHA256 = (buffer) => {
   return crypto.createHash("sha256").update(buffer).digest("hex");
 };
 
+/**
+ * Generate SHA256 hash of a stream, consuming it
+ * @param {Readable} stream - Content stream
+ * @returns {Promise<string>} Hex-encoded SHA256 hash
+ */
+const generateStreamSHA256 = async (stream) => {
+  const hash = crypto.createHash("sha256");
+  for await (const chunk of stream) {
+    hash.update(chunk);
+  }
+  return hash.digest("hex");
+};
+
 module.exports = {
   generateSHA256,
+  generateStreamSHA256,
 };
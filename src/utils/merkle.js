@@ -0,0 +1,126 @@
+const crypto = require("crypto");
+
+/**
+ * Binary SHA-256 Merkle trees over file hashes, for batched anchoring
+ *
+ * - leaf: SHA256(0x00 | fileHash)
+ * - node: SHA256(0x01 | left | right)
+ * - a node without a sibling is carried up to the next level unchanged
+ *
+ * The prefixes keep a leaf from being passed off as an inner node. Hashes
+ * are lowercase hex without 0x. A proof lists the sibling hashes from the
+ * leaf up to the root, each with the side it sits on:
+ *   [{ position: "left" | "right", hash }]
+ */
+
+const LEAF_PREFIX = Buffer.from([0x00]);
+const NODE_PREFIX = Buffer.from([0x01]);
+
+/**
+ * Convert a hex hash (with or without 0x) to bytes
+ * @param {string} hash - Hex hash
+ * @returns {Buffer} Hash bytes
+ */
+const toBuffer = (hash) => Buffer.from(hash.replace(/^0x/, ""), "hex");
+
+/**
+ * Hash a file hash into a leaf
+ * @param {string} fileHash - SHA256 hex hash of the file
+ * @returns {string} Leaf hash
+ */
+const hashLeaf = (fileHash) =>
+  crypto
+    .createHash("sha256")
+    .update(Buffer.concat([LEAF_PREFIX, toBuffer(fileHash)]))
+    .digest("hex");
+
+/**
+ * Hash two child nodes into their parent
+ * @param {string} left - Left child hash
+ * @param {string} right - Right child hash
+ * @returns {string} Parent hash
+ */
+const hashNode = (left, right) =>
+  crypto
+    .createHash("sha256")
+    .update(Buffer.concat([NODE_PREFIX, toBuffer(left), toBuffer(right)]))
+    .digest("hex");
+
+/**
+ * Build a Merkle tree over file hashes
+ * @param {Array<string>} fileHashes - SHA256 hex hashes, in leaf order
+ * @returns {object} { root, proofs } with one proof per file hash, in the same order
+ */
+const buildMerkleTree = (fileHashes) => {
+  if (fileHashes.length === 0) {
+    throw new Error("Cannot build a Merkle tree without leaves");
+  }
+
+  let level = fileHashes.map(hashLeaf);
+  const proofs = fileHashes.map(() => []);
+  // Index of each leaf's ancestor in the current level
+  const positions = fileHashes.map((fileHash, index) => index);
+
+  while (level.length > 1) {
+    const nextLevel = [];
+    for (let i = 0; i < level.length; i += 2) {
+      nextLevel.push(
+        i + 1 < level.length ? hashNode(level[i], level[i + 1]) : level[i],
+      );
+    }
+
+    positions.forEach((index, leaf) => {
+      const siblingIndex = index % 2 === 0 ? index + 1 : index - 1;
+      if (siblingIndex < level.length) {
+        proofs[leaf].push({
+          position: index % 2 === 0 ? "right" : "left",
+          hash: level[siblingIndex],
+        });
+      }
+      positions[leaf] = Math.floor(index / 2);
+    });
+
+    level = nextLevel;
+  }
+
+  return { root: level[0], proofs };
+};
+
+/**
+ * Compute the root a file hash and inclusion proof lead to
+ * @param {string} fileHash - SHA256 hex hash of the file
+ * @param {Array<object>} proof - Inclusion proof
+ * @returns {string} Root hash
+ */
+const computeMerkleRoot = (fileHash, proof) =>
+  proof.reduce(
+    (node, step) =>
+      step.position === "left"
+        ? hashNode(step.hash, node)
+        : hashNode(node, step.hash),
+    hashLeaf(fileHash),
+  );
+
+/**
+ * Check an inclusion proof against a Merkle root
+ * @param {string} fileHash - SHA256 hex hash of the file
+ * @param {Array<object>} proof - Inclusion proof
+ * @param {string} root - Expected root (hex, with or without 0x)
+ * @returns {boolean} True if the proof leads to the root
+ */
+const verifyMerkleProof = (fileHash, proof, root) => {
+  try {
+    return (
+      computeMerkleRoot(fileHash, proof) ===
+      root.toLowerCase().replace(/^0x/, "")
+    );
+  } catch (error) {
+    return false;
+  }
+};
+
+module.exports = {
+  buildMerkleTree,
+  computeMerkleRoot,
+  verifyMerkleProof,
+};